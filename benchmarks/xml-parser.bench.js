@@ -0,0 +1,84 @@
+// Compares the streaming hierarchy parser against the xml2js one it replaced.
+// Usage: npm run bench -- [items] [runs]
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseUIHierarchySync } from '../src/utils/xml-parser.js';
+import { parseUIHierarchy as parseWithXml2js } from './legacy-xml-parser.js';
+import { createLogger } from '../src/utils/logger.js';
+
+const items = Number(process.argv[2]) || 1000;
+const runs = Number(process.argv[3]) || 20;
+
+function attributes(fields) {
+    const defaults = {
+        index: '0', text: '', 'resource-id': '', class: 'android.view.View', package: 'com.example.shop',
+        'content-desc': '', checkable: 'false', checked: 'false', clickable: 'false', enabled: 'true',
+        focusable: 'false', focused: 'false', scrollable: 'false', 'long-clickable': 'false',
+        password: 'false', selected: 'false', bounds: '[0,0][0,0]'
+    };
+    return Object.entries({ ...defaults, ...fields }).map(([name, value]) => `${name}="${value}"`).join(' ');
+}
+
+// A shopping list RecyclerView: every row is a card with an image, a title, a price and a button
+function recyclerViewDump(count) {
+    const rows = [];
+    for (let index = 0; index < count; index++) {
+        const top = 300 + index * 240;
+        rows.push(`<node ${attributes({ index, class: 'androidx.cardview.widget.CardView', clickable: 'true', bounds: `[0,${top}][1080,${top + 240}]` })}>
+<node ${attributes({ class: 'android.widget.ImageView', 'resource-id': 'com.example.shop:id/thumbnail', 'content-desc': `Product ${index}`, bounds: `[24,${top + 24}][216,${top + 216}]` })} />
+<node ${attributes({ index: 1, class: 'android.widget.TextView', 'resource-id': 'com.example.shop:id/title', text: `Product &quot;${index}&quot; &amp; more`, bounds: `[240,${top + 24}][900,${top + 96}]` })} />
+<node ${attributes({ index: 2, class: 'android.widget.TextView', 'resource-id': 'com.example.shop:id/price', text: `€${index}.99`, bounds: `[240,${top + 120}][600,${top + 180}]` })} />
+<node ${attributes({ index: 3, class: 'android.widget.Button', 'resource-id': 'com.example.shop:id/add', text: 'Add', clickable: 'true', focusable: 'true', bounds: `[900,${top + 80}][1056,${top + 160}]` })} />
+</node>`);
+    }
+    return `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>
+<hierarchy rotation="0">
+<node ${attributes({ class: 'android.widget.FrameLayout', bounds: '[0,0][1080,2400]' })}>
+<node ${attributes({ class: 'androidx.recyclerview.widget.RecyclerView', 'resource-id': 'com.example.shop:id/list', scrollable: 'true', bounds: '[0,300][1080,2400]' })}>
+${rows.join('\n')}
+</node>
+</node>
+</hierarchy>`;
+}
+
+function countNodes(node) {
+    return 1 + node.children.reduce((total, child) => total + countNodes(child), 0);
+}
+
+// Everything but the new id and depth fields has to come out the same
+function strip(node) {
+    const { id, depth, children, ...rest } = node;
+    return { ...rest, children: children.map(strip) };
+}
+
+async function time(parse, xml) {
+    await parse(xml); // warm up
+    const started = process.hrtime.bigint();
+    for (let run = 0; run < runs; run++) {
+        await parse(xml);
+    }
+    return Number(process.hrtime.bigint() - started) / 1e6 / runs;
+}
+
+const logger = createLogger({ logLevel: 'silent' });
+const fixtures = fileURLToPath(new URL('../test/fixtures/', import.meta.url));
+const documents = [
+    ...fs.readdirSync(fixtures).filter(name => name.endsWith('.xml'))
+        .map(name => [name, fs.readFileSync(fixtures + name, 'utf8')]),
+    [`recyclerview-${items}.xml`, recyclerViewDump(items)]
+];
+
+for (const [name, xml] of documents) {
+    const streamed = parseUIHierarchySync(xml);
+    const legacy = await parseWithXml2js(xml, { logger });
+    if (JSON.stringify(strip(streamed)) !== JSON.stringify(strip(legacy))) {
+        console.error(`❌ ${name}: parsers disagree`);
+        process.exitCode = 1;
+        continue;
+    }
+
+    const xml2jsMs = await time(source => parseWithXml2js(source, { logger }), xml);
+    const streamingMs = await time(parseUIHierarchySync, xml);
+    console.log(`${name} (${countNodes(streamed)} nodes, ${(xml.length / 1024).toFixed(0)} KB): ` +
+        `xml2js ${xml2jsMs.toFixed(2)} ms, streaming ${streamingMs.toFixed(2)} ms, ${(xml2jsMs / streamingMs).toFixed(1)}x faster`);
+}
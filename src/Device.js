@@ -1,40 +1,154 @@
+import path from 'path';
+import { EventEmitter } from 'events';
 import { ADB } from './utils/adb.js';
 import { Page } from './Page.js';
 import { NetworkMonitor } from './NetworkMonitor.js';
 import { parseUIHierarchy } from './utils/xml-parser.js';
+import { AppInstallError, DeviceNotConnectedError } from './errors/index.js';
+import { createLogger } from './utils/logger.js';
 
-export class AndroidDevice {
-    constructor(deviceId = null) {
+function parseBatteryStatus(output) {
+    const status = {};
+
+    for (const line of output.split('\n')) {
+        if (line.includes('level:')) {
+            status.level = parseInt(line.split(':')[1].trim());
+        }
+        if (line.includes('status:')) {
+            status.status = line.split(':')[1].trim();
+        }
+        if (line.includes('health:')) {
+            status.health = line.split(':')[1].trim();
+        }
+        if (line.includes('present:')) {
+            status.present = line.split(':')[1].trim() === 'true';
+        }
+    }
+
+    return status;
+}
+
+function parseMemInfo(output) {
+    const memInfo = {};
+
+    for (const line of output.split('\n')) {
+        const match = line.match(/^([^:]+):\s*(\d+)\s*kB/);
+        if (match) {
+            memInfo[match[1]] = parseInt(match[2]);
+        }
+    }
+
+    return memInfo;
+}
+
+/**
+ * Emits 'disconnect' when the device drops off (USB unplugged, `offline`,
+ * adb server restart), 'reconnect' once it is reachable again and 'retry'
+ * before a failed command is issued again.
+ */
+export class AndroidDevice extends EventEmitter {
+    /**
+     * @param {string|null} deviceId - Device serial or null for the default device
+     * @param {Object} options
+     * @param {DeviceBackend} options.backend - Backend to drive instead of a real device over ADB
+     * @param {Object|false} options.retry - Retry policy for transient ADB failures, or false to disable
+     * @param {Logger|Object|Function} options.logger - Logger or pino/winston compatible sink
+     * @param {string|Object} options.logLevel - 'silent', 'error', 'warn', 'info', 'debug' or 'trace', optionally per namespace
+     * @param {number} options.hierarchyMaxAge - Also redump a cached hierarchy older than this many ms; by default
+     *   it is kept until the next input action
+     */
+    constructor(deviceId = null, options = {}) {
+        super();
         this.deviceId = deviceId;
-        this.adb = new ADB(deviceId);
+        this.options = options;
+        // Root logger shared by the backend, page, selectors and network monitor
+        this.logger = createLogger(options);
+        this.log = this.logger.child('device');
+        // Every backend (ADB, FakeDevice, ...) is reachable as `device.adb` so existing code keeps working
+        this.adb = options.backend || new ADB(deviceId, { ...options, logger: this.logger });
         this.page = new Page(this);
         this.networkMonitor = new NetworkMonitor(this);
         this._screenSize = null;
         this._uiHierarchy = null;
+        this._uiHierarchyXml = null;
         this._lastUIUpdate = 0;
+        // Bumped by every input action, so a dump that was in flight during one is known to be stale
+        this._hierarchyGeneration = 0;
+        this._hierarchyStale = false;
+        this._hierarchyFrozen = false;
+        this._hierarchyStats = { hits: 0, misses: 0, invalidations: 0 };
+        // { action, hierarchy } of the last input action, hierarchy being the screen right before it
+        this._lastInput = null;
         this._deviceInfo = null;
+        this._forwardBackendEvents();
+    }
+
+    _forwardBackendEvents() {
+        if (typeof this.adb.on !== 'function') return;
+
+        this.adb.on('disconnect', event => this.emit('disconnect', event));
+        this.adb.on('retry', event => this.emit('retry', event));
+        this.adb.on('reconnect', event => {
+            // The screen may have changed while the device was away
+            this.invalidateHierarchy();
+            this.emit('reconnect', event);
+        });
+        this.adb.on('input', action => this._onInput(action));
+    }
+
+    _onInput(action) {
+        // Only a dump taken since the previous input shows the screen this action started from
+        const fresh = !this._hierarchyMissReason(false);
+        this._lastInput = { action, hierarchy: fresh ? this._uiHierarchy : null };
+        this.invalidateHierarchy();
     }
 
-    static async connect(deviceId = null) {
-        const device = new AndroidDevice(deviceId);
+    static async connect(deviceId = null, options = {}) {
+        // Also accept connect({ deviceId, backend, ... })
+        if (deviceId !== null && typeof deviceId === 'object') {
+            options = deviceId;
+            deviceId = options.deviceId || null;
+        }
+        const device = new AndroidDevice(deviceId, options);
         await device._initialize();
         return device;
     }
 
+    get backend() {
+        return this.adb;
+    }
+
     async _initialize() {
         // Verify ADB connection
         try {
-            const isConnected = await this.adb.isConnected();
+            let isConnected = await this.adb.isConnected();
+            if (!isConnected && this.adb.autoReconnect) {
+                // A 'host:port' serial that adb doesn't know about yet
+                await this.adb.connectTcp(this.deviceId);
+                isConnected = await this.adb.isConnected();
+            }
             if (!isConnected) {
-                throw new Error('Device not connected or not authorized');
+                throw new DeviceNotConnectedError({
+                    deviceId: this.deviceId,
+                    message: 'Device not connected or not authorized'
+                });
             }
-            console.log('📱 Device connected successfully');
+            this.log.info('📱 Device connected successfully');
 
             // Get device info
             this._deviceInfo = await this.adb.getDeviceInfo();
-            console.log(`📱 Device: ${this._deviceInfo.brand} ${this._deviceInfo.model} (Android ${this._deviceInfo.version})`);
+            this.log.info(`📱 Device: ${this._deviceInfo.brand} ${this._deviceInfo.model} (Android ${this._deviceInfo.version})`);
+
+            // Find out once which commands work, so later calls skip fallbacks
+            if (this.options.probeCapabilities !== false) {
+                await this.adb.getCapabilities();
+            }
         } catch (error) {
-            throw new Error(`Failed to connect to device: ${error.message}`);
+            throw new DeviceNotConnectedError({
+                deviceId: this.deviceId,
+                message: `Failed to connect to device: ${error.message}`,
+                cause: error
+            });
         }
     }
 
@@ -51,6 +165,15 @@ export class AndroidDevice {
         return this._screenSize;
     }
 
+    // Commands the device supports, as probed at connect time (null if unknown)
+    get capabilities() {
+        return this.adb.capabilities ?? null;
+    }
+
+    async getCapabilities(options = {}) {
+        return this.adb.getCapabilities(options);
+    }
+
     async getDeviceInfo() {
         if (!this._deviceInfo) {
             this._deviceInfo = await this.adb.getDeviceInfo();
@@ -58,18 +181,111 @@ export class AndroidDevice {
         return this._deviceInfo;
     }
 
+    /**
+     * Parsed UI hierarchy. The last dump is reused until an input action
+     * (tap, swipe, text, key event, app launch) or a reconnect invalidates it,
+     * or it gets older than `hierarchyMaxAge`. While frozen, the last dump is
+     * served even when `forceRefresh` is set.
+     * @param {boolean} forceRefresh - Dump the screen again, e.g. when polling for changes
+     * @returns {Promise<Object>}
+     */
     async getUIHierarchy(forceRefresh = false) {
-        const now = Date.now();
-        // Cache UI hierarchy for 1 second to avoid excessive calls
-        if (!this._uiHierarchy || forceRefresh || (now - this._lastUIUpdate) > 1000) {
-            const xmlString = await this.adb.getUIHierarchy();
-            this._uiHierarchy = await parseUIHierarchy(xmlString);
-            this._lastUIUpdate = now;
+        const reason = this._hierarchyMissReason(forceRefresh);
+        if (!reason) {
+            this._hierarchyStats.hits++;
+            return this._uiHierarchy;
         }
+
+        this._hierarchyStats.misses++;
+        this.log.debug(`UI hierarchy cache miss (${reason})`);
+        const generation = this._hierarchyGeneration;
+        const xmlString = await this.adb.getUIHierarchy();
+        await this._storeHierarchy(xmlString, generation);
         return this._uiHierarchy;
     }
 
-    // Remove the old XML parsing methods since we're using xml2js now
+    _hierarchyMissReason(forceRefresh) {
+        if (!this._uiHierarchy) return 'empty';
+        if (this._hierarchyFrozen) return null;
+        if (forceRefresh) return 'forced';
+        if (this._hierarchyStale) return 'invalidated';
+        const maxAge = this.options.hierarchyMaxAge;
+        if (maxAge != null && Date.now() - this._lastUIUpdate > maxAge) return 'expired';
+        return null;
+    }
+
+    async _storeHierarchy(xmlString, generation) {
+        this._uiHierarchy = await parseUIHierarchy(xmlString, { logger: this.logger });
+        this._uiHierarchyXml = xmlString;
+        this._lastUIUpdate = Date.now();
+        this._hierarchyStale = generation !== this._hierarchyGeneration;
+    }
+
+    // Drop the cached hierarchy; the next read dumps the screen again
+    invalidateHierarchy() {
+        this._hierarchyGeneration++;
+        this._hierarchyStale = true;
+        this._hierarchyStats.invalidations++;
+    }
+
+    /**
+     * Serve every read from the current dump, ignoring input actions and
+     * forced refreshes, until unfreezeHierarchy(). Dumps the screen first if
+     * the cached hierarchy is out of date.
+     * @returns {Promise<Object>} The frozen hierarchy
+     */
+    async freezeHierarchy() {
+        const hierarchy = await this.getUIHierarchy();
+        this._hierarchyFrozen = true;
+        return hierarchy;
+    }
+
+    unfreezeHierarchy() {
+        this._hierarchyFrozen = false;
+    }
+
+    get hierarchyFrozen() {
+        return this._hierarchyFrozen;
+    }
+
+    // Cache counters for debugging: { hits, misses, invalidations, frozen }
+    hierarchyCacheStats() {
+        return { ...this._hierarchyStats, frozen: this._hierarchyFrozen };
+    }
+
+    /**
+     * Current activity and a fresh UI hierarchy, fetched together in one
+     * round trip where the backend supports it. Refreshes the hierarchy cache;
+     * while it is frozen, the frozen hierarchy is returned instead.
+     * @param {boolean} forceRefresh - Dump the screen even if the cached hierarchy is up to date
+     * @returns {Promise<{activity: Object|null, hierarchy: Object}>}
+     */
+    async getScreenState(forceRefresh = true) {
+        if (!this._hierarchyMissReason(forceRefresh)) {
+            this._hierarchyStats.hits++;
+            return { activity: await this.getCurrentApp(), hierarchy: this._uiHierarchy };
+        }
+
+        const generation = this._hierarchyGeneration;
+        const { activity, hierarchy: xmlString } = await this.adb.getScreenState();
+        await this._storeHierarchy(xmlString, generation);
+        return { activity, hierarchy: this._uiHierarchy };
+    }
+
+    // Raw XML of the last hierarchy dump, attached to selector errors
+    get lastHierarchy() {
+        return this._uiHierarchyXml;
+    }
+
+    /**
+     * The last input action (tap, swipe, text, key event, app launch) and the
+     * parsed hierarchy from right before it, or a null hierarchy when the
+     * screen wasn't dumped between that action and the one before
+     * @returns {{action: Object, hierarchy: Object|null}|null} Null before any input
+     */
+    get lastInput() {
+        return this._lastInput;
+    }
 
     async waitForIdle(timeout = 2000) {
         // Wait for UI to stabilize
@@ -130,20 +346,34 @@ export class AndroidDevice {
     }
 
     async installApp(apkPath) {
+        // Same steps as the legacy `adb install`: stage the APK, then let pm install it
+        const remotePath = `/data/local/tmp/droideer-${Date.now()}-${path.basename(apkPath)}`;
         try {
-            const result = await this.adb.execute(`install "${apkPath}"`);
-            return result.includes('Success');
+            await this.adb.push(apkPath, remotePath);
+            const result = await this.adb.shellWithResult(['pm', 'install', '-r', remotePath]);
+            // Older pm versions print "Failure [...]" but still exit with 0
+            return result.exitCode === 0 && !/Failure/.test(result.stdout + result.stderr);
         } catch (error) {
-            throw new Error(`Failed to install app: ${error.message}`);
+            throw new AppInstallError(`Failed to install app: ${error.message}`, {
+                apkPath,
+                deviceId: this.deviceId,
+                cause: error
+            });
+        } finally {
+            await this.adb.shellWithResult(['rm', '-f', remotePath]).catch(() => {});
         }
     }
 
     async uninstallApp(packageName) {
         try {
-            const result = await this.adb.execute(`uninstall ${packageName}`);
-            return result.includes('Success');
+            const result = await this.adb.shellWithResult(['pm', 'uninstall', packageName]);
+            return result.exitCode === 0 && !/Failure/.test(result.stdout + result.stderr);
         } catch (error) {
-            throw new Error(`Failed to uninstall app: ${error.message}`);
+            throw new AppInstallError(`Failed to uninstall app: ${error.message}`, {
+                packageName,
+                deviceId: this.deviceId,
+                cause: error
+            });
         }
     }
 
@@ -209,61 +439,54 @@ export class AndroidDevice {
     }
 
     async getBatteryStatus() {
-        const result = await this.adb.shell('dumpsys battery');
-        const lines = result.split('\n');
-        const status = {};
-
-        for (const line of lines) {
-            if (line.includes('level:')) {
-                status.level = parseInt(line.split(':')[1].trim());
-            }
-            if (line.includes('status:')) {
-                status.status = line.split(':')[1].trim();
-            }
-            if (line.includes('health:')) {
-                status.health = line.split(':')[1].trim();
-            }
-            if (line.includes('present:')) {
-                status.present = line.split(':')[1].trim() === 'true';
-            }
-        }
+        return parseBatteryStatus(await this.adb.shell('dumpsys battery'));
+    }
 
-        return status;
+    /**
+     * Battery status and memory info read in a single shell round trip
+     * @returns {Promise<{battery: Object, memory: Object}>}
+     */
+    async getSystemStatus() {
+        const [battery, memory] = await this.adb.batch(['dumpsys battery', 'cat /proc/meminfo']);
+        return {
+            battery: parseBatteryStatus(battery.stdout),
+            memory: parseMemInfo(memory.stdout)
+        };
     }
 
     // File system operations
     async pushFile(localPath, remotePath) {
-        return this.adb.execute(`push "${localPath}" "${remotePath}"`);
+        return this.adb.push(localPath, remotePath);
     }
 
     async pullFile(remotePath, localPath) {
-        return this.adb.execute(`pull "${remotePath}" "${localPath}"`);
+        return this.adb.pull(remotePath, localPath);
     }
 
     async listFiles(remotePath) {
-        const result = await this.adb.shell(`ls -la "${remotePath}"`);
+        const result = await this.adb.shell(['ls', '-la', remotePath]);
         return result.split('\n').filter(line => line.trim().length > 0);
     }
 
     async fileExists(remotePath) {
         try {
-            await this.adb.shell(`test -f "${remotePath}" && echo "exists"`);
-            return true;
+            const result = await this.adb.shellWithResult(['test', '-f', remotePath]);
+            return result.exitCode === 0;
         } catch (error) {
             return false;
         }
     }
 
     async createDirectory(remotePath) {
-        return this.adb.shell(`mkdir -p "${remotePath}"`);
+        return this.adb.shell(['mkdir', '-p', remotePath]);
     }
 
     async removeFile(remotePath) {
-        return this.adb.shell(`rm "${remotePath}"`);
+        return this.adb.shell(['rm', remotePath]);
     }
 
     async removeDirectory(remotePath) {
-        return this.adb.shell(`rm -rf "${remotePath}"`);
+        return this.adb.shell(['rm', '-rf', remotePath]);
     }
 
     // System information
@@ -283,26 +506,15 @@ export class AndroidDevice {
     }
 
     async getProperty(property) {
-        return this.adb.shell(`getprop ${property}`);
+        return this.adb.shell(['getprop', property]);
     }
 
     async setProperty(property, value) {
-        return this.adb.shell(`setprop ${property} "${value}"`);
+        return this.adb.shell(['setprop', property, value]);
     }
 
     async getMemoryInfo() {
-        const result = await this.adb.shell('cat /proc/meminfo');
-        const memInfo = {};
-        const lines = result.split('\n');
-
-        for (const line of lines) {
-            const match = line.match(/^([^:]+):\s*(\d+)\s*kB/);
-            if (match) {
-                memInfo[match[1]] = parseInt(match[2]);
-            }
-        }
-
-        return memInfo;
+        return parseMemInfo(await this.adb.shell('cat /proc/meminfo'));
     }
 
     async getCpuInfo() {
@@ -312,12 +524,13 @@ export class AndroidDevice {
 
     // Debugging and logging
     async getLogcat(filter = '', lines = 100) {
-        let command = `logcat -d`;
+        const command = ['logcat', '-d'];
         if (lines > 0) {
-            command += ` -t ${lines}`;
+            command.push('-t', lines);
         }
         if (filter) {
-            command += ` ${filter}`;
+            // Filter specs like "ActivityManager:I *:S" are passed as separate arguments
+            command.push(...filter.trim().split(/\s+/));
         }
         return this.adb.shell(command);
     }
@@ -327,7 +540,7 @@ export class AndroidDevice {
     }
 
     async dumpSys(service) {
-        return this.adb.shell(`dumpsys ${service}`);
+        return this.adb.shell(['dumpsys', service]);
     }
 
     // Utility methods
@@ -338,31 +551,37 @@ export class AndroidDevice {
     async disconnect() {
         // Clean up any resources
         this._uiHierarchy = null;
+        this._uiHierarchyXml = null;
+        this._hierarchyFrozen = false;
+        this._lastInput = null;
         this._screenSize = null;
         this._deviceInfo = null;
-        console.log('📱 Device disconnected');
+        this.adb.close();
+        this.log.info('📱 Device disconnected');
     }
 
     async reboot() {
-        return this.adb.execute('reboot');
+        return this.adb.execute(['reboot']);
     }
 
     async rebootBootloader() {
-        return this.adb.execute('reboot bootloader');
+        return this.adb.execute(['reboot', 'bootloader']);
     }
 
     async rebootRecovery() {
-        return this.adb.execute('reboot recovery');
+        return this.adb.execute(['reboot', 'recovery']);
     }
 
     // Performance monitoring
     async getTopProcesses(count = 10) {
-        const result = await this.adb.shell(`top -n 1 | head -${count + 7}`);
+        const result = await this.adb.shell(`top -n 1 | head -${parseInt(count, 10) + 7}`);
         return result;
     }
 
     async getRunningProcesses() {
-        const result = await this.adb.shell('ps');
+        // Android 8+ only lists the shell's own processes without -A
+        const capabilities = await this.getCapabilities();
+        const result = await this.adb.shell(capabilities?.psAll ? 'ps -A' : 'ps');
         const lines = result.split('\n').slice(1); // Skip header
         return lines.map(line => {
             const parts = line.trim().split(/\s+/);
@@ -380,10 +599,10 @@ export class AndroidDevice {
     }
 
     async killProcess(pid) {
-        return this.adb.shell(`kill ${pid}`);
+        return this.adb.shell(['kill', pid]);
     }
 
     async forceKillProcess(pid) {
-        return this.adb.shell(`kill -9 ${pid}`);
+        return this.adb.shell(['kill', '-9', pid]);
     }
 }
\ No newline at end of file
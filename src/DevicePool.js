@@ -0,0 +1,316 @@
+import path from 'path';
+import { AndroidDevice } from './Device.js';
+import { ADB } from './utils/adb.js';
+import { createLogger } from './utils/logger.js';
+import { DeviceNotConnectedError, InvalidArgumentError, TimeoutError } from './errors/index.js';
+
+/**
+ * Shares every attached device between concurrent jobs. A device is leased
+ * to one job at a time and health-checked before it is handed out:
+ *
+ *   const pool = await Droideer.pool();
+ *   const results = await pool.map(urls, async (device, url) => scrape(device, url));
+ *   await pool.close();
+ */
+export class DevicePool {
+    /**
+     * @param {Object} options
+     * @param {Function} options.filter - ({ id, state, info }) => boolean, which devices to use
+     * @param {Function} options.healthCheck - async (device) => boolean, extra check before each lease
+     * @param {Object} options.connectOptions - Passed to AndroidDevice.connect for every device. A `record`
+     *   path gets the serial inserted before its extension, so every device writes its own transcript
+     * @param {Function} options.connect - async (deviceId, connectOptions) => AndroidDevice, replaces AndroidDevice.connect
+     * @param {number} options.acquireTimeout - How long acquire() waits for a free device (default 60000)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.filter = options.filter || null;
+        this.healthCheck = options.healthCheck || null;
+        this.acquireTimeout = options.acquireTimeout ?? 60000;
+
+        this.logger = createLogger(options.connectOptions || {});
+        this.log = this.logger.child('pool');
+        this.connectOptions = { ...options.connectOptions, logger: this.logger };
+        // Only lists devices; transcripts are recorded by the devices themselves
+        this.adb = options.adb || new ADB(null, { ...this.connectOptions, record: null });
+
+        this._entries = new Map();
+        this._waiters = [];
+        this._results = new Map();
+        this._closed = false;
+    }
+
+    get size() {
+        return this._entries.size;
+    }
+
+    get available() {
+        return [...this._entries.values()].filter(entry => !entry.busy && entry.healthy).length;
+    }
+
+    get deviceIds() {
+        return [...this._entries.keys()];
+    }
+
+    /**
+     * Refresh the device list from adb. Devices that went away are dropped
+     * unless a job still holds them; unhealthy devices that are listed
+     * again get another chance.
+     * @returns {Promise<string[]>} Serials in the pool
+     */
+    async discover() {
+        const listed = (await this.adb.getDevices())
+            .filter(info => info.state === 'device')
+            .filter(info => !this.filter || this.filter(info));
+        const ids = new Set(listed.map(info => info.id));
+
+        for (const [deviceId, entry] of this._entries) {
+            if (!ids.has(deviceId) && !entry.busy) {
+                this._entries.delete(deviceId);
+                await this._disconnect(entry);
+            }
+        }
+        for (const info of listed) {
+            const entry = this._entries.get(info.id);
+            if (entry) {
+                entry.info = info;
+                entry.healthy = true;
+            } else {
+                this._entries.set(info.id, { deviceId: info.id, info, device: null, busy: false, lease: null, healthy: true });
+            }
+        }
+
+        this.log.debug(`Pool has ${this._entries.size} device(s)`, { devices: this.deviceIds });
+        this._wake();
+        return this.deviceIds;
+    }
+
+    /**
+     * Lease a healthy device, waiting for one to be released if all are busy.
+     * @param {Object} options
+     * @param {string} options.deviceId - Lease this device only
+     * @param {number} options.timeout - Give up after this many ms
+     * @returns {Promise<{deviceId: string, device: AndroidDevice, release: Function}>}
+     */
+    async acquire(options = {}) {
+        const timeout = options.timeout ?? this.acquireTimeout;
+        const deadline = Date.now() + timeout;
+        // Unhealthy devices get one more chance after a fresh discovery
+        let rediscovered = false;
+        if (this._entries.size === 0) {
+            await this.discover();
+            rediscovered = true;
+        }
+
+        for (;;) {
+            if (this._closed) {
+                throw new DeviceNotConnectedError({ message: 'Device pool is closed' });
+            }
+
+            const entry = this._nextFree(options.deviceId);
+            if (entry) {
+                entry.busy = true;
+                if (await this._isHealthy(entry)) {
+                    return this._lease(entry);
+                }
+                entry.busy = false;
+                entry.healthy = false;
+                continue;
+            }
+
+            if (!this._hasCandidates(options.deviceId)) {
+                if (rediscovered) {
+                    throw new DeviceNotConnectedError({
+                        deviceId: options.deviceId ?? null,
+                        message: options.deviceId
+                            ? `Device ${options.deviceId} is not available in the pool`
+                            : 'No healthy devices in the pool'
+                    });
+                }
+                await this.discover();
+                rediscovered = true;
+                continue;
+            }
+
+            await this._wait(deadline, timeout);
+        }
+    }
+
+    /**
+     * Hand a leased device back to the pool
+     * @param {Object|string} lease - Lease returned by acquire(), or its device serial
+     * @throws {InvalidArgumentError} If the lease was already released
+     */
+    release(lease) {
+        const deviceId = typeof lease === 'string' ? lease : lease.deviceId;
+        const entry = this._entries.get(deviceId);
+        // An old lease must not free the device while another job holds it
+        const current = typeof lease === 'string' ? entry?.busy : entry?.lease === lease;
+        if (entry && !current) {
+            throw new InvalidArgumentError(`Device ${deviceId} is not leased or its lease was already released`, {
+                argument: 'lease',
+                value: deviceId
+            });
+        }
+        if (entry) {
+            entry.busy = false;
+            entry.lease = null;
+        }
+        this._wake();
+    }
+
+    /**
+     * Run one job on the next free device and record its outcome.
+     * @returns {Promise<*>} The job's return value
+     */
+    async withDevice(job, options = {}) {
+        const lease = await this.acquire(options);
+        const startTime = Date.now();
+        try {
+            const value = await job(lease.device, lease.deviceId);
+            this._record(lease.deviceId, { status: 'fulfilled', value, durationMs: Date.now() - startTime, ...options.meta });
+            return value;
+        } catch (error) {
+            this._record(lease.deviceId, { status: 'rejected', error, durationMs: Date.now() - startTime, ...options.meta });
+            throw error;
+        } finally {
+            this.release(lease);
+        }
+    }
+
+    /**
+     * Shard a workload across the pool: every item runs on whichever device
+     * frees up first. A failing item does not stop the others.
+     * @param {Array} items
+     * @param {Function} job - async (device, item, index) => value
+     * @returns {Promise<Array<{item, index, deviceId, status, value, error, durationMs}>>} In item order
+     */
+    async map(items, job, options = {}) {
+        return Promise.all(items.map(async (item, index) => {
+            let deviceId = null;
+            const startTime = Date.now();
+            try {
+                const value = await this.withDevice((device, id) => {
+                    deviceId = id;
+                    return job(device, item, index);
+                }, { ...options, meta: { item, index } });
+                return { item, index, deviceId, status: 'fulfilled', value, durationMs: Date.now() - startTime };
+            } catch (error) {
+                return { item, index, deviceId, status: 'rejected', error, durationMs: Date.now() - startTime };
+            }
+        }));
+    }
+
+    // Outcomes of every job, grouped by device serial
+    results() {
+        return Object.fromEntries(this._results);
+    }
+
+    async close() {
+        this._closed = true;
+        this._wake();
+        for (const entry of this._entries.values()) {
+            await this._disconnect(entry);
+        }
+        this._entries.clear();
+        this.adb.close();
+    }
+
+    _nextFree(deviceId) {
+        for (const entry of this._entries.values()) {
+            if (entry.busy || !entry.healthy) continue;
+            if (deviceId && entry.deviceId !== deviceId) continue;
+            return entry;
+        }
+        return null;
+    }
+
+    // Whether waiting can ever succeed: some matching device is healthy (busy or not)
+    _hasCandidates(deviceId) {
+        for (const entry of this._entries.values()) {
+            if (deviceId && entry.deviceId !== deviceId) continue;
+            if (entry.healthy) return true;
+        }
+        return false;
+    }
+
+    async _isHealthy(entry) {
+        try {
+            if (!entry.device) {
+                const connectOptions = this._connectOptionsFor(entry.deviceId);
+                entry.device = this.options.connect
+                    ? await this.options.connect(entry.deviceId, connectOptions)
+                    : await AndroidDevice.connect(entry.deviceId, connectOptions);
+            }
+            if (!(await entry.device.adb.isConnected())) {
+                throw new DeviceNotConnectedError({ deviceId: entry.deviceId });
+            }
+            if (this.healthCheck && !(await this.healthCheck(entry.device))) {
+                throw new DeviceNotConnectedError({ deviceId: entry.deviceId, message: 'Health check failed' });
+            }
+            return true;
+        } catch (error) {
+            this.log.warn(`Device ${entry.deviceId} is unhealthy: ${error.message}`, { deviceId: entry.deviceId });
+            return false;
+        }
+    }
+
+    // 'flows/login.json' becomes 'flows/login.emulator-5554.json'
+    _connectOptionsFor(deviceId) {
+        const record = this.connectOptions.record;
+        if (typeof record !== 'string') return this.connectOptions;
+        const extension = path.extname(record);
+        const serial = deviceId.replace(/[^\w.-]/g, '_');
+        return { ...this.connectOptions, record: `${record.slice(0, record.length - extension.length)}.${serial}${extension}` };
+    }
+
+    _lease(entry) {
+        const lease = {
+            deviceId: entry.deviceId,
+            device: entry.device,
+            release: () => this.release(lease)
+        };
+        entry.lease = lease;
+        return lease;
+    }
+
+    _record(deviceId, outcome) {
+        if (!this._results.has(deviceId)) {
+            this._results.set(deviceId, []);
+        }
+        this._results.get(deviceId).push(outcome);
+    }
+
+    _wait(deadline, timeout) {
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve: () => {
+                clearTimeout(timer);
+                resolve();
+            } };
+            const timer = setTimeout(() => {
+                this._waiters = this._waiters.filter(other => other !== waiter);
+                reject(new TimeoutError(`No device became available within ${timeout}ms`, { timeout }));
+            }, Math.max(0, deadline - Date.now()));
+            this._waiters.push(waiter);
+        });
+    }
+
+    // Let every waiting acquire() look again, in the order they started waiting
+    _wake() {
+        const waiters = this._waiters;
+        this._waiters = [];
+        for (const waiter of waiters) {
+            waiter.resolve();
+        }
+    }
+
+    async _disconnect(entry) {
+        if (!entry.device) return;
+        try {
+            await entry.device.disconnect();
+        } catch (error) {
+            this.log.debug(`Could not disconnect ${entry.deviceId}: ${error.message}`);
+        }
+        entry.device = null;
+    }
+}
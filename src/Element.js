@@ -1,7 +1,13 @@
+import { ElementNotInteractableError } from './errors/index.js';
+import { Selector } from './Selector.js';
+import { loggerFor } from './utils/logger.js';
+import { fingerprintNode } from './utils/fingerprint.js';
+
 export class AndroidElement {
     constructor(device, data) {
         this.device = device;
         this._data = data;
+        this.log = loggerFor(device, 'selector');
 
         // Core properties with proper fallbacks
         this.id = data.id || 0;
@@ -77,11 +83,11 @@ export class AndroidElement {
     // Action methods
     async click() {
         if (!this.isClickable) {
-            console.warn(`Element is not clickable: ${this.selector}`);
+            this.log.warn(`Element is not clickable: ${this.selector}`);
         }
 
         if (!this.boundsRect) {
-            throw new Error('Cannot click element without valid bounds');
+            throw new ElementNotInteractableError('click', { selector: this.selector, bounds: this.bounds });
         }
 
         await this.device.adb.tap(this.boundsRect.centerX, this.boundsRect.centerY);
@@ -91,7 +97,7 @@ export class AndroidElement {
 
     async doubleClick() {
         if (!this.boundsRect) {
-            throw new Error('Cannot double click element without valid bounds');
+            throw new ElementNotInteractableError('double click', { selector: this.selector, bounds: this.bounds });
         }
 
         await this.device.adb.tap(this.boundsRect.centerX, this.boundsRect.centerY);
@@ -103,11 +109,11 @@ export class AndroidElement {
 
     async longPress(duration = 1000) {
         if (!this.isLongClickable) {
-            console.warn(`Element is not long-clickable: ${this.selector}`);
+            this.log.warn(`Element is not long-clickable: ${this.selector}`);
         }
 
         if (!this.boundsRect) {
-            throw new Error('Cannot long press element without valid bounds');
+            throw new ElementNotInteractableError('long press', { selector: this.selector, bounds: this.bounds });
         }
 
         await this.device.adb.swipe(
@@ -258,6 +264,74 @@ export class AndroidElement {
         return this.boundsRect;
     }
 
+    /**
+     * Identity that stays the same across dumps, scrolls and re-renders, for
+     * deduplicating scraped items or asserting two handles are the same
+     * element. Relocate the element with page.findByFingerprint().
+     * @returns {string}
+     */
+    get fingerprint() {
+        if (this._fingerprint === undefined) {
+            this._fingerprint = fingerprintNode(this._data);
+        }
+        return this._fingerprint;
+    }
+
+    // Tree navigation. Results wrap nodes of the same hierarchy dump this
+    // element came from, so they don't reflect changes made since.
+    parent() {
+        return this._data.parent ? this._wrap(this._data.parent) : null;
+    }
+
+    children() {
+        return (this._data.children || []).map(child => this._wrap(child));
+    }
+
+    nextSibling() {
+        return this._sibling(1);
+    }
+
+    previousSibling() {
+        return this._sibling(-1);
+    }
+
+    /**
+     * Nearest ancestor matching the selector, starting with the element itself
+     * @param {string|Object} selector
+     * @returns {AndroidElement|null}
+     */
+    closest(selector) {
+        const matches = new Selector(this.device)._matcher(this._data, selector);
+        for (let node = this._data; node; node = node.parent) {
+            if (matches(node)) {
+                return node === this._data ? this : this._wrap(node);
+            }
+        }
+        return null;
+    }
+
+    // First descendant matching the selector
+    async $(selector) {
+        const elements = await this.$$(selector);
+        return elements.length > 0 ? elements[0] : null;
+    }
+
+    // All descendants matching the selector, in document order
+    async $$(selector) {
+        return new Selector(this.device).findElementsWithin(this._data, selector);
+    }
+
+    _sibling(offset) {
+        const siblings = this._data.parent?.children;
+        if (!siblings) return null;
+        const sibling = siblings[siblings.indexOf(this._data) + offset];
+        return sibling ? this._wrap(sibling) : null;
+    }
+
+    _wrap(node) {
+        return new AndroidElement(this.device, node);
+    }
+
     // Utility methods
     toString() {
         const parts = [this.className];
@@ -299,7 +373,7 @@ export class AndroidElement {
     // Advanced interaction methods
     async swipeLeft(distance) {
         if (!this.boundsRect) {
-            throw new Error('Cannot swipe element without valid bounds');
+            throw new ElementNotInteractableError('swipe', { selector: this.selector, bounds: this.bounds });
         }
 
         const startX = this.boundsRect.centerX;
@@ -313,7 +387,7 @@ export class AndroidElement {
 
     async swipeRight(distance) {
         if (!this.boundsRect) {
-            throw new Error('Cannot swipe element without valid bounds');
+            throw new ElementNotInteractableError('swipe', { selector: this.selector, bounds: this.bounds });
         }
 
         const screenSize = await this.device.getScreenSize();
@@ -328,7 +402,7 @@ export class AndroidElement {
 
     async swipeUp(distance) {
         if (!this.boundsRect) {
-            throw new Error('Cannot swipe element without valid bounds');
+            throw new ElementNotInteractableError('swipe', { selector: this.selector, bounds: this.bounds });
         }
 
         const startX = this.boundsRect.centerX;
@@ -342,7 +416,7 @@ export class AndroidElement {
 
     async swipeDown(distance) {
         if (!this.boundsRect) {
-            throw new Error('Cannot swipe element without valid bounds');
+            throw new ElementNotInteractableError('swipe', { selector: this.selector, bounds: this.bounds });
         }
 
         const screenSize = await this.device.getScreenSize();
@@ -358,7 +432,7 @@ export class AndroidElement {
     // Scroll methods for scrollable elements
     async scrollToTop() {
         if (!this.isScrollable) {
-            console.warn(`Element is not scrollable: ${this.selector}`);
+            this.log.warn(`Element is not scrollable: ${this.selector}`);
             return this;
         }
 
@@ -372,7 +446,7 @@ export class AndroidElement {
 
     async scrollToBottom() {
         if (!this.isScrollable) {
-            console.warn(`Element is not scrollable: ${this.selector}`);
+            this.log.warn(`Element is not scrollable: ${this.selector}`);
             return this;
         }
 
@@ -384,68 +458,13 @@ export class AndroidElement {
         return this;
     }
 
-    // Check if element matches a selector
+    /**
+     * Whether the element matches a selector: a CSS selector string, plain
+     * text or a selector object, as accepted by page.$()
+     * @param {string|Object} selector
+     * @returns {boolean}
+     */
     matches(selector) {
-        if (typeof selector === 'string') {
-            // Simple string matching
-            if (selector.startsWith('#')) {
-                const id = selector.substring(1);
-                return this.resourceId === id || this.resourceId.endsWith(`:id/${id}`);
-            }
-            if (selector.startsWith('.')) {
-                const className = selector.substring(1);
-                return this.className.includes(className);
-            }
-            return this.text === selector || this.contentDesc === selector;
-        }
-
-        if (typeof selector === 'object') {
-            // Object selector matching
-            for (const [key, value] of Object.entries(selector)) {
-                switch (key) {
-                    case 'resourceId':
-                    case 'id':
-                        if (this.resourceId !== value && !this.resourceId.endsWith(`:id/${value}`)) {
-                            return false;
-                        }
-                        break;
-                    case 'text':
-                        if (value instanceof RegExp) {
-                            if (!value.test(this.text)) return false;
-                        } else if (this.text !== value) return false;
-                        break;
-                    case 'contains':
-                    case 'textContains':
-                        if (!this.text.toLowerCase().includes(value.toLowerCase()) &&
-                            !this.contentDesc.toLowerCase().includes(value.toLowerCase())) {
-                            return false;
-                        }
-                        break;
-                    case 'className':
-                    case 'class':
-                        if (value instanceof RegExp) {
-                            if (!value.test(this.className)) return false;
-                        } else if (this.className !== value) return false;
-                        break;
-                    case 'contentDesc':
-                    case 'description':
-                        if (value instanceof RegExp) {
-                            if (!value.test(this.contentDesc)) return false;
-                        } else if (this.contentDesc !== value) return false;
-                        break;
-                    case 'clickable':
-                        if (this.isClickable !== Boolean(value)) return false;
-                        break;
-                    case 'enabled':
-                        if (this.isEnabled !== Boolean(value)) return false;
-                        break;
-                    default:
-                        if (this.attributes[key] !== value) return false;
-                }
-            }
-            return true;
-        }
-
-        return false;
+        return new Selector(this.device)._matcher(this._data, selector)(this._data);
     }
 }
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { InvalidArgumentError } from './errors/index.js';
+
 export class Gestures {
     constructor(device) {
         this.device = device;
@@ -57,7 +59,10 @@ export class Gestures {
                 endX = centerX + distance / 2;
                 break;
             default:
-                throw new Error('Invalid scroll direction. Use: up, down, left, right');
+                throw new InvalidArgumentError('Invalid scroll direction. Use: up, down, left, right', {
+                    argument: 'direction',
+                    value: direction
+                });
         }
 
         await this.swipe(startX, startY, endX, endY, duration);
@@ -174,7 +179,7 @@ export class Gestures {
     }
 
     async drag(fromX, fromY, toX, toY, duration = 1000) {
-        await this.device.adb.swipe(fromX, fromY, toX, toY, duration);
+        await this.device.adb.drag(fromX, fromY, toX, toY, duration);
         await this.device.waitForIdle();
         return this;
     }
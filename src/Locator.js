@@ -0,0 +1,290 @@
+import { AndroidElement } from './Element.js';
+import { InvalidArgumentError, StrictModeViolationError, TimeoutError } from './errors/index.js';
+
+const DEFAULT_TIMEOUT = 30000;
+const POLLING = 100;
+
+function describeSelector(selector) {
+    if (selector instanceof RegExp) return String(selector);
+    return JSON.stringify(selector);
+}
+
+function describeFilter(options) {
+    return Object.entries(options)
+        .map(([key, value]) => `${key}: ${value instanceof Locator ? value.toString() : describeSelector(value)}`)
+        .join(', ');
+}
+
+// Text and content description of the node and everything under it
+function textContentOf(node, parts = []) {
+    if (node.text) parts.push(node.text);
+    if (node['content-desc']) parts.push(node['content-desc']);
+    for (const child of node.children || []) {
+        textContentOf(child, parts);
+    }
+    return parts;
+}
+
+function matchesText(node, expected) {
+    const texts = textContentOf(node);
+    if (expected instanceof RegExp) {
+        return texts.some(text => expected.test(text));
+    }
+    const needle = String(expected).toLowerCase();
+    return texts.some(text => text.toLowerCase().includes(needle));
+}
+
+/**
+ * A query for elements on the page, resolved against a fresh hierarchy
+ * dump each time it is used, so it keeps pointing at the right element
+ * after scrolls and re-renders. Create one with `page.locator(selector)`.
+ *
+ * Actions wait for the locator to match, then act on the element found.
+ * Locators are strict by default: an action on a locator matching several
+ * elements throws StrictModeViolationError instead of picking the first.
+ */
+export class Locator {
+    /**
+     * @param {Page} page
+     * @param {Array} steps - Selector, filter and nth steps, applied in order
+     * @param {Object} options
+     * @param {boolean} options.strict - Throw when an action matches more than one element (default true)
+     * @param {number} options.timeout - How long actions wait for a match, default 30000ms
+     */
+    constructor(page, steps, options = {}) {
+        this.page = page;
+        this._steps = steps;
+        this._options = { strict: true, timeout: DEFAULT_TIMEOUT, ...options };
+    }
+
+    get device() {
+        return this.page.device;
+    }
+
+    // Chaining; every call returns a new locator and leaves this one as it is
+    locator(selector) {
+        return this._chain({ selector });
+    }
+
+    /**
+     * Keep the matches that contain, or don't contain, some text or element
+     * @param {Object} options
+     * @param {string|RegExp} options.hasText - Text in the element or its descendants, case-insensitive substring
+     * @param {string|RegExp} options.hasNotText
+     * @param {string|Object|Locator} options.has - Descendant the element must contain
+     * @param {string|Object|Locator} options.hasNot
+     * @returns {Locator}
+     */
+    filter(options = {}) {
+        return this._chain({ filter: options });
+    }
+
+    // Zero-based; negative indexes count from the end
+    nth(index) {
+        if (!Number.isInteger(index)) {
+            throw new InvalidArgumentError(`nth() needs an integer index, got ${index}`, { argument: 'index', value: index });
+        }
+        return this._chain({ nth: index });
+    }
+
+    first() {
+        return this.nth(0);
+    }
+
+    last() {
+        return this.nth(-1);
+    }
+
+    _chain(step) {
+        return new Locator(this.page, [...this._steps, step], this._options);
+    }
+
+    // Querying
+
+    async count() {
+        return (await this._resolve()).length;
+    }
+
+    // One locator per current match, each pinned with nth()
+    async all() {
+        const count = await this.count();
+        return Array.from({ length: count }, (_, index) => this.nth(index));
+    }
+
+    // Elements matching right now, without waiting; they are snapshots of the current dump
+    async elementHandles() {
+        return (await this._resolve()).map(node => new AndroidElement(this.device, node));
+    }
+
+    async elementHandle(options = {}) {
+        return new AndroidElement(this.device, await this._resolveOne(options));
+    }
+
+    async textContent(options = {}) {
+        return (await this.elementHandle(options)).text;
+    }
+
+    async allTextContents() {
+        return (await this.elementHandles()).map(element => element.text);
+    }
+
+    async getAttribute(name, options = {}) {
+        return (await this.elementHandle(options)).getAttribute(name);
+    }
+
+    async boundingBox(options = {}) {
+        return (await this.elementHandle(options)).boundsRect;
+    }
+
+    async isVisible() {
+        const [node] = await this._resolve();
+        return node ? new AndroidElement(this.device, node).isVisible() : false;
+    }
+
+    async isEnabled(options = {}) {
+        return (await this.elementHandle(options)).isEnabled;
+    }
+
+    async isChecked(options = {}) {
+        return (await this.elementHandle(options)).isChecked;
+    }
+
+    /**
+     * Wait for the locator to reach a state
+     * @param {Object} options
+     * @param {string} options.state - 'visible' (default), 'hidden', 'attached' or 'detached'
+     * @param {number} options.timeout
+     */
+    async waitFor(options = {}) {
+        const state = options.state || 'visible';
+        const timeout = options.timeout ?? this._options.timeout;
+
+        const startTime = Date.now();
+        for (;;) {
+            const [node] = await this._resolve();
+            const visible = node ? await new AndroidElement(this.device, node).isVisible() : false;
+            const reached = {
+                attached: Boolean(node),
+                detached: !node,
+                visible,
+                hidden: !visible
+            }[state];
+            if (reached === undefined) {
+                throw new InvalidArgumentError(`Unknown locator state "${state}"`, { argument: 'state', value: state });
+            }
+            if (reached) return;
+            if (Date.now() - startTime >= timeout) break;
+            await this.device.wait(POLLING);
+        }
+
+        throw new TimeoutError(`${this} did not become ${state} after ${timeout}ms`, {
+            selector: this.toString(),
+            timeout,
+            hierarchy: this.device.lastHierarchy
+        });
+    }
+
+    // Actions, each on a freshly resolved element
+
+    async click(options = {}) {
+        return (await this.elementHandle(options)).click();
+    }
+
+    async doubleClick(options = {}) {
+        return (await this.elementHandle(options)).doubleClick();
+    }
+
+    async longPress(options = {}) {
+        return (await this.elementHandle(options)).longPress(options.duration);
+    }
+
+    async type(text, options = {}) {
+        return (await this.elementHandle(options)).type(text, options);
+    }
+
+    async fill(text, options = {}) {
+        return this.type(text, { ...options, clear: true });
+    }
+
+    async clear(options = {}) {
+        return (await this.elementHandle(options)).clear();
+    }
+
+    // Resolution
+
+    // Matching nodes in a fresh dump
+    async _resolve() {
+        const hierarchy = await this.device.getUIHierarchy(true);
+        return this._evaluate(hierarchy, false);
+    }
+
+    // The single match an action works on, waiting for it to appear
+    async _resolveOne(options = {}) {
+        const timeout = options.timeout ?? this._options.timeout;
+        const strict = options.strict ?? this._options.strict;
+
+        const startTime = Date.now();
+        for (;;) {
+            const nodes = await this._resolve();
+            if (nodes.length > 1 && strict) {
+                throw new StrictModeViolationError(this.toString(), nodes.length, {
+                    hierarchy: this.device.lastHierarchy
+                });
+            }
+            if (nodes.length > 0) return nodes[0];
+            if (Date.now() - startTime >= timeout) break;
+            await this.device.wait(POLLING);
+        }
+
+        throw new TimeoutError(`${this} not found after ${timeout}ms`, {
+            selector: this.toString(),
+            timeout,
+            hierarchy: this.device.lastHierarchy
+        });
+    }
+
+    // Applies the steps to a parsed tree; `within` leaves the start node itself out of the first search
+    _evaluate(start, within) {
+        const selector = this.page.selector;
+        let nodes = null;
+
+        for (const step of this._steps) {
+            if ('selector' in step) {
+                const found = nodes === null
+                    ? selector._findNodes(start, step.selector, within)
+                    : nodes.flatMap(node => selector._findNodes(node, step.selector, true));
+                nodes = [...new Set(found)];
+            } else if ('filter' in step) {
+                nodes = (nodes ?? [start]).filter(node => this._passesFilter(node, step.filter));
+            } else {
+                const current = nodes ?? [start];
+                const node = current.at(step.nth);
+                nodes = node ? [node] : [];
+            }
+        }
+        return nodes ?? [];
+    }
+
+    _passesFilter(node, options) {
+        if ('hasText' in options && !matchesText(node, options.hasText)) return false;
+        if ('hasNotText' in options && matchesText(node, options.hasNotText)) return false;
+        if ('has' in options && this._within(node, options.has).length === 0) return false;
+        if ('hasNot' in options && this._within(node, options.hasNot).length > 0) return false;
+        return true;
+    }
+
+    _within(node, inner) {
+        if (inner instanceof Locator) {
+            return inner._evaluate(node, true);
+        }
+        return this.page.selector._findNodes(node, inner, true);
+    }
+
+    toString() {
+        return this._steps.map((step, i) => {
+            if ('selector' in step) return `${i === 0 ? 'locator' : '.locator'}(${describeSelector(step.selector)})`;
+            if ('filter' in step) return `.filter({ ${describeFilter(step.filter)} })`;
+            return `.nth(${step.nth})`;
+        }).join('');
+    }
+}
@@ -1,6 +1,9 @@
+import { loggerFor } from './utils/logger.js';
+
 export class NetworkMonitor {
     constructor(device) {
         this.device = device;
+        this.log = loggerFor(device, 'network');
         this.isMonitoring = false;
         this.capturedData = {
             httpRequests: [],
@@ -12,6 +15,9 @@ export class NetworkMonitor {
         };
         this.monitoringStartTime = null;
         this.logcatProcess = null;
+        this.logcatAbort = null;
+        this.logcatTask = null;
+        this.logcatInterval = null;
         this.filters = {
             targetDomains: [], // Only monitor these domains
             ignoreDomains: [], // Ignore these domains
@@ -25,11 +31,11 @@ export class NetworkMonitor {
 
     async startMonitoring(options = {}) {
         if (this.isMonitoring) {
-            console.warn('Network monitoring is already active');
+            this.log.warn('Network monitoring is already active');
             return;
         }
 
-        console.log('📡 Starting network monitoring...');
+        this.log.info('📡 Starting network monitoring...');
         
         // Apply filters from options
         this._applyFilters(options);
@@ -50,7 +56,7 @@ export class NetworkMonitor {
         // Clear logcat to start fresh
         if (options.clearLogs !== false) {
             await this.device.adb.shell('logcat -c');
-            console.log('🧹 Cleared previous logs');
+            this.log.debug('🧹 Cleared previous logs');
         }
 
         // Log filter settings
@@ -59,7 +65,7 @@ export class NetworkMonitor {
         // Start different monitoring methods
         await this._startLogcatMonitoring(options);
         
-        console.log('✅ Network monitoring started');
+        this.log.info('✅ Network monitoring started');
     }
 
     _applyFilters(options) {
@@ -97,51 +103,94 @@ export class NetworkMonitor {
 
     _logFilterSettings() {
         if (this.filters.targetDomains.length > 0) {
-            console.log(`🎯 Targeting domains: ${this.filters.targetDomains.join(', ')}`);
+            this.log.debug(`🎯 Targeting domains: ${this.filters.targetDomains.join(', ')}`);
         }
         if (this.filters.ignoreDomains.length > 0) {
-            console.log(`🚫 Ignoring domains: ${this.filters.ignoreDomains.join(', ')}`);
+            this.log.debug(`🚫 Ignoring domains: ${this.filters.ignoreDomains.join(', ')}`);
         }
         if (this.filters.targetKeywords.length > 0) {
-            console.log(`🔍 Targeting keywords: ${this.filters.targetKeywords.join(', ')}`);
+            this.log.debug(`🔍 Targeting keywords: ${this.filters.targetKeywords.join(', ')}`);
         }
         if (this.filters.ignoreKeywords.length > 0) {
-            console.log(`🚫 Ignoring keywords: ${this.filters.ignoreKeywords.join(', ')}`);
+            this.log.debug(`🚫 Ignoring keywords: ${this.filters.ignoreKeywords.join(', ')}`);
         }
     }
 
     async stopMonitoring() {
         if (!this.isMonitoring) {
-            console.warn('Network monitoring is not active');
+            this.log.warn('Network monitoring is not active');
             return this.getResults();
         }
 
-        console.log('📡 Stopping network monitoring...');
+        this.log.info('📡 Stopping network monitoring...');
         this.isMonitoring = false;
+        const streamed = this.logcatProcess !== null;
+        await this._stopLogcatMonitoring();
 
         // Capture final data
-        await this._captureFinalLogs();
+        await this._captureFinalLogs({ streamed });
         
         // Process and clean up data
         this._processRawData();
 
-        console.log('✅ Network monitoring stopped');
+        this.log.info('✅ Network monitoring stopped');
         return this.getResults();
     }
 
     async _startLogcatMonitoring(options = {}) {
-        // We'll capture logs periodically since we can't easily stream them
+        this.logcatAbort = new AbortController();
+        try {
+            this.logcatProcess = this.device.adb.spawnShell(['logcat', '-v', 'time'], {
+                signal: this.logcatAbort.signal
+            });
+            this.logcatTask = this._consumeLogcat(this.logcatProcess);
+            return;
+        } catch (error) {
+            this.logcatAbort = null;
+        }
+
+        // Backends without streaming support are polled instead
         this.logcatInterval = setInterval(async () => {
             if (!this.isMonitoring) return;
             
             try {
                 await this._captureRecentLogs();
             } catch (error) {
-                console.warn('Error capturing logs:', error.message);
+                this.log.warn(`Error capturing logs: ${error.message}`);
             }
         }, options.logInterval || 2000); // Capture every 2 seconds
     }
 
+    async _consumeLogcat(stream) {
+        try {
+            for await (const line of stream.lines()) {
+                if (this._shouldProcessLine(line)) {
+                    this._processLogLine(line);
+                }
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.log.warn(`Error streaming logs: ${error.message}`);
+            }
+        }
+    }
+
+    async _stopLogcatMonitoring() {
+        if (this.logcatInterval) {
+            clearInterval(this.logcatInterval);
+            this.logcatInterval = null;
+        }
+        if (this.logcatAbort) {
+            this.logcatAbort.abort();
+            this.logcatAbort = null;
+        }
+        if (this.logcatTask) {
+            await this.logcatTask;
+            this.logcatTask = null;
+        }
+        this.logcatProcess = null;
+    }
+
     async _captureRecentLogs() {
         try {
             // Get logs from the last few seconds
@@ -238,10 +287,16 @@ export class NetworkMonitor {
         return true;
     }
 
-    async _captureFinalLogs() {
+    async _captureFinalLogs(options = {}) {
         try {
-            console.log('📋 Capturing final network data...');
-            
+            this.log.debug('📋 Capturing final network data...');
+
+            // Every line was already seen by the logcat stream; dumping again would duplicate them
+            if (options.streamed) {
+                await this._captureNetworkStats();
+                return;
+            }
+
             // Method 1: Get all recent logs
             const allLogs = await this.device.adb.shell('logcat -d');
             const lines = allLogs.split('\n');
@@ -256,7 +311,7 @@ export class NetworkMonitor {
             const httpTags = ['OkHttp', 'Volley', 'HttpURLConnection', 'Retrofit'];
             for (const tag of httpTags) {
                 try {
-                    const tagLogs = await this.device.adb.shell(`logcat -d -s ${tag}`);
+                    const tagLogs = await this.device.adb.shell(['logcat', '-d', '-s', tag]);
                     tagLogs.split('\n').forEach(line => {
                         if (this._shouldProcessLine(line)) {
                             this._processLogLine(line);
@@ -271,7 +326,7 @@ export class NetworkMonitor {
             await this._captureNetworkStats();
 
         } catch (error) {
-            console.warn('Error capturing final logs:', error.message);
+            this.log.warn(`Error capturing final logs: ${error.message}`);
         }
     }
 
@@ -415,7 +470,7 @@ export class NetworkMonitor {
                 timestamp: Date.now()
             };
         } catch (error) {
-            console.warn('Could not capture network stats:', error.message);
+            this.log.warn(`Could not capture network stats: ${error.message}`);
         }
     }
 
@@ -558,6 +613,12 @@ export class NetworkMonitor {
             clearInterval(this.logcatInterval);
             this.logcatInterval = null;
         }
+        if (this.logcatAbort) {
+            this.logcatAbort.abort();
+            this.logcatAbort = null;
+        }
+        this.logcatProcess = null;
+        this.logcatTask = null;
         
         this.isMonitoring = false;
     }
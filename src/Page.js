@@ -1,5 +1,12 @@
+import fs from 'fs';
+import path from 'path';
 import { Selector } from './Selector.js';
 import { Gestures } from './Gestures.js';
+import { Locator } from './Locator.js';
+import { ElementNotFoundError, InvalidArgumentError, TimeoutError } from './errors/index.js';
+import { loggerFor } from './utils/logger.js';
+import { diffHierarchy } from './utils/hierarchy-diff.js';
+import { SCREENSHOT_FILE, writeSnapshot } from './utils/snapshot.js';
 
 export class Page {
     constructor(device) {
@@ -7,6 +14,7 @@ export class Page {
         this.selector = new Selector(device);
         this.gestures = new Gestures(device);
         this._viewport = null;
+        this.log = loggerFor(device, 'page');
     }
 
     // Primary selector methods (Puppeteer-like interface)
@@ -30,6 +38,18 @@ export class Page {
         return this.selector.findByXPath(xpath);
     }
 
+    /**
+     * Query that is resolved again on every action, see Locator
+     * @param {string|Object} selector - Any selector page.$() accepts
+     * @param {Object} options
+     * @param {boolean} options.strict - Throw when an action matches more than one element (default true)
+     * @param {number} options.timeout - How long actions wait for a match, default 30000ms
+     * @returns {Locator}
+     */
+    locator(selector, options = {}) {
+        return new Locator(this, [{ selector }], options);
+    }
+
     // Enhanced selector methods with better API
     async findByResourceId(resourceId) {
         return this.selector.findElementByResourceId(resourceId);
@@ -63,6 +83,10 @@ export class Page {
         return this.selector.findElementsByClassName(className);
     }
 
+    async findByFingerprint(fingerprint) {
+        return this.selector.findElementByFingerprint(fingerprint);
+    }
+
     async findClickableElements() {
         return this.selector.findClickableElements();
     }
@@ -99,13 +123,15 @@ export class Page {
             }
             
             await this.device.wait(100);
-            // Refresh UI hierarchy periodically
-            if ((Date.now() - startTime) % 2000 < 100) {
-                await this.device.getUIHierarchy(true);
-            }
+            // Nothing invalidates the cache while we only look, so dump the screen again
+            await this.device.getUIHierarchy(true);
         }
         
-        throw new Error(`Selector "${JSON.stringify(selector)}" not found after ${timeout}ms`);
+        throw new TimeoutError(`Selector "${JSON.stringify(selector)}" not found after ${timeout}ms`, {
+            selector,
+            timeout,
+            hierarchy: this.device.lastHierarchy
+        });
     }
 
     async waitForText(text, options = {}) {
@@ -137,9 +163,10 @@ export class Page {
                 // Continue waiting
             }
             await this.device.wait(polling);
+            await this.device.getUIHierarchy(true);
         }
         
-        throw new Error(`Function did not return truthy value after ${timeout}ms`);
+        throw new TimeoutError(`Function did not return truthy value after ${timeout}ms`, { timeout });
     }
 
     async waitForNavigation(options = {}) {
@@ -156,13 +183,66 @@ export class Page {
             await this.device.wait(100);
         }
         
-        throw new Error(`Navigation timeout after ${timeout}ms`);
+        throw new TimeoutError(`Navigation timeout after ${timeout}ms`, { timeout });
+    }
+
+    /**
+     * Wait until the screen differs from a snapshot, e.g. after a tap
+     * @param {Object} options
+     * @param {Object|string} options.since - Hierarchy to compare against. Defaults to the screen
+     *   right before the last input action (see device.lastInput), or the current one if there was
+     *   none. Throws InvalidArgumentError if that screen was never dumped, e.g. after two taps
+     *   without a query in between
+     * @param {number} options.timeout - Default 5000ms
+     * @param {number} options.polling - Delay between dumps, default 250ms
+     * @param {string[]} options.attributes - Attributes compared, see diffHierarchy()
+     * @returns {Promise<HierarchyDiff>} The first non-empty difference
+     */
+    async waitForChange(options = {}) {
+        const timeout = options.timeout || 5000;
+        const polling = options.polling || 250;
+        const lastInput = this.device.lastInput;
+        if (!options.since && lastInput && !lastInput.hierarchy) {
+            throw new InvalidArgumentError(
+                `No hierarchy from before the last ${lastInput.action?.type || 'input'}; query the page before acting or pass \`since\``,
+                { argument: 'since', value: options.since }
+            );
+        }
+        const before = options.since || lastInput?.hierarchy || await this.device.getUIHierarchy();
+
+        const startTime = Date.now();
+        while (Date.now() - startTime < timeout) {
+            const diff = diffHierarchy(before, await this.device.getUIHierarchy(true), options);
+            if (diff.hasChanges) {
+                return diff;
+            }
+            await this.device.wait(polling);
+        }
+
+        throw new TimeoutError(`UI did not change after ${timeout}ms`, {
+            timeout,
+            hierarchy: this.device.lastHierarchy
+        });
     }
 
     async waitForTimeout(ms) {
         await this.device.wait(ms);
     }
 
+    /**
+     * Answer every query from the current hierarchy dump until unfreeze(),
+     * e.g. while reading many fields off a screen. Waits and locators see no
+     * changes while frozen, not even those caused by taps.
+     * @returns {Promise<Object>} The frozen hierarchy
+     */
+    async freeze() {
+        return this.device.freezeHierarchy();
+    }
+
+    async unfreeze() {
+        this.device.unfreezeHierarchy();
+    }
+
     // Interaction methods
     async click(selector, options = {}) {
         const element = await this.waitForSelector(selector, options);
@@ -211,7 +291,7 @@ export class Page {
         const bounds = element.bounds;
         if (bounds) {
             // Just position over the element (visual feedback only)
-            console.log(`Hovering over element at (${bounds.centerX}, ${bounds.centerY})`);
+            this.log.debug(`Hovering over element at (${bounds.centerX}, ${bounds.centerY})`);
         }
         return element;
     }
@@ -291,11 +371,44 @@ export class Page {
         return JSON.stringify(uiHierarchy, null, 2);
     }
 
+    /**
+     * Save the current screen so it can be queried later without a device,
+     * see Droideer.openSnapshot(). Reuses the cached hierarchy dump while it
+     * is up to date or frozen.
+     * @param {string} dir - Directory to write hierarchy.xml, screenshot.png and snapshot.json to
+     * @param {Object} options
+     * @param {boolean} options.screenshot - Capture a screenshot too (default true)
+     * @returns {Promise<Object>} The snapshot metadata
+     */
+    async saveSnapshot(dir, options = {}) {
+        const { activity } = await this.device.getScreenState(false);
+        const xml = this.device.lastHierarchy;
+
+        fs.mkdirSync(dir, { recursive: true });
+        let screenshot = false;
+        if (options.screenshot !== false) {
+            try {
+                await this.device.screenshot(path.join(dir, SCREENSHOT_FILE));
+                screenshot = true;
+            } catch (error) {
+                this.log.warn(`Snapshot saved without a screenshot: ${error.message}`);
+            }
+        }
+
+        return writeSnapshot(dir, {
+            xml,
+            activity,
+            screenSize: await this.device.getScreenSize().catch(() => null),
+            deviceInfo: await this.device.getDeviceInfo().catch(() => null),
+            screenshot
+        });
+    }
+
     // Viewport and screenshots
     async setViewport(viewport) {
         this._viewport = viewport;
         // Android doesn't support changing viewport like web browsers
-        console.warn('setViewport is not supported on Android devices');
+        this.log.warn('setViewport is not supported on Android devices');
     }
 
     async viewport() {
@@ -318,7 +431,7 @@ export class Page {
         await this.device.screenshot(path);
         
         if (options.fullPage) {
-            console.warn('fullPage screenshots not supported - captured visible area only');
+            this.log.warn('fullPage screenshots not supported - captured visible area only');
         }
         
         return path;
@@ -457,7 +570,10 @@ export class Page {
             await this.scroll('down');
             await this.device.wait(500);
         }
-        throw new Error(`Element ${JSON.stringify(selector)} not found after ${maxScrolls} scrolls`);
+        throw new ElementNotFoundError(selector, {
+            message: `Element ${JSON.stringify(selector)} not found after ${maxScrolls} scrolls`,
+            hierarchy: this.device.lastHierarchy
+        });
     }
 
     async scrollToElementByResourceId(resourceId, maxScrolls = 10) {
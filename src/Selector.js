@@ -1,8 +1,65 @@
 import { AndroidElement } from './Element.js';
+import { ElementNotFoundError, InvalidArgumentError, SelectorSyntaxError } from './errors/index.js';
+import { matchesCss } from './utils/css-selector.js';
+import { selectNodes } from './utils/xpath.js';
+import { UIAUTOMATOR_PREFIX, selectUiSelector } from './utils/uiselector.js';
+import { findNodeByFingerprint } from './utils/fingerprint.js';
+
+// Other strings are text, so a label reading 'Switch' or 'Done.' doesn't turn into a type selector
+const SELECTOR_START = /^\s*[#.[:*>+~]/;
+// CSS starting with a short class name has to say so: 'css=LinearLayout TextView'
+const CSS_PREFIX = 'css=';
+// A package-qualified class name reads as CSS too: 'android.widget.Switch:checked'
+const QUALIFIED_CLASS = /^\s*[a-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+(?![\w$.])/;
+
+// Object selector keys placing an element relative to the elements an anchor selector finds
+const RELATIVE_KEYS = ['below', 'above', 'leftOf', 'rightOf', 'near'];
+const NEAR_DISTANCE = 50;
+
+function isUiSelector(selector) {
+    return typeof selector === 'string' && selector.startsWith(UIAUTOMATOR_PREFIX);
+}
+
+function isRelativeSelector(selector) {
+    return typeof selector === 'object' && selector !== null && RELATIVE_KEYS.some(key => key in selector);
+}
+
+// Anchor selector plus its range: `below: { text: 'Email' }` or `near: { selector: { text: 'Email' }, maxDistance: 100 }`
+function relativeOptions(relation, value) {
+    const maxDistance = relation === 'near' ? NEAR_DISTANCE : Infinity;
+    if (value && typeof value === 'object' && !(value instanceof RegExp) && 'selector' in value) {
+        return { anchor: value.selector, maxDistance: value.maxDistance ?? maxDistance };
+    }
+    if (value === undefined || value === null) {
+        throw new InvalidArgumentError(`${relation} needs an anchor selector`, { argument: relation, value });
+    }
+    return { anchor: value, maxDistance };
+}
+
+// Only elements that take up space on screen can be laid out relative to each other
+function areaOf(node) {
+    const rect = node.boundsRect;
+    return rect && rect.width > 0 && rect.height > 0 ? rect : null;
+}
+
+// How far `rect` is from `anchor` on the given side, sideways offset included; null if it isn't on that side
+function relativeDistance(relation, rect, anchor) {
+    const horizontalGap = Math.max(anchor.x1 - rect.x2, rect.x1 - anchor.x2, 0);
+    const verticalGap = Math.max(anchor.y1 - rect.y2, rect.y1 - anchor.y2, 0);
+    switch (relation) {
+        case 'below': return rect.y1 >= anchor.y2 ? rect.y1 - anchor.y2 + horizontalGap : null;
+        case 'above': return rect.y2 <= anchor.y1 ? anchor.y1 - rect.y2 + horizontalGap : null;
+        case 'rightOf': return rect.x1 >= anchor.x2 ? rect.x1 - anchor.x2 + verticalGap : null;
+        case 'leftOf': return rect.x2 <= anchor.x1 ? anchor.x1 - rect.x2 + verticalGap : null;
+        default: return Math.hypot(horizontalGap, verticalGap);
+    }
+}
 
 export class Selector {
     constructor(device) {
         this.device = device;
+        // Anchor matches per hierarchy snapshot, so relative selectors don't search the tree once per node
+        this._anchorCache = new WeakMap();
     }
 
     // Main selector methods (Puppeteer-like interface)
@@ -17,7 +74,7 @@ export class Selector {
     async $eval(selector, pageFunction, ...args) {
         const element = await this.findElement(selector);
         if (!element) {
-            throw new Error(`Element not found: ${JSON.stringify(selector)}`);
+            throw new ElementNotFoundError(selector, { hierarchy: this.device?.lastHierarchy ?? null });
         }
         return pageFunction(element, ...args);
     }
@@ -35,7 +92,7 @@ export class Selector {
 
     async findElements(selector) {
         const uiHierarchy = await this.device.getUIHierarchy();
-        const elements = this._searchElements(uiHierarchy, selector);
+        const elements = this._findNodes(uiHierarchy, selector);
         return elements.map(data => new AndroidElement(this.device, data));
     }
 
@@ -86,10 +143,10 @@ export class Selector {
         return elements.map(data => new AndroidElement(this.device, data));
     }
 
-    // XPath support
+    // XPath 1.0; short class names work as element names (//Button)
     async findByXPath(xpath) {
         const uiHierarchy = await this.device.getUIHierarchy();
-        const elements = this._evaluateXPath(uiHierarchy, xpath);
+        const elements = selectNodes(uiHierarchy, xpath);
         return elements.map(data => new AndroidElement(this.device, data));
     }
 
@@ -97,8 +154,42 @@ export class Selector {
         return this.findByXPath(xpath);
     }
 
+    // The element with an AndroidElement.fingerprint taken from an earlier dump
+    async findElementByFingerprint(fingerprint) {
+        const uiHierarchy = await this.device.getUIHierarchy();
+        const node = findNodeByFingerprint(uiHierarchy, fingerprint);
+        return node ? new AndroidElement(this.device, node) : null;
+    }
+
+    // Descendants of an already parsed node, wrapping the same snapshot instead of dumping the screen again
+    findElementsWithin(node, selector) {
+        return this._findNodes(node, selector, true).map(data => new AndroidElement(this.device, data));
+    }
+
+    // Matching nodes in document order (closest first for relative selectors); `within` skips the node itself
+    _findNodes(node, selector, within = false) {
+        if (!within) {
+            return this._byProximity(this._searchElements(node, selector), selector);
+        }
+        if (isUiSelector(selector)) {
+            return selectUiSelector(node, selector, { within: true });
+        }
+
+        const results = [];
+        for (const child of node.children || []) {
+            this._searchElements(child, selector, results);
+        }
+        return this._byProximity(results, selector);
+    }
+
     // Private methods for element searching
     _searchElements(node, selector, results = []) {
+        // instance() counts matches across the tree, so UiSelectors are evaluated as a whole
+        if (isUiSelector(selector)) {
+            results.push(...selectUiSelector(node, selector));
+            return results;
+        }
+
         if (this._matchesSelector(node, selector)) {
             results.push(node);
         }
@@ -112,6 +203,22 @@ export class Selector {
         return results;
     }
 
+    /**
+     * Predicate for testing nodes of one tree against a selector. A UiSelector
+     * is evaluated once against the whole tree, since instance() counts
+     * matches across it; other selectors are tested node by node.
+     */
+    _matcher(node, selector) {
+        if (isUiSelector(selector)) {
+            let root = node;
+            while (root.parent) root = root.parent;
+            const matches = new Set(selectUiSelector(root, selector));
+            return candidate => matches.has(candidate);
+        }
+        return candidate => this._matchesSelector(candidate, selector);
+    }
+
+    // Text, CSS and object selectors; UiSelectors go through _matcher() or _searchElements()
     _matchesSelector(node, selector) {
         // Handle different selector types
         if (typeof selector === 'string') {
@@ -126,48 +233,23 @@ export class Selector {
     }
 
     _matchStringSelector(node, selector) {
-        // CSS-like selectors
-        if (selector.startsWith('#')) {
-            // ID selector (resource-id)
-            const id = selector.substring(1);
-            return node['resource-id'] === id || node['resource-id']?.endsWith(`:id/${id}`);
-        }
-        
-        if (selector.startsWith('.')) {
-            // Class selector
-            const className = selector.substring(1);
-            return node.class && node.class.includes(className);
+        if (selector.startsWith(CSS_PREFIX)) {
+            return matchesCss(node, selector.substring(CSS_PREFIX.length));
         }
-        
-        if (selector.startsWith('[') && selector.endsWith(']')) {
-            // Attribute selector [attribute=value]
-            const attrMatch = selector.match(/\[([^=]+)=["']?([^"'\]]+)["']?\]/);
-            if (attrMatch) {
-                const [, attr, value] = attrMatch;
-                return node[attr] === value;
-            }
-            
-            // Attribute contains selector [attribute*=value]
-            const containsMatch = selector.match(/\[([^*]+)\*=["']?([^"'\]]+)["']?\]/);
-            if (containsMatch) {
-                const [, attr, value] = containsMatch;
-                return node[attr] && node[attr].includes(value);
-            }
-            
-            // Attribute exists selector [attribute]
-            const attrExistsMatch = selector.match(/\[([^=\]]+)\]/);
-            if (attrExistsMatch) {
-                return node[attrExistsMatch[1]] !== undefined;
-            }
-        }
-        
-        // Element selector (class name)
-        if (selector.includes('.')) {
-            return node.class === selector;
+        if (SELECTOR_START.test(selector)) {
+            return matchesCss(node, selector);
         }
-        
+
         // Text content exact match
-        return node.text === selector || node['content-desc'] === selector;
+        if (node.text === selector || node['content-desc'] === selector) return true;
+        if (!QUALIFIED_CLASS.test(selector)) return false;
+        try {
+            return matchesCss(node, selector);
+        } catch (error) {
+            // 'e.g. the first' only looks like a class name
+            if (error instanceof SelectorSyntaxError) return false;
+            throw error;
+        }
     }
 
     _matchObjectSelector(node, selector) {
@@ -262,129 +344,71 @@ export class Selector {
                 case 'package':
                     if (node.package !== value) return false;
                     break;
+
+                // Checked last, once the cheap attribute tests passed
+                case 'below':
+                case 'above':
+                case 'leftOf':
+                case 'rightOf':
+                case 'near':
+                    break;
                     
                 default:
                     if (node[key] !== value) return false;
             }
         }
-        return true;
-    }
-
-    // XPath evaluation methods
-    _evaluateXPath(node, xpath) {
-        const results = [];
-        
-        if (xpath === '//*') {
-            // All elements
-            this._getAllElements(node, results);
-        } else if (xpath.startsWith('//')) {
-            // Descendant search
-            const remaining = xpath.substring(2);
-            this._evaluateDescendantPath(node, remaining, results);
-        } else if (xpath.startsWith('/')) {
-            // Direct child search
-            const remaining = xpath.substring(1);
-            this._evaluateChildPath(node, remaining, results);
-        }
-        
-        return results;
-    }
-
-    _evaluateDescendantPath(node, path, results) {
-        const parts = path.split('[');
-        const elementName = parts[0];
-        const predicate = parts[1] ? parts[1].replace(']', '') : null;
-
-        this._findByElementName(node, elementName, results, predicate);
-    }
-
-    _evaluateChildPath(node, path, results) {
-        const parts = path.split('[');
-        const elementName = parts[0];
-        const predicate = parts[1] ? parts[1].replace(']', '') : null;
-
-        if (node.children) {
-            for (const child of node.children) {
-                if (this._matchesXPathElement(child, elementName, predicate)) {
-                    results.push(child);
+        return !isRelativeSelector(selector) || this._proximity(node, selector) !== null;
+    }
+
+    /**
+     * Summed distance from the node to the nearest anchor of each relative key
+     * @returns {number|null} null when some key has no anchor in range
+     */
+    _proximity(node, selector) {
+        const rect = areaOf(node);
+        if (!rect) return null;
+
+        let total = 0;
+        for (const relation of RELATIVE_KEYS) {
+            if (!(relation in selector)) continue;
+            const { anchor, maxDistance } = relativeOptions(relation, selector[relation]);
+
+            let best = null;
+            for (const other of this._anchors(node, anchor)) {
+                const anchorRect = other !== node && areaOf(other);
+                if (!anchorRect) continue;
+                const distance = relativeDistance(relation, rect, anchorRect);
+                if (distance !== null && distance <= maxDistance && (best === null || distance < best)) {
+                    best = distance;
                 }
             }
+            if (best === null) return null;
+            total += best;
         }
+        return total;
     }
 
-    _findByElementName(node, elementName, results, predicate = null) {
-        if (this._matchesXPathElement(node, elementName, predicate)) {
-            results.push(node);
-        }
-        
-        if (node.children) {
-            for (const child of node.children) {
-                this._findByElementName(child, elementName, results, predicate);
-            }
-        }
-    }
-
-    _matchesXPathElement(node, elementName, predicate) {
-        // Check element name (class)
-        if (elementName !== '*' && !node.class?.includes(elementName)) {
-            return false;
-        }
-
-        // Check predicate
-        if (predicate) {
-            return this._evaluatePredicate(node, predicate);
-        }
-
-        return true;
-    }
-
-    _evaluatePredicate(node, predicate) {
-        // Simple predicate evaluation
-        if (predicate.includes('@text=')) {
-            const textMatch = predicate.match(/@text=['"]([^'"]+)['"]/);
-            if (textMatch) {
-                return node.text === textMatch[1];
-            }
-        }
+    // Nodes anywhere in the node's tree matching the anchor selector
+    _anchors(node, anchor) {
+        let root = node;
+        while (root.parent) root = root.parent;
 
-        if (predicate.includes('@resource-id=')) {
-            const idMatch = predicate.match(/@resource-id=['"]([^'"]+)['"]/);
-            if (idMatch) {
-                return node['resource-id'] === idMatch[1];
-            }
+        let anchors = this._anchorCache.get(root);
+        if (!anchors) {
+            anchors = new Map();
+            this._anchorCache.set(root, anchors);
         }
-
-        if (predicate.includes('@content-desc=')) {
-            const descMatch = predicate.match(/@content-desc=['"]([^'"]+)['"]/);
-            if (descMatch) {
-                return node['content-desc'] === descMatch[1];
-            }
+        if (!anchors.has(anchor)) {
+            anchors.set(anchor, this._searchElements(root, anchor));
         }
-
-        if (predicate.includes('@clickable=')) {
-            const clickableMatch = predicate.match(/@clickable=['"]([^'"]+)['"]/);
-            if (clickableMatch) {
-                return node.clickable === clickableMatch[1];
-            }
-        }
-
-        // Position predicates
-        if (/^\d+$/.test(predicate)) {
-            // Index predicate [1], [2], etc.
-            const index = parseInt(predicate) - 1; // XPath is 1-indexed
-            return node.index === String(index);
-        }
-
-        return false;
+        return anchors.get(anchor);
     }
 
-    _getAllElements(node, results) {
-        results.push(node);
-        if (node.children) {
-            for (const child of node.children) {
-                this._getAllElements(child, results);
-            }
-        }
+    // Relative selectors list the closest matches first; ties keep document order
+    _byProximity(nodes, selector) {
+        if (!isRelativeSelector(selector)) return nodes;
+        const distances = new Map(nodes.map(node => [node, this._proximity(node, selector)]));
+        return [...nodes].sort((a, b) => distances.get(a) - distances.get(b));
     }
 
     _findElementsWithTextRecursive(node, results = []) {
@@ -0,0 +1,164 @@
+import { EventEmitter } from 'events';
+import { NotSupportedError } from '../errors/index.js';
+import { buildShellCommand } from '../utils/shell-escape.js';
+
+/**
+ * Interface between AndroidDevice/Page/Selector/Element/Gestures and whatever
+ * actually drives the device. `ADB` talks to a real device; `FakeDevice`
+ * serves canned hierarchies for offline tests.
+ *
+ * Subclasses must implement the methods that throw below. Key helpers are
+ * built on top of keyEvent() and can be inherited as-is.
+ *
+ * Backends emit 'disconnect' and 'reconnect' when the device goes away
+ * and comes back, and 'input' after every tap, swipe, text or key event and
+ * app launch, so cached hierarchies of the old screen can be dropped.
+ */
+export class DeviceBackend extends EventEmitter {
+    _notImplemented(method) {
+        throw new NotSupportedError(`${this.constructor.name} does not implement ${method}()`, {
+            backend: this.constructor.name,
+            method
+        });
+    }
+
+    // Runs an input command and emits 'input' afterwards, even if it failed part way
+    async _input(action, run) {
+        try {
+            return await run();
+        } finally {
+            this.emit('input', action);
+        }
+    }
+
+    // Shell access
+    async shell(command, options = {}) {
+        return this._notImplemented('shell');
+    }
+
+    async shellWithResult(command, options = {}) {
+        return this._notImplemented('shellWithResult');
+    }
+
+    // Several commands in one go; backends that can't batch run them one by one
+    async batch(commands, options = {}) {
+        const results = [];
+        for (const command of commands) {
+            const { stdout, exitCode } = await this.shellWithResult(command, options);
+            results.push({ command: buildShellCommand(command), stdout, exitCode });
+        }
+        return results;
+    }
+
+    // Streams the output of a long-running command; returns a ShellStream
+    spawnShell(command, options = {}) {
+        return this._notImplemented('spawnShell');
+    }
+
+    // Device state
+    async isConnected() {
+        return this._notImplemented('isConnected');
+    }
+
+    async getDeviceInfo() {
+        return this._notImplemented('getDeviceInfo');
+    }
+
+    async getScreenSize() {
+        return this._notImplemented('getScreenSize');
+    }
+
+    async getUIHierarchy() {
+        return this._notImplemented('getUIHierarchy');
+    }
+
+    async getCurrentActivity() {
+        return this._notImplemented('getCurrentActivity');
+    }
+
+    async getScreenState() {
+        return {
+            activity: await this.getCurrentActivity(),
+            hierarchy: await this.getUIHierarchy()
+        };
+    }
+
+    // Report of the commands the device supports; backends that can't probe report null
+    async getCapabilities(options = {}) {
+        return null;
+    }
+
+    async screenshot(path) {
+        return this._notImplemented('screenshot');
+    }
+
+    // App management
+    async isPackageInstalled(packageName) {
+        return this._notImplemented('isPackageInstalled');
+    }
+
+    async getPackageInfo(packageName) {
+        return this._notImplemented('getPackageInfo');
+    }
+
+    async startApp(packageName) {
+        return this._notImplemented('startApp');
+    }
+
+    async stopApp(packageName) {
+        return this._notImplemented('stopApp');
+    }
+
+    async clearApp(packageName) {
+        return this._notImplemented('clearApp');
+    }
+
+    // Files
+    async push(localPath, remotePath) {
+        return this._notImplemented('push');
+    }
+
+    async pull(remotePath, localPath) {
+        return this._notImplemented('pull');
+    }
+
+    // Input
+    async tap(x, y) {
+        return this._notImplemented('tap');
+    }
+
+    async swipe(x1, y1, x2, y2, duration = 300) {
+        return this._notImplemented('swipe');
+    }
+
+    async type(text) {
+        return this._notImplemented('type');
+    }
+
+    async keyEvent(keyCode) {
+        return this._notImplemented('keyEvent');
+    }
+
+    async drag(x1, y1, x2, y2, duration = 1000) {
+        return this.swipe(x1, y1, x2, y2, duration);
+    }
+
+    async back() {
+        return this.keyEvent(4); // KEYCODE_BACK
+    }
+
+    async home() {
+        return this.keyEvent(3); // KEYCODE_HOME
+    }
+
+    async menu() {
+        return this.keyEvent(82); // KEYCODE_MENU
+    }
+
+    async recentApps() {
+        return this.keyEvent(187); // KEYCODE_APP_SWITCH
+    }
+
+    // Release any resources held by the backend
+    close() {}
+}
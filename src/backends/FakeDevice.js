@@ -0,0 +1,321 @@
+import fs from 'fs';
+import { Readable } from 'stream';
+import { DeviceBackend } from './DeviceBackend.js';
+import { ShellStream } from '../utils/shell-stream.js';
+import { buildShellCommand } from '../utils/shell-escape.js';
+import { parseUIHierarchy } from '../utils/xml-parser.js';
+import { Selector } from '../Selector.js';
+import { AppNotInstalledError, DroideerError } from '../errors/index.js';
+
+/**
+ * In-memory device backend for offline tests.
+ *
+ * Screens are canned UI hierarchy dumps. Every input is recorded in `actions`
+ * and checked against the current screen's transitions to move the fake
+ * device to another screen:
+ *
+ *   new FakeDevice({
+ *       initial: 'login',
+ *       screens: {
+ *           login: {
+ *               xml: loginXml,
+ *               activity: 'com.example/.LoginActivity',
+ *               transitions: [{ on: 'tap', selector: { text: 'Sign in' }, to: 'home' }]
+ *           },
+ *           home: { xml: homeXml, activity: 'com.example/.HomeActivity' }
+ *       }
+ *   });
+ */
+export class FakeDevice extends DeviceBackend {
+    constructor(options = {}) {
+        super();
+        this.screens = options.screens || {};
+        this.currentScreen = options.initial || Object.keys(this.screens)[0] || null;
+        this.screenSize = options.screenSize || { width: 1080, height: 1920 };
+        this.deviceInfo = {
+            brand: 'Droideer',
+            model: 'FakeDevice',
+            version: '14',
+            sdk: '34',
+            ...options.deviceInfo
+        };
+        this.capabilities = {
+            sdk: Number(this.deviceInfo.sdk),
+            resolveActivity: true,
+            uiautomatorCompressed: true,
+            inputMotionEvent: true,
+            screencapStdout: true,
+            psAll: true,
+            ...options.capabilities
+        };
+        this.packages = new Set(options.packages || []);
+        this.launch = options.launch || {};
+        this.shellHandler = options.shell || null;
+        this.streamHandler = options.stream || null;
+        this.actions = [];
+        this.history = this.currentScreen ? [this.currentScreen] : [];
+        this._selector = new Selector(null);
+    }
+
+    // Recorded inputs
+    get taps() {
+        return this.actions.filter(action => action.type === 'tap');
+    }
+
+    get swipes() {
+        return this.actions.filter(action => action.type === 'swipe');
+    }
+
+    get typed() {
+        return this.actions.filter(action => action.type === 'type').map(action => action.text);
+    }
+
+    reset(screen = null) {
+        this.actions = [];
+        if (screen) {
+            this.goTo(screen);
+        }
+        this.history = this.currentScreen ? [this.currentScreen] : [];
+    }
+
+    goTo(screen) {
+        if (!this.screens[screen]) {
+            throw new DroideerError(`FakeDevice has no screen named "${screen}"`);
+        }
+        this.currentScreen = screen;
+        this.history.push(screen);
+    }
+
+    _screen() {
+        const screen = this.screens[this.currentScreen];
+        if (!screen) {
+            throw new DroideerError('FakeDevice has no current screen');
+        }
+        return screen;
+    }
+
+    _screenXml(screen) {
+        if (screen.xml !== undefined) return screen.xml;
+        if (screen.file) return fs.readFileSync(screen.file, 'utf8');
+        throw new DroideerError(`FakeDevice screen "${this.currentScreen}" has neither xml nor file`);
+    }
+
+    async _record(action) {
+        this.actions.push(action);
+
+        const transitions = this._screen().transitions || [];
+        for (const transition of transitions) {
+            if (await this._matchesTransition(transition, action)) {
+                if (transition.to) {
+                    this.goTo(transition.to);
+                }
+                return '';
+            }
+        }
+        return '';
+    }
+
+    _recordInput(action) {
+        return this._input(action, () => this._record(action));
+    }
+
+    async _matchesTransition(transition, action) {
+        if (transition.on && transition.on !== action.type) return false;
+
+        switch (action.type) {
+            case 'tap':
+                if (transition.selector && !(await this._tapHits(action, transition.selector))) return false;
+                break;
+            case 'swipe':
+                if (transition.direction && transition.direction !== action.direction) return false;
+                break;
+            case 'type':
+                if (transition.text instanceof RegExp && !transition.text.test(action.text)) return false;
+                if (typeof transition.text === 'string' && transition.text !== action.text) return false;
+                break;
+            case 'keyEvent':
+                if (transition.keyCode !== undefined && Number(transition.keyCode) !== Number(action.keyCode)) return false;
+                break;
+            case 'startApp':
+                if (transition.packageName && transition.packageName !== action.packageName) return false;
+                break;
+        }
+
+        if (transition.when && !(await transition.when(action, this))) return false;
+        return true;
+    }
+
+    // A tap hits a selector if the node under the point, or one of its ancestors, matches it
+    async _tapHits(action, selector) {
+        const root = await parseUIHierarchy(this._screenXml(this._screen()));
+        const path = [];
+        const walk = node => {
+            const rect = node.boundsRect;
+            if (!rect || action.x < rect.x1 || action.x >= rect.x2 || action.y < rect.y1 || action.y >= rect.y2) {
+                return false;
+            }
+            path.push(node);
+            for (const child of node.children || []) {
+                if (walk(child)) break;
+            }
+            return true;
+        };
+        walk(root);
+        return path.some(node => this._selector._matchesSelector(node, selector));
+    }
+
+    _swipeDirection(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        if (dx === 0 && dy === 0) return 'none';
+        if (Math.abs(dx) > Math.abs(dy)) return dx > 0 ? 'right' : 'left';
+        return dy > 0 ? 'down' : 'up';
+    }
+
+    // Shell access. Commands reach handlers and `actions` as the string the device shell would run,
+    // whether they were passed as a string or as argv
+    async shell(command, options = {}) {
+        command = buildShellCommand(command);
+        this.actions.push({ type: 'shell', command });
+        if (this.shellHandler) {
+            const output = await this.shellHandler(command, this);
+            return typeof output === 'object' && output !== null ? (output.stdout || '').trim() : String(output ?? '').trim();
+        }
+        return '';
+    }
+
+    async shellWithResult(command, options = {}) {
+        command = buildShellCommand(command);
+        this.actions.push({ type: 'shell', command });
+        const output = this.shellHandler ? await this.shellHandler(command, this) : '';
+        const result = typeof output === 'object' && output !== null ? output : { stdout: String(output ?? '') };
+        return { stdout: '', stderr: '', exitCode: 0, ...result, durationMs: 0 };
+    }
+
+    // `stream` handlers return a string, an array of lines or an (async) iterable of chunks
+    spawnShell(command, options = {}) {
+        command = buildShellCommand(command);
+        this.actions.push({ type: 'spawnShell', command });
+
+        let output = this.streamHandler ? this.streamHandler(command, this) : [];
+        if (typeof output === 'string') {
+            output = [output];
+        } else if (Array.isArray(output)) {
+            output = output.map(line => `${line}\n`);
+        }
+        return new ShellStream(command, options).attach(Readable.from(output || []));
+    }
+
+    async execute(command, options = {}) {
+        this.actions.push({ type: 'execute', command });
+        return '';
+    }
+
+    // Device state
+    async isConnected() {
+        return true;
+    }
+
+    async getDeviceInfo() {
+        return this.deviceInfo;
+    }
+
+    async getCapabilities() {
+        return this.capabilities;
+    }
+
+    async getScreenSize() {
+        return this.screenSize;
+    }
+
+    async getUIHierarchy() {
+        return this._screenXml(this._screen());
+    }
+
+    async getCurrentActivity() {
+        const activity = this._screen().activity;
+        if (!activity) return null;
+        const [packageName, activityName] = activity.split('/');
+        return { package: packageName, activity: activityName };
+    }
+
+    async screenshot(path) {
+        const image = this._screen().screenshot || Buffer.alloc(0);
+        await fs.promises.writeFile(path, image);
+        return '';
+    }
+
+    // App management
+    async isPackageInstalled(packageName) {
+        return this.packages.has(packageName);
+    }
+
+    async getPackageInfo(packageName) {
+        if (!this.packages.has(packageName)) return null;
+        return {
+            package: packageName,
+            versionName: null,
+            versionCode: null,
+            enabled: true,
+            installed: true
+        };
+    }
+
+    async startApp(packageName) {
+        if (!this.packages.has(packageName)) {
+            throw new AppNotInstalledError(packageName);
+        }
+        return this._input({ type: 'startApp', packageName }, async () => {
+            await this._record({ type: 'startApp', packageName });
+            if (this.launch[packageName]) {
+                this.goTo(this.launch[packageName]);
+            }
+            return '';
+        });
+    }
+
+    async stopApp(packageName) {
+        this.actions.push({ type: 'stopApp', packageName });
+        this.emit('input', { type: 'stopApp', packageName });
+        return '';
+    }
+
+    async clearApp(packageName) {
+        this.actions.push({ type: 'clearApp', packageName });
+        this.emit('input', { type: 'clearApp', packageName });
+        return '';
+    }
+
+    // Files
+    async push(localPath, remotePath) {
+        this.actions.push({ type: 'push', localPath, remotePath });
+        return '';
+    }
+
+    async pull(remotePath, localPath) {
+        this.actions.push({ type: 'pull', remotePath, localPath });
+        return '';
+    }
+
+    // Input
+    async tap(x, y) {
+        return this._recordInput({ type: 'tap', x, y });
+    }
+
+    async swipe(x1, y1, x2, y2, duration = 300) {
+        return this._recordInput({
+            type: 'swipe',
+            x1, y1, x2, y2,
+            duration,
+            direction: this._swipeDirection(x1, y1, x2, y2)
+        });
+    }
+
+    async type(text) {
+        return this._recordInput({ type: 'type', text });
+    }
+
+    async keyEvent(keyCode) {
+        return this._recordInput({ type: 'keyEvent', keyCode });
+    }
+}
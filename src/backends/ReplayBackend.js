@@ -0,0 +1,109 @@
+import { Readable } from 'stream';
+import { ADB } from '../utils/adb.js';
+import { ShellStream } from '../utils/shell-stream.js';
+import { buildShellCommand } from '../utils/shell-escape.js';
+import { decodeValue, describeCall, loadTranscript } from '../utils/transcript.js';
+import { AdbCommandError, AdbTimeoutError, TranscriptDivergenceError } from '../errors/index.js';
+
+/**
+ * Plays back a transcript recorded with `{ record: 'flow.json' }` instead of
+ * talking to a device. All of ADB's higher level logic (hierarchy fallbacks,
+ * app launching, ...) runs unchanged; only the device calls are answered
+ * from the transcript.
+ *
+ * In 'strict' mode (default) every call must match the next recorded call.
+ * 'loose' mode tolerates timing differences in polling loops: a call that
+ * repeats the previous one is answered again, and unmatched recorded calls
+ * are skipped when a later entry matches.
+ */
+export class ReplayBackend extends ADB {
+    constructor(source, options = {}) {
+        const transcript = loadTranscript(source);
+        super(options.deviceId ?? transcript.deviceId ?? null, {
+            transport: 'binary',
+            logger: options.logger,
+            logLevel: options.logLevel
+        });
+        this.transcript = transcript;
+        this.mode = options.mode || 'strict';
+        this.lookahead = options.lookahead || 50;
+        this.cursor = 0;
+        this._lastEntry = null;
+    }
+
+    get remaining() {
+        return this.transcript.entries.length - this.cursor;
+    }
+
+    _matches(entry, method, args) {
+        return entry.method === method && JSON.stringify(entry.args) === JSON.stringify(args);
+    }
+
+    _nextEntry(method, args) {
+        const entries = this.transcript.entries;
+        const next = entries[this.cursor];
+
+        if (next && this._matches(next, method, args)) {
+            this.cursor++;
+            return next;
+        }
+
+        if (this.mode === 'loose') {
+            if (this._lastEntry && this._matches(this._lastEntry, method, args)) {
+                return this._lastEntry;
+            }
+            const limit = Math.min(entries.length, this.cursor + this.lookahead);
+            for (let i = this.cursor + 1; i < limit; i++) {
+                if (this._matches(entries[i], method, args)) {
+                    this.cursor = i + 1;
+                    return entries[i];
+                }
+            }
+        }
+
+        const actual = { method, args };
+        throw new TranscriptDivergenceError({
+            index: this.cursor,
+            expected: next || null,
+            actual,
+            message: `Transcript divergence at call #${this.cursor}: expected ${describeCall(next)} but got ${describeCall(actual)}`
+        });
+    }
+
+    async _transcribe(method, args, run) {
+        const entry = this._nextEntry(method, args);
+        this._lastEntry = entry;
+
+        if (entry.error) {
+            const { name, message, ...fields } = entry.error;
+            const ErrorType = name === 'AdbTimeoutError' ? AdbTimeoutError : AdbCommandError;
+            throw new ErrorType(message, { ...fields, deviceId: this.deviceId });
+        }
+        return decodeValue(entry.result);
+    }
+
+    spawnShell(command, options = {}) {
+        command = buildShellCommand(command);
+        const entry = this._nextEntry('spawnShell', [command]);
+        this._lastEntry = entry;
+
+        const stream = new ShellStream(command, options);
+        const output = decodeValue(entry.result);
+        return stream.attach(Readable.from(output && output.length > 0 ? [output] : []));
+    }
+
+    // Throws if the flow stopped before consuming the whole transcript
+    assertComplete() {
+        if (this.remaining > 0) {
+            const next = this.transcript.entries[this.cursor];
+            throw new TranscriptDivergenceError({
+                index: this.cursor,
+                expected: next,
+                actual: null,
+                message: `Transcript not fully replayed: ${this.remaining} call(s) left, next is ${describeCall(next)}`
+            });
+        }
+    }
+
+    close() {}
+}
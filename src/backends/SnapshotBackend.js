@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { DeviceBackend } from './DeviceBackend.js';
+import { loadSnapshot } from '../utils/snapshot.js';
+import { NotSupportedError } from '../errors/index.js';
+
+/**
+ * Serves one saved screen (see page.saveSnapshot()) without a device.
+ * Everything that reads the screen works; input, shell commands and app
+ * management throw NotSupportedError.
+ */
+export class SnapshotBackend extends DeviceBackend {
+    /**
+     * @param {string|Object} source - Snapshot directory, or a snapshot loaded with loadSnapshot()
+     */
+    constructor(source) {
+        super();
+        this.snapshot = typeof source === 'string' ? loadSnapshot(source) : source;
+        this.deviceId = `snapshot:${path.basename(this.snapshot.path || 'memory')}`;
+        this.capabilities = null;
+    }
+
+    _notImplemented(method) {
+        throw new NotSupportedError(`${method}() needs a device; snapshots are read-only`, {
+            backend: this.constructor.name,
+            method
+        });
+    }
+
+    async isConnected() {
+        return true;
+    }
+
+    async getDeviceInfo() {
+        return {
+            brand: 'Snapshot',
+            model: this.deviceId,
+            version: 'unknown',
+            ...this.snapshot.deviceInfo
+        };
+    }
+
+    async getScreenSize() {
+        if (!this.snapshot.screenSize) return this._notImplemented('getScreenSize');
+        return this.snapshot.screenSize;
+    }
+
+    async getUIHierarchy() {
+        return this.snapshot.xml;
+    }
+
+    async getCurrentActivity() {
+        return this.snapshot.activity ?? null;
+    }
+
+    async screenshot(destination) {
+        if (!this.snapshot.screenshot) {
+            throw new NotSupportedError('This snapshot was saved without a screenshot', {
+                backend: this.constructor.name,
+                method: 'screenshot'
+            });
+        }
+        await fs.promises.writeFile(destination, this.snapshot.screenshot);
+        return '';
+    }
+}
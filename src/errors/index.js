@@ -1,27 +1,202 @@
 export class DroideerError extends Error {
-    constructor(message) {
-        super(message);
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
         this.name = 'DroideerError';
     }
 }
 
+export class InvalidArgumentError extends DroideerError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'InvalidArgumentError';
+        this.argument = options.argument ?? null;
+        this.value = options.value;
+    }
+}
+
+// Selectors and waits
+
 export class ElementNotFoundError extends DroideerError {
-    constructor(selector) {
-        super(`Element not found: ${JSON.stringify(selector)}`);
+    /**
+     * @param {Object|string} selector - Selector that matched nothing
+     * @param {Object} options
+     * @param {number} options.timeout - How long it was waited for, if at all
+     * @param {string} options.hierarchy - Last UI hierarchy dump searched
+     */
+    constructor(selector, options = {}) {
+        super(options.message || `Element not found: ${JSON.stringify(selector)}`, options);
         this.name = 'ElementNotFoundError';
+        this.selector = selector;
+        this.timeout = options.timeout ?? null;
+        this.hierarchy = options.hierarchy ?? null;
     }
 }
 
 export class TimeoutError extends DroideerError {
-    constructor(message) {
-        super(message);
+    /**
+     * @param {string} message
+     * @param {Object} options
+     * @param {number} options.timeout - Time waited in ms
+     * @param {Object|string} options.selector - Selector waited for, if any
+     * @param {string} options.hierarchy - Last UI hierarchy dump seen
+     */
+    constructor(message, options = {}) {
+        super(message, options);
         this.name = 'TimeoutError';
+        this.timeout = options.timeout ?? null;
+        this.selector = options.selector ?? null;
+        this.hierarchy = options.hierarchy ?? null;
+    }
+}
+
+/**
+ * A selector string (CSS, XPath, ...) could not be parsed. `position` is the
+ * offset into `selector` where parsing stopped.
+ */
+export class SelectorSyntaxError extends InvalidArgumentError {
+    constructor(message, options = {}) {
+        super(message, { ...options, argument: 'selector', value: options.selector });
+        this.name = 'SelectorSyntaxError';
+        this.selector = options.selector ?? null;
+        this.position = options.position ?? null;
+    }
+}
+
+/**
+ * A strict locator action found more than one element. Narrow the locator,
+ * or pick one with first(), last() or nth().
+ */
+export class StrictModeViolationError extends DroideerError {
+    constructor(selector, count, options = {}) {
+        super(options.message || `Strict mode violation: ${selector} matched ${count} elements`, options);
+        this.name = 'StrictModeViolationError';
+        this.selector = selector;
+        this.count = count;
+        this.hierarchy = options.hierarchy ?? null;
+    }
+}
+
+export class ElementNotInteractableError extends DroideerError {
+    constructor(action, options = {}) {
+        super(options.message || `Cannot ${action} element without valid bounds`, options);
+        this.name = 'ElementNotInteractableError';
+        this.action = action;
+        this.selector = options.selector ?? null;
+        this.bounds = options.bounds ?? null;
     }
 }
 
+// Device and ADB
+
 export class DeviceNotConnectedError extends DroideerError {
-    constructor() {
-        super('Android device not connected or ADB not available');
+    constructor(options = {}) {
+        super(options.message || 'Android device not connected or ADB not available', options);
         this.name = 'DeviceNotConnectedError';
+        this.deviceId = options.deviceId ?? null;
+    }
+}
+
+/**
+ * An adb host command or device shell command failed. `kind` tells
+ * transient failures ('offline', 'disconnected', 'daemon', 'timeout')
+ * from permanent ones ('unauthorized', 'fatal').
+ */
+export class AdbCommandError extends DroideerError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AdbCommandError';
+        this.command = options.command ?? null;
+        this.stderr = options.stderr ?? null;
+        this.exitCode = options.exitCode ?? null;
+        this.deviceId = options.deviceId ?? null;
+        this.kind = options.kind ?? null;
+        if (options.code) this.code = options.code;
+    }
+}
+
+export class AdbTimeoutError extends AdbCommandError {
+    constructor(message, options = {}) {
+        super(message, { kind: 'timeout', code: 'ETIMEDOUT', ...options });
+        this.name = 'AdbTimeoutError';
+        this.timeout = options.timeout ?? null;
+    }
+}
+
+export class NotSupportedError extends DroideerError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'NotSupportedError';
+        this.backend = options.backend ?? null;
+        this.method = options.method ?? null;
+    }
+}
+
+// Apps
+
+export class AppNotInstalledError extends DroideerError {
+    constructor(packageName, options = {}) {
+        super(options.message || `Package ${packageName} is not installed`, options);
+        this.name = 'AppNotInstalledError';
+        this.packageName = packageName;
+        this.deviceId = options.deviceId ?? null;
+    }
+}
+
+export class AppLaunchError extends DroideerError {
+    constructor(packageName, options = {}) {
+        super(options.message || `Unable to start app ${packageName}`, options);
+        this.name = 'AppLaunchError';
+        this.packageName = packageName;
+        this.deviceId = options.deviceId ?? null;
+        this.timeout = options.timeout ?? null;
+    }
+}
+
+export class AppInstallError extends DroideerError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AppInstallError';
+        this.apkPath = options.apkPath ?? null;
+        this.packageName = options.packageName ?? null;
+        this.deviceId = options.deviceId ?? null;
+    }
+}
+
+// UI hierarchy
+
+export class HierarchyParseError extends DroideerError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'HierarchyParseError';
+        this.hierarchy = options.hierarchy ?? null;
+    }
+}
+
+// Transcripts
+
+export class TranscriptError extends DroideerError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'TranscriptError';
+    }
+}
+
+export class TranscriptDivergenceError extends TranscriptError {
+    constructor({ index, expected, actual, message }) {
+        super(message);
+        this.name = 'TranscriptDivergenceError';
+        this.index = index;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+// Snapshots
+
+export class SnapshotError extends DroideerError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'SnapshotError';
+        this.path = options.path ?? null;
     }
 }
@@ -1,9 +1,42 @@
 import { AndroidDevice } from './Device.js';
+import { DevicePool } from './DevicePool.js';
 import { ADB } from './utils/adb.js';
 import { Page } from './Page.js';
 import { AndroidElement } from './Element.js';
+import { Locator } from './Locator.js';
 import { Gestures } from './Gestures.js';
 import { Selector } from './Selector.js';
+import { DeviceBackend } from './backends/DeviceBackend.js';
+import { FakeDevice } from './backends/FakeDevice.js';
+import { ReplayBackend } from './backends/ReplayBackend.js';
+import { SnapshotBackend } from './backends/SnapshotBackend.js';
+import { TranscriptRecorder } from './utils/transcript.js';
+import { RetryPolicy, classifyAdbError } from './utils/retry.js';
+import { CommandQueue } from './utils/command-queue.js';
+import { HierarchyDiff, diffHierarchy } from './utils/hierarchy-diff.js';
+import { loadSnapshot } from './utils/snapshot.js';
+import { fingerprintNode, findNodeByFingerprint } from './utils/fingerprint.js';
+import { Logger, LOG_LEVELS, createLogger } from './utils/logger.js';
+import {
+    DroideerError,
+    InvalidArgumentError,
+    ElementNotFoundError,
+    ElementNotInteractableError,
+    SelectorSyntaxError,
+    StrictModeViolationError,
+    TimeoutError,
+    DeviceNotConnectedError,
+    AdbCommandError,
+    AdbTimeoutError,
+    NotSupportedError,
+    AppNotInstalledError,
+    AppLaunchError,
+    AppInstallError,
+    HierarchyParseError,
+    TranscriptError,
+    TranscriptDivergenceError,
+    SnapshotError
+} from './errors/index.js';
 
 /**
  * Droideer - Android Automation Library
@@ -14,11 +47,46 @@ export class Droideer {
     static VERSION = '0.1.0';
     /**
      * Connect to an Android device
-     * @param {string|null} deviceId - Specific device ID or null for default
+     * @param {string|Object|null} deviceId - Specific device ID, null for default, or an options object
+     * @param {Object} options - Connection options
+     * @param {DeviceBackend} options.backend - Custom backend, e.g. a FakeDevice for offline tests
+     * @param {Object|false} options.retry - Retry policy for transient ADB failures ({ retries, minDelay, maxDelay, waitTimeout }), or false
+     * @param {Logger|Object|Function} options.logger - Logger, pino/winston compatible object or function receiving log records
+     * @param {string|Object} options.logLevel - e.g. 'warn' or 'warn,adb=debug'; defaults to $DROIDEER_LOG_LEVEL or 'info'
+     * @param {boolean} options.logJson - Print JSON lines instead of plain messages
      * @returns {Promise<AndroidDevice>} Connected device instance
      */
-    static async connect(deviceId = null) {
-        return AndroidDevice.connect(deviceId);
+    static async connect(deviceId = null, options = {}) {
+        return AndroidDevice.connect(deviceId, options);
+    }
+
+    /**
+     * Connect to a device replayed from a recorded transcript instead of a real device.
+     * Record one with `Droideer.connect(deviceId, { record: 'flow.json' })`; the
+     * transcript is written when the device disconnects.
+     * @param {string|Object} transcript - Transcript file path or parsed transcript
+     * @param {Object} options - Replay options
+     * @param {string} options.mode - 'strict' (default) or 'loose' to tolerate polling differences
+     * @returns {Promise<AndroidDevice>} Device backed by the transcript
+     */
+    static async replay(transcript, options = {}) {
+        const backend = new ReplayBackend(transcript, options);
+        return AndroidDevice.connect(backend.deviceId, { ...options, backend });
+    }
+
+    /**
+     * Open a screen saved with `page.saveSnapshot(dir)` as a read-only page.
+     * Selectors, finders and evaluate() work as on a device; taps, typing and
+     * shell commands throw NotSupportedError.
+     * @param {string|Object} snapshot - Snapshot directory, or a snapshot loaded with loadSnapshot()
+     * @param {Object} options - Connection options (logger, logLevel, ...)
+     * @returns {Promise<Page>} Page over the saved screen
+     * @throws {SnapshotError} If the snapshot is missing or unreadable
+     */
+    static async openSnapshot(snapshot, options = {}) {
+        const backend = new SnapshotBackend(snapshot);
+        const device = await AndroidDevice.connect(backend.deviceId, { ...options, backend });
+        return device.page;
     }
 
     /**
@@ -30,7 +98,7 @@ export class Droideer {
      * @returns {Promise<AndroidDevice>} Device instance with app launched
      */
     static async launch(options = {}) {
-        const device = await AndroidDevice.connect(options.deviceId);
+        const device = await AndroidDevice.connect(options.deviceId || null, options);
 
         if (options.app) {
             await device.launch(options.app);
@@ -58,6 +126,81 @@ export class Droideer {
         return adb.getDevices();
     }
 
+    /**
+     * Pair with a device over Wi-Fi using its pairing code (Android 11+)
+     * @param {string} address - Pairing address shown on the device, e.g. '192.168.1.20:37123'
+     * @param {string|number} code - Six digit pairing code
+     * @param {Object} options - ADB options (host, port, adbPath, transport)
+     * @returns {Promise<Object>} { address, serial, guid }
+     */
+    static async pair(address, code, options = {}) {
+        return Droideer._hostCall(options, adb => adb.pair(address, code));
+    }
+
+    /**
+     * Attach a device over TCP/IP, like `adb connect`. Connect to it afterwards with
+     * `Droideer.connect('192.168.1.20:5555')`, which re-attaches it when Wi-Fi drops.
+     * @param {string} address - 'host' or 'host:port' (port defaults to 5555)
+     * @param {Object} options - ADB options
+     * @returns {Promise<Object>} { address, serial, alreadyConnected }
+     */
+    static async connectTcp(address, options = {}) {
+        return Droideer._hostCall(options, adb => adb.connectTcp(address));
+    }
+
+    /**
+     * Detach a device attached over TCP/IP, or all of them when no address is given
+     * @param {string|null} address - 'host' or 'host:port'
+     * @param {Object} options - ADB options
+     * @returns {Promise<Object>} { address, serial }
+     */
+    static async disconnectTcp(address = null, options = {}) {
+        return Droideer._hostCall(options, adb => adb.disconnectTcp(address));
+    }
+
+    /**
+     * Switch a USB device to listen for adb over TCP/IP, like `adb tcpip 5555`
+     * @param {string|null} deviceId - Device ID or null for default
+     * @param {number} port - Port to listen on (default 5555)
+     * @param {Object} options - ADB options
+     * @returns {Promise<Object>} { deviceId, port }
+     */
+    static async tcpip(deviceId = null, port = 5555, options = {}) {
+        return Droideer._hostCall(options, adb => adb.tcpip(port), deviceId);
+    }
+
+    /**
+     * List devices advertising wireless debugging over mDNS
+     * @param {Object} options - ADB options
+     * @returns {Promise<Array>} Services: { name, type, service, address, host, port }
+     */
+    static async mdnsServices(options = {}) {
+        return Droideer._hostCall(options, adb => adb.mdnsServices());
+    }
+
+    static async _hostCall(options, call, deviceId = null) {
+        const adb = new ADB(deviceId, options);
+        try {
+            return await call(adb);
+        } finally {
+            adb.close();
+        }
+    }
+
+    /**
+     * Create a pool of every attached device for running jobs in parallel
+     * @param {Object} options - Pool options, see DevicePool
+     * @param {Function} options.filter - Pick which devices join the pool
+     * @param {Function} options.healthCheck - Extra check run before each device is leased
+     * @param {Object} options.connectOptions - Options passed to every AndroidDevice.connect
+     * @returns {Promise<DevicePool>} Pool with the attached devices discovered
+     */
+    static async pool(options = {}) {
+        const pool = new DevicePool(options);
+        await pool.discover();
+        return pool;
+    }
+
     /**
      * Check if ADB is available and working
      * @returns {Promise<boolean>} True if ADB is available
@@ -65,7 +208,7 @@ export class Droideer {
     static async checkADB() {
         try {
             const adb = new ADB();
-            await adb.execute('version');
+            await adb.execute(['version']);
             return true;
         } catch (error) {
             return false;
@@ -367,11 +510,47 @@ export const KeyCodes = {
 // Export all classes for individual use
 export {
     AndroidDevice,
+    DevicePool,
     ADB,
     Page,
     AndroidElement,
+    Locator,
     Gestures,
-    Selector
+    Selector,
+    DeviceBackend,
+    FakeDevice,
+    ReplayBackend,
+    SnapshotBackend,
+    TranscriptRecorder,
+    RetryPolicy,
+    classifyAdbError,
+    CommandQueue,
+    HierarchyDiff,
+    diffHierarchy,
+    loadSnapshot,
+    fingerprintNode,
+    findNodeByFingerprint,
+    Logger,
+    LOG_LEVELS,
+    createLogger,
+    DroideerError,
+    InvalidArgumentError,
+    ElementNotFoundError,
+    ElementNotInteractableError,
+    SelectorSyntaxError,
+    StrictModeViolationError,
+    TimeoutError,
+    DeviceNotConnectedError,
+    AdbCommandError,
+    AdbTimeoutError,
+    NotSupportedError,
+    AppNotInstalledError,
+    AppLaunchError,
+    AppInstallError,
+    HierarchyParseError,
+    TranscriptError,
+    TranscriptDivergenceError,
+    SnapshotError
 };
 
 // Default export
@@ -0,0 +1,474 @@
+import net from 'net';
+import fs from 'fs';
+import { AdbCommandError, AdbTimeoutError } from '../errors/index.js';
+
+const SYNC_DATA_MAX = 64 * 1024;
+
+// Packet ids of the shell v2 protocol
+const SHELL_V2_STDOUT = 1;
+const SHELL_V2_STDERR = 2;
+const SHELL_V2_EXIT = 3;
+
+/**
+ * Buffered reader/writer over a single socket connected to the adb server.
+ * Wraps the smart-socket framing (4 hex digit length prefix, OKAY/FAIL status)
+ * and the little-endian framing used by the sync: service.
+ */
+class AdbSocket {
+    constructor(socket, timeout) {
+        this.socket = socket;
+        this._buffer = Buffer.alloc(0);
+        this._waiters = [];
+        this._ended = false;
+        this._error = null;
+
+        this._listeners = {
+            data: chunk => {
+                this._buffer = Buffer.concat([this._buffer, chunk]);
+                this._flush();
+            },
+            end: () => {
+                this._ended = true;
+                this._flush();
+            },
+            error: error => {
+                this._error = error;
+                this._flush();
+            },
+            close: () => {
+                this._ended = true;
+                this._flush();
+            }
+        };
+        for (const [event, listener] of Object.entries(this._listeners)) {
+            socket.on(event, listener);
+        }
+
+        if (timeout) {
+            socket.setTimeout(timeout, () => {
+                socket.destroy(new AdbTimeoutError(`adb server did not respond within ${timeout}ms`, { timeout }));
+            });
+        }
+    }
+
+    static connect({ host, port, timeout }) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect({ host, port });
+            const onError = error => reject(error);
+            socket.once('error', onError);
+            socket.once('connect', () => {
+                socket.removeListener('error', onError);
+                resolve(new AdbSocket(socket, timeout));
+            });
+        });
+    }
+
+    get closed() {
+        return this._ended || this._error !== null || this.socket.destroyed;
+    }
+
+    _flush() {
+        while (this._waiters.length > 0) {
+            const waiter = this._waiters[0];
+            if (waiter.size === null) {
+                // readAll() resolves only once the remote side closes the stream
+                if (!this._ended && !this._error) return;
+                this._waiters.shift();
+                if (this._error) {
+                    waiter.reject(this._error);
+                } else {
+                    const data = this._buffer;
+                    this._buffer = Buffer.alloc(0);
+                    waiter.resolve(data);
+                }
+                continue;
+            }
+
+            if (this._buffer.length >= waiter.size) {
+                this._waiters.shift();
+                const data = this._buffer.subarray(0, waiter.size);
+                this._buffer = this._buffer.subarray(waiter.size);
+                waiter.resolve(data);
+                continue;
+            }
+
+            if (this._error || this._ended) {
+                this._waiters.shift();
+                waiter.reject(this._error || new AdbCommandError('adb connection closed unexpectedly', { kind: 'daemon' }));
+                continue;
+            }
+            return;
+        }
+    }
+
+    read(size) {
+        return new Promise((resolve, reject) => {
+            this._waiters.push({ size, resolve, reject });
+            this._flush();
+        });
+    }
+
+    readAll() {
+        return new Promise((resolve, reject) => {
+            this._waiters.push({ size: null, resolve, reject });
+            this._flush();
+        });
+    }
+
+    write(data) {
+        this.socket.write(data);
+    }
+
+    async send(payload) {
+        const body = Buffer.from(payload, 'utf8');
+        const length = body.length.toString(16).padStart(4, '0');
+        this.write(Buffer.concat([Buffer.from(length, 'ascii'), body]));
+        await this.readStatus(payload);
+    }
+
+    async readStatus(payload) {
+        const status = (await this.read(4)).toString('ascii');
+        if (status === 'OKAY') return;
+        if (status === 'FAIL') {
+            const message = await this.readHexString();
+            const error = new AdbCommandError(message, { command: payload, code: 'EADBFAIL' });
+            error.service = payload;
+            throw error;
+        }
+        throw new AdbCommandError(`Unexpected adb server response "${status}" to ${payload}`, { command: payload });
+    }
+
+    async readHexString() {
+        const length = parseInt((await this.read(4)).toString('ascii'), 16);
+        return (await this.read(length)).toString('utf8');
+    }
+
+    // Sync protocol: 4 byte id followed by a little-endian uint32
+    writeSync(id, value) {
+        const header = Buffer.alloc(8);
+        header.write(id, 0, 4, 'ascii');
+        if (Buffer.isBuffer(value)) {
+            header.writeUInt32LE(value.length, 4);
+            this.write(Buffer.concat([header, value]));
+        } else if (typeof value === 'string') {
+            const body = Buffer.from(value, 'utf8');
+            header.writeUInt32LE(body.length, 4);
+            this.write(Buffer.concat([header, body]));
+        } else {
+            header.writeUInt32LE(value, 4);
+            this.write(header);
+        }
+    }
+
+    async readSyncHeader() {
+        const header = await this.read(8);
+        return { id: header.toString('ascii', 0, 4), length: header.readUInt32LE(4) };
+    }
+
+    /**
+     * Hand the raw socket over to a stream consumer, e.g. for shell: output
+     * that never ends on its own. Bytes already buffered are put back first.
+     */
+    detach() {
+        const socket = this.socket;
+        socket.pause();
+        for (const [event, listener] of Object.entries(this._listeners)) {
+            socket.removeListener(event, listener);
+        }
+        socket.setTimeout(0);
+        if (this._buffer.length > 0) {
+            socket.unshift(this._buffer);
+            this._buffer = Buffer.alloc(0);
+        }
+        return socket;
+    }
+
+    end() {
+        if (!this.socket.destroyed) {
+            this.socket.end();
+        }
+    }
+
+    destroy() {
+        this.socket.destroy();
+    }
+}
+
+/**
+ * Client for the adb server's smart-socket protocol (localhost:5037 by default).
+ * Talks to the server directly instead of spawning the adb binary for every command.
+ */
+export class AdbClient {
+    constructor(options = {}) {
+        this.host = options.host || process.env.ADB_SERVER_HOST || '127.0.0.1';
+        this.port = Number(options.port || process.env.ANDROID_ADB_SERVER_PORT || 5037);
+        this.timeout = options.timeout || 30000;
+        this._syncSessions = new Map();
+        // Tail of the transfers queued on each session; sync frames of two transfers must not interleave
+        this._syncLocks = new Map();
+    }
+
+    async connection(timeout = this.timeout) {
+        return AdbSocket.connect({ host: this.host, port: this.port, timeout });
+    }
+
+    // Host services
+    async hostQuery(service, options = {}) {
+        const socket = await this.connection(options.timeout);
+        try {
+            await socket.send(service);
+            return await socket.readHexString();
+        } finally {
+            socket.end();
+        }
+    }
+
+    async version() {
+        return parseInt(await this.hostQuery('host:version'), 16);
+    }
+
+    async devices() {
+        const output = await this.hostQuery('host:devices-l');
+        return output.split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                const parts = line.trim().split(/\s+/);
+                return {
+                    id: parts[0],
+                    state: parts[1],
+                    info: parts.slice(2).join(' ')
+                };
+            });
+    }
+
+    async getState(serial = null, options = {}) {
+        const service = serial ? `host-serial:${serial}:get-state` : 'host:get-state';
+        return this.hostQuery(service, options);
+    }
+
+    // Wireless debugging. The server replies OKAY with a status line, even for most failures.
+    async connect(address, options = {}) {
+        return this.hostQuery(`host:connect:${address}`, options);
+    }
+
+    async disconnect(address = '', options = {}) {
+        return this.hostQuery(`host:disconnect:${address}`, options);
+    }
+
+    async pair(address, code, options = {}) {
+        return this.hostQuery(`host:pair:${code}:${address}`, options);
+    }
+
+    async mdnsServices(options = {}) {
+        return this.hostQuery('host:mdns:services', options);
+    }
+
+    // Device services
+    async transport(serial = null, options = {}) {
+        const socket = await this.connection(options.timeout);
+        try {
+            await socket.send(serial ? `host:transport:${serial}` : 'host:transport-any');
+            return socket;
+        } catch (error) {
+            socket.destroy();
+            throw error;
+        }
+    }
+
+    /**
+     * Open a device service (e.g. "shell:ls") and return the raw socket.
+     */
+    async openService(serial, service, options = {}) {
+        const socket = await this.transport(serial, options);
+        try {
+            await socket.send(service);
+            return socket;
+        } catch (error) {
+            socket.destroy();
+            throw error;
+        }
+    }
+
+    /**
+     * Open a device service and return the raw socket streaming its output.
+     */
+    async openStream(serial, service, options = {}) {
+        const socket = await this.openService(serial, service, options);
+        return socket.detach();
+    }
+
+    async _runService(serial, service, options = {}) {
+        const socket = await this.openService(serial, service, options);
+        try {
+            return await socket.readAll();
+        } finally {
+            socket.destroy();
+        }
+    }
+
+    async shell(serial, command, options = {}) {
+        const output = await this._runService(serial, `shell:${command}`, options);
+        return output.toString('utf8');
+    }
+
+    /**
+     * Run a command with the shell v2 protocol, which frames stdout, stderr
+     * and the exit status separately. Rejects with EADBFAIL when the device
+     * does not support it.
+     */
+    async shellV2(serial, command, options = {}) {
+        const output = await this._runService(serial, `shell,v2,raw:${command}`, options);
+        const stdout = [];
+        const stderr = [];
+        let exitCode = null;
+
+        let offset = 0;
+        while (offset + 5 <= output.length) {
+            const id = output[offset];
+            const length = output.readUInt32LE(offset + 1);
+            const data = output.subarray(offset + 5, offset + 5 + length);
+            offset += 5 + length;
+
+            if (id === SHELL_V2_STDOUT) stdout.push(data);
+            else if (id === SHELL_V2_STDERR) stderr.push(data);
+            else if (id === SHELL_V2_EXIT) exitCode = data[0];
+        }
+
+        return {
+            stdout: Buffer.concat(stdout).toString('utf8'),
+            stderr: Buffer.concat(stderr).toString('utf8'),
+            exitCode
+        };
+    }
+
+    async exec(serial, command, options = {}) {
+        return this._runService(serial, `exec:${command}`, options);
+    }
+
+    async reboot(serial, mode = '', options = {}) {
+        return (await this._runService(serial, `reboot:${mode}`, options)).toString('utf8');
+    }
+
+    async tcpip(serial, port, options = {}) {
+        return (await this._runService(serial, `tcpip:${port}`, options)).toString('utf8');
+    }
+
+    // Sync service (file transfer). Sessions are kept open and reused per device.
+    async _syncSession(serial) {
+        const key = serial || '';
+        const existing = this._syncSessions.get(key);
+        if (existing && !existing.closed) {
+            return existing;
+        }
+
+        const socket = await this.openService(serial, 'sync:', { timeout: 0 });
+        this._syncSessions.set(key, socket);
+        return socket;
+    }
+
+    // Runs transfers on one device one at a time, so they can share its session
+    async _withSync(serial, fn) {
+        const key = serial || '';
+        const previous = this._syncLocks.get(key) || Promise.resolve();
+        const transfer = previous.then(() => this._transfer(serial, fn));
+        const tail = transfer.catch(() => {});
+        this._syncLocks.set(key, tail);
+        try {
+            return await transfer;
+        } finally {
+            if (this._syncLocks.get(key) === tail) {
+                this._syncLocks.delete(key);
+            }
+        }
+    }
+
+    async _transfer(serial, fn) {
+        const socket = await this._syncSession(serial);
+        try {
+            return await fn(socket);
+        } catch (error) {
+            // A failed transfer leaves the stream in an unknown state
+            if (error.code !== 'EADBFAIL') {
+                socket.destroy();
+                this._syncSessions.delete(serial || '');
+            }
+            throw error;
+        }
+    }
+
+    async stat(serial, remotePath) {
+        return this._withSync(serial, async socket => {
+            socket.writeSync('STAT', remotePath);
+            const response = await socket.read(16);
+            const id = response.toString('ascii', 0, 4);
+            if (id !== 'STAT') {
+                throw new AdbCommandError(`Unexpected sync response "${id}" to STAT`, { command: `STAT ${remotePath}` });
+            }
+            return {
+                mode: response.readUInt32LE(4),
+                size: response.readUInt32LE(8),
+                mtime: new Date(response.readUInt32LE(12) * 1000)
+            };
+        });
+    }
+
+    async pushBuffer(serial, data, remotePath, mode = 0o644) {
+        return this._withSync(serial, async socket => {
+            socket.writeSync('SEND', `${remotePath},${mode | 0o100000}`);
+            for (let offset = 0; offset < data.length; offset += SYNC_DATA_MAX) {
+                socket.writeSync('DATA', data.subarray(offset, offset + SYNC_DATA_MAX));
+            }
+            socket.writeSync('DONE', Math.floor(Date.now() / 1000));
+
+            const { id, length } = await socket.readSyncHeader();
+            if (id === 'OKAY') return true;
+            if (id === 'FAIL') {
+                const message = (await socket.read(length)).toString('utf8');
+                throw new AdbCommandError(message, { command: `SEND ${remotePath}`, code: 'EADBFAIL' });
+            }
+            throw new AdbCommandError(`Unexpected sync response "${id}" to SEND`, { command: `SEND ${remotePath}` });
+        });
+    }
+
+    async pullBuffer(serial, remotePath) {
+        return this._withSync(serial, async socket => {
+            socket.writeSync('RECV', remotePath);
+            const chunks = [];
+            for (;;) {
+                const { id, length } = await socket.readSyncHeader();
+                if (id === 'DATA') {
+                    chunks.push(await socket.read(length));
+                } else if (id === 'DONE') {
+                    return Buffer.concat(chunks);
+                } else if (id === 'FAIL') {
+                    const message = (await socket.read(length)).toString('utf8');
+                    throw new AdbCommandError(message, { command: `RECV ${remotePath}`, code: 'EADBFAIL' });
+                } else {
+                    throw new AdbCommandError(`Unexpected sync response "${id}" to RECV`, { command: `RECV ${remotePath}` });
+                }
+            }
+        });
+    }
+
+    async push(serial, localPath, remotePath) {
+        const stats = await fs.promises.stat(localPath);
+        const data = await fs.promises.readFile(localPath);
+        return this.pushBuffer(serial, data, remotePath, stats.mode & 0o777);
+    }
+
+    async pull(serial, remotePath, localPath) {
+        const data = await this.pullBuffer(serial, remotePath);
+        await fs.promises.writeFile(localPath, data);
+        return data.length;
+    }
+
+    close() {
+        for (const socket of this._syncSessions.values()) {
+            if (!socket.closed) {
+                socket.writeSync('QUIT', 0);
+                socket.end();
+            }
+        }
+        this._syncSessions.clear();
+    }
+}
@@ -1,36 +1,353 @@
-import { exec } from 'child_process';
+import { exec, execFile, spawn } from 'child_process';
 import { promisify } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+import { AdbClient } from './adb-client.js';
+import { TranscriptRecorder } from './transcript.js';
+import { ShellStream } from './shell-stream.js';
+import { RetryPolicy, classifyAdbError, isDeviceLostKind } from './retry.js';
+import { createLogger } from './logger.js';
+import { CAPABILITY_PROBE, parseCapabilities } from './capabilities.js';
+import { CommandQueue, commandPriority, commandType } from './command-queue.js';
+import {
+    AdbCommandError,
+    AdbTimeoutError,
+    AppLaunchError,
+    AppNotInstalledError,
+    DeviceNotConnectedError
+} from '../errors/index.js';
+import { DeviceBackend } from '../backends/DeviceBackend.js';
+import { buildShellCommand, encodeInputText, quoteShellArg } from './shell-escape.js';
+import {
+    DEFAULT_TCP_PORT,
+    isNetworkSerial,
+    normalizeAddress,
+    parseConnectOutput,
+    parseDisconnectOutput,
+    parseMdnsServices,
+    parsePairOutput,
+    parseTcpipOutput
+} from './wireless.js';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
-export class ADB {
-    constructor(deviceId = null) {
+const EXIT_SENTINEL = '__DROIDEER_EXIT__:';
+
+// Marks calls made from inside another device call so only the outermost one is recorded and retried
+const deviceCall = new AsyncLocalStorage();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Minimum time between two `adb start-server` runs when the server socket refuses connections
+const SERVER_START_INTERVAL = 2000;
+
+const BATCH_MARKER = '__DROIDEER_BATCH__:';
+
+// UI dump strategies; the output of the last command is the hierarchy XML
+const UI_DUMP_METHODS = [
+    { name: 'Standard UI Dump', commands: ['uiautomator dump /sdcard/ui.xml', 'cat /sdcard/ui.xml'] },
+    { name: 'Compressed UI Dump', compressed: true, commands: ['uiautomator dump --compressed /sdcard/ui.xml', 'cat /sdcard/ui.xml'] },
+    { name: 'Direct stdout dump', commands: ['uiautomator dump /dev/tty'] },
+    { name: 'Alternative location dump', commands: ['uiautomator dump /data/local/tmp/ui.xml', 'cat /data/local/tmp/ui.xml'] }
+];
+
+// Returned instead of throwing when no dump method works
+const DUMP_FAILED_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<hierarchy rotation="0">
+    <node index="0" text="UI Dump Failed - Please refresh" resource-id="" class="android.widget.FrameLayout" 
+          bounds="[0,0][1080,1920]" content-desc="UI dump failed" clickable="false" enabled="true" 
+          focusable="false" focused="false" scrollable="false" long-clickable="false" password="false" 
+          selected="false" visible-to-user="true" package="system"/>
+</hierarchy>`;
+
+const ACTIVITY_METHODS = [
+    {
+        command: 'dumpsys window | grep mCurrentFocus',
+        parse: output => {
+            const match = output.match(/mCurrentFocus=Window{[^}]* ([^/]+)\/([^}]+)}/);
+            return match ? { package: match[1], activity: match[2] } : null;
+        }
+    },
+    {
+        command: 'dumpsys activity activities | grep "mResumedActivity"',
+        parse: output => {
+            const match = output.match(/([a-zA-Z0-9_.]+)\/([a-zA-Z0-9_.]+)/);
+            return match ? { package: match[1], activity: match[2] } : null;
+        }
+    }
+];
+
+// Indices of `count` fallback strategies, starting with the one that worked last time
+function preferredOrder(count, preferred) {
+    const rest = Array.from({ length: count }, (_, index) => index).filter(index => index !== preferred);
+    return [preferred, ...rest];
+}
+
+export class ADB extends DeviceBackend {
+    constructor(deviceId = null, options = {}) {
+        super();
         this.deviceId = deviceId;
-        this.prefix = deviceId ? `adb -s ${deviceId}` : 'adb';
-        this._capabilities = null;
+        this.adbPath = options.adbPath || process.env.ADB_PATH || 'adb';
+        this.prefix = deviceId ? `${this.adbPath} -s ${deviceId}` : this.adbPath;
+        this._deviceInfo = null;
+        this.capabilities = null;
+        this._capabilityProbe = null;
+        this._activityMethod = 0;
+        this._dumpMethod = 0;
+        this.log = createLogger(options).child('adb');
+
+        // 'native' talks to the adb server socket directly, 'binary' spawns the adb executable
+        this.transport = options.transport || process.env.DROIDEER_ADB_TRANSPORT || 'native';
+        this.client = options.client || new AdbClient({
+            host: options.host,
+            port: options.port
+        });
+        // Pending or last `adb start-server`, shared by the calls that found the server down
+        this._serverStart = null;
+        this._serverStartedAt = 0;
+        this._shellV2 = null;
+        this._streams = new Set();
+
+        // Transient failures (device offline, server restart, timeout) are retried; pass `retry: false` to disable
+        this.retryPolicy = options.retry === false
+            ? null
+            : options.retry instanceof RetryPolicy ? options.retry : new RetryPolicy(options.retry);
+        this._online = true;
+
+        // Devices attached with `adb connect` are attached again after Wi-Fi drops; pass `autoReconnect: false` to disable
+        this.autoReconnect = options.autoReconnect ?? isNetworkSerial(deviceId);
+
+        // Caps concurrent commands so parallel queries don't overwhelm the adb server; input events go first
+        this.queue = options.queue instanceof CommandQueue ? options.queue : new CommandQueue(options.queue);
+
+        // Record every device call into a transcript that ReplayBackend can play back
+        this.recorder = null;
+        if (options.record) {
+            this.recorder = options.record instanceof TranscriptRecorder
+                ? options.record
+                : new TranscriptRecorder({ path: options.record, deviceId });
+        }
+    }
+
+    async _transcribe(method, args, run, options = {}) {
+        if (deviceCall.getStore()) {
+            return run();
+        }
+
+        return deviceCall.run(true, async () => {
+            if (!this.recorder) {
+                return this._withRetry(method, args, run, options);
+            }
+
+            // The entry is reserved before running so concurrent calls keep their issue order
+            const entry = this.recorder.begin(method, args);
+            try {
+                const result = await this._withRetry(method, args, run, options);
+                this.recorder.end(entry, { result });
+                return result;
+            } catch (error) {
+                this.recorder.end(entry, { error });
+                throw error;
+            }
+        });
+    }
+
+    async _withRetry(method, args, run, options = {}) {
+        const policy = this.retryPolicy;
+        // Every attempt queues again so backoff sleeps don't hold a slot
+        const queued = {
+            priority: options.priority || commandPriority(method, args),
+            type: commandType(method, args)
+        };
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await this.queue.run(run, queued);
+                this._markOnline();
+                return result;
+            } catch (error) {
+                if (!policy) throw error;
+
+                const kind = policy.classify(error);
+                error.kind = kind;
+                const deviceLost = isDeviceLostKind(kind);
+                if (deviceLost) {
+                    this._markOffline(error, kind);
+                }
+                if (!policy.shouldRetry(kind, attempt, policy.isIdempotent(method, args))) {
+                    // Not safe to repeat, but the calls that follow should find the device attached again
+                    if (deviceLost && this.autoReconnect && await this._reattach()) {
+                        this._markOnline();
+                    }
+                    throw error;
+                }
+
+                this.emit('retry', { method, args, attempt, kind, error });
+                await sleep(policy.delay(attempt));
+                if (deviceLost && policy.waitForDevice) {
+                    try {
+                        await this.waitForDevice({ timeout: policy.waitTimeout });
+                    } catch {
+                        throw error;
+                    }
+                }
+            }
+        }
+    }
+
+    _markOffline(error, kind) {
+        if (this._online) {
+            this._online = false;
+            this.emit('disconnect', { deviceId: this.deviceId, kind, error });
+        }
+    }
+
+    _markOnline() {
+        if (!this._online) {
+            this._online = true;
+            this.emit('reconnect', { deviceId: this.deviceId });
+        }
+    }
+
+    /**
+     * Wait until the device is online again, like `adb wait-for-device`.
+     * @param {Object} options
+     * @param {number} options.timeout - Give up after this many ms (default 30000)
+     */
+    async waitForDevice(options = {}) {
+        const timeout = options.timeout ?? 30000;
+
+        if (this._useNative() || this.autoReconnect) {
+            const deadline = Date.now() + timeout;
+            let delay = 100;
+            while (!(await this._reattach())) {
+                if (Date.now() + delay > deadline) {
+                    throw new DeviceNotConnectedError({
+                        deviceId: this.deviceId,
+                        message: `Device ${this.deviceId || '(default)'} did not come back within ${timeout}ms`
+                    });
+                }
+                await sleep(delay);
+                delay = Math.min(delay * 2, 1000);
+            }
+        } else {
+            await this._execute(['wait-for-device'], { timeout });
+        }
+
+        this._markOnline();
+    }
+
+    // Check the device is online, running `adb connect` again first for a dropped network device
+    async _reattach() {
+        if (await this._isConnected()) return true;
+        if (!this.autoReconnect) return false;
+
+        try {
+            const { serial } = await this._connectTcp(this.deviceId);
+            this.log.info(`📶 Reconnected to ${serial}`);
+        } catch (error) {
+            this.log.debug(`Reconnecting to ${this.deviceId} failed: ${error.message}`);
+            return false;
+        }
+        return this._isConnected();
+    }
+
+    _useNative() {
+        return this.transport === 'native';
     }
 
+    /**
+     * Run an operation against the adb server socket. If the server is not
+     * running (not started yet, or restarted mid-session), start it through
+     * the adb binary and try again, at most once per SERVER_START_INTERVAL.
+     * If it still can't be reached, only this call falls back to the binary.
+     */
+    async _native(operation, fallback) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (error.code !== 'ECONNREFUSED') {
+                throw error;
+            }
+        }
+
+        if (!this._serverStart || Date.now() - this._serverStartedAt >= SERVER_START_INTERVAL) {
+            this._serverStartedAt = Date.now();
+            this._serverStart = this.execute(['start-server']);
+        }
+        try {
+            await this._serverStart;
+            return await operation();
+        } catch (error) {
+            if (error.code !== 'ECONNREFUSED' && !(error instanceof AdbCommandError)) {
+                throw error;
+            }
+        }
+
+        this.log.warn('adb server unreachable, running the command through the adb binary');
+        return fallback();
+    }
+
+    // Wrap a socket, adb server or child process failure with what was being run
+    _commandError(error, command, timeout) {
+        const fields = { command, deviceId: this.deviceId, cause: error };
+        if (error.code === 'ETIMEDOUT' || error.killed) {
+            return new AdbTimeoutError(`ADB command timed out after ${timeout}ms: ${command}`, { ...fields, timeout });
+        }
+
+        const stderr = error.stderr ? error.stderr.toString().trim() : null;
+        return new AdbCommandError(`ADB command failed: ${error.message}`, {
+            ...fields,
+            stderr: stderr || null,
+            exitCode: typeof error.code === 'number' ? error.code : null,
+            code: typeof error.code === 'string' ? error.code : undefined,
+            kind: classifyAdbError(error)
+        });
+    }
+
+    /**
+     * Run an adb host command. Pass an argv array (['push', local, remote]) to
+     * spawn adb without a host shell; a string is still run through the host
+     * shell for backwards compatibility.
+     * @param {string|string[]} command
+     * @param {Object} options
+     * @param {string} options.priority - Queue lane: 'high', 'normal' or 'low' (picked from the command by default)
+     */
     async execute(command, options = {}) {
+        return this._transcribe('execute', [command], () => this._execute(command, options), options);
+    }
+
+    async _execute(command, options = {}) {
         const timeout = options.timeout || 30000;
-        const fullCommand = `${this.prefix} ${command}`;
-        
+        const description = Array.isArray(command) ? command.join(' ') : command;
+
         try {
-            const { stdout, stderr } = await execAsync(fullCommand, { timeout });
+            const { stdout, stderr } = Array.isArray(command)
+                ? await execFileAsync(this.adbPath, this._hostArgs(command), {
+                    timeout,
+                    encoding: options.encoding || 'utf8',
+                    maxBuffer: options.maxBuffer || 64 * 1024 * 1024
+                })
+                : await execAsync(`${this.prefix} ${command}`, { timeout });
             
             // Some ADB commands return info via stderr that's not actually an error
-            if (stderr && !this._isWarning(stderr)) {
-                throw new Error(stderr);
+            if (stderr && stderr.length > 0 && !this._isWarning(stderr.toString())) {
+                const error = new Error(stderr.toString());
+                error.stderr = stderr;
+                throw error;
             }
             
-            return stdout.trim();
+            return Buffer.isBuffer(stdout) ? stdout : stdout.trim();
         } catch (error) {
-            if (error.code === 'ETIMEDOUT') {
-                throw new Error(`ADB command timed out after ${timeout}ms: ${command}`);
-            }
-            throw new Error(`ADB command failed: ${error.message}`);
+            throw this._commandError(error, description, timeout);
         }
     }
 
+    _hostArgs(args) {
+        const prefix = this.deviceId ? ['-s', this.deviceId] : [];
+        return [...prefix, ...args.map(String)];
+    }
+
     _isWarning(stderr) {
         const warnings = [
             'Warning:',
@@ -41,15 +358,229 @@ export class ADB {
         return warnings.some(warning => stderr.includes(warning));
     }
 
+    /**
+     * Run a command in the device shell. An argv array is quoted argument by
+     * argument so user strings reach the device literally; a string is passed
+     * to the device shell as-is.
+     * @param {string|string[]} command
+     * @param {Object} options
+     * @param {number} options.timeout - Timeout in ms
+     * @param {string} options.priority - Queue lane: 'high', 'normal' or 'low' (picked from the command by default)
+     */
     async shell(command, options = {}) {
-        // Escape command properly for shell
-        const escapedCommand = command.replace(/"/g, '\\"');
-        return this.execute(`shell "${escapedCommand}"`, options);
+        command = buildShellCommand(command);
+        return this._transcribe('shell', [command], () => this._shell(command, options), options);
+    }
+
+    async _shell(command, options = {}) {
+        if (this._useNative()) {
+            const timeout = options.timeout || 30000;
+            return this._native(async () => {
+                try {
+                    const output = await this.client.shell(this.deviceId, command, { timeout });
+                    return output.trim();
+                } catch (error) {
+                    if (error.code === 'ECONNREFUSED') throw error;
+                    throw this._commandError(error, `shell ${command}`, timeout);
+                }
+            }, () => this._binaryShell(command, options));
+        }
+        return this._binaryShell(command, options);
+    }
+
+    /**
+     * Run a device command and report how it ended instead of only its output.
+     * @returns {Promise<{stdout: string, stderr: string, exitCode: number, durationMs: number}>}
+     */
+    async shellWithResult(command, options = {}) {
+        command = buildShellCommand(command);
+        return this._transcribe('shellWithResult', [command], () => this._shellWithResult(command, options), options);
+    }
+
+    async _shellWithResult(command, options = {}) {
+        const timeout = options.timeout || 30000;
+        const startTime = Date.now();
+
+        let result;
+        if (this._useNative()) {
+            result = await this._native(async () => {
+                try {
+                    if (this._shellV2 !== false) {
+                        try {
+                            return await this.client.shellV2(this.deviceId, command, { timeout });
+                        } catch (error) {
+                            // Devices without the shell protocol reject the service outright
+                            if (error.code !== 'EADBFAIL' || !/shell/.test(error.message)) throw error;
+                            this._shellV2 = false;
+                        }
+                    }
+                    const output = await this.client.shell(this.deviceId, this._withExitSentinel(command), { timeout });
+                    return this._parseExitSentinel(output, '');
+                } catch (error) {
+                    if (error.code === 'ECONNREFUSED') throw error;
+                    throw this._commandError(error, `shell ${command}`, timeout);
+                }
+            }, () => this._binaryShellWithResult(command, options));
+        } else {
+            result = await this._binaryShellWithResult(command, options);
+        }
+
+        return { ...result, durationMs: Date.now() - startTime };
+    }
+
+    async _binaryShellWithResult(command, options = {}) {
+        const timeout = options.timeout || 30000;
+        let stdout;
+        let stderr;
+        try {
+            ({ stdout, stderr } = await execFileAsync(this.adbPath, this._hostArgs(['shell', this._withExitSentinel(command)]), {
+                timeout,
+                maxBuffer: 64 * 1024 * 1024
+            }));
+        } catch (error) {
+            if (error.killed || typeof error.stdout !== 'string' || !error.stdout.includes(EXIT_SENTINEL)) {
+                throw this._commandError(error, `shell ${command}`, timeout);
+            }
+            ({ stdout, stderr } = error);
+        }
+        return this._parseExitSentinel(stdout, stderr);
+    }
+
+    /**
+     * Start a long-running device command (logcat, getevent, screenrecord)
+     * and stream its output instead of waiting for it to finish. Streams
+     * don't take a slot in the command queue, since they hold it until they end.
+     * @param {string|string[]} command - Shell command or argv array
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Stops the command when aborted
+     * @param {number} options.highWaterMark - Bytes buffered before the device side is paused
+     * @returns {ShellStream} Readable stream, also usable with `for await`
+     */
+    spawnShell(command, options = {}) {
+        command = buildShellCommand(command);
+        const stream = new ShellStream(command, options);
+        this._streams.add(stream);
+        stream.once('close', () => this._streams.delete(stream));
+
+        if (this.recorder && !deviceCall.getStore()) {
+            this._recordStream(stream, command);
+        }
+
+        this._startStream(stream, command).catch(error => {
+            stream.destroy(this._commandError(error, `shell ${command}`, 0));
+        });
+        return stream;
+    }
+
+    async _startStream(stream, command) {
+        if (this._useNative()) {
+            const socket = await this._native(
+                () => this.client.openStream(this.deviceId, `shell:${command}`),
+                () => null
+            );
+            if (socket) {
+                stream.attach(socket, () => socket.destroy());
+                return;
+            }
+        }
+
+        const child = spawn(this.adbPath, this._hostArgs(['shell', command]), {
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+        child.on('error', error => stream.destroy(this._commandError(error, `shell ${command}`, 0)));
+        stream.attach(child.stdout, () => child.kill());
+    }
+
+    // Streams are recorded as one entry holding everything that was read before it closed
+    _recordStream(stream, command) {
+        const entry = this.recorder.begin('spawnShell', [command]);
+        const chunks = [];
+        stream.onChunk = chunk => chunks.push(Buffer.from(chunk));
+        stream.once('close', () => this.recorder.end(entry, { result: Buffer.concat(chunks) }));
+    }
+
+    /**
+     * Run several device commands in one shell invocation instead of one
+     * round trip each. Every command runs in its own subshell, so a failing
+     * or exiting command doesn't stop the ones after it.
+     * @param {Array<string|string[]>} commands - Shell commands or argv arrays
+     * @param {Object} options
+     * @param {number} options.timeout - Timeout for the whole batch in ms
+     * @param {string} options.priority - Queue lane: 'high', 'normal' or 'low'
+     * @returns {Promise<Array<{command: string, stdout: string, exitCode: number|null}>>} In command order;
+     *   exitCode is null for commands that never ran. stderr is not split per command.
+     */
+    async batch(commands, options = {}) {
+        commands = commands.map(command => buildShellCommand(command));
+        if (commands.length === 0) return [];
+        return this._transcribe('batch', [commands], async () => {
+            const { stdout } = await this._shellWithResult(this._batchScript(commands), options);
+            return this._parseBatch(commands, stdout);
+        }, options);
+    }
+
+    _batchScript(commands) {
+        return commands
+            .map((command, index) => `(${command}\n)\nprintf '\\n${BATCH_MARKER}${index}:%d\\n' "$?"`)
+            .join('\n');
+    }
+
+    _parseBatch(commands, stdout) {
+        const results = commands.map(command => ({ command, stdout: '', exitCode: null }));
+        const marker = new RegExp(`\n${BATCH_MARKER}(\\d+):(\\d+)\n?`, 'g');
+        let start = 0;
+        for (const match of stdout.matchAll(marker)) {
+            const result = results[Number(match[1])];
+            if (result) {
+                result.stdout = stdout.substring(start, match.index);
+                result.exitCode = Number(match[2]);
+            }
+            start = match.index + match[0].length;
+        }
+        return results;
+    }
+
+    // Older devices have no shell protocol, so the exit status is echoed after the command.
+    // The subshell keeps an `exit` inside the command from skipping the sentinel.
+    _withExitSentinel(command) {
+        return `(${command}\n)\nprintf '\\n${EXIT_SENTINEL}%d\\n' "$?"`;
+    }
+
+    _parseExitSentinel(stdout, stderr) {
+        const index = stdout.lastIndexOf(`\n${EXIT_SENTINEL}`);
+        if (index === -1) {
+            return { stdout, stderr, exitCode: null };
+        }
+        const exitCode = parseInt(stdout.substring(index + EXIT_SENTINEL.length + 1), 10);
+        return {
+            stdout: stdout.substring(0, index),
+            stderr,
+            exitCode: Number.isNaN(exitCode) ? null : exitCode
+        };
+    }
+
+    async _binaryShell(command, options = {}) {
+        // adb forwards a single argument to the device shell verbatim
+        return this.execute(['shell', command], options);
     }
 
     // Device management
     async getDevices() {
-        const output = await this.execute('devices -l');
+        return this._transcribe('getDevices', [], () => this._getDevices());
+    }
+
+    async _getDevices() {
+        if (this._useNative()) {
+            return this._native(
+                () => this.client.devices(),
+                () => this._binaryGetDevices()
+            );
+        }
+        return this._binaryGetDevices();
+    }
+
+    async _binaryGetDevices() {
+        const output = await this.execute(['devices', '-l']);
         const lines = output.split('\n').slice(1); // Skip header
         return lines
             .filter(line => line.trim() && !line.includes('daemon'))
@@ -63,21 +594,157 @@ export class ADB {
             });
     }
 
+    // Wireless debugging
+
+    /**
+     * Pair with a device using the code from Developer options > Wireless
+     * debugging > Pair device with pairing code (Android 11+).
+     * @param {string} address - Pairing address shown on the device, e.g. '192.168.1.20:37123'
+     * @param {string|number} code - Six digit pairing code
+     * @returns {Promise<{address: string, serial: string, guid: string|null}>}
+     */
+    async pair(address, code) {
+        code = String(code);
+        return this._transcribe('pair', [address, code], async () => {
+            const output = await this._hostStatus(['pair', address, code], () => this.client.pair(address, code));
+            return { address, ...parsePairOutput(output, address) };
+        });
+    }
+
+    /**
+     * Attach a device over TCP/IP, like `adb connect`. Port 5555 is used
+     * when the address has none.
+     * @param {string} address - 'host' or 'host:port'
+     * @returns {Promise<{address: string, serial: string, alreadyConnected: boolean}>}
+     */
+    async connectTcp(address) {
+        address = normalizeAddress(address);
+        return this._transcribe('connectTcp', [address], () => this._connectTcp(address));
+    }
+
+    async _connectTcp(address) {
+        const output = await this._hostStatus(['connect', address], () => this.client.connect(address));
+        return { address, ...parseConnectOutput(output, address) };
+    }
+
+    /**
+     * Detach a device attached over TCP/IP, or every one when no address is given.
+     * @param {string|null} address
+     * @returns {Promise<{address: string|null, serial: string|null}>}
+     */
+    async disconnectTcp(address = null) {
+        address = address ? normalizeAddress(address) : null;
+        return this._transcribe('disconnectTcp', [address], async () => {
+            const argv = address ? ['disconnect', address] : ['disconnect'];
+            const output = await this._hostStatus(argv, () => this.client.disconnect(address || ''));
+            return { address, ...parseDisconnectOutput(output, address) };
+        });
+    }
+
+    /**
+     * Restart adbd on this device listening on a TCP port, like `adb tcpip`.
+     * Attach it afterwards with connectTcp(ip).
+     * @param {number} port - Port to listen on (default 5555)
+     * @returns {Promise<{deviceId: string, port: number}>}
+     */
+    async tcpip(port = DEFAULT_TCP_PORT) {
+        return this._transcribe('tcpip', [port], async () => {
+            const output = this._useNative()
+                ? await this._native(
+                    () => this.client.tcpip(this.deviceId, port),
+                    () => this._execute(['tcpip', port])
+                )
+                : await this._execute(['tcpip', port]);
+            return { deviceId: this.deviceId, port: parseTcpipOutput(output, port) };
+        });
+    }
+
+    /**
+     * List devices advertising wireless debugging on the local network.
+     * @returns {Promise<Array<{name: string, type: string, service: string, address: string, host: string, port: number}>>}
+     *   `service` is 'pairing' for devices waiting for a pairing code, 'connect' for paired devices
+     */
+    async mdnsServices() {
+        return this._transcribe('mdnsServices', [], async () => {
+            const output = await this._hostStatus(['mdns', 'services'], () => this.client.mdnsServices());
+            return parseMdnsServices(output);
+        });
+    }
+
+    // connect, disconnect and pair exit non-zero with the reason on stdout; hand that to the parser
+    async _hostStatus(argv, native) {
+        if (this._useNative()) {
+            return this._native(native, () => this._hostStatus(argv, native));
+        }
+        try {
+            return await this._execute(argv);
+        } catch (error) {
+            const stdout = error.cause?.stdout?.toString().trim();
+            if (stdout) return stdout;
+            throw error;
+        }
+    }
+
     async getDeviceInfo() {
-        if (!this._capabilities) {
-            const brand = await this.shell('getprop ro.product.brand').catch(() => 'Unknown');
-            const model = await this.shell('getprop ro.product.model').catch(() => 'Unknown');
-            const version = await this.shell('getprop ro.build.version.release').catch(() => 'Unknown');
-            const sdk = await this.shell('getprop ro.build.version.sdk').catch(() => 'Unknown');
+        if (!this._deviceInfo) {
+            const properties = ['ro.product.brand', 'ro.product.model', 'ro.build.version.release', 'ro.build.version.sdk'];
+            // An offline or unauthorized device throws instead of leaving 'Unknown' cached for the session
+            const results = await this.batch(properties.map(property => `getprop ${property}`));
+            const [brand, model, version, sdk] = results.map(result => (
+                result.exitCode === 0 ? result.stdout.trim() : 'Unknown'
+            ));
             
-            this._capabilities = { brand, model, version, sdk };
+            this._deviceInfo = { brand, model, version, sdk };
         }
-        return this._capabilities;
+        return this._deviceInfo;
+    }
+
+    /**
+     * Which commands work on this device, probed once with a single shell
+     * call and cached. Methods use it to pick a strategy directly instead of
+     * trying every fallback.
+     * @param {Object} options
+     * @param {boolean} options.refresh - Probe again
+     * @returns {Promise<Object|null>} { sdk, resolveActivity, uiautomatorCompressed, inputMotionEvent,
+     *   screencapStdout, psAll }, or null if the device couldn't be probed
+     */
+    async getCapabilities(options = {}) {
+        if (options.refresh) {
+            this.capabilities = null;
+        }
+        if (this.capabilities) {
+            return this.capabilities;
+        }
+
+        this._capabilityProbe ??= this.shell(CAPABILITY_PROBE)
+            .then(output => parseCapabilities(output))
+            .catch(error => {
+                this.log.debug(`Capability probe failed: ${error.message}`);
+                return null;
+            })
+            .finally(() => {
+                this._capabilityProbe = null;
+            });
+
+        this.capabilities = await this._capabilityProbe;
+        if (this.capabilities) {
+            this.log.debug('Device capabilities', this.capabilities);
+        }
+        return this.capabilities;
     }
 
     async isConnected() {
+        return this._transcribe('isConnected', [], () => this._isConnected());
+    }
+
+    async _isConnected() {
         try {
-            const state = await this.execute('get-state');
+            const state = this._useNative()
+                ? await this._native(
+                    () => this.client.getState(this.deviceId),
+                    () => this.execute(['get-state'])
+                )
+                : await this.execute(['get-state']);
             return state === 'device';
         } catch (error) {
             return false;
@@ -87,8 +754,9 @@ export class ADB {
     // App management
     async isPackageInstalled(packageName) {
         try {
-            const result = await this.shell(`pm list packages ${packageName}`);
-            return result.includes(`package:${packageName}`);
+            // `pm path` exits non-zero when the package is unknown
+            const result = await this.shellWithResult(['pm', 'path', packageName]);
+            return result.exitCode === 0 && result.stdout.includes('package:');
         } catch (error) {
             return false;
         }
@@ -96,7 +764,7 @@ export class ADB {
 
     async getPackageInfo(packageName) {
         try {
-            const info = await this.shell(`dumpsys package ${packageName} | head -50`);
+            const info = await this.shell(`dumpsys package ${quoteShellArg(packageName)} | head -50`);
             const lines = info.split('\n');
             
             const packageInfo = {
@@ -124,18 +792,25 @@ export class ADB {
 
     async getLauncherActivity(packageName) {
         try {
+            const resolveActivity = async () => {
+                const result = await this.shell(['cmd', 'package', 'resolve-activity', '--brief', '-a', 'android.intent.action.MAIN', '-c', 'android.intent.category.LAUNCHER', packageName]);
+                const match = result.match(/([a-zA-Z0-9_.]+\/[a-zA-Z0-9_.]+)/);
+                return match ? match[1] : null;
+            };
+
+            const capabilities = await this.getCapabilities();
+            if (capabilities?.resolveActivity) {
+                return await resolveActivity();
+            }
+
             // Multiple methods to find launcher activity
             const methods = [
-                // Method 1: Use cmd package resolve-activity
-                async () => {
-                    const result = await this.shell(`cmd package resolve-activity --brief -a android.intent.action.MAIN -c android.intent.category.LAUNCHER ${packageName}`);
-                    const match = result.match(/([a-zA-Z0-9_.]+\/[a-zA-Z0-9_.]+)/);
-                    return match ? match[1] : null;
-                },
+                // Method 1: Use cmd package resolve-activity, unless the probe says it's missing
+                capabilities ? null : resolveActivity,
                 
                 // Method 2: Parse dumpsys package
                 async () => {
-                    const dump = await this.shell(`dumpsys package ${packageName} | grep -A 5 "android.intent.action.MAIN"`);
+                    const dump = await this.shell(`dumpsys package ${quoteShellArg(packageName)} | grep -A 5 "android.intent.action.MAIN"`);
                     const lines = dump.split('\n');
                     for (const line of lines) {
                         if (line.includes('android.intent.category.LAUNCHER')) {
@@ -149,11 +824,11 @@ export class ADB {
                 
                 // Method 3: Use pm dump with specific parsing
                 async () => {
-                    const dump = await this.shell(`pm dump ${packageName} | grep -B 2 -A 2 "android.intent.category.LAUNCHER"`);
+                    const dump = await this.shell(`pm dump ${quoteShellArg(packageName)} | grep -B 2 -A 2 "android.intent.category.LAUNCHER"`);
                     const match = dump.match(/Activity #\d+:\s*([a-zA-Z0-9_.]+\/[a-zA-Z0-9_.]+)/);
                     return match ? match[1] : null;
                 }
-            ];
+            ].filter(Boolean);
             
             for (const method of methods) {
                 try {
@@ -166,18 +841,22 @@ export class ADB {
             
             return null;
         } catch (error) {
-            console.warn('Error getting launcher activity:', error.message);
+            this.log.warn(`Error getting launcher activity: ${error.message}`, { packageName });
             return null;
         }
     }
 
     async startApp(packageName) {
-        console.log(`🚀 Starting app: ${packageName}`);
+        return this._input({ type: 'startApp', packageName }, () => this._startApp(packageName));
+    }
+
+    async _startApp(packageName) {
+        this.log.info(`🚀 Starting app: ${packageName}`);
         
         // Verify package is installed
         const isInstalled = await this.isPackageInstalled(packageName);
         if (!isInstalled) {
-            throw new Error(`Package ${packageName} is not installed`);
+            throw new AppNotInstalledError(packageName, { deviceId: this.deviceId });
         }
         
         // Try multiple launch methods in order of reliability
@@ -186,11 +865,11 @@ export class ADB {
                 name: 'Direct Activity Launch',
                 action: async () => {
                     const activity = await this.getLauncherActivity(packageName);
-                    if (!activity) throw new Error('No launcher activity found');
+                    if (!activity) throw new AppLaunchError(packageName, { message: 'No launcher activity found' });
                     
-                    const result = await this.shell(`am start -n ${activity}`);
+                    const result = await this.shell(['am', 'start', '-n', activity]);
                     if (result.includes('Error') || result.includes('Exception')) {
-                        throw new Error(result);
+                        throw new AppLaunchError(packageName, { message: result });
                     }
                     return result;
                 }
@@ -198,9 +877,9 @@ export class ADB {
             {
                 name: 'Monkey Launch',
                 action: async () => {
-                    const result = await this.shell(`monkey -p ${packageName} -c android.intent.category.LAUNCHER 1`);
+                    const result = await this.shell(['monkey', '-p', packageName, '-c', 'android.intent.category.LAUNCHER', '1']);
                     if (result.includes('Error') || result.includes('No activities found') || result.includes('killed')) {
-                        throw new Error(result);
+                        throw new AppLaunchError(packageName, { message: result });
                     }
                     return result;
                 }
@@ -208,9 +887,9 @@ export class ADB {
             {
                 name: 'Intent Launch',
                 action: async () => {
-                    const result = await this.shell(`am start -a android.intent.action.MAIN -c android.intent.category.LAUNCHER ${packageName}`);
+                    const result = await this.shell(['am', 'start', '-a', 'android.intent.action.MAIN', '-c', 'android.intent.category.LAUNCHER', packageName]);
                     if (result.includes('Error') || result.includes('No Activity found')) {
-                        throw new Error(result);
+                        throw new AppLaunchError(packageName, { message: result });
                     }
                     return result;
                 }
@@ -218,30 +897,33 @@ export class ADB {
             {
                 name: 'Force Launch',
                 action: async () => {
-                    return await this.shell(`am start --user 0 -a android.intent.action.MAIN -c android.intent.category.LAUNCHER -f 0x10200000 ${packageName}`);
+                    return await this.shell(['am', 'start', '--user', '0', '-a', 'android.intent.action.MAIN', '-c', 'android.intent.category.LAUNCHER', '-f', '0x10200000', packageName]);
                 }
             }
         ];
         
         for (const method of launchMethods) {
             try {
-                console.log(`📱 Trying ${method.name}...`);
+                this.log.debug(`📱 Trying ${method.name}...`);
                 const result = await method.action();
                 
                 // Wait for app to actually start
                 await this._waitForAppStart(packageName, 5000);
                 
-                console.log(`✅ App started successfully using ${method.name}`);
+                this.log.info(`✅ App started successfully using ${method.name}`);
                 return result;
             } catch (error) {
-                console.log(`❌ ${method.name} failed: ${error.message}`);
+                this.log.debug(`❌ ${method.name} failed: ${error.message}`);
                 continue;
             }
         }
         
         // All methods failed, provide diagnostic info
         await this._provideDiagnostics(packageName);
-        throw new Error(`Unable to start app ${packageName}. All launch methods failed.`);
+        throw new AppLaunchError(packageName, {
+            deviceId: this.deviceId,
+            message: `Unable to start app ${packageName}. All launch methods failed.`
+        });
     }
 
     async _waitForAppStart(packageName, timeout = 10000) {
@@ -257,54 +939,47 @@ export class ADB {
             }
             await new Promise(resolve => setTimeout(resolve, 500));
         }
-        throw new Error(`App ${packageName} did not start within ${timeout}ms`);
+        throw new AppLaunchError(packageName, {
+            deviceId: this.deviceId,
+            timeout,
+            message: `App ${packageName} did not start within ${timeout}ms`
+        });
     }
 
     async _provideDiagnostics(packageName) {
-        console.log('🔍 Diagnostic Information:');
+        this.log.warn('🔍 Diagnostic Information:');
         try {
             const packageInfo = await this.getPackageInfo(packageName);
-            console.log('📦 Package Info:', packageInfo);
+            this.log.warn('📦 Package Info:', packageInfo);
             
             const launcherActivity = await this.getLauncherActivity(packageName);
-            console.log('🎯 Launcher Activity:', launcherActivity || 'Not found');
+            this.log.warn(`🎯 Launcher Activity: ${launcherActivity || 'Not found'}`);
             
-            const isEnabled = await this.shell(`pm list packages -e ${packageName}`);
-            console.log('⚡ Package Enabled:', isEnabled.includes(packageName));
+            const isEnabled = await this.shell(['pm', 'list', 'packages', '-e', packageName]);
+            this.log.warn(`⚡ Package Enabled: ${isEnabled.includes(packageName)}`);
             
         } catch (error) {
-            console.log('❌ Could not gather diagnostics:', error.message);
+            this.log.warn(`❌ Could not gather diagnostics: ${error.message}`);
         }
     }
 
     async stopApp(packageName) {
-        return this.shell(`am force-stop ${packageName}`);
+        return this._input({ type: 'stopApp', packageName }, () => this.shell(['am', 'force-stop', packageName]));
     }
 
     async clearApp(packageName) {
-        return this.shell(`pm clear ${packageName}`);
+        return this._input({ type: 'clearApp', packageName }, () => this.shell(['pm', 'clear', packageName]));
     }
 
     async getCurrentActivity() {
         try {
-            // Try multiple methods to get current activity
-            const methods = [
-                async () => {
-                    const output = await this.shell('dumpsys window | grep mCurrentFocus');
-                    const match = output.match(/mCurrentFocus=Window{[^}]* ([^/]+)\/([^}]+)}/);
-                    return match ? { package: match[1], activity: match[2] } : null;
-                },
-                async () => {
-                    const output = await this.shell('dumpsys activity activities | grep "mResumedActivity"');
-                    const match = output.match(/([a-zA-Z0-9_.]+)\/([a-zA-Z0-9_.]+)/);
-                    return match ? { package: match[1], activity: match[2] } : null;
-                }
-            ];
-            
-            for (const method of methods) {
+            for (const index of preferredOrder(ACTIVITY_METHODS.length, this._activityMethod)) {
                 try {
-                    const result = await method();
-                    if (result) return result;
+                    const result = ACTIVITY_METHODS[index].parse(await this.shell(ACTIVITY_METHODS[index].command));
+                    if (result) {
+                        this._activityMethod = index;
+                        return result;
+                    }
                 } catch (error) {
                     continue;
                 }
@@ -318,30 +993,92 @@ export class ADB {
 
     // Input methods
     async tap(x, y) {
-        return this.shell(`input tap ${x} ${y}`);
+        return this._input({ type: 'tap', x, y }, () => this.shell(['input', 'tap', x, y]));
     }
 
     async swipe(x1, y1, x2, y2, duration = 300) {
-        return this.shell(`input swipe ${x1} ${y1} ${x2} ${y2} ${duration}`);
+        return this._input({ type: 'swipe', x1, y1, x2, y2, duration }, () => this.shell(['input', 'swipe', x1, y1, x2, y2, duration]));
+    }
+
+    // Press and hold before moving so the item is picked up; a plain swipe scrolls instead
+    async drag(x1, y1, x2, y2, duration = 1000) {
+        const capabilities = await this.getCapabilities();
+        if (!capabilities?.inputMotionEvent) {
+            return this.swipe(x1, y1, x2, y2, duration);
+        }
+        const [fromX, fromY, toX, toY] = [x1, y1, x2, y2].map(value => Math.round(Number(value)));
+        const hold = (Math.max(0, Number(duration)) / 1000).toFixed(3);
+        return this._input({ type: 'drag', x1, y1, x2, y2, duration }, () => this.shell(`input motionevent DOWN ${fromX} ${fromY} && sleep ${hold} && input motionevent MOVE ${toX} ${toY} && input motionevent UP ${toX} ${toY}`));
     }
 
     async type(text) {
-        // Handle special characters and spaces
-        const escapedText = text
-            .replace(/'/g, "\\'")
-            .replace(/ /g, '%s')
-            .replace(/&/g, '\\&')
-            .replace(/\$/g, '\\$');
-        return this.shell(`input text '${escapedText}'`);
+        return this._input({ type: 'type', text }, () => this.shell(['input', 'text', encodeInputText(text)]));
     }
 
     async keyEvent(keyCode) {
-        return this.shell(`input keyevent ${keyCode}`);
+        return this._input({ type: 'keyEvent', keyCode }, () => this.shell(['input', 'keyevent', keyCode]));
+    }
+
+    // File transfer. Local paths are left out of transcripts since they differ between runs.
+    async push(localPath, remotePath) {
+        return this._transcribe('push', [remotePath], () => this._push(localPath, remotePath));
+    }
+
+    async _push(localPath, remotePath) {
+        if (this._useNative()) {
+            return this._native(async () => {
+                await this.client.push(this.deviceId, localPath, remotePath);
+                return `${localPath}: 1 file pushed`;
+            }, () => this.execute(['push', localPath, remotePath]));
+        }
+        return this.execute(['push', localPath, remotePath]);
+    }
+
+    async pull(remotePath, localPath) {
+        const data = await this._transcribe('pull', [remotePath], () => this._pullData(remotePath));
+        await fs.promises.writeFile(localPath, data);
+        return `${remotePath}: 1 file pulled`;
+    }
+
+    async _pullData(remotePath) {
+        // exec-out hands its arguments to the device shell, so the path is quoted like any shell command
+        const catCommand = ['exec-out', buildShellCommand(['cat', remotePath])];
+        if (this._useNative()) {
+            return this._native(
+                () => this.client.pullBuffer(this.deviceId, remotePath),
+                () => this.execute(catCommand, { encoding: 'buffer' })
+            );
+        }
+        return this.execute(catCommand, { encoding: 'buffer' });
     }
 
     // Screen methods
     async screenshot(path) {
-        return this.execute(`exec-out screencap -p > "${path}"`);
+        const image = await this._transcribe('screencap', [], () => this._captureScreen());
+        await fs.promises.writeFile(path, image);
+        return '';
+    }
+
+    async _captureScreen() {
+        const capabilities = await this.getCapabilities();
+        if (capabilities && !capabilities.screencapStdout) {
+            // Old devices can't stream the PNG to stdout, so go through a temporary file
+            const remotePath = '/data/local/tmp/droideer-screen.png';
+            await this.shell(['screencap', '-p', remotePath]);
+            try {
+                return await this._pullData(remotePath);
+            } finally {
+                await this.shell(['rm', '-f', remotePath]).catch(() => {});
+            }
+        }
+
+        if (this._useNative()) {
+            return this._native(
+                () => this.client.exec(this.deviceId, 'screencap -p'),
+                () => this.execute(['exec-out', 'screencap', '-p'], { encoding: 'buffer' })
+            );
+        }
+        return this.execute(['exec-out', 'screencap', '-p'], { encoding: 'buffer' });
     }
 
     async getScreenSize() {
@@ -353,105 +1090,112 @@ export class ADB {
                 height: parseInt(match[2])
             };
         }
-        throw new Error('Could not determine screen size');
+        throw new AdbCommandError(`Could not determine screen size from "${output}"`, {
+            command: 'shell wm size',
+            deviceId: this.deviceId
+        });
     }
 
     async getUIHierarchy() {
         try {
-            console.log('🔍 Fetching UI hierarchy...');
+            this.log.debug('🔍 Fetching UI hierarchy...');
             
-            // Try multiple approaches for UI dump, similar to your working implementation
-            const methods = [
-                // Method 1: Standard uiautomator dump
-                {
-                    name: 'Standard UI Dump',
-                    action: async () => {
-                        await this.shell('uiautomator dump /sdcard/ui.xml');
-                        return await this.shell('cat /sdcard/ui.xml');
-                    }
-                },
-                // Method 2: Compressed dump
-                {
-                    name: 'Compressed UI Dump',
-                    action: async () => {
-                        await this.shell('uiautomator dump --compressed /sdcard/ui.xml');
-                        return await this.shell('cat /sdcard/ui.xml');
-                    }
-                },
-                // Method 3: Direct to stdout
-                {
-                    name: 'Direct stdout dump',
-                    action: async () => {
-                        return await this.shell('uiautomator dump /dev/tty');
-                    }
-                },
-                // Method 4: Alternative location
-                {
-                    name: 'Alternative location dump',
-                    action: async () => {
-                        await this.shell('uiautomator dump /data/local/tmp/ui.xml');
-                        return await this.shell('cat /data/local/tmp/ui.xml');
-                    }
-                }
-            ];
+            // Try multiple approaches for UI dump, starting with the one that worked last time
+            const capabilities = await this.getCapabilities();
 
-            for (const method of methods) {
+            for (const index of preferredOrder(UI_DUMP_METHODS.length, this._dumpMethod)) {
+                const method = UI_DUMP_METHODS[index];
+                // The probe found this uiautomator has no --compressed flag
+                if (method.compressed && capabilities && !capabilities.uiautomatorCompressed) continue;
                 try {
-                    console.log(`📱 Trying ${method.name}...`);
-                    const xmlContent = await method.action();
+                    this.log.trace(`📱 Trying ${method.name}...`);
+                    let xmlContent;
+                    for (const command of method.commands) {
+                        xmlContent = await this.shell(command);
+                    }
                     
                     if (xmlContent && xmlContent.includes('<hierarchy')) {
-                        console.log(`✅ UI hierarchy obtained using ${method.name}`);
-                        console.log(`📊 XML length: ${xmlContent.length} characters`);
+                        this._dumpMethod = index;
+                        this.log.debug(`✅ UI hierarchy obtained using ${method.name}`, { length: xmlContent.length });
                         
                         // Log first few attributes to verify we're getting resource IDs
-                        const resourceIdMatch = xmlContent.match(/resource-id="[^"]+"/);
-                        const textMatch = xmlContent.match(/text="[^"]+"/);
-                        if (resourceIdMatch) {
-                            console.log(`🎯 Found resource IDs: ${resourceIdMatch[0]}`);
-                        }
-                        if (textMatch) {
-                            console.log(`📝 Found text: ${textMatch[0]}`);
+                        if (this.log.isLevelEnabled('trace')) {
+                            const resourceIdMatch = xmlContent.match(/resource-id="[^"]+"/);
+                            const textMatch = xmlContent.match(/text="[^"]+"/);
+                            if (resourceIdMatch) {
+                                this.log.trace(`🎯 Found resource IDs: ${resourceIdMatch[0]}`);
+                            }
+                            if (textMatch) {
+                                this.log.trace(`📝 Found text: ${textMatch[0]}`);
+                            }
                         }
                         
                         return xmlContent;
                     }
                 } catch (error) {
-                    console.warn(`❌ ${method.name} failed: ${error.message}`);
+                    this.log.debug(`❌ ${method.name} failed: ${error.message}`);
                     continue;
                 }
             }
 
-            throw new Error('All UI dump methods failed');
+            throw new AdbCommandError('All UI dump methods failed', {
+                command: 'shell uiautomator dump',
+                deviceId: this.deviceId
+            });
             
         } catch (error) {
-            console.error('❌ UI hierarchy retrieval failed:', error.message);
+            this.log.error(`❌ UI hierarchy retrieval failed: ${error.message}`);
             
             // Return a minimal XML structure instead of throwing
-            return `<?xml version="1.0" encoding="UTF-8"?>
-<hierarchy rotation="0">
-    <node index="0" text="UI Dump Failed - Please refresh" resource-id="" class="android.widget.FrameLayout" 
-          bounds="[0,0][1080,1920]" content-desc="UI dump failed" clickable="false" enabled="true" 
-          focusable="false" focused="false" scrollable="false" long-clickable="false" password="false" 
-          selected="false" visible-to-user="true" package="system"/>
-</hierarchy>`;
+            return DUMP_FAILED_XML;
         }
     }
 
-    // Utility methods
-    async back() {
-        return this.keyEvent(4); // KEYCODE_BACK
-    }
+    /**
+     * Current activity and UI hierarchy in a single shell round trip, using
+     * the activity and dump strategies that worked last. Falls back to
+     * getCurrentActivity() and getUIHierarchy() for whatever didn't work.
+     * @returns {Promise<{activity: Object|null, hierarchy: string}>}
+     */
+    async getScreenState() {
+        const activityMethod = ACTIVITY_METHODS[this._activityMethod];
+        const dumpMethod = UI_DUMP_METHODS[this._dumpMethod];
 
-    async home() {
-        return this.keyEvent(3); // KEYCODE_HOME
+        let results = [];
+        try {
+            results = await this.batch([activityMethod.command, ...dumpMethod.commands]);
+        } catch (error) {
+            this.log.debug(`Batched screen read failed: ${error.message}`);
+        }
+
+        const [focus, ...dump] = results;
+        const xml = dump.at(-1)?.stdout;
+        // A failed dump leaves the previous file behind, so every dump step has to succeed
+        const dumped = dump.length > 0 && dump.every(result => result.exitCode === 0) && xml.includes('<hierarchy');
+
+        return {
+            activity: (focus && activityMethod.parse(focus.stdout)) || await this.getCurrentActivity(),
+            hierarchy: dumped ? xml : await this.getUIHierarchy()
+        };
     }
 
-    async menu() {
-        return this.keyEvent(82); // KEYCODE_MENU
+    /**
+     * Command queue depth and latency histograms per command type, to see
+     * where a flow spends its time
+     * @returns {{active: number, pending: Object, maxConcurrency: number, commands: Object}}
+     */
+    stats() {
+        return this.queue.stats();
     }
 
-    async recentApps() {
-        return this.keyEvent(187); // KEYCODE_APP_SWITCH
+    // Release pooled adb server connections and write out any transcript being recorded
+    close() {
+        for (const stream of this._streams) {
+            stream.destroy();
+        }
+        this.client.close();
+        if (this.recorder?.path) {
+            this.recorder.save();
+        }
     }
 }
\ No newline at end of file
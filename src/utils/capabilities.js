@@ -0,0 +1,58 @@
+const MARKER = '__DROIDEER_PROBE__:';
+
+// Each probe prints a marker followed by the output of a harmless command
+const PROBES = {
+    sdk: 'getprop ro.build.version.sdk',
+    resolveActivity: 'cmd package resolve-activity --brief -a android.intent.action.MAIN -c android.intent.category.HOME',
+    uiautomator: 'uiautomator help',
+    input: 'input',
+    screencap: 'screencap -h',
+    ps: 'ps -A | head -n 3'
+};
+
+/**
+ * One shell command running every probe, so the whole check costs a single
+ * round trip at connect time.
+ */
+export const CAPABILITY_PROBE = Object.entries(PROBES)
+    .map(([name, command]) => `echo ${MARKER}${name}; ${command} 2>&1`)
+    .join('; ');
+
+function splitSections(output) {
+    const sections = {};
+    let current = null;
+    for (const line of String(output).split('\n')) {
+        if (line.startsWith(MARKER)) {
+            current = line.substring(MARKER.length).trim();
+            sections[current] = [];
+        } else if (current) {
+            sections[current].push(line);
+        }
+    }
+    return Object.fromEntries(Object.entries(sections).map(([name, lines]) => [name, lines.join('\n').trim()]));
+}
+
+/**
+ * Turn the probe output into a capability report. Returns null when the
+ * output doesn't even carry the SDK level, i.e. the probe didn't run.
+ * @returns {{sdk: number, resolveActivity: boolean, uiautomatorCompressed: boolean,
+ *   inputMotionEvent: boolean, screencapStdout: boolean, psAll: boolean}|null}
+ */
+export function parseCapabilities(output) {
+    const sections = splitSections(output);
+    const sdk = parseInt(sections.sdk, 10);
+    if (Number.isNaN(sdk)) return null;
+
+    const psLines = (sections.ps || '').split('\n').filter(line => line.trim());
+    return {
+        sdk,
+        // Android 7+: resolves launcher activities without parsing dumpsys
+        resolveActivity: /^[\w.]+\/[\w.$]+$/m.test(sections.resolveActivity || ''),
+        uiautomatorCompressed: (sections.uiautomator || '').includes('--compressed'),
+        inputMotionEvent: /\bmotionevent\b/.test(sections.input || ''),
+        // exec-out needs Android 5; before that the PNG has to go through a file
+        screencapStdout: sdk >= 21 && /usage:\s*screencap/i.test(sections.screencap || ''),
+        // Android 8+ only lists the shell's own processes unless given -A
+        psAll: /\bPID\b/.test(psLines[0] || '') && psLines.length > 2
+    };
+}
@@ -0,0 +1,184 @@
+// Lanes in the order they are served
+export const PRIORITIES = ['high', 'normal', 'low'];
+
+// Upper bounds of the latency histogram buckets in ms; the last bucket takes everything slower
+export const LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// Shell commands that jump ahead of everything else, and background polling that waits for it
+const INPUT_SHELL = /^\s*input\b/;
+const BACKGROUND_SHELL = /^\s*(logcat|dumpsys\s+(meminfo|cpuinfo|netstats|batterystats))\b/;
+
+function commandText(method, args) {
+    const [command] = args;
+    if (method === 'batch') return Array.isArray(command) ? command.join('; ') : '';
+    if (method === 'execute') {
+        // ['shell', 'input tap 1 2'] runs a device command through the adb binary
+        const argv = Array.isArray(command) ? command : String(command ?? '').split(/\s+/);
+        return argv[0] === 'shell' ? argv.slice(1).join(' ') : '';
+    }
+    return method === 'shell' || method === 'shellWithResult' ? String(command ?? '') : '';
+}
+
+/**
+ * Lane a device call is queued in: input events are 'high' so taps aren't
+ * stuck behind background polling, logcat and heavy dumpsys reads are 'low'.
+ */
+export function commandPriority(method, args = []) {
+    const text = commandText(method, args);
+    if (INPUT_SHELL.test(text)) return 'high';
+    if (BACKGROUND_SHELL.test(text)) return 'low';
+    return 'normal';
+}
+
+/**
+ * Name latencies are grouped under: the program for shell commands
+ * ('shell input', 'shell uiautomator'), the method for everything else.
+ */
+export function commandType(method, args = []) {
+    if (method !== 'shell' && method !== 'shellWithResult') return method;
+    const [program] = commandText(method, args).trim().split(/\s+/);
+    return program ? `shell ${program}` : 'shell';
+}
+
+class LatencyHistogram {
+    constructor() {
+        this.count = 0;
+        this.errors = 0;
+        this.total = 0;
+        this.min = Infinity;
+        this.max = 0;
+        this.waitTotal = 0;
+        this.buckets = new Array(LATENCY_BUCKETS.length + 1).fill(0);
+    }
+
+    record(durationMs, waitMs, failed) {
+        this.count++;
+        if (failed) this.errors++;
+        this.total += durationMs;
+        this.waitTotal += waitMs;
+        this.min = Math.min(this.min, durationMs);
+        this.max = Math.max(this.max, durationMs);
+        const index = LATENCY_BUCKETS.findIndex(bound => durationMs <= bound);
+        this.buckets[index === -1 ? LATENCY_BUCKETS.length : index]++;
+    }
+
+    // Estimated from the buckets: the upper bound of the bucket holding the quantile
+    percentile(quantile) {
+        const target = Math.ceil(quantile * this.count);
+        let seen = 0;
+        for (let index = 0; index < this.buckets.length; index++) {
+            seen += this.buckets[index];
+            if (seen >= target) return Math.min(LATENCY_BUCKETS[index] ?? this.max, this.max);
+        }
+        return this.max;
+    }
+
+    toJSON() {
+        return {
+            count: this.count,
+            errors: this.errors,
+            min: this.min,
+            max: this.max,
+            mean: this.total / this.count,
+            p50: this.percentile(0.5),
+            p95: this.percentile(0.95),
+            p99: this.percentile(0.99),
+            meanWait: this.waitTotal / this.count,
+            histogram: this.buckets.map((count, index) => ({ le: LATENCY_BUCKETS[index] ?? Infinity, count }))
+        };
+    }
+}
+
+/**
+ * Limits how many commands run against one device at once. Waiting
+ * commands are served by lane ('high' before 'normal' before 'low') and
+ * in arrival order within a lane. Keeps a latency histogram per command
+ * type.
+ */
+export class CommandQueue {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxConcurrency - Commands allowed in flight at once (default 4)
+     */
+    constructor(options = {}) {
+        this.maxConcurrency = options.maxConcurrency ?? 4;
+        if (!(this.maxConcurrency >= 1)) {
+            throw new TypeError(`maxConcurrency must be at least 1, got ${options.maxConcurrency}`);
+        }
+        this.active = 0;
+        this._lanes = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+        this._histograms = new Map();
+    }
+
+    get pending() {
+        return PRIORITIES.reduce((total, priority) => total + this._lanes[priority].length, 0);
+    }
+
+    /**
+     * Run `task` once a slot is free
+     * @param {Function} task - Returns a promise
+     * @param {Object} options
+     * @param {string} options.priority - 'high', 'normal' (default) or 'low'
+     * @param {string} options.type - Histogram the latency is recorded under
+     */
+    async run(task, options = {}) {
+        const priority = options.priority || 'normal';
+        if (!this._lanes[priority]) {
+            throw new TypeError(`Unknown priority '${priority}', expected one of ${PRIORITIES.join(', ')}`);
+        }
+
+        const queuedAt = Date.now();
+        if (this.active >= this.maxConcurrency) {
+            await new Promise(resolve => this._lanes[priority].push(resolve));
+        } else {
+            this.active++;
+        }
+
+        const startedAt = Date.now();
+        let failed = false;
+        try {
+            return await task();
+        } catch (error) {
+            failed = true;
+            throw error;
+        } finally {
+            if (options.type) {
+                this._histogram(options.type).record(Date.now() - startedAt, startedAt - queuedAt, failed);
+            }
+            this._next();
+        }
+    }
+
+    // Hands the slot straight to the next waiter so `active` never dips below a busy queue
+    _next() {
+        for (const priority of PRIORITIES) {
+            const waiter = this._lanes[priority].shift();
+            if (waiter) return waiter();
+        }
+        this.active--;
+    }
+
+    _histogram(type) {
+        if (!this._histograms.has(type)) {
+            this._histograms.set(type, new LatencyHistogram());
+        }
+        return this._histograms.get(type);
+    }
+
+    /**
+     * Queue depth and latency per command type, in ms
+     * @returns {{active: number, pending: Object, maxConcurrency: number, commands: Object}}
+     */
+    stats() {
+        return {
+            active: this.active,
+            pending: Object.fromEntries(PRIORITIES.map(priority => [priority, this._lanes[priority].length])),
+            maxConcurrency: this.maxConcurrency,
+            commands: Object.fromEntries([...this._histograms].map(([type, histogram]) => [type, histogram.toJSON()]))
+        };
+    }
+
+    resetStats() {
+        this._histograms.clear();
+    }
+}
@@ -0,0 +1,444 @@
+import { SelectorSyntaxError } from '../errors/index.js';
+import { NODE_ATTRIBUTES } from './xml-parser.js';
+
+/*
+ * CSS selectors over parsed hierarchy nodes, matched right to left along
+ * the parent links. Type selectors are class names, full or short
+ * (`android.widget.Button`, `Button`); `.Button` matches any class
+ * containing the name and `#title` a resource id with or without its
+ * package. Android state is exposed as pseudo-classes.
+ */
+
+// Class names are Java names: dots and `$` for nested classes
+const TYPE_NAME = /[A-Za-z_$][\w$.-]*/y;
+const CLASS_NAME = /[\w$-]+/y;
+// `#title`, `#com.example.app:id/title` or `#android:id/content`
+const ID = /(?:[\w.-]+:id\/)?[\w-]+/y;
+const ATTRIBUTE_NAME = /[\w:-]+/y;
+const PSEUDO_NAME = /[a-z][a-z-]*/y;
+const ATTRIBUTE_OPERATOR = /(?:[~|^$*]?=)/y;
+// Unquoted attribute values run to the closing bracket, so [text=Sign in] needs no quotes
+const UNQUOTED_VALUE = /[^\]'"]+/y;
+const CASE_FLAG = /^(.*\S)\s+([iIsS])$/;
+const NTH = /^\s*(?:(odd)|(even)|([+-]?\d*)n\s*(?:([+-])\s*(\d+))?|([+-]?\d+))\s*$/i;
+
+const STATE_PSEUDOS = {
+    checked: node => node.checked === 'true',
+    checkable: node => node.checkable === 'true',
+    clickable: node => node.clickable === 'true',
+    'long-clickable': node => node['long-clickable'] === 'true',
+    enabled: node => node.enabled !== 'false',
+    disabled: node => node.enabled === 'false',
+    focusable: node => node.focusable === 'true',
+    focused: node => node.focused === 'true',
+    scrollable: node => node.scrollable === 'true',
+    selected: node => node.selected === 'true',
+    password: node => node.password === 'true',
+    visible: node => {
+        if (node['visible-to-user'] === 'false') return false;
+        const rect = node.boundsRect ?? parseBounds(node.bounds);
+        return Boolean(rect) && rect.width > 0 && rect.height > 0;
+    },
+    root: node => !node.parent,
+    empty: node => !node.children || node.children.length === 0,
+    'first-child': node => position(node, siblingsOf(node)) === 1,
+    'last-child': node => position(node, siblingsOf(node).reverse()) === 1,
+    'only-child': node => siblingsOf(node).length === 1,
+    'first-of-type': node => position(node, siblingsOfType(node)) === 1,
+    'last-of-type': node => position(node, siblingsOfType(node).reverse()) === 1,
+    'only-of-type': node => siblingsOfType(node).length === 1
+};
+
+const NTH_PSEUDOS = {
+    'nth-child': node => siblingsOf(node),
+    'nth-last-child': node => siblingsOf(node).reverse(),
+    'nth-of-type': node => siblingsOfType(node),
+    'nth-last-of-type': node => siblingsOfType(node).reverse()
+};
+
+const SELECTOR_PSEUDOS = new Set(['not', 'is', 'has']);
+const TEXT_PSEUDOS = new Set(['text', 'contains']);
+
+const compiled = new Map();
+const COMPILED_LIMIT = 200;
+
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.pos = 0;
+    }
+
+    error(message, position = this.pos) {
+        const where = position >= this.source.length ? 'at end of selector' : `at position ${position}`;
+        return new SelectorSyntaxError(`Invalid selector "${this.source}": ${message} ${where}`, {
+            selector: this.source,
+            position
+        });
+    }
+
+    skipSpace() {
+        const start = this.pos;
+        while (/\s/.test(this.source[this.pos] ?? '')) this.pos++;
+        return this.pos > start;
+    }
+
+    match(pattern) {
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.source);
+        if (!match) return null;
+        this.pos = pattern.lastIndex;
+        return match[0];
+    }
+
+    expect(character) {
+        if (this.source[this.pos] !== character) {
+            throw this.error(this.pos < this.source.length ? `expected '${character}' but found '${this.source[this.pos]}'` : `expected '${character}'`);
+        }
+        this.pos++;
+    }
+
+    // Comma separated complex selectors; `relative` allows a leading combinator, as in :has(> Button)
+    parseList(relative = false) {
+        const list = [this.parseComplex(relative)];
+        while (this.source[this.pos] === ',') {
+            this.pos++;
+            list.push(this.parseComplex(relative));
+        }
+        return list;
+    }
+
+    parseComplex(relative) {
+        this.skipSpace();
+        let combinator = ' ';
+        if (relative && /[>+~]/.test(this.source[this.pos] ?? '')) {
+            combinator = this.source[this.pos++];
+            this.skipSpace();
+        }
+
+        const parts = [{ combinator, tests: this.parseCompound() }];
+        for (;;) {
+            const spaced = this.skipSpace();
+            const next = this.source[this.pos];
+            if (next === undefined || next === ',' || next === ')') return parts;
+            if (/[>+~]/.test(next)) {
+                this.pos++;
+                this.skipSpace();
+                parts.push({ combinator: next, tests: this.parseCompound() });
+            } else if (spaced) {
+                parts.push({ combinator: ' ', tests: this.parseCompound() });
+            } else {
+                throw this.error(`unexpected '${next}'`);
+            }
+        }
+    }
+
+    parseCompound() {
+        const tests = [];
+        const start = this.pos;
+
+        if (this.source[this.pos] === '*') {
+            this.pos++;
+        } else {
+            const type = this.match(TYPE_NAME);
+            if (type) tests.push({ type: 'type', name: type });
+        }
+
+        for (;;) {
+            const character = this.source[this.pos];
+            if (character === '#') {
+                this.pos++;
+                const id = this.match(ID);
+                if (!id) throw this.error('expected an id after #');
+                tests.push({ type: 'id', id });
+            } else if (character === '.') {
+                this.pos++;
+                const name = this.match(CLASS_NAME);
+                if (!name) throw this.error('expected a class name after .');
+                tests.push({ type: 'class', name });
+            } else if (character === '[') {
+                tests.push(this.parseAttribute());
+            } else if (character === ':') {
+                tests.push(this.parsePseudo());
+            } else {
+                break;
+            }
+        }
+
+        if (this.pos === start) {
+            throw this.error(this.pos < this.source.length ? `unexpected '${this.source[this.pos]}'` : 'expected a selector');
+        }
+        return tests;
+    }
+
+    parseAttribute() {
+        this.expect('[');
+        this.skipSpace();
+        const name = this.match(ATTRIBUTE_NAME);
+        if (!name) throw this.error('expected an attribute name');
+        this.skipSpace();
+
+        const operator = this.match(ATTRIBUTE_OPERATOR);
+        if (!operator) {
+            this.expect(']');
+            return { type: 'attribute', name, operator: null };
+        }
+
+        this.skipSpace();
+        const quoted = this.source[this.pos] === '"' || this.source[this.pos] === "'";
+        let value = this.parseValue(UNQUOTED_VALUE);
+        let flag = null;
+        if (quoted) {
+            this.skipSpace();
+            if (/[iIsS]/.test(this.source[this.pos] ?? '') && /[\s\]]/.test(this.source[this.pos + 1] ?? '')) {
+                flag = this.source[this.pos++];
+                this.skipSpace();
+            }
+        } else if (value !== null) {
+            // A trailing lone i or s is the case flag: [content-desc=sale i]
+            value = value.trim();
+            const flagged = CASE_FLAG.exec(value);
+            if (flagged) [, value, flag] = flagged;
+        }
+        if (value === null || (!quoted && value === '')) throw this.error('expected an attribute value');
+        const ignoreCase = flag !== null && /i/i.test(flag);
+        this.expect(']');
+        return { type: 'attribute', name, operator, value, ignoreCase };
+    }
+
+    // A quoted string with backslash escapes, or a bare word
+    parseValue(unquoted) {
+        const quote = this.source[this.pos];
+        if (quote !== '"' && quote !== "'") return this.match(unquoted);
+
+        const start = this.pos++;
+        let value = '';
+        while (this.pos < this.source.length && this.source[this.pos] !== quote) {
+            if (this.source[this.pos] === '\\' && this.pos + 1 < this.source.length) this.pos++;
+            value += this.source[this.pos++];
+        }
+        if (this.pos >= this.source.length) throw this.error('unterminated string', start);
+        this.pos++;
+        return value;
+    }
+
+    parsePseudo() {
+        const start = this.pos;
+        this.expect(':');
+        const name = this.match(PSEUDO_NAME);
+        if (!name) throw this.error('expected a pseudo-class name');
+
+        if (STATE_PSEUDOS[name]) {
+            return { type: 'pseudo', name };
+        }
+        if (!SELECTOR_PSEUDOS.has(name) && !TEXT_PSEUDOS.has(name) && !NTH_PSEUDOS[name]) {
+            throw this.error(`unknown pseudo-class ':${name}'`, start);
+        }
+
+        this.expect('(');
+        let test;
+        if (SELECTOR_PSEUDOS.has(name)) {
+            test = { type: name, list: this.parseList(name === 'has') };
+        } else if (TEXT_PSEUDOS.has(name)) {
+            this.skipSpace();
+            const value = this.parseValue(/[^)]+/y);
+            if (value === null) throw this.error(`:${name}() needs a text`);
+            test = { type: name, value: value.trim() };
+        } else {
+            const argumentStart = this.pos;
+            const argument = this.match(/[^)]*/y);
+            const nth = parseNth(argument);
+            if (!nth) throw this.error(`invalid :${name}() argument '${argument.trim()}'`, argumentStart);
+            test = { type: 'nth', name, ...nth };
+        }
+        this.skipSpace();
+        this.expect(')');
+        return test;
+    }
+}
+
+// an+b, odd or even
+function parseNth(argument) {
+    const match = NTH.exec(argument);
+    if (!match) return null;
+    const [, odd, even, step, sign, offset, number] = match;
+    if (odd) return { a: 2, b: 1 };
+    if (even) return { a: 2, b: 0 };
+    if (number !== undefined) return { a: 0, b: Number(number) };
+    const a = step === '' || step === '+' ? 1 : step === '-' ? -1 : Number(step);
+    return { a, b: offset ? Number(sign + offset) : 0 };
+}
+
+function parseBounds(bounds) {
+    const match = /\[(\d+),(\d+)\]\[(\d+),(\d+)\]/.exec(bounds || '');
+    if (!match) return null;
+    const [, x1, y1, x2, y2] = match.map(Number);
+    return { width: x2 - x1, height: y2 - y1 };
+}
+
+function siblingsOf(node) {
+    return node.parent ? [...node.parent.children] : [node];
+}
+
+function siblingsOfType(node) {
+    return siblingsOf(node).filter(sibling => sibling.class === node.class);
+}
+
+function position(node, siblings) {
+    return siblings.indexOf(node) + 1;
+}
+
+function attributeValue(node, name) {
+    return NODE_ATTRIBUTES.includes(name) ? node[name] : node.attributes?.[name];
+}
+
+function matchesAttribute(node, test) {
+    const actual = attributeValue(node, test.name);
+    if (typeof actual !== 'string') return false;
+    if (test.operator === null) return true;
+
+    const value = test.ignoreCase ? test.value.toLowerCase() : test.value;
+    const subject = test.ignoreCase ? actual.toLowerCase() : actual;
+    switch (test.operator) {
+        case '=': return subject === value;
+        case '~=': return value !== '' && subject.split(/\s+/).includes(value);
+        case '|=': return subject === value || subject.startsWith(`${value}-`);
+        case '^=': return value !== '' && subject.startsWith(value);
+        case '$=': return value !== '' && subject.endsWith(value);
+        default: return value !== '' && subject.includes(value);
+    }
+}
+
+function matchesTest(node, test) {
+    switch (test.type) {
+        case 'type':
+            return node.class === test.name || (node.class || '').endsWith(`.${test.name}`);
+        case 'id':
+            return node['resource-id'] === test.id || Boolean(node['resource-id']?.endsWith(`:id/${test.id}`));
+        case 'class':
+            return Boolean(node.class?.includes(test.name));
+        case 'attribute':
+            return matchesAttribute(node, test);
+        case 'pseudo':
+            return STATE_PSEUDOS[test.name](node);
+        case 'nth': {
+            const index = position(node, NTH_PSEUDOS[test.name](node));
+            return test.a === 0 ? index === test.b : (index - test.b) / test.a >= 0 && (index - test.b) % test.a === 0;
+        }
+        case 'text':
+            return node.text === test.value;
+        case 'contains': {
+            // Same as the { contains } object selector: text or description, ignoring case
+            const search = test.value.toLowerCase();
+            return (node.text || '').toLowerCase().includes(search) || (node['content-desc'] || '').toLowerCase().includes(search);
+        }
+        case 'not':
+            return !test.list.some(complex => matchesComplex(node, complex, complex.length - 1));
+        case 'is':
+            return test.list.some(complex => matchesComplex(node, complex, complex.length - 1));
+        case 'has':
+            return test.list.some(complex => hasRelative(node, complex));
+    }
+    return false;
+}
+
+function matchesComplex(node, parts, index, scope = null) {
+    const part = parts[index];
+    if (!part.tests.every(test => matchesTest(node, test))) return false;
+
+    if (index === 0) {
+        return scope ? isRelated(scope, node, part.combinator) : true;
+    }
+
+    switch (part.combinator) {
+        case '>':
+            return Boolean(node.parent) && matchesComplex(node.parent, parts, index - 1, scope);
+        case '+': {
+            const siblings = siblingsOf(node);
+            const previous = siblings[siblings.indexOf(node) - 1];
+            return Boolean(previous) && matchesComplex(previous, parts, index - 1, scope);
+        }
+        case '~': {
+            const siblings = siblingsOf(node);
+            return siblings.slice(0, siblings.indexOf(node)).some(sibling => matchesComplex(sibling, parts, index - 1, scope));
+        }
+        default:
+            for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+                if (matchesComplex(ancestor, parts, index - 1, scope)) return true;
+            }
+            return false;
+    }
+}
+
+// How the first compound of a :has() argument relates to the node being tested
+function isRelated(scope, node, combinator) {
+    switch (combinator) {
+        case '>': return node.parent === scope;
+        case '+': {
+            const siblings = siblingsOf(scope);
+            return siblings[siblings.indexOf(scope) + 1] === node;
+        }
+        case '~': {
+            const siblings = siblingsOf(scope);
+            return siblings.indexOf(node) > siblings.indexOf(scope) && node.parent === scope.parent;
+        }
+        default:
+            for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+                if (ancestor === scope) return true;
+            }
+            return false;
+    }
+}
+
+function hasRelative(scope, parts) {
+    const candidates = [];
+    const collect = node => {
+        for (const child of node.children || []) {
+            candidates.push(child);
+            collect(child);
+        }
+    };
+    collect(scope);
+    // Sibling combinators look to the right of the scope, and below those siblings
+    if (parts[0].combinator === '+' || parts[0].combinator === '~') {
+        const siblings = siblingsOf(scope);
+        for (const sibling of siblings.slice(siblings.indexOf(scope) + 1)) {
+            candidates.push(sibling);
+            collect(sibling);
+        }
+    }
+    return candidates.some(candidate => matchesComplex(candidate, parts, parts.length - 1, scope));
+}
+
+/**
+ * Parse a CSS selector, with results cached per selector string
+ * @throws {SelectorSyntaxError}
+ */
+export function compileSelector(source) {
+    let result = compiled.get(source);
+    if (!result) {
+        // Failures are cached too: a selector is matched against every node of a dump
+        try {
+            const parser = new Parser(source);
+            result = parser.parseList();
+            if (parser.pos < source.length) throw parser.error(`unexpected '${source[parser.pos]}'`);
+        } catch (error) {
+            result = error;
+        }
+        if (compiled.size >= COMPILED_LIMIT) compiled.delete(compiled.keys().next().value);
+        compiled.set(source, result);
+    }
+    if (result instanceof Error) throw result;
+    return result;
+}
+
+/**
+ * Whether a parsed node matches a CSS selector. Combinators follow the
+ * node's parent links, so it has to come from parseUIHierarchy().
+ * @param {Object} node
+ * @param {string} selector
+ * @returns {boolean}
+ * @throws {SelectorSyntaxError}
+ */
+export function matchesCss(node, selector) {
+    return compileSelector(selector).some(complex => matchesComplex(node, complex, complex.length - 1));
+}
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+
+const FINGERPRINT_LENGTH = 16;
+
+// Counters, prices, clocks and percentages: values that change while the element stays the same
+const VOLATILE_TEXT = /^[\d\s.,:;/%+\-−$€£¥#()]*$/;
+
+const EDITABLE_CLASS = /EditText$/;
+
+// Per-node memos; nodes of a new dump get new entries
+const labels = new WeakMap();
+const holdsScrollable = new WeakMap();
+
+function stableText(node) {
+    if (EDITABLE_CLASS.test(node.class || '')) return '';
+    for (const value of [node.text, node['content-desc']]) {
+        const text = (value || '').replace(/\s+/g, ' ').trim();
+        if (text && !VOLATILE_TEXT.test(text)) return text;
+    }
+    return '';
+}
+
+function containsScrollable(node) {
+    let result = holdsScrollable.get(node);
+    if (result === undefined) {
+        result = node.scrollable === 'true' || (node.children || []).some(containsScrollable);
+        holdsScrollable.set(node, result);
+    }
+    return result;
+}
+
+// First stable text in document order, the node's own included
+function firstStableText(node) {
+    const text = stableText(node);
+    if (text) return text;
+    for (const child of node.children || []) {
+        const found = firstStableText(child);
+        if (found) return found;
+    }
+    return '';
+}
+
+/**
+ * The node's own stable text. An item of a scrolling list without one
+ * borrows the first in its subtree: a card is known by its title, so the
+ * cards keep apart however far the list scrolls. Nothing else borrows,
+ * or a form would be renamed by whichever field comes first; neither do
+ * items holding a scrolling list themselves, since whatever scrolls into
+ * view first would rename them.
+ */
+function labelOf(node) {
+    let label = labels.get(node);
+    if (label === undefined) {
+        label = stableText(node);
+        if (!label && node.parent?.scrollable === 'true' && !containsScrollable(node)) {
+            label = firstStableText(node);
+        }
+        labels.set(node, label);
+    }
+    return label;
+}
+
+function signatureOf(node) {
+    return `${node.class || ''}#${node['resource-id'] || ''}"${labelOf(node)}"`;
+}
+
+// Signature plus how many earlier siblings share it, so look-alike siblings stay apart
+function stepOf(node) {
+    const signature = signatureOf(node);
+    let occurrence = 0;
+    for (const sibling of node.parent?.children || []) {
+        if (sibling === node) break;
+        if (signatureOf(sibling) === signature) occurrence++;
+    }
+    return `${signature}@${occurrence}`;
+}
+
+function hash(steps) {
+    return crypto.createHash('sha1').update(steps.join('/')).digest('hex').substring(0, FINGERPRINT_LENGTH);
+}
+
+/**
+ * Identity of a node that survives redumps, unlike its positional `id`:
+ * a hash of the class, resource id, stable text and position among
+ * look-alike siblings of the node and each of its ancestors. Siblings
+ * appearing, disappearing, scrolling by or changing their text don't
+ * change it; a node whose own label text changes gets a new one.
+ * @param {Object} node - Parsed hierarchy node (with parent links)
+ * @returns {string} 16 hex characters
+ */
+export function fingerprintNode(node) {
+    const steps = [];
+    for (let current = node; current; current = current.parent) {
+        steps.unshift(stepOf(current));
+    }
+    return hash(steps);
+}
+
+/**
+ * Find the node with a fingerprint in a (new) parsed hierarchy
+ * @param {Object} root - Parsed hierarchy
+ * @param {string} fingerprint - From fingerprintNode() or element.fingerprint
+ * @returns {Object|null}
+ */
+export function findNodeByFingerprint(root, fingerprint) {
+    const search = (node, steps) => {
+        if (hash(steps) === fingerprint) return node;
+
+        const seen = new Map();
+        for (const child of node.children || []) {
+            const signature = signatureOf(child);
+            const occurrence = seen.get(signature) || 0;
+            seen.set(signature, occurrence + 1);
+            const found = search(child, [...steps, `${signature}@${occurrence}`]);
+            if (found) return found;
+        }
+        return null;
+    };
+    return search(root, [stepOf(root)]);
+}
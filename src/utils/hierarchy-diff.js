@@ -0,0 +1,275 @@
+import { NODE_ATTRIBUTES, parseUIHierarchySync } from './xml-parser.js';
+
+// Sibling indexes shift whenever something is inserted or removed above; moves are reported instead
+const DIFF_ATTRIBUTES = NODE_ATTRIBUTES.filter(name => name !== 'index');
+
+const TEXT_PREVIEW = 40;
+
+/**
+ * What changed between two hierarchy snapshots. Added and removed entries
+ * are subtree roots: a dialog that appeared is one entry, not one per node.
+ */
+export class HierarchyDiff {
+    constructor({ added = [], removed = [], moved = [], changed = [] } = {}) {
+        // [{ node, path, size }] from the new tree
+        this.added = added;
+        // [{ node, path, size }] from the old tree
+        this.removed = removed;
+        // [{ before, after, from, to }] nodes under another parent or reordered among their siblings
+        this.moved = moved;
+        // [{ before, after, path, changes: { text: { from, to }, ... } }]
+        this.changed = changed;
+    }
+
+    get hasChanges() {
+        return this.added.length + this.removed.length + this.moved.length + this.changed.length > 0;
+    }
+
+    toString() {
+        if (!this.hasChanges) return 'No changes';
+
+        const lines = [];
+        for (const { node, path, size } of this.added) {
+            lines.push(`+ ${describeNode(node)} at ${path}${size > 1 ? ` (${size} nodes)` : ''}`);
+        }
+        for (const { node, path, size } of this.removed) {
+            lines.push(`- ${describeNode(node)} at ${path}${size > 1 ? ` (${size} nodes)` : ''}`);
+        }
+        for (const { after, from, to } of this.moved) {
+            lines.push(`> ${describeNode(after)} moved ${from} -> ${to}`);
+        }
+        for (const { after, path, changes } of this.changed) {
+            const details = Object.entries(changes)
+                .map(([name, { from, to }]) => `${name} ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+            lines.push(`~ ${describeNode(after)} at ${path}: ${details.join(', ')}`);
+        }
+        return lines.join('\n');
+    }
+
+    // Nodes hold parent links and whole subtrees; serialize descriptions and paths instead
+    toJSON() {
+        const entry = ({ node, path, size }) => ({ node: describeNode(node), path, size });
+        return {
+            added: this.added.map(entry),
+            removed: this.removed.map(entry),
+            moved: this.moved.map(({ after, from, to }) => ({ node: describeNode(after), from, to })),
+            changed: this.changed.map(({ after, path, changes }) => ({ node: describeNode(after), path, changes }))
+        };
+    }
+}
+
+// `TextView#title "Red Boots"`: short class, short resource id, then text or description
+function describeNode(node) {
+    let description = (node.class || 'node').split('.').pop();
+    const id = node['resource-id'];
+    if (id) description += `#${id.replace(/^.*:id\//, '')}`;
+    const label = node.text || node['content-desc'];
+    if (label) {
+        const preview = label.length > TEXT_PREVIEW ? `${label.substring(0, TEXT_PREVIEW - 1)}…` : label;
+        description += node.text ? ` "${preview}"` : ` [${preview}]`;
+    }
+    return description;
+}
+
+function flatten(node, nodes = []) {
+    nodes.push(node);
+    for (const child of node.children || []) flatten(child, nodes);
+    return nodes;
+}
+
+// Longest increasing subsequence of `values`, as a set of the indexes that belong to it
+function increasingRun(values) {
+    const tails = [];
+    const previous = new Array(values.length);
+    for (let index = 0; index < values.length; index++) {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (values[tails[middle]] < values[index]) low = middle + 1;
+            else high = middle;
+        }
+        previous[index] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = index;
+    }
+    const run = new Set();
+    for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) run.add(index);
+    return run;
+}
+
+class Matcher {
+    constructor(attributes) {
+        this.attributes = attributes;
+        this.forward = new Map();
+        this.backward = new Map();
+        this._contents = new Map();
+    }
+
+    pair(before, after) {
+        this.forward.set(before, after);
+        this.backward.set(after, before);
+    }
+
+    // Texts, descriptions and ids in a subtree, to tell apart list items that look alike
+    contents(node) {
+        let contents = this._contents.get(node);
+        if (!contents) {
+            contents = new Set();
+            for (const descendant of flatten(node)) {
+                if (descendant.text) contents.add(`t:${descendant.text}`);
+                if (descendant['content-desc']) contents.add(`d:${descendant['content-desc']}`);
+                if (descendant['resource-id']) contents.add(`r:${descendant['resource-id']}`);
+            }
+            this._contents.set(node, contents);
+        }
+        return contents;
+    }
+
+    similarity(before, after) {
+        const a = this.contents(before);
+        const b = this.contents(after);
+        if (a.size === 0 || b.size === 0) return 0;
+        let shared = 0;
+        for (const value of a) if (b.has(value)) shared++;
+        return shared / (a.size + b.size - shared);
+    }
+
+    /**
+     * How alike two nodes are, or null if they can't be the same node.
+     * Class and resource id have to agree; equal text, description, bounds
+     * and subtree contents add up. `strict` also asks for something that
+     * identifies the node, for matches across different parents.
+     */
+    score(before, after, strict) {
+        if (before.class !== after.class || before['resource-id'] !== after['resource-id']) return null;
+
+        const sameText = Boolean(before.text) && before.text === after.text;
+        const sameDescription = Boolean(before['content-desc']) && before['content-desc'] === after['content-desc'];
+        const identified = Boolean(before['resource-id']) || sameText || sameDescription;
+        // Subtree contents are the expensive part; skip them for anonymous empty leaves
+        const similarity = (before.children?.length || after.children?.length || identified) ? this.similarity(before, after) : 0;
+        if (strict && !identified && similarity < 0.5) return null;
+
+        return (before['resource-id'] ? 3 : 0) + (sameText ? 2 : 0) + (sameDescription ? 2 : 0) +
+            (before.bounds === after.bounds ? 1 : 0) + 4 * similarity;
+    }
+
+    // Best pairs first; equal scores go to the closest positions
+    matchLists(befores, afters, strict) {
+        // Only nodes with the same class and resource id can pair up
+        const buckets = new Map();
+        afters.forEach((after, j) => {
+            const key = `${after.class}\n${after['resource-id']}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push([after, j]);
+        });
+
+        const candidates = [];
+        befores.forEach((before, i) => {
+            for (const [after, j] of buckets.get(`${before.class}\n${before['resource-id']}`) || []) {
+                const score = this.score(before, after, strict);
+                if (score !== null) candidates.push({ before, after, score, distance: Math.abs(i - j) });
+            }
+        });
+        candidates.sort((a, b) => b.score - a.score || a.distance - b.distance);
+
+        const pairs = [];
+        for (const { before, after } of candidates) {
+            if (this.forward.has(before) || this.backward.has(after)) continue;
+            this.pair(before, after);
+            pairs.push([before, after]);
+        }
+        return pairs;
+    }
+
+    // Matches children of matched nodes, level by level
+    matchDown(pairs) {
+        const pending = [...pairs];
+        while (pending.length > 0) {
+            const [before, after] = pending.pop();
+            const befores = (before.children || []).filter(child => !this.forward.has(child));
+            const afters = (after.children || []).filter(child => !this.backward.has(child));
+            pending.push(...this.matchLists(befores, afters, false));
+        }
+    }
+
+    changes(before, after) {
+        const changes = {};
+        for (const name of this.attributes) {
+            if (before[name] !== after[name]) changes[name] = { from: before[name], to: after[name] };
+        }
+        return changes;
+    }
+}
+
+/**
+ * Compare two UI hierarchy snapshots. Nodes are paired top-down: among
+ * the children of paired nodes by class, resource id, text, bounds and
+ * subtree contents, then across parents for nodes with something that
+ * identifies them.
+ * @param {Object|string} before - Parsed hierarchy (see parseUIHierarchy) or uiautomator XML
+ * @param {Object|string} after
+ * @param {Object} options
+ * @param {string[]} options.attributes - Attributes compared on paired nodes (default: all but index)
+ * @returns {HierarchyDiff}
+ */
+export function diffHierarchy(before, after, options = {}) {
+    const oldRoot = typeof before === 'string' ? parseUIHierarchySync(before) : before;
+    const newRoot = typeof after === 'string' ? parseUIHierarchySync(after) : after;
+    const matcher = new Matcher(options.attributes ?? DIFF_ATTRIBUTES);
+
+    if (oldRoot && newRoot && oldRoot.class === newRoot.class) {
+        matcher.pair(oldRoot, newRoot);
+        matcher.matchDown([[oldRoot, newRoot]]);
+    }
+
+    const oldNodes = oldRoot ? flatten(oldRoot) : [];
+    const newNodes = newRoot ? flatten(newRoot) : [];
+    matcher.matchDown(matcher.matchLists(
+        oldNodes.filter(node => !matcher.forward.has(node)),
+        newNodes.filter(node => !matcher.backward.has(node)),
+        true
+    ));
+
+    const diff = new HierarchyDiff();
+    const moved = new Set();
+    for (const after of newNodes) {
+        const before = matcher.backward.get(after);
+        if (!before) {
+            if (!after.parent || matcher.backward.has(after.parent)) {
+                diff.added.push({ node: after, path: after.id, size: flatten(after).length });
+            }
+            continue;
+        }
+
+        if (after.parent && matcher.forward.get(before.parent) !== after.parent) moved.add(after);
+
+        const changes = matcher.changes(before, after);
+        if (Object.keys(changes).length > 0) diff.changed.push({ before, after, path: after.id, changes });
+
+        // Siblings that kept their parent but not their order: everything off the longest in-order run moved
+        const kept = (after.children || []).filter(child => {
+            const match = matcher.backward.get(child);
+            return match && match.parent === before;
+        });
+        const order = kept.map(child => before.children.indexOf(matcher.backward.get(child)));
+        const inOrder = increasingRun(order);
+        kept.forEach((child, index) => {
+            if (!inOrder.has(index)) moved.add(child);
+        });
+    }
+
+    for (const before of oldNodes) {
+        if (!matcher.forward.has(before) && (!before.parent || matcher.forward.has(before.parent))) {
+            diff.removed.push({ node: before, path: before.id, size: flatten(before).length });
+        }
+    }
+
+    for (const after of newNodes) {
+        if (moved.has(after)) {
+            const before = matcher.backward.get(after);
+            diff.moved.push({ before, after, from: before.id, to: after.id });
+        }
+    }
+    return diff;
+}
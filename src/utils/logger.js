@@ -0,0 +1,198 @@
+import { InvalidArgumentError } from '../errors/index.js';
+
+export const LOG_LEVELS = {
+    silent: 0,
+    error: 1,
+    warn: 2,
+    info: 3,
+    debug: 4,
+    trace: 5
+};
+
+const CONSOLE_METHODS = {
+    error: 'error',
+    warn: 'warn',
+    info: 'log',
+    debug: 'log',
+    trace: 'log'
+};
+
+function checkLevel(level) {
+    if (!(level in LOG_LEVELS)) {
+        throw new InvalidArgumentError(`Unknown log level "${level}". Use: ${Object.keys(LOG_LEVELS).join(', ')}`, {
+            argument: 'logLevel',
+            value: level
+        });
+    }
+    return level;
+}
+
+/**
+ * Parse a level spec: 'warn', 'warn,adb=debug' or { '*': 'warn', adb: 'debug' }.
+ */
+export function parseLogLevel(spec) {
+    const entries = typeof spec === 'string'
+        ? spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const [namespace, level] = part.includes('=') ? part.split('=') : ['*', part];
+            return [namespace.trim(), level.trim()];
+        })
+        : Object.entries(spec);
+
+    const levels = { default: null, namespaces: {} };
+    for (const [namespace, level] of entries) {
+        if (namespace === '*' || namespace === 'default') {
+            levels.default = checkLevel(level);
+        } else {
+            levels.namespaces[namespace] = checkLevel(level);
+        }
+    }
+    return levels;
+}
+
+// Writes to the console, either as plain messages or one JSON object per line
+function consoleSink(json) {
+    return ({ time, level, namespace, message, fields }) => {
+        const write = console[CONSOLE_METHODS[level]];
+        if (json) {
+            write(JSON.stringify({ time: time.toISOString(), level, namespace, msg: message, ...fields }));
+        } else if (fields) {
+            write(message, fields);
+        } else {
+            write(message);
+        }
+    };
+}
+
+/**
+ * Adapts a pino/winston/bunyan style logger object. Each namespace gets a
+ * child logger bound to `{ namespace }` when the target supports it.
+ */
+function objectSink(target) {
+    const children = new Map();
+    // pino and bunyan take (fields, message), winston and console take (message, fields)
+    const fieldsFirst = typeof target.bindings === 'function' || typeof target.fields === 'object';
+
+    const forNamespace = namespace => {
+        if (!namespace || typeof target.child !== 'function') return target;
+        if (!children.has(namespace)) {
+            children.set(namespace, target.child({ namespace }));
+        }
+        return children.get(namespace);
+    };
+
+    return ({ level, namespace, message, fields }) => {
+        const logger = forNamespace(namespace);
+        const method = [level, level === 'trace' ? 'debug' : null, 'log']
+            .find(name => name && typeof logger[name] === 'function');
+        if (!method) return;
+        if (fieldsFirst) {
+            logger[method](fields || {}, message);
+        } else if (fields) {
+            logger[method](message, fields);
+        } else {
+            logger[method](message);
+        }
+    };
+}
+
+/**
+ * Leveled logger with namespaces ('adb', 'device', 'selector', 'network', 'pool').
+ * Children share their parent's configuration, so changing the level of
+ * the root logger affects every namespace.
+ */
+export class Logger {
+    constructor(config, namespace = null) {
+        this._config = config;
+        this.namespace = namespace;
+    }
+
+    child(namespace) {
+        return new Logger(this._config, namespace);
+    }
+
+    get level() {
+        return this._config.namespaces[this.namespace] || this._config.default;
+    }
+
+    setLevel(spec) {
+        const { default: level, namespaces } = parseLogLevel(spec);
+        if (level) this._config.default = level;
+        Object.assign(this._config.namespaces, namespaces);
+    }
+
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] <= LOG_LEVELS[this.level];
+    }
+
+    _log(level, message, fields) {
+        if (!this.isLevelEnabled(level)) return;
+        this._config.sink({ time: new Date(), level, namespace: this.namespace, message, fields });
+    }
+
+    error(message, fields) {
+        this._log('error', message, fields);
+    }
+
+    warn(message, fields) {
+        this._log('warn', message, fields);
+    }
+
+    info(message, fields) {
+        this._log('info', message, fields);
+    }
+
+    debug(message, fields) {
+        this._log('debug', message, fields);
+    }
+
+    trace(message, fields) {
+        this._log('trace', message, fields);
+    }
+}
+
+/**
+ * Build the root logger from connect options.
+ * @param {Object} options
+ * @param {Logger|Object|Function} options.logger - A Logger, a pino/winston compatible
+ *   object, or a function receiving `{ time, level, namespace, message, fields }`
+ * @param {string|Object} options.logLevel - Level spec, defaults to $DROIDEER_LOG_LEVEL or 'info'
+ * @param {boolean} options.logJson - Print JSON lines, defaults to $DROIDEER_LOG_FORMAT === 'json'
+ * @returns {Logger}
+ */
+export function createLogger(options = {}) {
+    if (options.logger instanceof Logger) {
+        if (options.logLevel) options.logger.setLevel(options.logLevel);
+        return options.logger;
+    }
+
+    let sink;
+    let fallbackLevel = 'info';
+    if (typeof options.logger === 'function') {
+        sink = ({ time, level, namespace, message, fields }) => options.logger({ time, level, namespace, message, ...fields });
+    } else if (options.logger) {
+        sink = objectSink(options.logger);
+        // Let the user's logger do the filtering unless told otherwise
+        fallbackLevel = options.logger.level in LOG_LEVELS ? options.logger.level : 'trace';
+    } else {
+        sink = consoleSink(options.logJson ?? process.env.DROIDEER_LOG_FORMAT === 'json');
+    }
+
+    const logger = new Logger({ default: fallbackLevel, namespaces: {}, sink });
+    const spec = options.logLevel || process.env.DROIDEER_LOG_LEVEL;
+    if (spec) logger.setLevel(spec);
+    return logger;
+}
+
+// Used by code that runs without a device (e.g. parsing a saved hierarchy)
+let defaultLogger = null;
+
+export function getDefaultLogger() {
+    if (!defaultLogger) {
+        defaultLogger = createLogger();
+    }
+    return defaultLogger;
+}
+
+export function loggerFor(owner, namespace) {
+    return (owner?.logger || getDefaultLogger()).child(namespace);
+}
@@ -0,0 +1,112 @@
+// Error kinds that go away on their own: the device comes back, the server restarts
+const TRANSIENT_KINDS = new Set(['offline', 'disconnected', 'daemon', 'timeout']);
+
+// Kinds that mean the device itself is gone for now, as opposed to a slow command
+const DEVICE_LOST_KINDS = new Set(['offline', 'disconnected', 'daemon']);
+
+const ERROR_PATTERNS = [
+    ['unauthorized', /unauthorized/i],
+    ['offline', /device offline|device still connecting|device is offline/i],
+    ['disconnected', /device '.*' not found|device not found|no devices\/emulators found|error: closed|device '.*' is not connected/i],
+    ['daemon', /cannot connect to daemon|daemon not running|daemon still not running|protocol fault|connection reset|socket closed/i],
+    ['timeout', /timed out|timeout/i]
+];
+
+const NETWORK_CODES = {
+    ECONNREFUSED: 'daemon',
+    ECONNRESET: 'daemon',
+    EPIPE: 'daemon',
+    ETIMEDOUT: 'timeout'
+};
+
+/**
+ * Sort an ADB failure into 'unauthorized', 'offline', 'disconnected',
+ * 'daemon', 'timeout' or 'fatal'.
+ */
+export function classifyAdbError(error) {
+    if (error && NETWORK_CODES[error.code]) {
+        return NETWORK_CODES[error.code];
+    }
+    const message = String(error?.message ?? error ?? '');
+    for (const [kind, pattern] of ERROR_PATTERNS) {
+        if (pattern.test(message)) return kind;
+    }
+    return 'fatal';
+}
+
+export function isTransientKind(kind) {
+    return TRANSIENT_KINDS.has(kind);
+}
+
+export function isDeviceLostKind(kind) {
+    return DEVICE_LOST_KINDS.has(kind);
+}
+
+// Device commands that change state and must not run twice, wherever a command starts:
+// after ; & | ( ` $( or a quote, as in `cd /sdcard && rm x` or `sh -c 'input tap 1 2'`
+const MUTATING_SHELL = /(?:^|[;&|(`'"\n]|\b(?:then|do|else|exec|nohup|xargs|busybox|toybox)\s)\s*(input|am|monkey|reboot|rm|kill|setprop|svc|pm\s+(install|uninstall|clear|grant|revoke|enable|disable)|settings\s+put|cmd)\b/;
+
+// Output redirected anywhere but /dev/null or another descriptor writes a file
+const REDIRECTION = />(?!\s*(?:\/dev\/null\b|&\d))/;
+
+function isMutatingShell(command) {
+    return MUTATING_SHELL.test(command) || REDIRECTION.test(command);
+}
+
+const IDEMPOTENT_HOST = new Set(['version', 'devices', 'get-state', 'get-serialno', 'get-devpath', 'start-server', 'wait-for-device', 'push', 'pull', 'connect', 'mdns']);
+
+const IDEMPOTENT_METHODS = new Set(['getDevices', 'isConnected', 'push', 'pull', 'screencap', 'connectTcp', 'mdnsServices']);
+
+/**
+ * Whether a device call can safely be issued again after a transient
+ * failure. Input events, app launches and installs are not: the first
+ * attempt may have reached the device before the connection dropped.
+ */
+export function isIdempotentCall(method, args = []) {
+    if (IDEMPOTENT_METHODS.has(method)) return true;
+
+    const [command] = args;
+    if (method === 'batch') {
+        return Array.isArray(command) && command.every(item => !isMutatingShell(item));
+    }
+    if (method === 'shell' || method === 'shellWithResult') {
+        return typeof command === 'string' && !isMutatingShell(command);
+    }
+    if (method === 'execute') {
+        const argv = Array.isArray(command) ? command : String(command).trim().split(/\s+/);
+        if (argv[0] === 'shell') {
+            return argv.length > 1 && !isMutatingShell(argv.slice(1).join(' '));
+        }
+        return IDEMPOTENT_HOST.has(argv[0]);
+    }
+    return false;
+}
+
+/**
+ * When and how often ADB calls are retried.
+ *
+ *   new ADB(serial, { retry: { retries: 5, maxDelay: 10000 } })
+ *   new ADB(serial, { retry: false })
+ */
+export class RetryPolicy {
+    constructor(options = {}) {
+        this.retries = options.retries ?? 3;
+        this.minDelay = options.minDelay ?? 250;
+        this.maxDelay = options.maxDelay ?? 5000;
+        this.factor = options.factor ?? 2;
+        // Before retrying a call that lost the device, wait this long for it to come back
+        this.waitForDevice = options.waitForDevice !== false;
+        this.waitTimeout = options.waitTimeout ?? 30000;
+        this.classify = options.classify || classifyAdbError;
+        this.isIdempotent = options.isIdempotent || isIdempotentCall;
+    }
+
+    // Exponential backoff: minDelay, minDelay * factor, ... capped at maxDelay
+    delay(attempt) {
+        return Math.min(this.maxDelay, this.minDelay * Math.pow(this.factor, attempt - 1));
+    }
+
+    shouldRetry(kind, attempt, idempotent) {
+        return idempotent && attempt <= this.retries && isTransientKind(kind);
+    }
+}
@@ -0,0 +1,34 @@
+// Characters that never need quoting in a POSIX shell word
+const SAFE_ARG = /^[A-Za-z0-9_@%+=:,./-]+$/;
+
+/**
+ * Quote a single argument for the device's /system/bin/sh so it is passed
+ * through literally. Single quotes disable every expansion; an embedded
+ * single quote is written as '\''.
+ */
+export function quoteShellArg(arg) {
+    const value = String(arg);
+    if (value.length > 0 && SAFE_ARG.test(value)) {
+        return value;
+    }
+    return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Join an argv array into a device shell command line.
+ * Strings are returned unchanged so callers can still pass raw shell syntax.
+ */
+export function buildShellCommand(command) {
+    if (Array.isArray(command)) {
+        return command.map(quoteShellArg).join(' ');
+    }
+    return command;
+}
+
+/**
+ * `input text` treats "%s" as a space and splits on real spaces,
+ * so spaces have to be encoded before quoting.
+ */
+export function encodeInputText(text) {
+    return String(text).replace(/ /g, '%s');
+}
@@ -0,0 +1,65 @@
+import { PassThrough, addAbortSignal } from 'stream';
+
+/**
+ * Output of a long-running device command (logcat, getevent, screenrecord).
+ *
+ * It is a regular Readable, so it can be piped or consumed with
+ * `for await`. The source is piped in, so a slow consumer pauses the
+ * underlying socket or process instead of buffering without bound.
+ * Destroying the stream (directly, via AbortSignal or on disconnect)
+ * stops the device command.
+ */
+export class ShellStream extends PassThrough {
+    constructor(command, options = {}) {
+        super({ highWaterMark: options.highWaterMark });
+        this.command = command;
+        this.onChunk = null;
+        this._cleanup = null;
+
+        if (options.signal) {
+            addAbortSignal(options.signal, this);
+        }
+    }
+
+    _transform(chunk, encoding, callback) {
+        if (this.onChunk) this.onChunk(chunk);
+        callback(null, chunk);
+    }
+
+    attach(source, cleanup = null) {
+        this._cleanup = cleanup;
+        if (this.destroyed) {
+            this._runCleanup();
+            return this;
+        }
+        source.on('error', error => this.destroy(error));
+        source.pipe(this);
+        return this;
+    }
+
+    _runCleanup() {
+        const cleanup = this._cleanup;
+        this._cleanup = null;
+        if (cleanup) cleanup();
+    }
+
+    _destroy(error, callback) {
+        this._runCleanup();
+        super._destroy(error, callback);
+    }
+
+    // Yield the output line by line
+    async *lines() {
+        this.setEncoding('utf8');
+        let rest = '';
+        for await (const chunk of this) {
+            rest += chunk;
+            const parts = rest.split(/\r?\n/);
+            rest = parts.pop();
+            yield* parts;
+        }
+        if (rest) {
+            yield rest;
+        }
+    }
+}
@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+import { SnapshotError } from '../errors/index.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+// A snapshot is a directory, so the dump and the screenshot can be opened with any viewer
+const METADATA_FILE = 'snapshot.json';
+const HIERARCHY_FILE = 'hierarchy.xml';
+export const SCREENSHOT_FILE = 'screenshot.png';
+
+/**
+ * Write the hierarchy and metadata files of a snapshot. The screenshot, if
+ * any, is expected to be in the directory already.
+ * @param {string} dir
+ * @param {Object} snapshot
+ * @param {string} snapshot.xml - Raw uiautomator dump
+ * @param {Object|null} snapshot.activity - { package, activity }
+ * @param {Object|null} snapshot.screenSize - { width, height }
+ * @param {Object|null} snapshot.deviceInfo
+ * @param {boolean} snapshot.screenshot - Whether screenshot.png was captured
+ * @returns {Object} The metadata written
+ */
+export function writeSnapshot(dir, snapshot) {
+    const metadata = {
+        version: SNAPSHOT_VERSION,
+        capturedAt: new Date().toISOString(),
+        activity: snapshot.activity ?? null,
+        screenSize: snapshot.screenSize ?? null,
+        deviceInfo: snapshot.deviceInfo ?? null,
+        files: {
+            hierarchy: HIERARCHY_FILE,
+            screenshot: snapshot.screenshot ? SCREENSHOT_FILE : null
+        }
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, HIERARCHY_FILE), snapshot.xml);
+    fs.writeFileSync(path.join(dir, METADATA_FILE), JSON.stringify(metadata, null, 2));
+    return metadata;
+}
+
+/**
+ * Read a snapshot saved with page.saveSnapshot()
+ * @param {string} source - Snapshot directory, or its snapshot.json
+ * @returns {Object} Metadata plus `xml`, `screenshot` (Buffer or null) and `path`
+ * @throws {SnapshotError}
+ */
+export function loadSnapshot(source) {
+    const dir = path.basename(source) === METADATA_FILE ? path.dirname(source) : source;
+    const read = (file, encoding) => {
+        try {
+            return fs.readFileSync(path.join(dir, file), encoding);
+        } catch (error) {
+            throw new SnapshotError(`Cannot read snapshot file ${path.join(dir, file)}: ${error.message}`, { path: dir, cause: error });
+        }
+    };
+
+    let metadata;
+    try {
+        metadata = JSON.parse(read(METADATA_FILE, 'utf8'));
+    } catch (error) {
+        if (error instanceof SnapshotError) throw error;
+        throw new SnapshotError(`Invalid snapshot metadata in ${dir}: ${error.message}`, { path: dir, cause: error });
+    }
+    if (metadata.version !== SNAPSHOT_VERSION) {
+        throw new SnapshotError(`Unsupported snapshot version ${metadata.version}`, { path: dir });
+    }
+
+    return {
+        ...metadata,
+        path: dir,
+        xml: read(metadata.files?.hierarchy || HIERARCHY_FILE, 'utf8'),
+        screenshot: metadata.files?.screenshot ? read(metadata.files.screenshot) : null
+    };
+}
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import { TranscriptError } from '../errors/index.js';
+
+export const TRANSCRIPT_VERSION = 1;
+
+// Buffers (screenshots, pulled files) are stored as base64 so transcripts stay plain JSON
+export function encodeValue(value) {
+    if (Buffer.isBuffer(value)) {
+        return { $buffer: value.toString('base64') };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeValue(item)]));
+    }
+    return value;
+}
+
+export function decodeValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeValue);
+    }
+    if (value && typeof value === 'object') {
+        if (typeof value.$buffer === 'string') {
+            return Buffer.from(value.$buffer, 'base64');
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeValue(item)]));
+    }
+    return value;
+}
+
+export function describeCall(call) {
+    if (!call) return '<end of transcript>';
+    const args = call.args.map(arg => JSON.stringify(arg)).join(', ');
+    return `${call.method}(${args})`;
+}
+
+/**
+ * Collects every device call made through an ADB instance, in the order
+ * the calls were issued, together with their output or error.
+ */
+export class TranscriptRecorder {
+    constructor(options = {}) {
+        this.path = options.path || null;
+        this.deviceId = options.deviceId || null;
+        this.recordedAt = new Date().toISOString();
+        this.entries = [];
+    }
+
+    begin(method, args) {
+        const entry = { method, args: encodeValue(args) };
+        this.entries.push(entry);
+        return entry;
+    }
+
+    end(entry, { result, error }) {
+        if (error) {
+            entry.error = {
+                name: error.name,
+                message: error.message,
+                code: error.code,
+                command: error.command,
+                stderr: error.stderr,
+                exitCode: error.exitCode,
+                kind: error.kind
+            };
+        } else {
+            entry.result = encodeValue(result === undefined ? null : result);
+        }
+    }
+
+    toJSON() {
+        return {
+            version: TRANSCRIPT_VERSION,
+            deviceId: this.deviceId,
+            recordedAt: this.recordedAt,
+            entries: this.entries
+        };
+    }
+
+    save(path = this.path) {
+        if (!path) {
+            throw new TranscriptError('No transcript path given');
+        }
+        fs.writeFileSync(path, JSON.stringify(this.toJSON(), null, 2));
+        return path;
+    }
+}
+
+export function loadTranscript(source) {
+    const transcript = typeof source === 'string'
+        ? JSON.parse(fs.readFileSync(source, 'utf8'))
+        : source;
+
+    if (!transcript || !Array.isArray(transcript.entries)) {
+        throw new TranscriptError('Invalid transcript: missing entries');
+    }
+    if (transcript.version !== TRANSCRIPT_VERSION) {
+        throw new TranscriptError(`Unsupported transcript version ${transcript.version}`);
+    }
+    return transcript;
+}
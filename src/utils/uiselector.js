@@ -0,0 +1,253 @@
+import { SelectorSyntaxError } from '../errors/index.js';
+
+/*
+ * UiAutomator's UiSelector chains, as written for Appium's
+ * `-android uiautomator` strategy:
+ *
+ *   new UiSelector().resourceId("x").childSelector(new UiSelector().textContains("y"))
+ *
+ * A chain holds node predicates, an optional instance() picking the n-th
+ * match, and childSelector()/fromParent() steps that continue the search
+ * below the matches or below their parents.
+ */
+
+export const UIAUTOMATOR_PREFIX = 'uiautomator=';
+
+const PREDICATES = {
+    text: ['string', (node, value) => node.text === value],
+    textContains: ['string', (node, value) => (node.text || '').includes(value)],
+    textStartsWith: ['string', (node, value) => (node.text || '').startsWith(value)],
+    textMatches: ['pattern', (node, pattern) => pattern.test(node.text || '')],
+    description: ['string', (node, value) => node['content-desc'] === value],
+    descriptionContains: ['string', (node, value) => (node['content-desc'] || '').includes(value)],
+    descriptionStartsWith: ['string', (node, value) => (node['content-desc'] || '').startsWith(value)],
+    descriptionMatches: ['pattern', (node, pattern) => pattern.test(node['content-desc'] || '')],
+    resourceId: ['string', (node, value) => node['resource-id'] === value],
+    resourceIdMatches: ['pattern', (node, pattern) => pattern.test(node['resource-id'] || '')],
+    className: ['string', (node, value) => node.class === value],
+    classNameMatches: ['pattern', (node, pattern) => pattern.test(node.class || '')],
+    packageName: ['string', (node, value) => node.package === value],
+    packageNameMatches: ['pattern', (node, pattern) => pattern.test(node.package || '')],
+    index: ['int', (node, value) => node.index === String(value)],
+    checkable: ['boolean', (node, value) => (node.checkable === 'true') === value],
+    checked: ['boolean', (node, value) => (node.checked === 'true') === value],
+    clickable: ['boolean', (node, value) => (node.clickable === 'true') === value],
+    enabled: ['boolean', (node, value) => (node.enabled !== 'false') === value],
+    focusable: ['boolean', (node, value) => (node.focusable === 'true') === value],
+    focused: ['boolean', (node, value) => (node.focused === 'true') === value],
+    longClickable: ['boolean', (node, value) => (node['long-clickable'] === 'true') === value],
+    scrollable: ['boolean', (node, value) => (node.scrollable === 'true') === value],
+    selected: ['boolean', (node, value) => (node.selected === 'true') === value]
+};
+
+const RELATIONS = { childSelector: 'child', fromParent: 'parent' };
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', "'": "'", '\\': '\\' };
+
+const compiled = new Map();
+const COMPILED_LIMIT = 200;
+
+class Parser {
+    constructor(source, start = 0) {
+        this.source = source;
+        this.pos = start;
+    }
+
+    error(message, position = this.pos) {
+        const where = position >= this.source.length ? 'at end of selector' : `at position ${position}`;
+        return new SelectorSyntaxError(`Invalid UiSelector "${this.source}": ${message} ${where}`, {
+            selector: this.source,
+            position
+        });
+    }
+
+    skipSpace() {
+        while (/\s/.test(this.source[this.pos] ?? '')) this.pos++;
+    }
+
+    match(pattern) {
+        this.skipSpace();
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.source);
+        if (!match) return null;
+        this.pos = pattern.lastIndex;
+        return match[0];
+    }
+
+    expect(character) {
+        this.skipSpace();
+        if (this.source[this.pos] !== character) {
+            throw this.error(this.pos < this.source.length ? `expected '${character}' but found '${this.source[this.pos]}'` : `expected '${character}'`);
+        }
+        this.pos++;
+    }
+
+    parse() {
+        const selector = this.parseSelector();
+        this.match(/;/y);
+        this.skipSpace();
+        if (this.pos < this.source.length) throw this.error(`unexpected '${this.source[this.pos]}'`);
+        return selector;
+    }
+
+    // [new] UiSelector() followed by .method(argument) calls
+    parseSelector() {
+        this.match(/new\b/y);
+        this.skipSpace();
+        const start = this.pos;
+        if (this.match(/\w+/y) !== 'UiSelector') throw this.error('expected UiSelector()', start);
+        this.expect('(');
+        this.expect(')');
+
+        const selector = { predicates: [], instance: null, steps: [] };
+        for (;;) {
+            this.skipSpace();
+            if (this.source[this.pos] !== '.') return selector;
+            this.pos++;
+            this.skipSpace();
+            const nameStart = this.pos;
+            const name = this.match(/\w+/y);
+            if (!name) throw this.error('expected a method name');
+
+            this.expect('(');
+            this.skipSpace();
+            const argumentStart = this.pos;
+            // Like UiSelector's builder, predicates and instance() apply to this selector wherever they appear
+            if (RELATIONS[name]) {
+                selector.steps.push({ relation: RELATIONS[name], selector: this.parseSelector() });
+            } else if (name === 'instance') {
+                selector.instance = this.parseArgument('int', argumentStart);
+            } else if (PREDICATES[name]) {
+                const [type, test] = PREDICATES[name];
+                const value = this.parseArgument(type, argumentStart);
+                selector.predicates.push(node => test(node, value));
+            } else {
+                throw this.error(`unsupported method ${name}()`, nameStart);
+            }
+            this.expect(')');
+        }
+    }
+
+    parseArgument(type, start) {
+        switch (type) {
+            case 'boolean': {
+                const value = this.match(/(true|false)\b/y);
+                if (!value) throw this.error('expected true or false', start);
+                return value === 'true';
+            }
+            case 'int': {
+                const value = this.match(/\d+/y);
+                if (!value) throw this.error('expected a non-negative integer', start);
+                return Number(value);
+            }
+            case 'pattern':
+                return this.parsePattern(this.parseString(), start);
+            default:
+                return this.parseString();
+        }
+    }
+
+    // A Java string literal
+    parseString() {
+        this.skipSpace();
+        const start = this.pos;
+        if (this.source[this.pos] !== '"') throw this.error('expected a string');
+        this.pos++;
+        let value = '';
+        while (this.pos < this.source.length && this.source[this.pos] !== '"') {
+            const character = this.source[this.pos++];
+            if (character !== '\\') {
+                value += character;
+                continue;
+            }
+            const escaped = this.source[this.pos++];
+            if (escaped === 'u' && /^[0-9a-fA-F]{4}$/.test(this.source.substr(this.pos, 4))) {
+                value += String.fromCharCode(parseInt(this.source.substr(this.pos, 4), 16));
+                this.pos += 4;
+            } else if (ESCAPES[escaped] !== undefined) {
+                value += ESCAPES[escaped];
+            } else {
+                throw this.error(`invalid escape '\\${escaped ?? ''}'`, this.pos - 2);
+            }
+        }
+        if (this.pos >= this.source.length) throw this.error('unterminated string', start);
+        this.pos++;
+        return value;
+    }
+
+    // Java's Pattern.matches(): the whole value has to match; leading (?i) style flags become RegExp flags
+    parsePattern(source, start) {
+        const flags = /^\(\?([imsu]+)\)/.exec(source);
+        const pattern = flags ? source.substring(flags[0].length) : source;
+        try {
+            return new RegExp(`^(?:${pattern})$`, flags ? [...new Set(flags[1])].join('') : '');
+        } catch (error) {
+            throw this.error(`invalid pattern "${source}" (${error.message})`, start);
+        }
+    }
+}
+
+/**
+ * Parse a UiSelector chain, with results cached per string
+ * @param {string} source - With or without the `uiautomator=` prefix
+ * @throws {SelectorSyntaxError}
+ */
+export function compileUiSelector(source) {
+    let selector = compiled.get(source);
+    if (!selector) {
+        // Positions in errors count from the start of `source`, prefix included
+        selector = new Parser(source, source.startsWith(UIAUTOMATOR_PREFIX) ? UIAUTOMATOR_PREFIX.length : 0).parse();
+        if (compiled.size >= COMPILED_LIMIT) compiled.delete(compiled.keys().next().value);
+        compiled.set(source, selector);
+    }
+    return selector;
+}
+
+function descendants(node, results = []) {
+    for (const child of node.children || []) {
+        results.push(child);
+        descendants(child, results);
+    }
+    return results;
+}
+
+function evaluate(selector, candidates) {
+    let nodes = candidates.filter(node => selector.predicates.every(predicate => predicate(node)));
+    if (selector.instance !== null) {
+        nodes = nodes[selector.instance] ? [nodes[selector.instance]] : [];
+    }
+
+    for (const step of selector.steps) {
+        const found = new Set();
+        for (const node of nodes) {
+            // fromParent() searches the parent's subtree, so siblings and their children
+            const scope = step.relation === 'child' ? node : node.parent;
+            if (!scope) continue;
+            for (const match of evaluate(step.selector, descendants(scope))) found.add(match);
+        }
+        nodes = [...found];
+    }
+    return nodes;
+}
+
+/**
+ * Nodes a UiSelector chain finds, in document order
+ * @param {Object} root - Parsed hierarchy node to search
+ * @param {string} source - UiSelector chain, with or without the `uiautomator=` prefix
+ * @param {Object} options
+ * @param {boolean} options.within - Search only below `root`, leaving `root` itself out
+ * @returns {Object[]}
+ * @throws {SelectorSyntaxError}
+ */
+export function selectUiSelector(root, source, options = {}) {
+    const selector = compileUiSelector(source);
+    const candidates = options.within ? descendants(root) : descendants(root, [root]);
+    const nodes = evaluate(selector, candidates);
+    if (selector.steps.length === 0) return nodes;
+
+    // Steps from several matches can interleave, and fromParent() may leave the scope; put them back in tree order
+    let top = root;
+    while (top.parent) top = top.parent;
+    const order = new Map(descendants(top, [top]).map((node, index) => [node, index]));
+    return nodes.sort((a, b) => order.get(a) - order.get(b));
+}
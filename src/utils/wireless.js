@@ -0,0 +1,96 @@
+import { AdbCommandError } from '../errors/index.js';
+import { classifyAdbError } from './retry.js';
+
+export const DEFAULT_TCP_PORT = 5555;
+
+// "192.168.1.20:5555" or "[fe80::1]:5555", as listed for devices attached with `adb connect`
+const NETWORK_SERIAL = /^(\[[0-9a-f:.%\w]+\]|[\w.-]+):\d+$/i;
+
+const MDNS_SERVICES = {
+    '_adb-tls-pairing._tcp': 'pairing',
+    '_adb-tls-connect._tcp': 'connect',
+    '_adb._tcp': 'legacy'
+};
+
+export function isNetworkSerial(serial) {
+    return typeof serial === 'string' && NETWORK_SERIAL.test(serial);
+}
+
+// Add adb's default port to a bare host name or IP
+export function normalizeAddress(address, port = DEFAULT_TCP_PORT) {
+    address = String(address).trim();
+    return isNetworkSerial(address) ? address : `${address}:${port}`;
+}
+
+// These commands answer with a status line instead of failing, so unexpected output is the error
+function statusError(output, command) {
+    const message = output || 'no output';
+    return new AdbCommandError(`ADB command failed: ${message}`, {
+        command,
+        stderr: output || null,
+        kind: classifyAdbError(message)
+    });
+}
+
+/**
+ * Parse `adb connect` output: "connected to 192.168.1.20:5555" or
+ * "already connected to 192.168.1.20:5555".
+ * @returns {{serial: string, alreadyConnected: boolean}}
+ */
+export function parseConnectOutput(output, address) {
+    const match = String(output).trim().match(/^(already )?connected to (\S+)/);
+    if (!match) {
+        throw statusError(String(output).trim(), `connect ${address}`);
+    }
+    return { serial: match[2], alreadyConnected: Boolean(match[1]) };
+}
+
+export function parseDisconnectOutput(output, address) {
+    const text = String(output).trim();
+    if (!text.startsWith('disconnected')) {
+        throw statusError(text, address ? `disconnect ${address}` : 'disconnect');
+    }
+    return { serial: address || null };
+}
+
+/**
+ * Parse `adb pair` output: "Successfully paired to 192.168.1.20:37123 [guid=adb-XXXX-abc]".
+ * @returns {{serial: string, guid: string|null}}
+ */
+export function parsePairOutput(output, address) {
+    const match = String(output).trim().match(/Successfully paired to (\S+)(?: \[guid=([^\]]+)\])?/);
+    if (!match) {
+        throw statusError(String(output).trim(), `pair ${address}`);
+    }
+    return { serial: match[1], guid: match[2] || null };
+}
+
+export function parseTcpipOutput(output, port) {
+    const match = String(output).trim().match(/restarting in TCP mode port: (\d+)/);
+    if (!match) {
+        throw statusError(String(output).trim(), `tcpip ${port}`);
+    }
+    return Number(match[1]);
+}
+
+/**
+ * Parse `adb mdns services`: one "name<TAB>type<TAB>host:port" line per service.
+ * @returns {Array<{name: string, type: string, service: string, address: string, host: string, port: number}>}
+ */
+export function parseMdnsServices(output) {
+    return String(output).split('\n')
+        .map(line => line.trim().split(/\s+/))
+        .filter(parts => parts.length >= 3 && MDNS_SERVICES[parts[1].replace(/\.$/, '')])
+        .map(([name, type, address]) => {
+            type = type.replace(/\.$/, '');
+            const separator = address.lastIndexOf(':');
+            return {
+                name,
+                type,
+                service: MDNS_SERVICES[type],
+                address,
+                host: address.substring(0, separator),
+                port: Number(address.substring(separator + 1))
+            };
+        });
+}
@@ -1,46 +1,34 @@
-import xml2js from 'xml2js';
+import { HierarchyParseError } from '../errors/index.js';
+import { getDefaultLogger } from './logger.js';
 
-export async function parseUIHierarchy(xmlString) {
-    try {
-        // Clean the XML string first
-        const cleanedXml = cleanXMLString(xmlString);
-        
-        // Parse with xml2js
-        const parser = new xml2js.Parser({
-            explicitArray: true,
-            explicitChildren: true,
-            preserveChildrenOrder: true,
-            charsAsChildren: true,
-            includeWhiteChars: false,
-            normalize: false,
-            normalizeTags: false,
-            trim: true
-        });
-        
-        const result = await new Promise((resolve, reject) => {
-            parser.parseString(cleanedXml, (err, result) => {
-                if (err) {
-                    reject(new Error(`XML parsing failed: ${err.message}`));
-                } else {
-                    resolve(result);
-                }
-            });
-        });
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
 
-        if (!result || !result.hierarchy || !result.hierarchy.node) {
-            throw new Error('Invalid XML structure: missing hierarchy or node');
-        }
+const CONTROL_CHAR = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/;
+
+// name="value" or name='value', matched from the current position only
+const ATTRIBUTE = /\s*([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+
+const BOUNDS = /\[(\d+),(\d+)\]\[(\d+),(\d+)\]/;
+
+// Attributes every parsed node carries, defaulted when the dump leaves them out
+export const NODE_ATTRIBUTES = [
+    'index', 'text', 'resource-id', 'class', 'package', 'content-desc', 'checkable', 'checked', 'clickable',
+    'enabled', 'focusable', 'focused', 'scrollable', 'long-clickable', 'password', 'selected',
+    'visible-to-user', 'bounds'
+];
 
-        const rootNode = result.hierarchy.node[0];
-        return processNode(rootNode, 0);
-        
+export async function parseUIHierarchy(xmlString, options = {}) {
+    try {
+        return parseUIHierarchySync(xmlString);
     } catch (error) {
-        console.error('Error parsing UI hierarchy:', error.message);
-        console.error('XML preview:', xmlString.substring(0, 200) + '...');
-        
+        const log = (options.logger || getDefaultLogger()).child('selector');
+        log.error(`Error parsing UI hierarchy: ${error.message}`);
+        log.debug(`XML preview: ${String(xmlString).substring(0, 200)}...`);
+
         // Return a minimal structure if parsing fails
         return {
-            id: 0,
+            id: '0',
+            depth: 0,
             tag: 'hierarchy',
             class: 'android.widget.FrameLayout',
             'resource-id': '',
@@ -54,53 +42,152 @@ export async function parseUIHierarchy(xmlString) {
     }
 }
 
-function cleanXMLString(xmlString) {
+/**
+ * Parse a uiautomator dump in a single pass over the string. Every node
+ * gets its `depth`, an `id` made of its position in the tree ('0.2.1' is
+ * the second child of the third child of the root), pre-parsed
+ * `boundsRect` and a non-enumerable `parent` link (null on the root).
+ * @param {string} xmlString
+ * @returns {Object} Root node
+ * @throws {HierarchyParseError} If the document is not a well-formed hierarchy
+ */
+export function parseUIHierarchySync(xmlString) {
     if (!xmlString || typeof xmlString !== 'string') {
-        throw new Error('Invalid XML string provided');
+        throw new HierarchyParseError('Invalid XML string provided', { hierarchy: xmlString });
+    }
+
+    // Skip whatever the shell printed before the document
+    const start = xmlString.search(/<\?xml|<hierarchy/);
+    if (start === -1) {
+        throw new HierarchyParseError('Invalid XML structure: missing hierarchy or node', { hierarchy: xmlString });
+    }
+    let xml = xmlString.substring(start);
+    if (CONTROL_CHAR.test(xml)) {
+        xml = xml.replace(new RegExp(CONTROL_CHAR.source, 'g'), '');
+    }
+
+    const fail = message => new HierarchyParseError(`XML parsing failed: ${message}`, { hierarchy: xmlString });
+    const stack = [];
+    let inHierarchy = false;
+    let root = null;
+    // Open nodes below a second top-level node, which is skipped
+    let skipped = 0;
+    let pos = 0;
+
+    while ((pos = xml.indexOf('<', pos)) !== -1) {
+        if (xml.startsWith('<?', pos) || xml.startsWith('<!--', pos) || xml.startsWith('<!', pos)) {
+            const terminator = xml.startsWith('<?', pos) ? '?>' : xml.startsWith('<!--', pos) ? '-->' : '>';
+            const end = xml.indexOf(terminator, pos);
+            if (end === -1) throw fail(`unterminated markup at offset ${start + pos}`);
+            pos = end + terminator.length;
+            continue;
+        }
+
+        if (xml.startsWith('</', pos)) {
+            const end = xml.indexOf('>', pos);
+            if (end === -1) throw fail(`unterminated closing tag at offset ${start + pos}`);
+            const name = xml.substring(pos + 2, end).trim();
+            if (name === 'node') {
+                if (skipped > 0) {
+                    skipped--;
+                } else if (stack.length === 0) {
+                    throw fail(`unexpected </node> at offset ${start + pos}`);
+                } else {
+                    stack.pop();
+                }
+            } else if (name === 'hierarchy') {
+                if (stack.length > 0 || skipped > 0) throw fail(`unclosed <node> before </hierarchy> at offset ${start + pos}`);
+                inHierarchy = false;
+                break;
+            }
+            pos = end + 1;
+            continue;
+        }
+
+        // Opening tag: name, attributes, then `>` or `/>`
+        let cursor = pos + 1;
+        while (cursor < xml.length && !/[\s/>]/.test(xml[cursor])) cursor++;
+        const name = xml.substring(pos + 1, cursor);
+
+        const attributes = {};
+        ATTRIBUTE.lastIndex = cursor;
+        let match;
+        while ((match = ATTRIBUTE.exec(xml)) !== null) {
+            attributes[match[1]] = decodeValue(match[2] ?? match[3]);
+            cursor = ATTRIBUTE.lastIndex;
+        }
+        while (cursor < xml.length && /\s/.test(xml[cursor])) cursor++;
+
+        const selfClosing = xml.startsWith('/>', cursor);
+        if (!selfClosing && xml[cursor] !== '>') {
+            throw fail(`malformed <${name}> tag at offset ${start + pos}`);
+        }
+        pos = cursor + (selfClosing ? 2 : 1);
+
+        if (name === 'hierarchy') {
+            inHierarchy = true;
+            continue;
+        }
+        if (name !== 'node' || !inHierarchy) continue;
+
+        const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+        // Only the first top-level node is the screen
+        if (skipped > 0 || (!parent && root)) {
+            if (!selfClosing) skipped++;
+            continue;
+        }
+
+        const node = parent
+            ? createNode(attributes, `${parent.id}.${parent.children.length}`, parent.depth + 1, parent)
+            : createNode(attributes, '0', 0, null);
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            root = node;
+        }
+        if (!selfClosing) stack.push(node);
     }
-    
-    // Remove any leading/trailing whitespace
-    let cleaned = xmlString.trim();
-    
-    // Remove any non-XML content before the <?xml declaration or <hierarchy> tag
-    const xmlStartMatch = cleaned.match(/<\?xml|<hierarchy/);
-    if (xmlStartMatch) {
-        cleaned = cleaned.substring(xmlStartMatch.index);
+
+    if (stack.length > 0 || skipped > 0 || inHierarchy) {
+        throw fail('unexpected end of document');
     }
-    
-    // Fix common XML issues
-    cleaned = cleaned
-        // Remove null bytes and other problematic characters
-        .replace(/\0/g, '')
-        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '')
-        // Fix unclosed tags that might appear in dumpsys output
-        .replace(/&(?![a-zA-Z0-9#]{1,8};)/g, '&amp;')
-        // Ensure proper XML declaration if missing
-        .replace(/^<hierarchy/, '<?xml version="1.0" encoding="UTF-8"?><hierarchy');
-    
-    return cleaned;
+    if (!root) {
+        throw new HierarchyParseError('Invalid XML structure: missing hierarchy or node', { hierarchy: xmlString });
+    }
+    return root;
+}
+
+function decodeValue(value) {
+    if (!value.includes('&')) return value;
+
+    // Unknown entities and bare ampersands are kept as they are
+    return value.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (entity, body) => {
+        if (body[0] === '#') {
+            const code = body[1] === 'x' ? parseInt(body.substring(2), 16) : parseInt(body.substring(1), 10);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+        return ENTITIES[body] ?? entity;
+    });
 }
 
-function processNode(node, id = 0) {
-    // Extract all attributes with proper defaults
-    const attributes = node.$ || {};
-    
+function createNode(attributes, id, depth, parent) {
     // Ensure all important attributes exist with proper defaults
-    const processedNode = {
-        id: id,
+    const node = {
+        id,
+        depth,
         tag: 'node',
-        
+
         // Core identification attributes
         class: attributes.class || 'android.view.View',
         'resource-id': attributes['resource-id'] || '',
         text: attributes.text || '',
         'content-desc': attributes['content-desc'] || '',
-        
+
         // Layout attributes
         bounds: attributes.bounds || '[0,0][0,0]',
         index: attributes.index || '0',
         package: attributes.package || '',
-        
+
         // State attributes
         clickable: attributes.clickable || 'false',
         'long-clickable': attributes['long-clickable'] || 'false',
@@ -113,46 +200,42 @@ function processNode(node, id = 0) {
         checked: attributes.checked || 'false',
         password: attributes.password || 'false',
         'visible-to-user': attributes['visible-to-user'] || 'true',
-        
+
         // Store all original attributes for debugging
-        attributes: { ...attributes },
-        
-        // Children array
+        attributes,
+
+        boundsRect: parseBounds(attributes.bounds),
+        selector: null,
         children: []
     };
-    
-    // Add bounds parsing for easier access
-    if (processedNode.bounds) {
-        const boundsMatch = processedNode.bounds.match(/\[(\d+),(\d+)\]\[(\d+),(\d+)\]/);
-        if (boundsMatch) {
-            const [, x1, y1, x2, y2] = boundsMatch.map(Number);
-            processedNode.boundsRect = {
-                x1, y1, x2, y2,
-                centerX: Math.floor((x1 + x2) / 2),
-                centerY: Math.floor((y1 + y2) / 2),
-                width: x2 - x1,
-                height: y2 - y1
-            };
-        }
-    }
-    
-    // Generate a unique selector for this element
-    processedNode.selector = generateSelector(processedNode);
-    
-    // Process children
-    let childId = id * 1000 + 1;
-    if (node.node && Array.isArray(node.node)) {
-        for (const child of node.node) {
-            processedNode.children.push(processNode(child, childId++));
-        }
-    }
-    
-    return processedNode;
+
+    // Not enumerable, so logging or serializing a node doesn't walk back up the tree
+    Object.defineProperty(node, 'parent', { value: parent, writable: true, configurable: true });
+
+    node.selector = generateSelector(node);
+    return node;
+}
+
+function parseBounds(bounds) {
+    const match = bounds && BOUNDS.exec(bounds);
+    if (!match) return null;
+
+    const x1 = Number(match[1]);
+    const y1 = Number(match[2]);
+    const x2 = Number(match[3]);
+    const y2 = Number(match[4]);
+    return {
+        x1, y1, x2, y2,
+        centerX: Math.floor((x1 + x2) / 2),
+        centerY: Math.floor((y1 + y2) / 2),
+        width: x2 - x1,
+        height: y2 - y1
+    };
 }
 
 function generateSelector(node) {
     let selector = node.class;
-    
+
     if (node['resource-id']) {
         selector += `[@resource-id="${node['resource-id']}"]`;
     } else if (node.text && node.text.length > 0) {
@@ -163,10 +246,10 @@ function generateSelector(node) {
         const escapedDesc = node['content-desc'].replace(/"/g, '\\"');
         selector += `[@content-desc="${escapedDesc}"]`;
     }
-    
+
     if (node.index && node.index !== '0') {
         selector += `[${node.index}]`;
     }
-    
+
     return selector;
-}
\ No newline at end of file
+}
@@ -0,0 +1,762 @@
+import { InvalidArgumentError, SelectorSyntaxError } from '../errors/index.js';
+import { NODE_ATTRIBUTES } from './xml-parser.js';
+
+/*
+ * XPath 1.0 over a parsed UI hierarchy. The tree is presented the way
+ * Appium Inspector shows it: a document holding a `hierarchy` element,
+ * whose child is the root node. Nodes are named after their class, so
+ * `//android.widget.Button` and the short `//Button` both match buttons;
+ * `node` matches any node, as in the raw uiautomator dump. A node's
+ * `text` attribute doubles as its text() child.
+ */
+
+const TOKEN = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|("[^"]*"|'[^']*')|(\/\/|\/|\.\.|::|!=|<=|>=|[()[\]@,|+\-=<>*.])|([A-Za-z_][\w.-]*))/y;
+
+// After these a `*` is a name test and `and`/`or`/`div`/`mod` are names; after anything else they are operators
+const OPERAND_EXPECTED = new Set(['@', '::', '(', '[', ',', '/', '//', '|', '+', '-', '=', '!=', '<', '<=', '>', '>=']);
+const OPERATOR_NAMES = new Set(['and', 'or', 'div', 'mod']);
+
+const NODE_TYPES = new Set(['node', 'text', 'comment', 'processing-instruction']);
+
+const AXES = new Set([
+    'ancestor', 'ancestor-or-self', 'attribute', 'child', 'descendant', 'descendant-or-self', 'following',
+    'following-sibling', 'namespace', 'parent', 'preceding', 'preceding-sibling', 'self'
+]);
+
+const REVERSE_AXES = new Set(['ancestor', 'ancestor-or-self', 'preceding', 'preceding-sibling']);
+
+const compiled = new Map();
+const COMPILED_LIMIT = 200;
+
+function tokenize(source) {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < source.length) {
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(source);
+        if (!match) {
+            if (/^\s*$/.test(source.substring(start))) break;
+            const position = start + source.substring(start).search(/\S/);
+            throw new SelectorSyntaxError(`Invalid XPath "${source}": unexpected character '${source[position]}' at position ${position}`, {
+                selector: source,
+                position
+            });
+        }
+
+        const position = match.index + match[0].length - (match[1] ?? match[2] ?? match[3] ?? match[4]).length;
+        const previous = tokens[tokens.length - 1];
+        const operatorExpected = previous && !(previous.type === 'op' && OPERAND_EXPECTED.has(previous.value)) && previous.type !== 'operator';
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]), position });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'string', value: match[2].slice(1, -1), position });
+        } else if (match[3] === '*' && operatorExpected) {
+            tokens.push({ type: 'operator', value: '*', position });
+        } else if (match[3] === '*') {
+            tokens.push({ type: 'name', value: '*', position });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'op', value: match[3], position });
+        } else if (operatorExpected && OPERATOR_NAMES.has(match[4])) {
+            tokens.push({ type: 'operator', value: match[4], position });
+        } else {
+            tokens.push({ type: 'name', value: match[4], position });
+        }
+    }
+    return tokens;
+}
+
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) throw this.error('empty expression');
+        const expression = this.parseOr();
+        if (this.peek()) throw this.error(`unexpected '${this.peek().value}'`);
+        return expression;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.index + offset];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOp(value, offset = 0) {
+        const token = this.peek(offset);
+        return Boolean(token) && token.type === 'op' && token.value === value;
+    }
+
+    isOperator(...values) {
+        const token = this.peek();
+        return Boolean(token) && token.type === 'operator' && values.includes(token.value);
+    }
+
+    expect(value) {
+        if (!this.isOp(value)) {
+            throw this.error(this.peek() ? `expected '${value}' but found '${this.peek().value}'` : `expected '${value}'`);
+        }
+        return this.next();
+    }
+
+    error(message, token = this.peek()) {
+        const position = token ? token.position : this.source.length;
+        const where = token ? `at position ${position}` : 'at end of expression';
+        return new SelectorSyntaxError(`Invalid XPath "${this.source}": ${message} ${where}`, {
+            selector: this.source,
+            position
+        });
+    }
+
+    parseBinary(operators, parseOperand) {
+        let left = parseOperand();
+        for (;;) {
+            const token = this.peek();
+            const isOperator = token && (token.type === 'operator' || token.type === 'op') && operators.includes(token.value);
+            if (!isOperator) return left;
+            this.next();
+            left = { type: 'binary', operator: token.value, left, right: parseOperand() };
+        }
+    }
+
+    parseOr() {
+        return this.parseBinary(['or'], () => this.parseAnd());
+    }
+
+    parseAnd() {
+        return this.parseBinary(['and'], () => this.parseEquality());
+    }
+
+    parseEquality() {
+        return this.parseBinary(['=', '!='], () => this.parseRelational());
+    }
+
+    parseRelational() {
+        return this.parseBinary(['<', '<=', '>', '>='], () => this.parseAdditive());
+    }
+
+    parseAdditive() {
+        return this.parseBinary(['+', '-'], () => this.parseMultiplicative());
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOperator('*', 'div', 'mod')) {
+            const operator = this.next().value;
+            left = { type: 'binary', operator, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOp('-')) {
+            this.next();
+            return { type: 'negate', operand: this.parseUnary() };
+        }
+        return this.parseUnion();
+    }
+
+    parseUnion() {
+        let left = this.parsePath();
+        while (this.isOp('|')) {
+            this.next();
+            left = { type: 'union', left, right: this.parsePath() };
+        }
+        return left;
+    }
+
+    parsePath() {
+        const token = this.peek();
+        if (!token) throw this.error('expected an expression');
+
+        if (this.isOp('/') || this.isOp('//')) {
+            return { type: 'path', absolute: true, filter: null, steps: this.parseAbsoluteSteps() };
+        }
+
+        const startsFilter = token.type === 'number' || token.type === 'string' || this.isOp('(') ||
+            (token.type === 'name' && this.isOp('(', 1) && !NODE_TYPES.has(token.value));
+        if (!startsFilter) {
+            return { type: 'path', absolute: false, filter: null, steps: this.parseRelativeSteps() };
+        }
+
+        const filter = this.parseFilter();
+        if (!this.isOp('/') && !this.isOp('//')) return filter;
+        const steps = [];
+        this.parseStepSeparator(steps);
+        this.parseRelativeSteps(steps);
+        return { type: 'path', absolute: false, filter, steps };
+    }
+
+    parseAbsoluteSteps() {
+        const steps = [];
+        if (this.isOp('/')) {
+            this.next();
+            return this.startsStep() ? this.parseRelativeSteps(steps) : steps;
+        }
+        this.parseStepSeparator(steps);
+        return this.parseRelativeSteps(steps);
+    }
+
+    // `//` is short for /descendant-or-self::node()/
+    parseStepSeparator(steps) {
+        if (this.next().value === '//') {
+            steps.push({ axis: 'descendant-or-self', test: { type: 'node' }, predicates: [] });
+        }
+    }
+
+    startsStep() {
+        const token = this.peek();
+        return Boolean(token) && (token.type === 'name' || this.isOp('@') || this.isOp('.') || this.isOp('..'));
+    }
+
+    parseRelativeSteps(steps = []) {
+        steps.push(this.parseStep());
+        while (this.isOp('/') || this.isOp('//')) {
+            this.parseStepSeparator(steps);
+            steps.push(this.parseStep());
+        }
+        return steps;
+    }
+
+    parseStep() {
+        if (this.isOp('.')) {
+            this.next();
+            return { axis: 'self', test: { type: 'node' }, predicates: [] };
+        }
+        if (this.isOp('..')) {
+            this.next();
+            return { axis: 'parent', test: { type: 'node' }, predicates: [] };
+        }
+
+        let axis = 'child';
+        if (this.isOp('@')) {
+            this.next();
+            axis = 'attribute';
+        } else if (this.peek()?.type === 'name' && this.isOp('::', 1)) {
+            const token = this.next();
+            if (!AXES.has(token.value)) throw this.error(`unknown axis '${token.value}'`, token);
+            axis = token.value;
+            this.next();
+        }
+
+        const token = this.peek();
+        if (!token || token.type !== 'name') {
+            throw this.error(token ? `expected a node test but found '${token.value}'` : 'expected a node test');
+        }
+        this.next();
+
+        let test;
+        if (NODE_TYPES.has(token.value) && this.isOp('(')) {
+            this.next();
+            // processing-instruction('target') may name its target
+            if (token.value === 'processing-instruction' && this.peek()?.type === 'string') this.next();
+            this.expect(')');
+            test = { type: token.value };
+        } else {
+            test = { type: 'name', name: token.value };
+        }
+
+        return { axis, test, predicates: this.parsePredicates() };
+    }
+
+    parsePredicates() {
+        const predicates = [];
+        while (this.isOp('[')) {
+            this.next();
+            predicates.push(this.parseOr());
+            this.expect(']');
+        }
+        return predicates;
+    }
+
+    parseFilter() {
+        const primary = this.parsePrimary();
+        const predicates = this.parsePredicates();
+        return predicates.length > 0 ? { type: 'filter', primary, predicates } : primary;
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'op' && token.value === '(') {
+            const expression = this.parseOr();
+            this.expect(')');
+            return expression;
+        }
+
+        const fn = FUNCTIONS[token.value];
+        if (!fn) throw this.error(`unknown function '${token.value}()'`, token);
+        this.expect('(');
+        const args = [];
+        if (!this.isOp(')')) {
+            args.push(this.parseOr());
+            while (this.isOp(',')) {
+                this.next();
+                args.push(this.parseOr());
+            }
+        }
+        this.expect(')');
+        if (args.length < fn.min || args.length > fn.max) {
+            const expected = fn.min === fn.max ? fn.min : fn.max === Infinity ? `at least ${fn.min}` : `${fn.min} to ${fn.max}`;
+            throw this.error(`${token.value}() takes ${expected} argument(s), got ${args.length}`, token);
+        }
+        return { type: 'call', name: token.value, args };
+    }
+}
+
+/**
+ * Parse an XPath 1.0 expression, with results cached per expression
+ * @throws {SelectorSyntaxError}
+ */
+export function compileXPath(expression) {
+    if (typeof expression !== 'string') {
+        throw new InvalidArgumentError(`XPath must be a string, got ${typeof expression}`, { argument: 'xpath', value: expression });
+    }
+    let ast = compiled.get(expression);
+    if (!ast) {
+        ast = new Parser(expression).parse();
+        if (compiled.size >= COMPILED_LIMIT) compiled.delete(compiled.keys().next().value);
+        compiled.set(expression, ast);
+    }
+    return ast;
+}
+
+// The document around a parsed hierarchy; virtual nodes are created once per tree
+class Tree {
+    constructor(node) {
+        let root = node;
+        while (root.parent) root = root.parent;
+        this.root = root;
+        this.document = { kind: 'document' };
+        this.hierarchy = { kind: 'hierarchy' };
+        this._texts = new Map();
+        this._attributes = new Map();
+        this._order = null;
+    }
+
+    parentOf(node) {
+        switch (node.kind) {
+            case 'document': return null;
+            case 'hierarchy': return this.document;
+            case 'attribute':
+            case 'text': return node.owner;
+            default: return node.parent || (node === this.root ? this.hierarchy : null);
+        }
+    }
+
+    childrenOf(node) {
+        switch (node.kind) {
+            case 'document': return [this.hierarchy];
+            case 'hierarchy': return [this.root];
+            case 'attribute':
+            case 'text': return [];
+            default: {
+                const text = this.textOf(node);
+                const children = node.children || [];
+                return text ? [text, ...children] : children;
+            }
+        }
+    }
+
+    textOf(node) {
+        if (!node.text) return null;
+        if (!this._texts.has(node)) {
+            this._texts.set(node, { kind: 'text', owner: node, value: node.text });
+        }
+        return this._texts.get(node);
+    }
+
+    attributesOf(node) {
+        if (node.kind) return [];
+        if (!this._attributes.has(node)) {
+            const names = [...new Set([...Object.keys(node.attributes || {}), ...NODE_ATTRIBUTES])];
+            const attributes = names
+                .map(name => [name, NODE_ATTRIBUTES.includes(name) ? node[name] : node.attributes[name]])
+                .filter(([, value]) => typeof value === 'string');
+            this._attributes.set(node, attributes.map(([name, value], index) => ({
+                kind: 'attribute', owner: node, name, value, index, count: attributes.length
+            })));
+        }
+        return this._attributes.get(node);
+    }
+
+    // Document order key: attributes sort between their element and its text, the text before the children
+    orderOf(node) {
+        if (!this._order) {
+            this._order = new Map([[this.document, 0], [this.hierarchy, 1]]);
+            let counter = 2;
+            const stack = [this.root];
+            while (stack.length > 0) {
+                const current = stack.pop();
+                this._order.set(current, counter++);
+                const children = current.children || [];
+                for (let index = children.length - 1; index >= 0; index--) stack.push(children[index]);
+            }
+        }
+        if (node.kind === 'text') return this._order.get(node.owner) + 0.5;
+        if (node.kind === 'attribute') return this._order.get(node.owner) + 0.5 * (node.index + 1) / (node.count + 1);
+        return this._order.get(node) ?? Infinity;
+    }
+
+    sort(nodes) {
+        return [...new Set(nodes)].sort((a, b) => this.orderOf(a) - this.orderOf(b));
+    }
+
+    descendants(node, results = []) {
+        for (const child of this.childrenOf(node)) {
+            results.push(child);
+            this.descendants(child, results);
+        }
+        return results;
+    }
+
+    ancestors(node) {
+        const results = [];
+        for (let current = this.parentOf(node); current; current = this.parentOf(current)) results.push(current);
+        return results;
+    }
+
+    siblings(node) {
+        if (node.kind === 'attribute' || !this.parentOf(node)) return { before: [], after: [] };
+        const siblings = this.childrenOf(this.parentOf(node));
+        const index = siblings.indexOf(node);
+        return { before: siblings.slice(0, index).reverse(), after: siblings.slice(index + 1) };
+    }
+
+    // Nodes on `axis` from `node`, nearest first
+    axis(axis, node) {
+        switch (axis) {
+            case 'child': return this.childrenOf(node);
+            case 'descendant': return this.descendants(node);
+            case 'descendant-or-self': return this.descendants(node, [node]);
+            case 'parent': return this.parentOf(node) ? [this.parentOf(node)] : [];
+            case 'ancestor': return this.ancestors(node);
+            case 'ancestor-or-self': return [node, ...this.ancestors(node)];
+            case 'following-sibling': return this.siblings(node).after;
+            case 'preceding-sibling': return this.siblings(node).before;
+            case 'attribute': return this.attributesOf(node);
+            case 'self': return [node];
+            case 'namespace': return [];
+            case 'following': {
+                const results = node.kind === 'attribute' ? this.descendants(node.owner) : [];
+                for (let current = node.kind === 'attribute' ? node.owner : node; current; current = this.parentOf(current)) {
+                    for (const sibling of this.siblings(current).after) {
+                        results.push(sibling, ...this.descendants(sibling));
+                    }
+                }
+                return results;
+            }
+            case 'preceding': {
+                const results = [];
+                for (let current = node.kind === 'attribute' ? node.owner : node; current; current = this.parentOf(current)) {
+                    for (const sibling of this.siblings(current).before) {
+                        results.push(...this.descendants(sibling).reverse(), sibling);
+                    }
+                }
+                return results;
+            }
+        }
+        return [];
+    }
+
+    stringValue(node) {
+        if (node.kind === 'attribute' || node.kind === 'text') return node.value;
+        return this.descendants(node).filter(child => child.kind === 'text').map(text => text.value).join('');
+    }
+}
+
+function nameOf(node) {
+    switch (node.kind) {
+        case 'hierarchy': return 'hierarchy';
+        case 'attribute': return node.name;
+        case 'document':
+        case 'text': return '';
+        default: return node.class || '';
+    }
+}
+
+function matchesTest(test, node, axis) {
+    switch (test.type) {
+        case 'node': return true;
+        case 'text': return node.kind === 'text';
+        case 'comment':
+        case 'processing-instruction': return false;
+    }
+
+    // Name tests only select the axis' principal node type
+    if (axis === 'attribute') {
+        return node.kind === 'attribute' && (test.name === '*' || node.name === test.name);
+    }
+    if (node.kind === 'hierarchy') return test.name === '*' || test.name === 'hierarchy';
+    if (node.kind) return false;
+    return test.name === '*' || test.name === 'node' || node.class === test.name || (node.class || '').endsWith(`.${test.name}`);
+}
+
+// Value conversions
+
+function toStringValue(value, tree) {
+    if (Array.isArray(value)) return value.length > 0 ? tree.stringValue(value[0]) : '';
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) return 'NaN';
+        return Object.is(value, -0) ? '0' : String(value);
+    }
+    return String(value);
+}
+
+function toNumberValue(value, tree) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const text = toStringValue(value, tree);
+    return /^\s*-?(\d+(\.\d*)?|\.\d+)\s*$/.test(text) ? Number(text) : NaN;
+}
+
+function toBooleanValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+    if (typeof value === 'string') return value.length > 0;
+    return value;
+}
+
+function compareAtoms(operator, left, right, tree) {
+    if (operator === '=' || operator === '!=') {
+        let equal;
+        if (typeof left === 'boolean' || typeof right === 'boolean') {
+            equal = toBooleanValue(left) === toBooleanValue(right);
+        } else if (typeof left === 'number' || typeof right === 'number') {
+            equal = toNumberValue(left, tree) === toNumberValue(right, tree);
+        } else {
+            equal = left === right;
+        }
+        return operator === '=' ? equal : !equal;
+    }
+
+    const a = toNumberValue(left, tree);
+    const b = toNumberValue(right, tree);
+    switch (operator) {
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        default: return a >= b;
+    }
+}
+
+// Node-sets compare true if any of their members does
+function compareValues(operator, left, right, tree) {
+    const leftSet = Array.isArray(left);
+    const rightSet = Array.isArray(right);
+    if (leftSet && rightSet) {
+        const rightStrings = right.map(node => tree.stringValue(node));
+        return left.some(node => {
+            const value = tree.stringValue(node);
+            return rightStrings.some(other => compareAtoms(operator, value, other, tree));
+        });
+    }
+    if (leftSet || rightSet) {
+        const [set, other] = leftSet ? [left, right] : [right, left];
+        if (typeof other === 'boolean') {
+            return leftSet
+                ? compareAtoms(operator, toBooleanValue(set), other, tree)
+                : compareAtoms(operator, other, toBooleanValue(set), tree);
+        }
+        return set.some(node => leftSet
+            ? compareAtoms(operator, tree.stringValue(node), other, tree)
+            : compareAtoms(operator, other, tree.stringValue(node), tree));
+    }
+    return compareAtoms(operator, left, right, tree);
+}
+
+function requireNodeSet(value, what) {
+    if (!Array.isArray(value)) {
+        throw new InvalidArgumentError(`${what} needs a node-set, got a ${typeof value}`, { argument: 'xpath', value });
+    }
+    return value;
+}
+
+function round(value) {
+    if (!Number.isFinite(value)) return value;
+    // XPath rounds halves towards positive infinity and keeps -0
+    return value < 0 && value >= -0.5 ? -0 : Math.floor(value + 0.5);
+}
+
+// Core function library: arity plus implementation over evaluated arguments
+const FUNCTIONS = {
+    last: { min: 0, max: 0, call: context => context.size },
+    position: { min: 0, max: 0, call: context => context.position },
+    count: { min: 1, max: 1, call: (context, nodes) => requireNodeSet(nodes, 'count()').length },
+    'local-name': { min: 0, max: 1, call: (context, nodes = [context.node]) => {
+        const set = requireNodeSet(nodes, 'local-name()');
+        return set.length > 0 ? nameOf(set[0]) : '';
+    } },
+    name: { min: 0, max: 1, call: (context, nodes = [context.node]) => {
+        const set = requireNodeSet(nodes, 'name()');
+        return set.length > 0 ? nameOf(set[0]) : '';
+    } },
+    'namespace-uri': { min: 0, max: 1, call: () => '' },
+    string: { min: 0, max: 1, call: (context, value = [context.node]) => toStringValue(value, context.tree) },
+    concat: { min: 2, max: Infinity, call: (context, ...values) => values.map(value => toStringValue(value, context.tree)).join('') },
+    'starts-with': { min: 2, max: 2, call: (context, text, prefix) => toStringValue(text, context.tree).startsWith(toStringValue(prefix, context.tree)) },
+    // XPath 2.0, but often reached for in selectors
+    'ends-with': { min: 2, max: 2, call: (context, text, suffix) => toStringValue(text, context.tree).endsWith(toStringValue(suffix, context.tree)) },
+    contains: { min: 2, max: 2, call: (context, text, part) => toStringValue(text, context.tree).includes(toStringValue(part, context.tree)) },
+    'substring-before': { min: 2, max: 2, call: (context, text, separator) => {
+        const value = toStringValue(text, context.tree);
+        const index = value.indexOf(toStringValue(separator, context.tree));
+        return index === -1 ? '' : value.substring(0, index);
+    } },
+    'substring-after': { min: 2, max: 2, call: (context, text, separator) => {
+        const value = toStringValue(text, context.tree);
+        const search = toStringValue(separator, context.tree);
+        const index = value.indexOf(search);
+        return index === -1 ? '' : value.substring(index + search.length);
+    } },
+    substring: { min: 2, max: 3, call: (context, text, start, length) => {
+        const characters = Array.from(toStringValue(text, context.tree));
+        const first = round(toNumberValue(start, context.tree));
+        const end = length === undefined ? Infinity : first + round(toNumberValue(length, context.tree));
+        // Positions are 1-based; NaN bounds select nothing
+        return characters.filter((_, index) => index + 1 >= first && index + 1 < end).join('');
+    } },
+    'string-length': { min: 0, max: 1, call: (context, text = [context.node]) => Array.from(toStringValue(text, context.tree)).length },
+    'normalize-space': { min: 0, max: 1, call: (context, text = [context.node]) => toStringValue(text, context.tree).trim().replace(/\s+/g, ' ') },
+    translate: { min: 3, max: 3, call: (context, text, from, to) => {
+        const source = Array.from(toStringValue(from, context.tree));
+        const target = Array.from(toStringValue(to, context.tree));
+        return Array.from(toStringValue(text, context.tree)).map(character => {
+            const index = source.indexOf(character);
+            return index === -1 ? character : target[index] ?? '';
+        }).join('');
+    } },
+    boolean: { min: 1, max: 1, call: (context, value) => toBooleanValue(value) },
+    not: { min: 1, max: 1, call: (context, value) => !toBooleanValue(value) },
+    true: { min: 0, max: 0, call: () => true },
+    false: { min: 0, max: 0, call: () => false },
+    lang: { min: 1, max: 1, call: () => false },
+    number: { min: 0, max: 1, call: (context, value = [context.node]) => toNumberValue(value, context.tree) },
+    sum: { min: 1, max: 1, call: (context, nodes) => requireNodeSet(nodes, 'sum()')
+        .reduce((total, node) => total + toNumberValue(context.tree.stringValue(node), context.tree), 0) },
+    floor: { min: 1, max: 1, call: (context, value) => Math.floor(toNumberValue(value, context.tree)) },
+    ceiling: { min: 1, max: 1, call: (context, value) => Math.ceil(toNumberValue(value, context.tree)) },
+    round: { min: 1, max: 1, call: (context, value) => round(toNumberValue(value, context.tree)) }
+};
+
+function evaluate(expression, context) {
+    const { tree } = context;
+    switch (expression.type) {
+        case 'literal':
+            return expression.value;
+
+        case 'negate':
+            return -toNumberValue(evaluate(expression.operand, context), tree);
+
+        case 'call':
+            return FUNCTIONS[expression.name].call(context, ...expression.args.map(arg => evaluate(arg, context)));
+
+        case 'union': {
+            const left = requireNodeSet(evaluate(expression.left, context), "'|'");
+            const right = requireNodeSet(evaluate(expression.right, context), "'|'");
+            return tree.sort([...left, ...right]);
+        }
+
+        case 'filter': {
+            const nodes = requireNodeSet(evaluate(expression.primary, context), 'A predicate');
+            return applyPredicates(expression.predicates, tree.sort(nodes), context);
+        }
+
+        case 'path': {
+            let nodes = [context.node];
+            if (expression.absolute) nodes = [tree.document];
+            if (expression.filter) nodes = requireNodeSet(evaluate(expression.filter, context), 'A path step');
+            for (const step of expression.steps) {
+                const selected = [];
+                for (const node of nodes) {
+                    const candidates = tree.axis(step.axis, node).filter(candidate => matchesTest(step.test, candidate, step.axis));
+                    selected.push(...applyPredicates(step.predicates, candidates, context));
+                }
+                nodes = tree.sort(selected);
+            }
+            return nodes;
+        }
+
+        case 'binary': {
+            const { operator } = expression;
+            if (operator === 'or') {
+                return toBooleanValue(evaluate(expression.left, context)) || toBooleanValue(evaluate(expression.right, context));
+            }
+            if (operator === 'and') {
+                return toBooleanValue(evaluate(expression.left, context)) && toBooleanValue(evaluate(expression.right, context));
+            }
+
+            const left = evaluate(expression.left, context);
+            const right = evaluate(expression.right, context);
+            if (['=', '!=', '<', '<=', '>', '>='].includes(operator)) {
+                return compareValues(operator, left, right, tree);
+            }
+
+            const a = toNumberValue(left, tree);
+            const b = toNumberValue(right, tree);
+            switch (operator) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case 'div': return a / b;
+                default: return a % b;
+            }
+        }
+    }
+    throw new InvalidArgumentError(`Unsupported XPath expression '${expression.type}'`, { argument: 'xpath' });
+}
+
+// Positions count along the axis order, so [1] on ancestor:: is the parent
+function applyPredicates(predicates, nodes, context) {
+    for (const predicate of predicates) {
+        nodes = nodes.filter((node, index) => {
+            const result = evaluate(predicate, { tree: context.tree, node, position: index + 1, size: nodes.length });
+            return typeof result === 'number' ? result === index + 1 : toBooleanValue(result);
+        });
+    }
+    return nodes;
+}
+
+/**
+ * Evaluate an XPath 1.0 expression against a parsed hierarchy.
+ * @param {Object} root - Any node of the tree returned by parseUIHierarchy()
+ * @param {string} expression
+ * @param {Object} options
+ * @param {Object} options.context - Node relative paths start from (default: the document)
+ * @returns {Array|string|number|boolean} Node-sets come back in document order; they may hold
+ *   `{ kind: 'attribute' | 'text', owner, value }` entries besides parsed nodes
+ * @throws {SelectorSyntaxError} If the expression can't be parsed
+ */
+export function evaluateXPath(root, expression, options = {}) {
+    const ast = compileXPath(expression);
+    const tree = new Tree(root);
+    return evaluate(ast, { tree, node: options.context || tree.document, position: 1, size: 1 });
+}
+
+/**
+ * Nodes an XPath selects. Attribute and text() results stand for the node
+ * they belong to, so `//*[@text="OK"]/@text` selects the same as `//*[@text="OK"]`.
+ * @returns {Object[]} Parsed nodes in document order
+ * @throws {InvalidArgumentError} If the expression evaluates to a string, number or boolean
+ */
+export function selectNodes(root, expression, options = {}) {
+    const result = evaluateXPath(root, expression, options);
+    if (!Array.isArray(result)) {
+        throw new InvalidArgumentError(`XPath "${expression}" evaluates to a ${typeof result}, not to elements`, {
+            argument: 'xpath',
+            value: expression
+        });
+    }
+    const nodes = result
+        .map(node => node.kind === 'attribute' || node.kind === 'text' ? node.owner : node)
+        .filter(node => !node.kind);
+    return [...new Set(nodes)];
+}
@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AdbClient } from '../src/utils/adb-client.js';
+import { ADB } from '../src/utils/adb.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+
+describe('AdbClient', () => {
+    let server;
+    let client;
+
+    beforeEach(async () => {
+        server = await new FakeAdbServer({
+            shell: command => (command === 'getprop ro.product.model' ? 'Pixel 7\n' : `ran ${command}\n`)
+        }).start();
+        client = new AdbClient({ port: server.port });
+    });
+
+    afterEach(async () => {
+        client.close();
+        await server.stop();
+    });
+
+    test('queries host services', async () => {
+        expect(await client.version()).toBe(41);
+        expect(await client.getState('emulator-5554')).toBe('device');
+
+        const devices = await client.devices();
+        expect(devices).toEqual([
+            { id: 'emulator-5554', state: 'device', info: 'product:sdk model:Pixel device:generic' }
+        ]);
+    });
+
+    test('runs shell and exec services over a device transport', async () => {
+        expect(await client.shell('emulator-5554', 'input tap 1 2')).toBe('ran input tap 1 2\n');
+        const output = await client.exec(null, 'screencap -p');
+        expect(Buffer.isBuffer(output)).toBe(true);
+
+        expect(server.requests).toEqual([
+            'host:transport:emulator-5554',
+            'shell:input tap 1 2',
+            'host:transport-any',
+            'exec:screencap -p'
+        ]);
+    });
+
+    test('surfaces FAIL responses as errors', async () => {
+        await expect(client.shell('missing', 'ls')).rejects.toThrow("device 'missing' not found");
+    });
+
+    test('transfers files over a reused sync session', async () => {
+        await client.pushBuffer('emulator-5554', Buffer.from('hello'), '/sdcard/a.txt');
+        await client.pushBuffer('emulator-5554', Buffer.alloc(200 * 1024, 1), '/sdcard/b.bin');
+
+        expect((await client.pullBuffer('emulator-5554', '/sdcard/a.txt')).toString()).toBe('hello');
+        expect((await client.stat('emulator-5554', '/sdcard/b.bin')).size).toBe(200 * 1024);
+        await expect(client.pullBuffer('emulator-5554', '/sdcard/none')).rejects.toThrow('No such file');
+
+        // The session survives a FAIL and is shared by every transfer
+        expect((await client.pullBuffer('emulator-5554', '/sdcard/a.txt')).toString()).toBe('hello');
+        expect(server.requests.filter(r => r === 'sync:')).toHaveLength(1);
+        expect(server.connections).toBe(1);
+    });
+
+    test('runs concurrent transfers on one device one after the other', async () => {
+        const files = Array.from({ length: 4 }, (_, i) => [`/sdcard/${i}.bin`, Buffer.alloc(70 * 1024 + i, i)]);
+        await Promise.all(files.map(([remotePath, data]) => client.pushBuffer('emulator-5554', data, remotePath)));
+
+        const pulled = await Promise.all(files.map(([remotePath]) => client.pullBuffer('emulator-5554', remotePath)));
+        expect(pulled.map((data, i) => data.equals(files[i][1]))).toEqual([true, true, true, true]);
+        expect(server.requests.filter(r => r === 'sync:')).toHaveLength(1);
+    });
+});
+
+describe('ADB native transport', () => {
+    let server;
+    let adb;
+
+    beforeEach(async () => {
+        server = await new FakeAdbServer({
+            shell: command => `  ${command} output  \n`
+        }).start();
+        adb = new ADB('emulator-5554', { port: server.port });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        adb.close();
+        await server.stop();
+    });
+
+    test('keeps the ADB method surface', async () => {
+        expect(await adb.shell('getprop ro.product.brand')).toBe('getprop ro.product.brand output');
+        expect(await adb.isConnected()).toBe(true);
+        expect((await adb.getDevices())[0].id).toBe('emulator-5554');
+
+        await adb.tap(10, 20);
+        expect(server.requests).toContain('shell:input tap 10 20');
+    });
+
+    test('starts the adb server again each time it goes away', async () => {
+        const port = server.port;
+        const starts = jest.spyOn(adb, 'execute').mockImplementation(() => server.start(port));
+        const now = jest.spyOn(Date, 'now');
+
+        for (let restart = 1; restart <= 2; restart++) {
+            await server.stop();
+            now.mockReturnValue(restart * 60000);
+            expect(await adb.shell('echo hi')).toBe('echo hi output');
+        }
+
+        expect(starts).toHaveBeenCalledTimes(2);
+        expect(starts).toHaveBeenCalledWith(['start-server']);
+        expect(adb.transport).toBe('native');
+    });
+
+    test('falls back to the binary for one call when the server stays down', async () => {
+        const records = [];
+        adb.close();
+        adb = new ADB('emulator-5554', {
+            port: server.port,
+            adbPath: '/nonexistent/adb',
+            retry: false,
+            logger: record => records.push(record)
+        });
+        const starts = jest.spyOn(adb, 'execute');
+        await server.stop();
+
+        await expect(adb.shell('echo hi')).rejects.toThrow();
+        await server.start(server.port);
+        expect(await adb.shell('echo hi')).toBe('echo hi output');
+
+        expect(starts.mock.calls.filter(([command]) => command[0] === 'start-server')).toHaveLength(1);
+        expect(records).toContainEqual(expect.objectContaining({ level: 'warn', namespace: 'adb' }));
+        expect(adb.transport).toBe('native');
+    });
+
+    test('writes screenshots from exec output', async () => {
+        const file = path.join(os.tmpdir(), `droideer-${process.pid}.png`);
+        await adb.screenshot(file);
+        expect(fs.readFileSync(file, 'utf8')).toBe('  screencap -p output  \n');
+        fs.unlinkSync(file);
+    });
+
+    test('pushes and pulls files', async () => {
+        const local = path.join(os.tmpdir(), `droideer-${process.pid}.txt`);
+        fs.writeFileSync(local, 'payload');
+        await adb.push(local, '/sdcard/payload.txt');
+        fs.unlinkSync(local);
+
+        await adb.pull('/sdcard/payload.txt', local);
+        expect(fs.readFileSync(local, 'utf8')).toBe('payload');
+        fs.unlinkSync(local);
+    });
+});
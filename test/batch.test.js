@@ -0,0 +1,181 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AndroidDevice, ReplayBackend } from '../src/index.js';
+import { ADB } from '../src/utils/adb.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+import { createFakeApp, loadFixture } from './helpers/fixtures.js';
+
+// Runs the command in a host shell, with device tools stubbed as shell functions
+function hostShell(stubs = '', env = {}) {
+    return (command, { service }) => {
+        const { stdout, status } = spawnSync('sh', ['-c', `${stubs}\n${command}`], {
+            env: { ...process.env, ...env },
+            encoding: 'utf8',
+            timeout: 5000
+        });
+        // Only the shell protocol carries an exit code
+        return service.startsWith('shell,v2') ? { stdout, exitCode: status ?? 1 } : stdout;
+    };
+}
+
+const DEVICE_STUBS = `
+getprop() { echo "value of $1"; }
+dumpsys() { echo '  mCurrentFocus=Window{1a2b3c u0 com.example.app/com.example.app.LoginActivity}'; }
+uiautomator() { echo 'UI hierchary dumped to: /sdcard/ui.xml'; }
+cat() { if [ "$1" = /sdcard/ui.xml ]; then printf '%s' "$UI_XML"; else command cat "$@"; fi; }
+`;
+
+describe('ADB batch', () => {
+    let server;
+    let adb;
+
+    afterEach(async () => {
+        adb?.close();
+        adb = null;
+        await server.stop();
+    });
+
+    const start = async (stubs = DEVICE_STUBS) => {
+        server = await new FakeAdbServer({ shell: hostShell(stubs, { UI_XML: loadFixture('login.xml') }) }).start();
+        adb = new ADB('emulator-5554', { port: server.port, logLevel: 'silent' });
+    };
+
+    const shellRequests = () => server.requests.filter(service => service.startsWith('shell'));
+
+    test('splits output and exit codes per command in one round trip', async () => {
+        await start('');
+
+        const results = await adb.batch([
+            'echo one',
+            'false',
+            ['printf', '%s', 'no newline'],
+            'echo two; exit 3',
+            'echo three'
+        ]);
+
+        expect(results).toEqual([
+            { command: 'echo one', stdout: 'one\n', exitCode: 0 },
+            { command: 'false', stdout: '', exitCode: 1 },
+            { command: "printf %s 'no newline'", stdout: 'no newline', exitCode: 0 },
+            { command: 'echo two; exit 3', stdout: 'two\n', exitCode: 3 },
+            { command: 'echo three', stdout: 'three\n', exitCode: 0 }
+        ]);
+        expect(shellRequests()).toHaveLength(1);
+    });
+
+    test('commands that never ran have no exit code', async () => {
+        await start('');
+        const results = adb._parseBatch(['echo one', 'echo two'], 'one\n\n__DROIDEER_BATCH__:0:0\n');
+        expect(results[1]).toEqual({ command: 'echo two', stdout: '', exitCode: null });
+        expect(await adb.batch([])).toEqual([]);
+        expect(shellRequests()).toHaveLength(0);
+    });
+
+    test('reads device info with a single shell request', async () => {
+        await start();
+
+        expect(await adb.getDeviceInfo()).toEqual({
+            brand: 'value of ro.product.brand',
+            model: 'value of ro.product.model',
+            version: 'value of ro.build.version.release',
+            sdk: 'value of ro.build.version.sdk'
+        });
+        expect(shellRequests()).toHaveLength(1);
+    });
+
+    test('device info failures are not cached', async () => {
+        await start(DEVICE_STUBS.replace('getprop() { echo "value of $1"; }', 'getprop() { [ "$1" != ro.product.brand ] && echo "value of $1"; }'));
+        adb.close();
+        adb = new ADB('emulator-5554', { port: server.port, logLevel: 'silent', retry: false });
+        const devices = server.devices;
+
+        server.devices = [];
+        await expect(adb.getDeviceInfo()).rejects.toThrow("device 'emulator-5554' not found");
+
+        server.devices = devices;
+        expect(await adb.getDeviceInfo()).toMatchObject({ brand: 'Unknown', model: 'value of ro.product.model' });
+    });
+
+    test('reads the activity and hierarchy together', async () => {
+        await start();
+
+        const { activity, hierarchy } = await adb.getScreenState();
+
+        expect(activity).toEqual({ package: 'com.example.app', activity: 'com.example.app.LoginActivity' });
+        expect(hierarchy).toBe(loadFixture('login.xml'));
+        expect(shellRequests()).toHaveLength(1);
+    });
+
+    test('falls back to separate reads when the batched dump fails', async () => {
+        // Only the alternative dump location works on this device
+        await start(`${DEVICE_STUBS.replace('/sdcard/ui.xml ]', '/data/local/tmp/ui.xml ]')}
+uiautomator() { [ "$2" = /data/local/tmp/ui.xml ]; }
+`);
+
+        const { hierarchy } = await adb.getScreenState();
+
+        expect(hierarchy.trim()).toBe(loadFixture('login.xml').trim());
+        expect(shellRequests().length).toBeGreaterThan(1);
+        expect(shellRequests()).toContain('shell:uiautomator dump /data/local/tmp/ui.xml');
+    });
+
+    test('battery and memory come back from one request', async () => {
+        await start(`
+dumpsys() { printf 'Current Battery Service state:\\n  present: true\\n  status: 2\\n  health: 2\\n  level: 87\\n'; }
+cat() { printf 'MemTotal:        3882420 kB\\nMemFree:          142120 kB\\n'; }
+`);
+        const device = await AndroidDevice.connect('emulator-5554', { port: server.port, logLevel: 'silent', probeCapabilities: false });
+        const before = shellRequests().length;
+
+        expect(await device.getSystemStatus()).toEqual({
+            battery: { present: true, status: '2', health: '2', level: 87 },
+            memory: { MemTotal: 3882420, MemFree: 142120 }
+        });
+        expect(shellRequests()).toHaveLength(before + 1);
+        await device.disconnect();
+    });
+
+    test('batches are recorded and replayed as one call', async () => {
+        await start();
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'droideer-batch-'));
+        const file = path.join(dir, 'batch.json');
+
+        try {
+            const recorder = new ADB('emulator-5554', { port: server.port, logLevel: 'silent', record: file });
+            const recorded = await recorder.batch(['getprop ro.product.model', 'false']);
+            recorder.close();
+
+            const transcript = JSON.parse(fs.readFileSync(file, 'utf8'));
+            expect(transcript.entries).toEqual([
+                { method: 'batch', args: [['getprop ro.product.model', 'false']], result: recorded }
+            ]);
+
+            const replay = new ReplayBackend(file, { logLevel: 'silent' });
+            expect(await replay.batch(['getprop ro.product.model', 'false'])).toEqual(recorded);
+            replay.assertComplete();
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('backend batch', () => {
+    test('backends without batching run the commands one by one', async () => {
+        const fake = createFakeApp({
+            shell: command => command === 'false' ? { stdout: '', exitCode: 1 } : `ran ${command}`
+        });
+        const device = await AndroidDevice.connect({ backend: fake, logLevel: 'silent' });
+
+        expect(await fake.batch(['echo hi', 'false', ['ls', 'my dir']])).toEqual([
+            { command: 'echo hi', stdout: 'ran echo hi', exitCode: 0 },
+            { command: 'false', stdout: '', exitCode: 1 },
+            { command: "ls 'my dir'", stdout: "ran ls 'my dir'", exitCode: 0 }
+        ]);
+
+        const { activity, hierarchy } = await device.getScreenState();
+        expect(activity).toEqual({ package: 'com.example.app', activity: '.LoginActivity' });
+        expect(hierarchy).toBe(await device.getUIHierarchy());
+    });
+});
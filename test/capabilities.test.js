@@ -0,0 +1,160 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AndroidDevice } from '../src/index.js';
+import { CAPABILITY_PROBE, parseCapabilities } from '../src/utils/capabilities.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+import { createFakeApp, loadFixture } from './helpers/fixtures.js';
+
+const MODERN = {
+    'getprop ro.build.version.sdk': '34',
+    'cmd package resolve-activity --brief -a android.intent.action.MAIN -c android.intent.category.HOME': 'priority=0 preferredOrder=0 match=0x108000 specificIndex=-1 isDefault=true\ncom.google.android.apps.nexuslauncher/.NexusLauncherActivity',
+    'uiautomator help': 'dump: creates an XML dump of current UI hierarchy\n    dump [--verbose][file]\n      [--compressed]: dumps compressed layout information.',
+    'input': 'Usage: input [<source>] [-d DISPLAY_ID] <command> [<arg>...]\n      motionevent <DOWN|UP|MOVE|CANCEL> <x> <y>',
+    'screencap -h': 'usage: screencap [-hp] [-d display-id] [FILENAME]',
+    'ps -A | head -n 3': 'USER PID PPID VSZ RSS WCHAN ADDR S NAME\nroot 1 0 10 10 0 0 S init\nroot 2 0 0 0 0 0 S kthreadd'
+};
+
+const KITKAT = {
+    'getprop ro.build.version.sdk': '19',
+    'cmd package resolve-activity --brief -a android.intent.action.MAIN -c android.intent.category.HOME': '/system/bin/sh: cmd: not found',
+    'uiautomator help': 'dump: creates an XML dump of current UI hierarchy\n    dump [file]',
+    'input': 'Usage: input [<source>] <command> [<arg>...]\n      tap <x> <y>',
+    'screencap -h': 'usage: screencap [-hp] [-d display-id] [FILENAME]',
+    'ps -A | head -n 3': 'USER     PID   PPID  VSIZE  RSS     WCHAN    PC         NAME'
+};
+
+// Answers the combined probe command the way a device shell would
+function deviceShell(answers, other = () => '') {
+    return command => {
+        if (command !== CAPABILITY_PROBE) return other(command);
+        return command.split('; ')
+            .map(part => part.startsWith('echo ') ? part.substring(5) : answers[part.replace(/ 2>&1$/, '')] ?? '')
+            .join('\n');
+    };
+}
+
+describe('parseCapabilities', () => {
+    test('reads a modern device', () => {
+        expect(parseCapabilities(deviceShell(MODERN)(CAPABILITY_PROBE))).toEqual({
+            sdk: 34,
+            resolveActivity: true,
+            uiautomatorCompressed: true,
+            inputMotionEvent: true,
+            screencapStdout: true,
+            psAll: true
+        });
+    });
+
+    test('reads an old device', () => {
+        expect(parseCapabilities(deviceShell(KITKAT)(CAPABILITY_PROBE))).toEqual({
+            sdk: 19,
+            resolveActivity: false,
+            uiautomatorCompressed: false,
+            inputMotionEvent: false,
+            screencapStdout: false,
+            psAll: false
+        });
+    });
+
+    test('returns null when the probe did not run', () => {
+        expect(parseCapabilities('')).toBeNull();
+    });
+});
+
+describe('capability probe', () => {
+    let server;
+    let device;
+
+    afterEach(async () => {
+        await device?.disconnect();
+        device = null;
+        await server.stop();
+    });
+
+    const shellCommands = () => server.requests
+        .filter(service => service.startsWith('shell:'))
+        .map(service => service.substring('shell:'.length));
+
+    const connect = async (answers, other, options = {}) => {
+        server = await new FakeAdbServer({ shell: deviceShell(answers, other), ...options }).start();
+        device = await AndroidDevice.connect('emulator-5554', { port: server.port, logLevel: 'silent' });
+    };
+
+    test('probes once at connect time', async () => {
+        await connect(MODERN);
+
+        expect(device.capabilities).toMatchObject({ sdk: 34, resolveActivity: true, psAll: true });
+        expect(await device.getCapabilities()).toBe(device.capabilities);
+        expect(shellCommands().filter(command => command === CAPABILITY_PROBE)).toHaveLength(1);
+    });
+
+    test('modern devices use resolve-activity, motion events and ps -A directly', async () => {
+        await connect(MODERN, command => {
+            if (command.startsWith('cmd package resolve-activity')) return 'com.example.app/.MainActivity\n';
+            if (command === 'ps -A') return 'USER PID PPID VSZ RSS WCHAN ADDR S NAME\nu0_a1 4242 1 10 10 0 0 S com.example.app\n';
+            return '';
+        });
+
+        expect(await device.adb.getLauncherActivity('com.example.app')).toBe('com.example.app/.MainActivity');
+        await device.page.gestures.drag(100, 200, 300, 400, 500);
+        expect(await device.getRunningProcesses()).toEqual([
+            { pid: '4242', ppid: '1', vsize: '10', rss: '10', name: 'com.example.app' }
+        ]);
+
+        const commands = shellCommands();
+        expect(commands.some(command => command.startsWith('dumpsys package'))).toBe(false);
+        expect(commands).toContain('input motionevent DOWN 100 200 && sleep 0.500 && input motionevent MOVE 300 400 && input motionevent UP 300 400');
+    });
+
+    test('old devices skip to the fallbacks that work', async () => {
+        const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+        await connect(KITKAT, command => command === 'ps' ? 'USER PID PPID VSIZE RSS WCHAN PC NAME\n' : '', {
+            files: { 'emulator-5554:/data/local/tmp/droideer-screen.png': png }
+        });
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'droideer-caps-'));
+
+        try {
+            await device.adb.getLauncherActivity('com.example.app');
+            await device.page.gestures.drag(100, 200, 300, 400);
+            await device.getRunningProcesses();
+            await device.screenshot(path.join(dir, 'screen.png'));
+            expect(fs.readFileSync(path.join(dir, 'screen.png'))).toEqual(png);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        const commands = shellCommands();
+        expect(commands.some(command => command.startsWith('cmd package resolve-activity'))).toBe(false);
+        expect(commands).toContain('input swipe 100 200 300 400 1000');
+        expect(commands).toContain('ps');
+        expect(commands).toContain('screencap -p /data/local/tmp/droideer-screen.png');
+        expect(server.requests.some(service => service === 'exec:screencap -p')).toBe(false);
+    });
+
+    test('remembers which UI dump method worked', async () => {
+        await connect(KITKAT, command => command === 'cat /data/local/tmp/ui.xml' ? loadFixture('login.xml') : '');
+
+        await device.adb.getUIHierarchy();
+        await device.adb.getUIHierarchy();
+
+        const commands = shellCommands();
+        expect(commands.filter(command => command === 'uiautomator dump /sdcard/ui.xml')).toHaveLength(1);
+        expect(commands.filter(command => command === 'uiautomator dump /data/local/tmp/ui.xml')).toHaveLength(2);
+        expect(commands.some(command => command.includes('--compressed'))).toBe(false);
+    });
+
+    test('probing can be turned off', async () => {
+        server = await new FakeAdbServer({ shell: deviceShell(MODERN) }).start();
+        device = await AndroidDevice.connect('emulator-5554', { port: server.port, logLevel: 'silent', probeCapabilities: false });
+
+        expect(device.capabilities).toBeNull();
+        expect(shellCommands()).not.toContain(CAPABILITY_PROBE);
+    });
+
+    test('FakeDevice reports configurable capabilities', async () => {
+        server = await new FakeAdbServer().start();
+        device = await AndroidDevice.connect({ backend: createFakeApp({ capabilities: { psAll: false } }), logLevel: 'silent' });
+        expect(device.capabilities).toMatchObject({ sdk: 34, psAll: false, resolveActivity: true });
+    });
+});
@@ -0,0 +1,178 @@
+import { ADB } from '../src/utils/adb.js';
+import { CommandQueue, commandPriority, commandType } from '../src/utils/command-queue.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Deferred task whose start is logged, for checking the order slots are handed out in
+function gate(log, name) {
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    return { release, task: async () => { log.push(name); await done; return name; } };
+}
+
+describe('commandPriority and commandType', () => {
+    test('input events go first, logcat polling last', () => {
+        expect(commandPriority('shell', ['input tap 10 20'])).toBe('high');
+        expect(commandPriority('execute', [['shell', 'input keyevent 4']])).toBe('high');
+        expect(commandPriority('shell', ['logcat -d -t 100'])).toBe('low');
+        expect(commandPriority('shellWithResult', ['dumpsys meminfo com.example.app'])).toBe('low');
+        expect(commandPriority('shell', ['uiautomator dump /sdcard/ui.xml'])).toBe('normal');
+        expect(commandPriority('screencap', [])).toBe('normal');
+    });
+
+    test('shell latencies are grouped by program', () => {
+        expect(commandType('shell', ['input tap 10 20'])).toBe('shell input');
+        expect(commandType('shellWithResult', ['  getprop ro.product.model'])).toBe('shell getprop');
+        expect(commandType('batch', [['getprop a', 'getprop b']])).toBe('batch');
+        expect(commandType('screencap', [])).toBe('screencap');
+    });
+});
+
+describe('CommandQueue', () => {
+    test('runs at most maxConcurrency tasks at once', async () => {
+        const queue = new CommandQueue({ maxConcurrency: 2 });
+        let running = 0;
+        let peak = 0;
+        const task = async () => {
+            peak = Math.max(peak, ++running);
+            await sleep(10);
+            running--;
+        };
+
+        await Promise.all(Array.from({ length: 6 }, () => queue.run(task)));
+
+        expect(peak).toBe(2);
+        expect(queue.stats()).toMatchObject({ active: 0, pending: { high: 0, normal: 0, low: 0 } });
+    });
+
+    test('serves waiting tasks by lane, then in arrival order', async () => {
+        const queue = new CommandQueue({ maxConcurrency: 1 });
+        const log = [];
+        const first = gate(log, 'first');
+        const running = queue.run(first.task);
+
+        const waiting = [
+            queue.run(async () => log.push('low'), { priority: 'low' }),
+            queue.run(async () => log.push('normal 1')),
+            queue.run(async () => log.push('high'), { priority: 'high' }),
+            queue.run(async () => log.push('normal 2'))
+        ];
+        expect(queue.pending).toBe(4);
+
+        first.release();
+        await Promise.all([running, ...waiting]);
+        expect(log).toEqual(['first', 'high', 'normal 1', 'normal 2', 'low']);
+    });
+
+    test('a failing task frees its slot and counts as an error', async () => {
+        const queue = new CommandQueue({ maxConcurrency: 1 });
+
+        await expect(queue.run(async () => { throw new Error('boom'); }, { type: 'shell ls' })).rejects.toThrow('boom');
+        await expect(queue.run(async () => 'ok', { type: 'shell ls' })).resolves.toBe('ok');
+
+        expect(queue.stats().commands['shell ls']).toMatchObject({ count: 2, errors: 1 });
+    });
+
+    test('keeps a latency histogram per command type', async () => {
+        const queue = new CommandQueue();
+        await queue.run(() => sleep(30), { type: 'shell uiautomator' });
+        await queue.run(async () => {}, { type: 'shell input' });
+        await queue.run(async () => {}, { type: 'shell input' });
+
+        const { commands } = queue.stats();
+        expect(Object.keys(commands)).toEqual(['shell uiautomator', 'shell input']);
+        expect(commands['shell input']).toMatchObject({ count: 2, errors: 0, p50: expect.any(Number) });
+        expect(commands['shell uiautomator'].min).toBeGreaterThanOrEqual(25);
+        expect(commands['shell uiautomator'].p95).toBeGreaterThanOrEqual(commands['shell uiautomator'].min);
+        expect(commands['shell uiautomator'].histogram.reduce((total, bucket) => total + bucket.count, 0)).toBe(1);
+        expect(commands['shell uiautomator'].histogram.at(-1).le).toBe(Infinity);
+
+        queue.resetStats();
+        expect(queue.stats().commands).toEqual({});
+    });
+
+    test('devices can share one queue', () => {
+        const queue = new CommandQueue({ maxConcurrency: 2 });
+        const first = new ADB('emulator-5554', { queue, logLevel: 'silent' });
+        const second = new ADB('emulator-5556', { queue, logLevel: 'silent' });
+
+        expect(first.queue).toBe(queue);
+        expect(second.queue).toBe(queue);
+        expect(new ADB('emulator-5558', { queue: { maxConcurrency: 8 } }).queue.maxConcurrency).toBe(8);
+    });
+
+    test('rejects bad settings', async () => {
+        expect(() => new CommandQueue({ maxConcurrency: 0 })).toThrow(TypeError);
+        await expect(new CommandQueue().run(async () => {}, { priority: 'urgent' })).rejects.toThrow(TypeError);
+    });
+});
+
+describe('ADB command queue', () => {
+    let server;
+    let adb;
+
+    afterEach(async () => {
+        adb?.close();
+        adb = null;
+        await server.stop();
+    });
+
+    test('parallel queries are capped and input jumps ahead of polling', async () => {
+        let running = 0;
+        let peak = 0;
+        const order = [];
+        server = await new FakeAdbServer({
+            shell: async command => {
+                peak = Math.max(peak, ++running);
+                order.push(command);
+                await sleep(20);
+                running--;
+                return `ran ${command}\n`;
+            }
+        }).start();
+        adb = new ADB('emulator-5554', { port: server.port, logLevel: 'silent', queue: { maxConcurrency: 1 } });
+
+        const first = adb.shell('getprop ro.product.model');
+        const rest = [
+            adb.shell('logcat -d -t 10'),
+            adb.shell('getprop ro.build.version.sdk'),
+            adb.tap(10, 20)
+        ];
+        await Promise.all([first, ...rest]);
+
+        expect(peak).toBe(1);
+        expect(order).toEqual([
+            'getprop ro.product.model',
+            'input tap 10 20',
+            'getprop ro.build.version.sdk',
+            'logcat -d -t 10'
+        ]);
+
+        const stats = adb.stats();
+        expect(stats.maxConcurrency).toBe(1);
+        expect(stats.commands['shell getprop']).toMatchObject({ count: 2, errors: 0 });
+        expect(stats.commands['shell input'].count).toBe(1);
+        expect(stats.commands['shell logcat'].meanWait).toBeGreaterThan(0);
+    });
+
+    test('an explicit priority overrides the default lane', async () => {
+        const order = [];
+        server = await new FakeAdbServer({
+            shell: async command => {
+                order.push(command);
+                await sleep(10);
+                return '';
+            }
+        }).start();
+        adb = new ADB('emulator-5554', { port: server.port, logLevel: 'silent', queue: { maxConcurrency: 1 } });
+
+        await Promise.all([
+            adb.shell('echo busy'),
+            adb.shell('echo later'),
+            adb.shell('echo sooner', { priority: 'high' })
+        ]);
+
+        expect(order).toEqual(['echo busy', 'echo sooner', 'echo later']);
+    });
+});
@@ -0,0 +1,161 @@
+import { compileSelector, matchesCss } from '../src/utils/css-selector.js';
+import { parseUIHierarchySync } from '../src/utils/xml-parser.js';
+import { SelectorSyntaxError } from '../src/errors/index.js';
+import { AndroidDevice } from '../src/Device.js';
+import { Selector } from '../src/Selector.js';
+import { createFakeApp, loadFixture } from './helpers/fixtures.js';
+
+const home = parseUIHierarchySync(loadFixture('home.xml'));
+const login = parseUIHierarchySync(loadFixture('login.xml'));
+
+function select(root, selector) {
+    const results = [];
+    const walk = node => {
+        if (matchesCss(node, selector)) results.push(node.text || node['content-desc'] || node['resource-id'].replace(/.*:id\//, ''));
+        node.children.forEach(walk);
+    };
+    walk(root);
+    return results;
+}
+
+describe('CSS selectors', () => {
+    test.each([
+        ['RecyclerView > LinearLayout TextView#title', ['Blue Sneakers', 'Red Boots', 'Green Sandals']],
+        ['androidx.recyclerview.widget.RecyclerView > * > ImageView', ['New', 'Sale']],
+        ['#list > #card:nth-child(2) > *', ['Red Boots', 'Price: $120']],
+        ['#com.example.app:id/toolbar_title', ['Home']],
+        ['#title + #price', ['Price: $59', 'Price: $120', 'Price: $35']],
+        ['#title ~ ImageView', ['New', 'Sale']],
+        ['#toolbar_title ~ *', ['list', 'hidden']],
+        ['.TextView.widget[text^=Price]', ['Price: $59', 'Price: $120', 'Price: $35']],
+        ['[text$="Boots"], [content-desc=sale i]', ['Red Boots', 'Sale']],
+        ['[text*=" "][text|=Red]', []],
+        ['[text~=Sneakers]', ['Blue Sneakers']],
+        ['[resource-id$=badge]:not([content-desc=New])', ['Sale']],
+        ['#card:has(#badge) > #title', ['Blue Sneakers', 'Green Sandals']],
+        ['#card:has(> [content-desc="Sale"]) #price', ['Price: $35']],
+        ['#title:has(+ #price)', ['Blue Sneakers', 'Red Boots', 'Green Sandals']],
+        ['#card:not(:has(ImageView)) > :first-child', ['Red Boots']],
+        ['#card > :last-child', ['New', 'Price: $120', 'Sale']],
+        ['#card > TextView:last-of-type', ['Price: $59', 'Price: $120', 'Price: $35']],
+        ['#card:nth-child(odd) > :nth-last-child(1)', ['New', 'Sale']],
+        ['#list > :nth-child(-n+2) #title', ['Blue Sneakers', 'Red Boots']],
+        ['#card:nth-of-type(2n) TextView:only-of-type', []],
+        ['#card > :only-child', []],
+        ['#card:is(:nth-child(1), :nth-child(3)) > ImageView:empty', ['New', 'Sale']],
+        [':root > :scrollable', ['list']],
+        [':clickable:focusable', ['card', 'card', 'card']],
+        [':visible#hidden, #hidden:not(:visible)', ['hidden']],
+        ['TextView:text("Red Boots")', ['Red Boots']],
+        [':contains(sandals)', ['Green Sandals']],
+        [':text(\'Price: $35\')', ['Price: $35']],
+        ['*:not(:enabled), :disabled', []]
+    ])('%s', (selector, expected) => {
+        expect(select(home, selector)).toEqual(expected);
+    });
+
+    test('state pseudo-classes', () => {
+        expect(select(login, 'CheckBox:checked:checkable')).toEqual(['Remember me']);
+        expect(select(login, 'EditText:password')).toEqual(['password']);
+        expect(select(login, 'EditText:not(:password)')).toEqual(['email']);
+        expect(select(login, '[password=true] ~ :long-clickable')).toEqual([]);
+        expect(select(login, ':focused, :selected')).toEqual([]);
+    });
+
+    test.each([
+        ['#', 1],
+        ['#title >', 8],
+        ['[text', 5],
+        ['[text=]', 6],
+        ['[text="open', 6],
+        [':hovered', 0],
+        [':nth-child(x)', 11],
+        [':has(#badge', 11],
+        ['#title!', 6],
+        ['> #title', 0]
+    ])('%s fails at %i', (selector, position) => {
+        expect(() => compileSelector(selector)).toThrow(SelectorSyntaxError);
+        try {
+            compileSelector(selector);
+        } catch (error) {
+            expect(error).toMatchObject({ selector, position });
+        }
+    });
+});
+
+describe('string selectors through the page', () => {
+    let page;
+
+    beforeEach(async () => {
+        const device = await AndroidDevice.connect({ backend: createFakeApp({ initial: 'home' }), logLevel: 'silent' });
+        page = device.page;
+    });
+
+    test('$ and $$ accept CSS', async () => {
+        const prices = await page.$$('#card > #price');
+        expect(prices.map(price => price.text)).toEqual(['Price: $59', 'Price: $120', 'Price: $35']);
+        expect((await page.$('#card:has([content-desc=Sale]) #title')).text).toBe('Green Sandals');
+    });
+
+    test('plain text still matches text and content description', async () => {
+        expect((await page.$('Red Boots')).resourceId).toBe('com.example.app:id/title');
+        expect((await page.$('Price: $120')).resourceId).toBe('com.example.app:id/price');
+        expect((await page.$('Sale')).resourceId).toBe('com.example.app:id/badge');
+    });
+
+    test.each([
+        ['css=EditText', 2],
+        ['css=LinearLayout TextView', 3],
+        ['css=TextView + EditText', 2],
+        ['css=TextView ~ CheckBox', 1],
+        ['css=TextView, Button', 4],
+        ['android.widget.EditText', 2],
+        ['android.widget.LinearLayout > android.widget.TextView:first-child', 1],
+        ['Welcome back', 1],
+        ['Sign in button', 1]
+    ])('%s finds %i', async (selector, count) => {
+        const device = await AndroidDevice.connect({ backend: createFakeApp({ initial: 'login' }), logLevel: 'silent' });
+        expect(await device.page.$$(selector)).toHaveLength(count);
+    });
+
+    test('bare strings are text, even when they read like CSS', () => {
+        const root = parseUIHierarchySync(`<hierarchy rotation="0">
+  <node index="0" text="" class="android.widget.LinearLayout" bounds="[0,0][1080,1920]">
+    <node index="0" text="Switch" class="android.widget.TextView" bounds="[0,0][800,100]" />
+    <node index="1" text="" class="android.widget.Switch" checkable="true" bounds="[800,0][1080,100]" />
+    <node index="2" text="Done." class="android.widget.TextView" bounds="[0,100][1080,200]" />
+    <node index="3" text="Loading..." class="android.widget.TextView" bounds="[0,200][1080,300]" />
+    <node index="4" text="Mr. Smith" class="android.widget.TextView" bounds="[0,300][1080,400]" />
+    <node index="5" text="e.g. Paris" class="android.widget.TextView" bounds="[0,400][1080,500]" />
+  </node>
+</hierarchy>`);
+        const selector = new Selector(null);
+        const find = string => selector._findNodes(root, string).map(node => node.text || node.class);
+
+        expect(find('Switch')).toEqual(['Switch']);
+        expect(find('css=Switch')).toEqual(['android.widget.Switch']);
+        expect(find('android.widget.Switch')).toEqual(['android.widget.Switch']);
+        for (const text of ['Done.', 'Loading...', 'Mr. Smith', 'e.g. Paris']) {
+            expect(find(text)).toEqual([text]);
+        }
+    });
+
+    test('unquoted attribute values may contain spaces', async () => {
+        const device = await AndroidDevice.connect({ backend: createFakeApp({ initial: 'login' }), logLevel: 'silent' });
+        expect((await device.page.$('[text=Sign in]')).resourceId).toBe('com.example.app:id/sign_in');
+        expect((await device.page.$('[content-desc=sign in button i]')).text).toBe('Sign in');
+    });
+
+    test('broken selectors are reported', async () => {
+        await expect(page.$('#card >')).rejects.toThrow(SelectorSyntaxError);
+        await expect(page.$(':nth-child(a)')).rejects.toThrow(/position 11/);
+    });
+
+    test('element.matches', async () => {
+        const badge = await page.$('[content-desc=Sale]');
+        expect(badge.matches('#card:nth-child(3) > ImageView:last-child')).toBe(true);
+        expect(badge.matches('#card:first-child > *')).toBe(false);
+        expect(badge.matches('Sale')).toBe(true);
+        expect(badge.matches({ contentDesc: 'Sale', clickable: false })).toBe(true);
+    });
+});
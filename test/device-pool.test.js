@@ -0,0 +1,169 @@
+import { AndroidDevice, DeviceNotConnectedError, DevicePool, Droideer, InvalidArgumentError, TimeoutError } from '../src/index.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+import { createFakeApp } from './helpers/fixtures.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function rack(...ids) {
+    return ids.map(id => ({ id, state: 'device', info: `model:${id}` }));
+}
+
+describe('DevicePool', () => {
+    let server;
+    let pool;
+
+    const createPool = (options = {}) => new DevicePool({
+        connect: (deviceId, connectOptions) => AndroidDevice.connect(deviceId, { ...connectOptions, backend: createFakeApp() }),
+        ...options,
+        connectOptions: { port: server.port, logLevel: 'silent', ...options.connectOptions }
+    });
+
+    afterEach(async () => {
+        await pool?.close();
+        pool = null;
+        await server.stop();
+    });
+
+    test('discovers online devices that pass the filter', async () => {
+        server = await new FakeAdbServer({
+            devices: [...rack('phone-a', 'phone-b', 'tablet-c'), { id: 'phone-d', state: 'unauthorized', info: '' }]
+        }).start();
+        pool = createPool({ filter: info => info.id.startsWith('phone') });
+
+        expect(await pool.discover()).toEqual(['phone-a', 'phone-b']);
+        expect(pool.size).toBe(2);
+        expect(pool.available).toBe(2);
+    });
+
+    test('connects over adb by default', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a') }).start();
+        pool = new DevicePool({ connectOptions: { port: server.port, logLevel: 'silent' } });
+
+        const lease = await pool.acquire();
+        expect(lease.deviceId).toBe('phone-a');
+        expect(lease.device).toBeInstanceOf(AndroidDevice);
+        expect(server.requests).toContain('host-serial:phone-a:get-state');
+        lease.release();
+    });
+
+    test('runs one job per device at a time', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a', 'phone-b') }).start();
+        pool = createPool();
+        const running = new Set();
+        let peak = 0;
+
+        const results = await pool.map([1, 2, 3, 4, 5], async (device, item) => {
+            expect(running.has(device.deviceId)).toBe(false);
+            running.add(device.deviceId);
+            peak = Math.max(peak, running.size);
+            await sleep(20);
+            running.delete(device.deviceId);
+            return item * 10;
+        });
+
+        expect(peak).toBe(2);
+        expect(results.map(result => result.value)).toEqual([10, 20, 30, 40, 50]);
+        expect(results.every(result => result.status === 'fulfilled')).toBe(true);
+        expect(new Set(results.map(result => result.deviceId))).toEqual(new Set(['phone-a', 'phone-b']));
+    });
+
+    test('collects failures and results per device', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a') }).start();
+        pool = createPool();
+
+        const results = await pool.map(['ok', 'boom'], async (device, item) => {
+            if (item === 'boom') throw new Error('job failed');
+            return item;
+        });
+
+        expect(results[0]).toMatchObject({ status: 'fulfilled', value: 'ok', deviceId: 'phone-a' });
+        expect(results[1]).toMatchObject({ status: 'rejected', deviceId: 'phone-a' });
+        expect(results[1].error.message).toBe('job failed');
+        expect(pool.results()['phone-a'].map(outcome => [outcome.item, outcome.status])).toEqual([
+            ['ok', 'fulfilled'],
+            ['boom', 'rejected']
+        ]);
+    });
+
+    test('skips devices that fail the health check', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a', 'phone-b') }).start();
+        pool = createPool({ healthCheck: async device => device.deviceId !== 'phone-a' });
+
+        const lease = await pool.acquire();
+        expect(lease.deviceId).toBe('phone-b');
+        lease.release();
+        expect(pool.available).toBe(1);
+    });
+
+    test('skips devices that dropped off adb', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a', 'phone-b') }).start();
+        pool = new DevicePool({ connectOptions: { port: server.port, logLevel: 'silent', retry: false } });
+        await pool.discover();
+        server.devices[0].state = 'offline';
+
+        const lease = await pool.acquire();
+        expect(lease.deviceId).toBe('phone-b');
+        lease.release();
+    });
+
+    test('fails fast when no device is healthy', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a') }).start();
+        pool = createPool({ healthCheck: async () => false });
+
+        await expect(pool.acquire()).rejects.toBeInstanceOf(DeviceNotConnectedError);
+    });
+
+    test('times out waiting for a busy device', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a') }).start();
+        pool = createPool();
+
+        const lease = await pool.acquire();
+        const error = await pool.acquire({ timeout: 50 }).catch(e => e);
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error.timeout).toBe(50);
+
+        lease.release();
+        const next = await pool.acquire({ deviceId: 'phone-a', timeout: 50 });
+        expect(next.deviceId).toBe('phone-a');
+        next.release();
+    });
+
+    test('rejects releasing a lease twice', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a') }).start();
+        pool = createPool();
+
+        const first = await pool.acquire();
+        first.release();
+        expect(() => first.release()).toThrow(InvalidArgumentError);
+        expect(() => pool.release('phone-a')).toThrow(InvalidArgumentError);
+        expect(pool.available).toBe(1);
+
+        // A stale lease can't free the device from under its next holder
+        const second = await pool.acquire();
+        expect(() => pool.release(first)).toThrow('already released');
+        expect(pool.available).toBe(0);
+        second.release();
+    });
+
+    test('records one transcript per device', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a', '192.168.1.20:5555') }).start();
+        const paths = [];
+        pool = createPool({
+            connect: (deviceId, connectOptions) => {
+                paths.push(connectOptions.record);
+                return AndroidDevice.connect(deviceId, { ...connectOptions, record: undefined, backend: createFakeApp() });
+            },
+            connectOptions: { record: 'flows/login.json' }
+        });
+
+        const leases = [await pool.acquire(), await pool.acquire()];
+        leases.forEach(lease => lease.release());
+        expect(paths).toEqual(['flows/login.phone-a.json', 'flows/login.192.168.1.20_5555.json']);
+    });
+
+    test('Droideer.pool discovers devices up front', async () => {
+        server = await new FakeAdbServer({ devices: rack('phone-a', 'phone-b') }).start();
+        pool = await Droideer.pool({ connectOptions: { port: server.port, logLevel: 'silent' } });
+        expect(pool.deviceIds).toEqual(['phone-a', 'phone-b']);
+    });
+});
@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import { AndroidDevice } from '../src/Device.js';
+import { AndroidElement } from '../src/Element.js';
+import { createFakeApp } from './helpers/fixtures.js';
+
+describe('AndroidElement tree navigation', () => {
+    let device;
+    let page;
+
+    beforeEach(async () => {
+        device = await AndroidDevice.connect({ backend: createFakeApp({ initial: 'home' }), logLevel: 'silent' });
+        page = device.page;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('walks up to the parent and down to the children', async () => {
+        const title = await page.$({ text: 'Red Boots' });
+        const card = title.parent();
+
+        expect(card).toBeInstanceOf(AndroidElement);
+        expect(card.resourceId).toBe('com.example.app:id/card');
+        expect(card.children().map(child => child.text)).toEqual(['Red Boots', 'Price: $120']);
+        expect(card.parent().resourceId).toBe('com.example.app:id/list');
+        expect(card.parent().parent().parent()).toBeNull();
+    });
+
+    test('steps between siblings', async () => {
+        const price = await page.$({ text: 'Price: $59' });
+
+        expect(price.previousSibling().text).toBe('Blue Sneakers');
+        expect(price.nextSibling().contentDesc).toBe('New');
+        expect(price.nextSibling().nextSibling()).toBeNull();
+        expect(price.previousSibling().previousSibling()).toBeNull();
+    });
+
+    test('closest starts at the element and walks up', async () => {
+        const price = await page.$({ text: 'Price: $35' });
+
+        expect(price.closest('#card').children()[0].text).toBe('Green Sandals');
+        expect(price.closest('#price')).toBe(price);
+        expect(price.closest({ className: 'androidx.recyclerview.widget.RecyclerView' }).resourceId).toBe('com.example.app:id/list');
+        expect(price.closest('#toolbar_title')).toBeNull();
+    });
+
+    test('$ and $$ only search the subtree', async () => {
+        const cards = await page.$$('#card');
+        const rows = await Promise.all(cards.map(async card => ({
+            title: (await card.$('#title')).text,
+            price: (await card.$('#price')).text,
+            badge: (await card.$('#badge'))?.contentDesc ?? null
+        })));
+
+        expect(rows).toEqual([
+            { title: 'Blue Sneakers', price: 'Price: $59', badge: 'New' },
+            { title: 'Red Boots', price: 'Price: $120', badge: null },
+            { title: 'Green Sandals', price: 'Price: $35', badge: 'Sale' }
+        ]);
+        expect(await cards[0].$$('.TextView')).toHaveLength(2);
+        expect(await cards[0].$('#card')).toBeNull();
+    });
+
+    test('results come from the same snapshot without dumping the screen again', async () => {
+        const list = await page.$('#list');
+        const dump = jest.spyOn(device.adb, 'getUIHierarchy');
+
+        const titles = await list.$$('#title');
+
+        expect(titles.map(title => title.text)).toEqual(['Blue Sneakers', 'Red Boots', 'Green Sandals']);
+        expect(titles[0].parent().parent()._data).toBe(list._data);
+        expect(dump).not.toHaveBeenCalled();
+    });
+
+    test('elements built from plain data have no neighbours', () => {
+        const element = new AndroidElement(device, { text: 'loose' });
+        expect(element.parent()).toBeNull();
+        expect(element.children()).toEqual([]);
+        expect(element.nextSibling()).toBeNull();
+    });
+});
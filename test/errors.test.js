@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import {
+    ADB,
+    AdbCommandError,
+    AdbTimeoutError,
+    AndroidDevice,
+    AndroidElement,
+    AppNotInstalledError,
+    DeviceBackend,
+    DeviceNotConnectedError,
+    DroideerError,
+    ElementNotFoundError,
+    ElementNotInteractableError,
+    NotSupportedError,
+    ReplayBackend,
+    TimeoutError,
+    TranscriptRecorder
+} from '../src/index.js';
+import { createFakeAdbBinary } from './helpers/fake-adb-binary.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+import { createFakeApp } from './helpers/fixtures.js';
+
+describe('ADB errors', () => {
+    let server;
+    let adb;
+
+    afterEach(async () => {
+        adb.close();
+        await server.stop();
+    });
+
+    test('failed commands carry the command, device and error kind', async () => {
+        server = await new FakeAdbServer().start();
+        adb = new ADB('missing-device', { port: server.port, retry: false });
+
+        const error = await adb.shell(['getprop', 'ro.product.model']).catch(e => e);
+        expect(error).toBeInstanceOf(AdbCommandError);
+        expect(error).toBeInstanceOf(DroideerError);
+        expect(error).toMatchObject({
+            command: 'shell getprop ro.product.model',
+            deviceId: 'missing-device',
+            kind: 'disconnected'
+        });
+        expect(error.message).toMatch(/^ADB command failed: device 'missing-device' not found/);
+    });
+
+    test('timeouts are AdbTimeoutErrors', async () => {
+        server = await new FakeAdbServer({ shell: () => new Promise(() => {}) }).start();
+        adb = new ADB('emulator-5554', { port: server.port, retry: false });
+
+        const error = await adb.shell('sleep 60', { timeout: 50 }).catch(e => e);
+        expect(error).toBeInstanceOf(AdbTimeoutError);
+        expect(error).toBeInstanceOf(AdbCommandError);
+        expect(error).toMatchObject({ timeout: 50, command: 'shell sleep 60', kind: 'timeout' });
+    });
+
+    test('replayed failures keep their type and fields', async () => {
+        server = await new FakeAdbServer().start();
+        const recorder = new ADB('missing-device', { port: server.port, retry: false, record: new TranscriptRecorder() });
+        adb = recorder;
+        await recorder.shell('getprop').catch(() => {});
+
+        const replay = new ReplayBackend(recorder.recorder.toJSON());
+        const error = await replay.shell('getprop').catch(e => e);
+        expect(error).toBeInstanceOf(AdbCommandError);
+        expect(error).toMatchObject({ command: 'shell getprop', kind: 'disconnected' });
+    });
+});
+
+describe('ADB errors over the adb binary', () => {
+    let binary;
+
+    beforeAll(() => {
+        binary = createFakeAdbBinary('#!/bin/sh\necho "adb: error: failed to read copy response" >&2\nexit 1\n');
+    });
+
+    afterAll(() => {
+        binary.remove();
+    });
+
+    test('host command failures carry stderr and the exit code', async () => {
+        const adb = new ADB('emulator-5554', { adbPath: binary.adbPath, transport: 'binary', retry: false });
+
+        const error = await adb.execute(['pull', '/sdcard/missing', '/tmp/missing']).catch(e => e);
+        expect(error).toBeInstanceOf(AdbCommandError);
+        expect(error).toMatchObject({
+            command: 'pull /sdcard/missing /tmp/missing',
+            stderr: 'adb: error: failed to read copy response',
+            exitCode: 1,
+            deviceId: 'emulator-5554'
+        });
+    });
+});
+
+describe('page and device errors', () => {
+    let fake;
+    let device;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fake = createFakeApp();
+        device = await AndroidDevice.connect({ backend: fake });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('waitForSelector times out with the selector and last hierarchy', async () => {
+        const error = await device.page.waitForSelector({ text: 'Nope' }, { timeout: 200 }).catch(e => e);
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error.selector).toEqual({ text: 'Nope' });
+        expect(error.timeout).toBe(200);
+        expect(error.hierarchy).toContain('Welcome back');
+    });
+
+    test('$eval reports a missing element', async () => {
+        const error = await device.page.selector.$eval('#nope', el => el.text).catch(e => e);
+        expect(error).toBeInstanceOf(ElementNotFoundError);
+        expect(error.selector).toBe('#nope');
+        expect(error.hierarchy).toContain('<hierarchy');
+    });
+
+    test('elements without bounds cannot be clicked', async () => {
+        const element = new AndroidElement(device, { text: 'ghost', bounds: 'unknown' });
+        await expect(element.click()).rejects.toBeInstanceOf(ElementNotInteractableError);
+    });
+
+    test('launching a missing app names the package', async () => {
+        const error = await device.launch('com.example.missing').catch(e => e);
+        expect(error).toBeInstanceOf(AppNotInstalledError);
+        expect(error.packageName).toBe('com.example.missing');
+    });
+
+    test('connect reports unreachable devices', async () => {
+        fake.isConnected = async () => false;
+        const error = await AndroidDevice.connect('emulator-5554', { backend: fake }).catch(e => e);
+        expect(error).toBeInstanceOf(DeviceNotConnectedError);
+        expect(error.deviceId).toBe('emulator-5554');
+    });
+
+    test('backends report unimplemented methods', async () => {
+        class PartialBackend extends DeviceBackend {}
+        const error = await new PartialBackend().tap(1, 2).catch(e => e);
+        expect(error).toBeInstanceOf(NotSupportedError);
+        expect(error).toMatchObject({ backend: 'PartialBackend', method: 'tap' });
+    });
+});
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import { AndroidDevice } from '../src/Device.js';
+import { DeviceBackend } from '../src/backends/DeviceBackend.js';
+import { FakeDevice } from '../src/backends/FakeDevice.js';
+import { ADB } from '../src/utils/adb.js';
+import { createFakeApp } from './helpers/fixtures.js';
+
+describe('FakeDevice backend', () => {
+    let fake;
+    let device;
+    let page;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        fake = createFakeApp();
+        device = await AndroidDevice.connect({ backend: fake });
+        page = device.page;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('ADB and FakeDevice implement the backend interface', () => {
+        expect(new ADB()).toBeInstanceOf(DeviceBackend);
+        expect(fake).toBeInstanceOf(DeviceBackend);
+        expect(device.backend).toBe(fake);
+    });
+
+    test('serves the canned hierarchy to selectors', async () => {
+        const title = await page.$('#title');
+        expect(title.text).toBe('Welcome back');
+        expect(await page.$$({ className: 'android.widget.EditText' })).toHaveLength(2);
+        expect(await page.title()).toBe('com.example.app/.LoginActivity');
+    });
+
+    test('records taps and typing and follows transitions', async () => {
+        await page.type({ resourceId: 'email' }, 'me@example.com');
+        await page.click({ resourceId: 'sign_in' });
+
+        expect(fake.currentScreen).toBe('home');
+        expect(fake.typed).toEqual(['me@example.com']);
+        expect(fake.taps[fake.taps.length - 1]).toMatchObject({ x: 540, y: 950 });
+
+        await device.getUIHierarchy(true);
+        const cards = await page.$$({ resourceId: 'card' });
+        expect(cards).toHaveLength(3);
+
+        await page.goBack();
+        expect(fake.currentScreen).toBe('login');
+        expect(fake.history).toEqual(['login', 'home', 'login']);
+    });
+
+    test('taps outside the transition selector keep the screen', async () => {
+        await page.tap(10, 10);
+        expect(fake.currentScreen).toBe('login');
+    });
+
+    test('records swipes with their direction', async () => {
+        await page.scroll('down', 400);
+        expect(fake.swipes).toEqual([
+            expect.objectContaining({ x1: 540, y1: 760, x2: 540, y2: 1160, direction: 'down' })
+        ]);
+    });
+
+    test('launches installed packages onto their start screen', async () => {
+        fake.goTo('home');
+        await fake.startApp('com.example.app');
+        expect(fake.currentScreen).toBe('login');
+        await expect(fake.startApp('com.other')).rejects.toThrow('not installed');
+    });
+
+    test('unimplemented backend methods fail loudly', async () => {
+        class PartialBackend extends DeviceBackend {}
+        await expect(new PartialBackend().tap(1, 2)).rejects.toThrow('PartialBackend does not implement tap()');
+    });
+
+    test('supports scripted shell output', async () => {
+        const scripted = new FakeDevice({
+            screens: {},
+            shell: command => (command.includes('battery') ? 'level: 42' : '')
+        });
+        const scriptedDevice = new AndroidDevice(null, { backend: scripted });
+        expect(await scriptedDevice.getBatteryLevel()).toBe(42);
+    });
+
+    test('passes shell commands to handlers as one string from every entry point', async () => {
+        const commands = [];
+        const scripted = new FakeDevice({
+            screens: {},
+            shell: command => { commands.push(command); return ''; },
+            stream: command => { commands.push(command); return []; }
+        });
+
+        await scripted.shell(['ls', '-la', '/sdcard/My Files']);
+        await scripted.shellWithResult(['ls', '-la', '/sdcard/My Files']);
+        scripted.spawnShell(['ls', '-la', '/sdcard/My Files']);
+
+        expect(commands).toEqual(Array(3).fill("ls -la '/sdcard/My Files'"));
+        expect(scripted.actions.map(action => action.command)).toEqual(Array(3).fill("ls -la '/sdcard/My Files'"));
+    });
+});
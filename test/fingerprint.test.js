@@ -0,0 +1,124 @@
+import { jest } from '@jest/globals';
+import { AndroidDevice, fingerprintNode, findNodeByFingerprint } from '../src/index.js';
+import { FakeDevice } from '../src/backends/FakeDevice.js';
+import { parseUIHierarchySync } from '../src/utils/xml-parser.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+const home = loadFixture('home.xml');
+
+const card = (title, price, y) => `
+      <node index="0" text="" resource-id="com.example.app:id/card" class="android.widget.LinearLayout" clickable="true" bounds="[0,${y}][1080,${y + 300}]">
+        <node index="0" text="${title}" resource-id="com.example.app:id/title" class="android.widget.TextView" bounds="[40,${y + 30}][700,${y + 110}]" />
+        <node index="1" text="${price}" resource-id="com.example.app:id/price" class="android.widget.TextView" bounds="[40,${y + 130}][700,${y + 190}]" />
+      </node>`;
+
+const list = cards => `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>
+<hierarchy rotation="0">
+  <node index="0" text="" class="android.widget.FrameLayout" bounds="[0,0][1080,1920]">
+    <node index="0" text="Home" resource-id="com.example.app:id/toolbar_title" class="android.widget.TextView" bounds="[0,0][1080,150]" />
+    <node index="1" text="" resource-id="com.example.app:id/list" class="androidx.recyclerview.widget.RecyclerView" scrollable="true" bounds="[0,150][1080,1800]">${cards.join('')}
+    </node>
+  </node>
+</hierarchy>`;
+
+function all(node, nodes = []) {
+    nodes.push(node);
+    for (const child of node.children) all(child, nodes);
+    return nodes;
+}
+
+function byText(root, text) {
+    return all(root).find(node => node.text === text);
+}
+
+describe('element fingerprints', () => {
+    test('every node of a dump gets its own fingerprint', () => {
+        const nodes = all(parseUIHierarchySync(home));
+        const fingerprints = new Set(nodes.map(fingerprintNode));
+
+        expect(fingerprints.size).toBe(nodes.length);
+        for (const fingerprint of fingerprints) expect(fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    });
+
+    test('survive scrolling and items appearing above', () => {
+        const before = parseUIHierarchySync(list([card('Blue Sneakers', '$59', 150), card('Red Boots', '$120', 450)]));
+        const after = parseUIHierarchySync(list([
+            card('Yellow Hat', '$15', 150),
+            card('Green Sandals', '$35', 450),
+            card('Red Boots', '$99', 750),
+            card('Blue Sneakers', '$59', 1050)
+        ]));
+
+        const boots = byText(before, 'Red Boots');
+        const moved = byText(after, 'Red Boots');
+        expect(moved.id).not.toBe(boots.id);
+        expect(fingerprintNode(moved)).toBe(fingerprintNode(boots));
+        // The card is known by its title, so a new price doesn't change it
+        expect(fingerprintNode(moved.parent)).toBe(fingerprintNode(boots.parent));
+        expect(findNodeByFingerprint(after, fingerprintNode(byText(before, 'Blue Sneakers')))).toBe(byText(after, 'Blue Sneakers'));
+        expect(findNodeByFingerprint(after, fingerprintNode(byText(before, '$59').parent))).toBe(byText(after, 'Blue Sneakers').parent);
+    });
+
+    test('survive siblings appearing and changing text outside lists', () => {
+        const form = fields => `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>
+<hierarchy rotation="0">
+  <node index="0" text="" class="android.widget.FrameLayout" bounds="[0,0][1080,1920]">
+    <node index="0" text="" resource-id="com.x:id/form" class="android.widget.LinearLayout" bounds="[0,0][1080,1200]">${fields}
+      <node index="9" text="Submit" resource-id="com.x:id/submit" class="android.widget.Button" clickable="true" bounds="[40,1000][1040,1100]" />
+    </node>
+  </node>
+</hierarchy>`;
+        const status = text => `
+      <node index="0" text="${text}" resource-id="com.x:id/status" class="android.widget.TextView" bounds="[40,100][1040,200]" />`;
+
+        const before = parseUIHierarchySync(form(status('Status: idle')));
+        const submit = fingerprintNode(byText(before, 'Submit'));
+
+        for (const after of [
+            parseUIHierarchySync(form(status('Status: syncing'))),
+            parseUIHierarchySync(form(`${status('Offline')}${status('Status: idle')}`)),
+            parseUIHierarchySync(form(''))
+        ]) {
+            expect(findNodeByFingerprint(after, submit)).toBe(byText(after, 'Submit'));
+        }
+    });
+
+    test('keeps look-alike siblings apart by their order', () => {
+        const root = parseUIHierarchySync(list([card('Red Boots', '$120', 150), card('Red Boots', '$120', 450)]));
+        const [first, second] = root.children[1].children;
+
+        expect(fingerprintNode(first)).not.toBe(fingerprintNode(second));
+        expect(findNodeByFingerprint(root, fingerprintNode(second))).toBe(second);
+        expect(findNodeByFingerprint(root, '0000000000000000')).toBeNull();
+    });
+});
+
+describe('page.findByFingerprint', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('relocates an element in a new dump', async () => {
+        const fake = new FakeDevice({
+            initial: 'top',
+            screens: {
+                top: { xml: list([card('Blue Sneakers', '$59', 150), card('Red Boots', '$120', 450)]), transitions: [{ on: 'swipe', to: 'scrolled' }] },
+                scrolled: { xml: list([card('Red Boots', '$120', 150), card('Green Sandals', '$35', 450)]) }
+            }
+        });
+        const page = (await AndroidDevice.connect({ backend: fake })).page;
+
+        const boots = await page.$('#card:has([text="Red Boots"])');
+        await page.scroll('down');
+        const relocated = await page.findByFingerprint(boots.fingerprint);
+
+        expect(relocated.fingerprint).toBe(boots.fingerprint);
+        expect(relocated.boundsRect.y1).toBe(150);
+        expect(boots.boundsRect.y1).toBe(450);
+        expect(await page.findByFingerprint((await page.$('#card')).fingerprint)).toMatchObject({ bounds: '[0,150][1080,450]' });
+    });
+});
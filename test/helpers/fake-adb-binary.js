@@ -0,0 +1,27 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Runs the device command of `adb -s <serial> shell <command>` locally
+export const LOCAL_SHELL = '#!/bin/sh\nshift 3\nexec /bin/sh -c "$1"\n';
+
+// Prints the argv it received as JSON
+export const PRINT_ARGV = `#!${process.execPath}\nprocess.stdout.write(JSON.stringify(process.argv.slice(2)));\n`;
+
+/**
+ * Write an executable `adb` script into a new temporary directory, for
+ * testing the binary transport: new ADB(serial, { adbPath: binary.adbPath, transport: 'binary' })
+ * @param {string} script - Script contents, LOCAL_SHELL by default
+ * @returns {{dir: string, adbPath: string, remove: Function}}
+ */
+export function createFakeAdbBinary(script = LOCAL_SHELL) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'droideer-adb-'));
+    const adbPath = path.join(dir, 'adb');
+    fs.writeFileSync(adbPath, script);
+    fs.chmodSync(adbPath, 0o755);
+    return {
+        dir,
+        adbPath,
+        remove: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
@@ -0,0 +1,243 @@
+import net from 'net';
+
+/**
+ * Minimal in-process adb server speaking the smart-socket protocol.
+ * Device services are answered by the `shell` callback; sync: transfers
+ * go to an in-memory file map.
+ */
+export class FakeAdbServer {
+    constructor(options = {}) {
+        this.devices = options.devices || [{ id: 'emulator-5554', state: 'device', info: 'product:sdk model:Pixel device:generic' }];
+        this.shellHandler = options.shell || (() => '');
+        this.shellV2 = options.shellV2 !== false;
+        this.files = new Map(Object.entries(options.files || {}));
+        // Wireless debugging: addresses `adb connect` can reach, pairing codes and mDNS services
+        this.reachable = new Set(options.reachable || []);
+        this.pairing = options.pairing || {};
+        this.mdns = options.mdns || [];
+        this.requests = [];
+        this.connections = 0;
+        this._sockets = new Set();
+        this.server = net.createServer(socket => this._handle(socket));
+    }
+
+    // A port to listen on again after stop(), like a restarted daemon
+    async start(port = 0) {
+        await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+        this.port = this.server.address().port;
+        return this;
+    }
+
+    async stop() {
+        for (const socket of this._sockets) {
+            socket.destroy();
+        }
+        await new Promise(resolve => this.server.close(resolve));
+    }
+
+    _handle(socket) {
+        this.connections++;
+        this._sockets.add(socket);
+        socket.on('close', () => this._sockets.delete(socket));
+        socket.on('error', () => {});
+
+        const state = { buffer: Buffer.alloc(0), serial: null, mode: 'host' };
+        socket.on('data', chunk => {
+            state.buffer = Buffer.concat([state.buffer, chunk]);
+            this._drain(socket, state);
+        });
+    }
+
+    _drain(socket, state) {
+        for (;;) {
+            if (state.mode === 'sync') {
+                if (state.buffer.length < 8) return;
+                const id = state.buffer.toString('ascii', 0, 4);
+                const length = state.buffer.readUInt32LE(4);
+                // DONE and QUIT carry a value instead of a payload length
+                const payloadLength = (id === 'DONE' || id === 'QUIT') ? 0 : length;
+                if (state.buffer.length < 8 + payloadLength) return;
+                const payload = state.buffer.subarray(8, 8 + payloadLength);
+                state.buffer = state.buffer.subarray(8 + payloadLength);
+                this._sync(socket, state, id, payload);
+                continue;
+            }
+
+            if (state.mode === 'closed' || state.buffer.length < 4) return;
+            const length = parseInt(state.buffer.toString('ascii', 0, 4), 16);
+            if (state.buffer.length < 4 + length) return;
+            const service = state.buffer.toString('utf8', 4, 4 + length);
+            state.buffer = state.buffer.subarray(4 + length);
+            this.requests.push(service);
+            this._service(socket, state, service);
+        }
+    }
+
+    _okay(socket, payload) {
+        if (payload === undefined) {
+            socket.write('OKAY');
+            return;
+        }
+        const body = Buffer.from(payload, 'utf8');
+        socket.write(`OKAY${body.length.toString(16).padStart(4, '0')}`);
+        socket.write(body);
+    }
+
+    _fail(socket, message) {
+        const body = Buffer.from(message, 'utf8');
+        socket.write(`FAIL${body.length.toString(16).padStart(4, '0')}`);
+        socket.write(body);
+        socket.end();
+    }
+
+    _connect(address) {
+        if (this.devices.some(device => device.id === address)) {
+            return `already connected to ${address}`;
+        }
+        if (!this.reachable.has(address)) {
+            return `failed to connect to '${address}': Connection refused`;
+        }
+        this.devices.push({ id: address, state: 'device', info: 'product:sdk model:Pixel device:generic' });
+        return `connected to ${address}`;
+    }
+
+    _findDevice(serial) {
+        return serial
+            ? this.devices.find(device => device.id === serial)
+            : this.devices[0];
+    }
+
+    _service(socket, state, service) {
+        if (service === 'host:version') {
+            this._okay(socket, '0029');
+            socket.end();
+        } else if (service === 'host:devices-l') {
+            this._okay(socket, this.devices.map(d => `${d.id}\t${d.state} ${d.info || ''}\n`).join(''));
+            socket.end();
+        } else if (service === 'host:get-state' || service.startsWith('host-serial:')) {
+            const serial = service.startsWith('host-serial:')
+                ? service.substring('host-serial:'.length, service.lastIndexOf(':'))
+                : null;
+            const device = this._findDevice(serial);
+            if (!device) return this._fail(socket, `device '${serial}' not found`);
+            this._okay(socket, device.state);
+            socket.end();
+        } else if (service.startsWith('host:connect:')) {
+            this._okay(socket, this._connect(service.substring('host:connect:'.length)));
+            socket.end();
+        } else if (service.startsWith('host:disconnect:')) {
+            const address = service.substring('host:disconnect:'.length);
+            const before = this.devices.length;
+            this.devices = this.devices.filter(device => address ? device.id !== address : !device.id.includes(':'));
+            if (address && this.devices.length === before) return this._fail(socket, `no such device '${address}'`);
+            this._okay(socket, address ? `disconnected ${address}` : 'disconnected everything');
+            socket.end();
+        } else if (service.startsWith('host:pair:')) {
+            const [code, ...address] = service.substring('host:pair:'.length).split(':');
+            const paired = this.pairing[address.join(':')] === code;
+            this._okay(socket, paired
+                ? `Successfully paired to ${address.join(':')} [guid=adb-fake-guid]`
+                : 'Failed: Wrong password or connection was dropped.');
+            socket.end();
+        } else if (service === 'host:mdns:services') {
+            this._okay(socket, this.mdns.map(s => `${s.name}\t${s.type}\t${s.address}\n`).join(''));
+            socket.end();
+        } else if (service === 'host:transport-any' || service.startsWith('host:transport:')) {
+            const serial = service === 'host:transport-any' ? null : service.substring('host:transport:'.length);
+            const device = this._findDevice(serial);
+            if (!device) return this._fail(socket, `device '${serial}' not found`);
+            if (device.state !== 'device') return this._fail(socket, `device ${device.state}`);
+            state.serial = device.id;
+            state.mode = 'device';
+            this._okay(socket);
+        } else if (state.mode === 'device' && (service.startsWith('shell:') || service.startsWith('exec:'))) {
+            const command = service.substring(service.indexOf(':') + 1);
+            state.mode = 'closed';
+            this._okay(socket);
+            // Streaming handlers can write to ctx.socket and resolve when done
+            Promise.resolve(this.shellHandler(command, { serial: state.serial, service, socket }))
+                .then(output => socket.end(output ?? ''));
+        } else if (state.mode === 'device' && service.startsWith('shell,v2,raw:')) {
+            const command = service.substring('shell,v2,raw:'.length);
+            if (!this.shellV2) return this._fail(socket, 'device does not support shell protocol');
+            state.mode = 'closed';
+            this._okay(socket);
+            Promise.resolve(this.shellHandler(command, { serial: state.serial, service }))
+                .then(result => socket.end(this._shellV2Packets(result)));
+        } else if (state.mode === 'device' && service.startsWith('tcpip:')) {
+            state.mode = 'closed';
+            this._okay(socket);
+            socket.end(`restarting in TCP mode port: ${service.substring('tcpip:'.length)}\n`);
+        } else if (state.mode === 'device' && service === 'sync:') {
+            state.mode = 'sync';
+            this._okay(socket);
+        } else {
+            this._fail(socket, `unknown service ${service}`);
+        }
+    }
+
+    _shellV2Packets(result) {
+        const { stdout = '', stderr = '', exitCode = 0 } = typeof result === 'object' && result !== null && !Buffer.isBuffer(result)
+            ? result
+            : { stdout: result ?? '' };
+        const packet = (id, data) => {
+            const header = Buffer.alloc(5);
+            header[0] = id;
+            header.writeUInt32LE(data.length, 1);
+            return Buffer.concat([header, data]);
+        };
+        return Buffer.concat([
+            packet(1, Buffer.from(stdout)),
+            packet(2, Buffer.from(stderr)),
+            packet(3, Buffer.from([exitCode]))
+        ]);
+    }
+
+    _syncHeader(id, value) {
+        const header = Buffer.alloc(8);
+        header.write(id, 0, 4, 'ascii');
+        header.writeUInt32LE(value, 4);
+        return header;
+    }
+
+    _sync(socket, state, id, payload) {
+        const key = path => `${state.serial}:${path}`;
+        switch (id) {
+            case 'STAT': {
+                const data = this.files.get(key(payload.toString()));
+                const response = Buffer.alloc(16);
+                response.write('STAT', 0, 4, 'ascii');
+                response.writeUInt32LE(data ? 0o100644 : 0, 4);
+                response.writeUInt32LE(data ? data.length : 0, 8);
+                response.writeUInt32LE(data ? 1700000000 : 0, 12);
+                socket.write(response);
+                break;
+            }
+            case 'SEND':
+                state.sendPath = payload.toString().split(',')[0];
+                state.sendChunks = [];
+                break;
+            case 'DATA':
+                state.sendChunks.push(Buffer.from(payload));
+                break;
+            case 'DONE':
+                this.files.set(key(state.sendPath), Buffer.concat(state.sendChunks));
+                socket.write(this._syncHeader('OKAY', 0));
+                break;
+            case 'RECV': {
+                const data = this.files.get(key(payload.toString()));
+                if (!data) {
+                    const message = Buffer.from('No such file or directory');
+                    socket.write(Buffer.concat([this._syncHeader('FAIL', message.length), message]));
+                    break;
+                }
+                socket.write(Buffer.concat([this._syncHeader('DATA', data.length), data]));
+                socket.write(this._syncHeader('DONE', 0));
+                break;
+            }
+            case 'QUIT':
+                socket.end();
+                break;
+        }
+    }
+}
@@ -0,0 +1,40 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FakeDevice } from '../../src/backends/FakeDevice.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+export function fixturePath(name) {
+    return path.join(FIXTURES, name);
+}
+
+export function loadFixture(name) {
+    return fs.readFileSync(fixturePath(name), 'utf8');
+}
+
+// A two screen app: signing in on the login screen opens the product list
+export function createFakeApp(options = {}) {
+    return new FakeDevice({
+        initial: 'login',
+        packages: ['com.example.app'],
+        launch: { 'com.example.app': 'login' },
+        screens: {
+            login: {
+                xml: loadFixture('login.xml'),
+                activity: 'com.example.app/.LoginActivity',
+                transitions: [
+                    { on: 'tap', selector: { resourceId: 'sign_in' }, to: 'home' }
+                ]
+            },
+            home: {
+                xml: loadFixture('home.xml'),
+                activity: 'com.example.app/.HomeActivity',
+                transitions: [
+                    { on: 'keyEvent', keyCode: 4, to: 'login' }
+                ]
+            }
+        },
+        ...options
+    });
+}
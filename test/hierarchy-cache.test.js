@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import { AndroidDevice, ADB, FakeDevice } from '../src/index.js';
+import { createFakeApp } from './helpers/fixtures.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+
+describe('UI hierarchy cache', () => {
+    let fake;
+    let device;
+    let page;
+    let dumps;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        fake = createFakeApp();
+        dumps = jest.spyOn(fake, 'getUIHierarchy');
+        device = await AndroidDevice.connect({ backend: fake });
+        page = device.page;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reuses the dump on a static screen however long ago it was taken', async () => {
+        const now = jest.spyOn(Date, 'now');
+        await page.$('#title');
+        now.mockReturnValue(Date.now() + 60000);
+        await page.$$('EditText');
+        await page.findByText('Sign in');
+
+        expect(dumps).toHaveBeenCalledTimes(1);
+        expect(device.hierarchyCacheStats()).toEqual({ hits: 2, misses: 1, invalidations: 0, frozen: false });
+    });
+
+    test('every input action invalidates the cache', async () => {
+        await page.click({ resourceId: 'sign_in' });
+        expect(await page.$$('#card')).toHaveLength(3);
+
+        await page.pressKey(4);
+        expect(await page.$('#title')).toMatchObject({ text: 'Welcome back' });
+
+        for (const input of [() => device.swipe(0, 0, 0, 500), () => device.type('x'), () => device.startApp('com.example.app')]) {
+            const before = device.hierarchyCacheStats().invalidations;
+            await input();
+            expect(device.hierarchyCacheStats().invalidations).toBe(before + 1);
+        }
+    });
+
+    test('a dump taken during an input action is not reused', async () => {
+        let finishDump;
+        dumps.mockImplementationOnce(async () => {
+            const xml = await FakeDevice.prototype.getUIHierarchy.call(fake);
+            await new Promise(resolve => { finishDump = resolve; });
+            return xml;
+        });
+
+        const reading = device.getUIHierarchy();
+        await new Promise(resolve => setImmediate(resolve));
+        await fake.tap(540, 950);
+        finishDump();
+        await reading;
+
+        await page.$('#card');
+        expect(dumps).toHaveBeenCalledTimes(2);
+        expect(await page.$$('#card')).toHaveLength(3);
+    });
+
+    test('freeze serves one dump until unfreeze', async () => {
+        await page.freeze();
+        await page.click({ resourceId: 'sign_in' });
+        await device.getUIHierarchy(true);
+        expect(await page.$('#card')).toBeNull();
+        expect(dumps).toHaveBeenCalledTimes(1);
+        expect(device.hierarchyCacheStats().frozen).toBe(true);
+
+        await page.unfreeze();
+        expect(await page.$$('#card')).toHaveLength(3);
+        expect(dumps).toHaveBeenCalledTimes(2);
+    });
+
+    test('disconnect ends a freeze', async () => {
+        await page.freeze();
+        await device.disconnect();
+        expect(device.hierarchyFrozen).toBe(false);
+        expect(device.lastHierarchy).toBeNull();
+
+        await page.click({ resourceId: 'sign_in' });
+        expect(await page.$$('#card')).toHaveLength(3);
+    });
+
+    test('expires dumps older than hierarchyMaxAge when set', async () => {
+        device = await AndroidDevice.connect({ backend: fake, hierarchyMaxAge: 500 });
+        dumps.mockClear();
+        const now = jest.spyOn(Date, 'now');
+
+        await device.getUIHierarchy();
+        await device.getUIHierarchy();
+        now.mockReturnValue(Date.now() + 1000);
+        await device.getUIHierarchy();
+
+        expect(dumps).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('ADB input events', () => {
+    test('input commands emit input after running', async () => {
+        const server = await new FakeAdbServer().start();
+        const adb = new ADB('emulator-5554', { port: server.port });
+        const events = [];
+        adb.on('input', event => events.push(event));
+
+        try {
+            await adb.tap(10, 20);
+            await adb.keyEvent(4);
+            await adb.getDeviceInfo();
+        } finally {
+            adb.close();
+            await server.stop();
+        }
+
+        expect(events).toEqual([{ type: 'tap', x: 10, y: 20 }, { type: 'keyEvent', keyCode: 4 }]);
+    });
+});
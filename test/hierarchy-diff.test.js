@@ -0,0 +1,158 @@
+import { diffHierarchy, HierarchyDiff } from '../src/utils/hierarchy-diff.js';
+import { parseUIHierarchySync } from '../src/utils/xml-parser.js';
+import { InvalidArgumentError, TimeoutError } from '../src/errors/index.js';
+import { AndroidDevice } from '../src/Device.js';
+import { createFakeApp, loadFixture } from './helpers/fixtures.js';
+
+const HOME = loadFixture('home.xml');
+
+// The <node .../> or <node ...>...</node> element holding the given text
+function cardFor(xml, text) {
+    const start = xml.lastIndexOf('<node', xml.indexOf(`text="${text}"`) - 1);
+    const cardStart = xml.lastIndexOf('<node', start - 1);
+    const end = xml.indexOf('</node>', start) + '</node>'.length;
+    return xml.substring(cardStart, end);
+}
+
+describe('diffHierarchy', () => {
+    test('identical snapshots have no changes', () => {
+        const diff = diffHierarchy(parseUIHierarchySync(HOME), parseUIHierarchySync(HOME));
+        expect(diff).toBeInstanceOf(HierarchyDiff);
+        expect(diff.hasChanges).toBe(false);
+        expect(diff.toString()).toBe('No changes');
+    });
+
+    test('a removed list item is one entry and its siblings do not count as moved', () => {
+        const after = HOME.replace(cardFor(HOME, 'Red Boots'), '');
+        const diff = diffHierarchy(HOME, after);
+
+        expect(diff.removed).toHaveLength(1);
+        expect(diff.removed[0]).toMatchObject({ path: '0.1.1', size: 3 });
+        expect(diff.removed[0].node.children[0].text).toBe('Red Boots');
+        expect(diff.added).toEqual([]);
+        expect(diff.moved).toEqual([]);
+        expect(diff.changed).toEqual([]);
+        expect(diff.toString()).toBe('- LinearLayout#card at 0.1.1 (3 nodes)');
+    });
+
+    test('label updates are attribute changes', () => {
+        const after = HOME.replace('text="Price: $120"', 'text="Price: $99"').replace('content-desc="Sale"', 'content-desc="Sold out"');
+        const diff = diffHierarchy(HOME, after);
+
+        expect(diff.changed.map(({ path, changes }) => ({ path, changes }))).toEqual([
+            { path: '0.1.1.1', changes: { text: { from: 'Price: $120', to: 'Price: $99' } } },
+            { path: '0.1.2.2', changes: { 'content-desc': { from: 'Sale', to: 'Sold out' } } }
+        ]);
+        expect(diff.toString()).toBe([
+            '~ TextView#price "Price: $99" at 0.1.1.1: text "Price: $120" -> "Price: $99"',
+            '~ ImageView#badge [Sold out] at 0.1.2.2: content-desc "Sale" -> "Sold out"'
+        ].join('\n'));
+    });
+
+    test('an appearing dialog is one added subtree', () => {
+        const dialog = '<node class="android.widget.FrameLayout" resource-id="com.example.app:id/dialog" bounds="[100,600][980,1200]">' +
+            '<node class="android.widget.TextView" text="Remove item?" bounds="[140,640][940,720]" />' +
+            '<node class="android.widget.Button" text="OK" clickable="true" bounds="[700,1080][940,1160]" /></node>';
+        const after = HOME.replace(/(\s*<\/node>\s*<\/hierarchy>)/, `${dialog}$1`);
+        const diff = diffHierarchy(HOME, after);
+
+        expect(diff.added).toHaveLength(1);
+        expect(diff.added[0]).toMatchObject({ path: '0.3', size: 3 });
+        expect(diff.removed).toEqual([]);
+        expect(diff.toString()).toBe('+ FrameLayout#dialog at 0.3 (3 nodes)');
+    });
+
+    test('reordered siblings are reported as moved', () => {
+        const blue = cardFor(HOME, 'Blue Sneakers');
+        const green = cardFor(HOME, 'Green Sandals');
+        const after = HOME.replace(blue, '').replace(green, `${green}${blue}`);
+        const diff = diffHierarchy(HOME, after);
+
+        // Red and Green kept their order, so only Blue moved
+        expect(diff.moved).toHaveLength(1);
+        expect(diff.moved[0].after.children[0].text).toBe('Blue Sneakers');
+        expect(diff.moved[0]).toMatchObject({ from: '0.1.0', to: '0.1.2' });
+        expect(diff.removed).toEqual([]);
+        expect(diff.added).toEqual([]);
+        // Bounds come with the moved markup, so they don't change
+        expect(diff.changed).toEqual([]);
+    });
+
+    test('a node under a new parent is moved, not removed and added', () => {
+        const badge = HOME.match(/\s*<node[^>]*content-desc="New"[^>]*\/>/)[0];
+        const after = HOME.replace(badge, '').replace(/(text="Price: \$120"[^>]*\/>)/, `$1${badge}`);
+        const diff = diffHierarchy(HOME, after);
+
+        expect(diff.moved).toHaveLength(1);
+        expect(diff.moved[0]).toMatchObject({ from: '0.1.0.2', to: '0.1.1.2' });
+        expect(diff.added).toEqual([]);
+        expect(diff.removed).toEqual([]);
+        expect(diff.toString()).toBe('> ImageView#badge [New] moved 0.1.0.2 -> 0.1.1.2');
+    });
+
+    test('attributes to compare can be narrowed', () => {
+        const after = HOME.replace('bounds="[0,0][1080,150]"', 'bounds="[0,0][1080,180]"');
+        expect(diffHierarchy(HOME, after).changed[0].changes).toEqual({ bounds: { from: '[0,0][1080,150]', to: '[0,0][1080,180]' } });
+        expect(diffHierarchy(HOME, after, { attributes: ['text'] }).hasChanges).toBe(false);
+    });
+
+    test('another screen serializes to plain data', () => {
+        const diff = diffHierarchy(loadFixture('login.xml'), HOME);
+        const json = JSON.parse(JSON.stringify(diff));
+
+        expect(diff.hasChanges).toBe(true);
+        expect(json.added.map(entry => entry.node)).toEqual(expect.arrayContaining(['RecyclerView#list']));
+        expect(json.removed.map(entry => entry.node)).toEqual(expect.arrayContaining(['LinearLayout#form']));
+    });
+});
+
+describe('page.waitForChange', () => {
+    let device;
+
+    beforeEach(async () => {
+        device = await AndroidDevice.connect({ backend: createFakeApp(), logLevel: 'silent' });
+    });
+
+    test('resolves with the difference once the screen changes', async () => {
+        const since = await device.getUIHierarchy(true);
+        await device.page.click('#sign_in');
+
+        const diff = await device.page.waitForChange({ since, polling: 10 });
+        expect(diff.removed.map(({ node }) => node['resource-id'])).toContain('com.example.app:id/form');
+        expect(diff.added.map(({ node }) => node['resource-id'])).toContain('com.example.app:id/list');
+    });
+
+    test('compares against the screen before the last tap by default', async () => {
+        await device.page.click('#sign_in');
+
+        const diff = await device.page.waitForChange({ timeout: 1000, polling: 10 });
+        expect(diff.removed.map(({ node }) => node['resource-id'])).toContain('com.example.app:id/form');
+    });
+
+    test('after several actions the baseline is the screen before the last one', async () => {
+        await device.page.click('#sign_in');
+        expect(await device.page.$$('#card')).toHaveLength(3);
+        await device.page.pressKey(4);
+
+        const diff = await device.page.waitForChange({ timeout: 1000, polling: 10 });
+        expect(diff.removed.map(({ node }) => node['resource-id'])).toContain('com.example.app:id/list');
+        expect(diff.added.map(({ node }) => node['resource-id'])).toContain('com.example.app:id/form');
+    });
+
+    test('refuses to guess a baseline the page never saw', async () => {
+        // Nothing was dumped before this tap
+        await device.page.tap(540, 950);
+        await expect(device.page.waitForChange({ timeout: 200 })).rejects.toThrow(InvalidArgumentError);
+
+        // Nor between these two actions
+        await device.page.$('#title');
+        await device.page.pressKey(4);
+        await device.page.click('#sign_in');
+        await device.page.pressKey(4);
+        await expect(device.page.waitForChange({ timeout: 200 })).rejects.toThrow(/before the last key/);
+    });
+
+    test('times out when nothing changes', async () => {
+        await expect(device.page.waitForChange({ timeout: 200, polling: 20 })).rejects.toThrow(TimeoutError);
+    });
+});
@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import { AndroidDevice, Locator, StrictModeViolationError, TimeoutError } from '../src/index.js';
+import { FakeDevice } from '../src/backends/FakeDevice.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+// The product list, and the same list after the Red Boots card moved down
+const home = loadFixture('home.xml');
+const moved = home.replace('bounds="[0,450][1080,750]"', 'bounds="[0,1200][1080,1500]"');
+
+describe('Locator', () => {
+    let fake;
+    let page;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        fake = new FakeDevice({
+            initial: 'home',
+            screens: {
+                home: { xml: home, transitions: [{ on: 'swipe', to: 'moved' }] },
+                moved: { xml: moved },
+                empty: { xml: loadFixture('login.xml') }
+            }
+        });
+        page = (await AndroidDevice.connect({ backend: fake })).page;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('re-resolves the element on every action', async () => {
+        const boots = page.locator('#card').filter({ hasText: 'red boots' });
+        expect(boots).toBeInstanceOf(Locator);
+
+        await boots.click();
+        await fake.swipe(500, 1500, 500, 500);
+        await boots.click();
+
+        expect(fake.taps.map(tap => tap.y)).toEqual([600, 1350]);
+    });
+
+    test('chains nth, first, last and child locators', async () => {
+        const cards = page.locator({ resourceId: 'card' });
+
+        expect(await cards.count()).toBe(3);
+        expect(await cards.first().locator('#title').textContent()).toBe('Blue Sneakers');
+        expect(await cards.last().locator('#title').textContent()).toBe('Green Sandals');
+        expect(await cards.nth(1).locator('#price').textContent()).toBe('Price: $120');
+        expect(await cards.nth(5).count()).toBe(0);
+        expect(await cards.locator('#title').allTextContents()).toEqual(['Blue Sneakers', 'Red Boots', 'Green Sandals']);
+    });
+
+    test('filters by text and by descendants', async () => {
+        const cards = page.locator('#card');
+
+        expect(await cards.filter({ has: '#badge' }).count()).toBe(2);
+        expect(await cards.filter({ hasNot: page.locator('#badge') }).locator('#title').textContent()).toBe('Red Boots');
+        expect(await cards.filter({ hasText: /\$3\d$/ }).locator('#title').textContent()).toBe('Green Sandals');
+        expect(await cards.filter({ hasNotText: 'Sale' }).filter({ has: { contentDesc: 'New' } }).count()).toBe(1);
+        expect((await cards.all()).map(card => card.toString())).toEqual([
+            'locator("#card").nth(0)',
+            'locator("#card").nth(1)',
+            'locator("#card").nth(2)'
+        ]);
+    });
+
+    test('throws in strict mode when several elements match', async () => {
+        const error = await page.locator('#title').click().catch(e => e);
+
+        expect(error).toBeInstanceOf(StrictModeViolationError);
+        expect(error.count).toBe(3);
+        expect(error.selector).toBe('locator("#title")');
+        expect(fake.taps).toHaveLength(0);
+
+        await page.locator('#title', { strict: false }).click();
+        expect(fake.taps).toHaveLength(1);
+    });
+
+    test('waits for a match and times out with the locator description', async () => {
+        fake.goTo('empty');
+        const error = await page.locator('#card').filter({ hasText: 'Boots' }).click({ timeout: 150 }).catch(e => e);
+
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error.selector).toBe('locator("#card").filter({ hasText: "Boots" })');
+        await expect(page.locator('#card').waitFor({ state: 'detached', timeout: 100 })).resolves.toBeUndefined();
+        expect(await page.locator('#card').isVisible()).toBe(false);
+    });
+});
@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+import { Droideer } from '../src/index.js';
+import { createLogger, parseLogLevel } from '../src/utils/logger.js';
+import { InvalidArgumentError } from '../src/errors/index.js';
+import { createFakeApp } from './helpers/fixtures.js';
+
+describe('logger', () => {
+    let records;
+    const collect = record => records.push(record);
+
+    beforeEach(() => {
+        records = [];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.DROIDEER_LOG_LEVEL;
+    });
+
+    test('parses level specs with per-namespace overrides', () => {
+        expect(parseLogLevel('warn,adb=debug')).toEqual({ default: 'warn', namespaces: { adb: 'debug' } });
+        expect(parseLogLevel({ '*': 'error', network: 'trace' })).toEqual({ default: 'error', namespaces: { network: 'trace' } });
+        expect(() => parseLogLevel('loud')).toThrow(InvalidArgumentError);
+    });
+
+    test('filters by level and namespace', () => {
+        const logger = createLogger({ logger: collect, logLevel: 'warn,adb=debug' });
+        logger.child('selector').info('hidden');
+        logger.child('selector').warn('shown');
+        logger.child('adb').debug('adb detail', { command: 'wm size' });
+        logger.child('adb').trace('too chatty');
+
+        expect(records.map(record => [record.namespace, record.level, record.message])).toEqual([
+            ['selector', 'warn', 'shown'],
+            ['adb', 'debug', 'adb detail']
+        ]);
+        expect(records[1].command).toBe('wm size');
+        expect(records[1].time).toBeInstanceOf(Date);
+    });
+
+    test('children share the root level', () => {
+        const logger = createLogger({ logger: collect, logLevel: 'silent' });
+        const adb = logger.child('adb');
+        adb.error('dropped');
+        logger.setLevel('error');
+        adb.error('kept');
+        expect(records.map(record => record.message)).toEqual(['kept']);
+    });
+
+    test('pino style loggers get (fields, message) on a namespaced child', () => {
+        const calls = [];
+        const pino = {
+            level: 'info',
+            bindings: () => ({}),
+            child: bindings => ({
+                info: (fields, message) => calls.push({ bindings, fields, message }),
+                debug: () => calls.push('debug')
+            })
+        };
+        const logger = createLogger({ logger: pino });
+        logger.child('network').info('started', { port: 8080 });
+        logger.child('network').debug('filtered by the pino level');
+
+        expect(calls).toEqual([{ bindings: { namespace: 'network' }, fields: { port: 8080 }, message: 'started' }]);
+    });
+
+    test('winston style loggers get (message, fields) and trace maps to debug', () => {
+        const calls = [];
+        const winston = {
+            level: 'silly',
+            info: (message, meta) => calls.push(['info', message, meta]),
+            debug: (message, meta) => calls.push(['debug', message, meta])
+        };
+        const logger = createLogger({ logger: winston, logLevel: 'trace' });
+        logger.child('adb').info('hello', { a: 1 });
+        logger.child('adb').trace('details');
+
+        expect(calls).toEqual([['info', 'hello', { a: 1 }], ['debug', 'details', undefined]]);
+    });
+
+    test('prints JSON lines', () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        createLogger({ logJson: true }).child('device').info('connected', { deviceId: 'emulator-5554' });
+
+        const line = JSON.parse(log.mock.calls[0][0]);
+        expect(line).toMatchObject({ level: 'info', namespace: 'device', msg: 'connected', deviceId: 'emulator-5554' });
+        expect(typeof line.time).toBe('string');
+    });
+
+    test('reads the level from DROIDEER_LOG_LEVEL', () => {
+        process.env.DROIDEER_LOG_LEVEL = 'error';
+        const logger = createLogger({ logger: collect });
+        logger.child('adb').warn('dropped');
+        logger.child('adb').error('kept');
+        expect(records.map(record => record.message)).toEqual(['kept']);
+    });
+
+    test('connect options configure the whole device', async () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const quiet = await Droideer.connect({ backend: createFakeApp(), logLevel: 'silent' });
+        await quiet.page.setViewport({ width: 1 });
+        expect(log).not.toHaveBeenCalled();
+
+        const device = await Droideer.connect({ backend: createFakeApp(), logger: collect, logLevel: 'info' });
+        await device.page.setViewport({ width: 1 });
+        await device.networkMonitor.startMonitoring();
+        await device.networkMonitor.stopMonitoring();
+
+        const namespaces = new Set(records.map(record => record.namespace));
+        expect([...namespaces].sort()).toEqual(['device', 'network', 'page']);
+        expect(log).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,79 @@
+import { AndroidDevice } from '../src/Device.js';
+import { AndroidElement } from '../src/Element.js';
+import { InvalidArgumentError } from '../src/errors/index.js';
+import { createFakeApp } from './helpers/fixtures.js';
+
+async function connect(initial) {
+    const device = await AndroidDevice.connect({ backend: createFakeApp({ initial }), logLevel: 'silent' });
+    return device.page;
+}
+
+function labels(elements) {
+    return elements.map(element => element.text || element.contentDesc || element.resourceId.replace(/.*:id\//, ''));
+}
+
+describe('layout-relative selectors', () => {
+    test('below finds the field under its label, closest first', async () => {
+        const page = await connect('login');
+
+        const email = await page.$({ className: 'android.widget.EditText', below: { text: 'Email' } });
+        expect(email.resourceId).toBe('com.example.app:id/email');
+        expect(labels(await page.$$({ className: 'android.widget.EditText', below: { text: 'Email' } }))).toEqual(['email', 'password']);
+        expect(labels(await page.$$({ className: 'android.widget.EditText', below: { text: 'Password' } }))).toEqual(['password']);
+    });
+
+    test('above orders by distance rather than document order', async () => {
+        const page = await connect('login');
+        expect(labels(await page.$$({ className: 'android.widget.TextView', above: { resourceId: 'email' } })))
+            .toEqual(['Email', 'Welcome back']);
+    });
+
+    test('rightOf and leftOf add the sideways offset to the distance', async () => {
+        const page = await connect('home');
+
+        expect(labels(await page.$$({ className: 'android.widget.ImageView', rightOf: { text: 'Blue Sneakers' } }))).toEqual(['New', 'Sale']);
+        expect(labels(await page.$$({ className: 'android.widget.TextView', leftOf: '[content-desc=Sale]' }))).toEqual([
+            'Green Sandals', 'Price: $35', 'Price: $120', 'Red Boots', 'Price: $59', 'Blue Sneakers'
+        ]);
+    });
+
+    test('near defaults to 50 pixels and takes a maxDistance', async () => {
+        const page = await connect('login');
+
+        expect(labels(await page.$$({ className: 'android.widget.TextView', near: { text: 'Email' } }))).toEqual(['Welcome back']);
+        expect(labels(await page.$$({
+            className: 'android.widget.TextView',
+            near: { selector: { text: 'Email' }, maxDistance: 200 }
+        }))).toEqual(['Welcome back', 'Password']);
+        expect(labels(await page.$$({ clickable: true, below: { selector: '#password', maxDistance: 60 } }))).toEqual(['Remember me']);
+    });
+
+    test('keys combine, and every one needs an anchor', async () => {
+        const page = await connect('login');
+
+        expect(labels(await page.$$({ className: 'android.widget.EditText', below: { text: 'Password' }, above: '#sign_in' }))).toEqual(['password']);
+        expect(await page.$({ className: 'android.widget.EditText', below: { text: 'Phone' } })).toBeNull();
+        await expect(page.$({ below: null })).rejects.toThrow(InvalidArgumentError);
+    });
+
+    test('elements without an area never match', async () => {
+        const page = await connect('home');
+
+        expect(await page.$({ resourceId: 'hidden', above: { text: 'Home' } })).toBeNull();
+        expect(await page.$({ text: 'Home', near: '#hidden' })).toBeNull();
+    });
+
+    test('scoped queries, matches and closest', async () => {
+        const page = await connect('home');
+        const card = (await page.$$('#card'))[1];
+
+        expect(labels(await card.$$({ below: { text: 'Red Boots' } }))).toEqual(['Price: $120']);
+        const price = await page.$({ resourceId: 'price', rightOf: { text: 'Home' } });
+        expect(price).toBeNull();
+        const badge = await page.$('[content-desc=New]');
+        expect(badge.matches({ rightOf: { text: 'Blue Sneakers' } })).toBe(true);
+        expect(badge.matches({ leftOf: { text: 'Blue Sneakers' } })).toBe(false);
+        expect(badge.closest({ below: '#toolbar_title', className: 'android.widget.LinearLayout' }).children()[0].text).toBe('Blue Sneakers');
+        expect(new AndroidElement(page.device, { text: 'loose' }).matches({ below: { text: 'Home' } })).toBe(false);
+    });
+});
@@ -0,0 +1,152 @@
+import { ADB } from '../src/utils/adb.js';
+import { AndroidDevice } from '../src/Device.js';
+import { RetryPolicy, classifyAdbError, isIdempotentCall } from '../src/utils/retry.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+
+describe('classifyAdbError', () => {
+    test.each([
+        ['error: device offline', 'offline'],
+        ["error: device 'emulator-5554' not found", 'disconnected'],
+        ['error: no devices/emulators found', 'disconnected'],
+        ['error: device unauthorized.\nPlease check the confirmation dialog on your device.', 'unauthorized'],
+        ['cannot connect to daemon at tcp:5037: Connection refused', 'daemon'],
+        ['ADB command timed out after 30000ms: shell getprop', 'timeout'],
+        ['/system/bin/sh: frobnicate: not found', 'fatal']
+    ])('%s is %s', (message, kind) => {
+        expect(classifyAdbError(new Error(`ADB command failed: ${message}`))).toBe(kind);
+    });
+
+    test('uses socket error codes', () => {
+        expect(classifyAdbError(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }))).toBe('daemon');
+    });
+});
+
+describe('isIdempotentCall', () => {
+    test('reads are idempotent, inputs and installs are not', () => {
+        expect(isIdempotentCall('shell', ['getprop ro.product.model'])).toBe(true);
+        expect(isIdempotentCall('shellWithResult', ['pm path com.example'])).toBe(true);
+        expect(isIdempotentCall('shell', ['input tap 10 20'])).toBe(false);
+        expect(isIdempotentCall('shell', ['am start -n com.example/.Main'])).toBe(false);
+        expect(isIdempotentCall('shellWithResult', ['pm install -r /data/local/tmp/app.apk'])).toBe(false);
+        expect(isIdempotentCall('execute', [['devices', '-l']])).toBe(true);
+        expect(isIdempotentCall('execute', [['install', 'app.apk']])).toBe(false);
+        expect(isIdempotentCall('execute', [['shell', 'input keyevent 4']])).toBe(false);
+        expect(isIdempotentCall('screencap', [])).toBe(true);
+        expect(isIdempotentCall('batch', [['getprop ro.product.model', 'cat /proc/meminfo']])).toBe(true);
+        expect(isIdempotentCall('batch', [['getprop ro.product.model', 'input tap 10 20']])).toBe(false);
+    });
+
+    test('side effects later in a compound command are not repeated', () => {
+        for (const command of [
+            'cd /sdcard && rm -rf x',
+            "sh -c 'input tap 1 2'",
+            'echo 1 > /sys/class/leds/brightness',
+            'true; am start -n com.example/.Main',
+            'ls || kill 1234',
+            'echo $(input keyevent 4)',
+            'ls /sdcard | xargs rm',
+            'cat /proc/meminfo >> /sdcard/log.txt'
+        ]) {
+            expect([command, isIdempotentCall('shell', [command])]).toEqual([command, false]);
+        }
+        expect(isIdempotentCall('shell', ['dumpsys window 2>&1 | grep mCurrentFocus'])).toBe(true);
+        expect(isIdempotentCall('shell', ['uiautomator dump /sdcard/ui.xml >/dev/null && cat /sdcard/ui.xml'])).toBe(true);
+        expect(isIdempotentCall('shell', ['getprop ro.build.version.sdk; ls /data/local/tmp'])).toBe(true);
+    });
+});
+
+describe('RetryPolicy', () => {
+    test('backs off exponentially up to maxDelay', () => {
+        const policy = new RetryPolicy({ minDelay: 100, factor: 2, maxDelay: 500 });
+        expect([1, 2, 3, 4].map(attempt => policy.delay(attempt))).toEqual([100, 200, 400, 500]);
+    });
+
+    test('only retries transient failures of idempotent calls', () => {
+        const policy = new RetryPolicy({ retries: 2 });
+        expect(policy.shouldRetry('offline', 1, true)).toBe(true);
+        expect(policy.shouldRetry('offline', 3, true)).toBe(false);
+        expect(policy.shouldRetry('offline', 1, false)).toBe(false);
+        expect(policy.shouldRetry('unauthorized', 1, true)).toBe(false);
+        expect(policy.shouldRetry('fatal', 1, true)).toBe(false);
+    });
+});
+
+describe('reconnecting', () => {
+    let server;
+    let device;
+    let adb;
+    let events;
+
+    beforeEach(async () => {
+        server = await new FakeAdbServer({
+            devices: [{ id: 'emulator-5554', state: 'offline' }],
+            shell: command => command === 'getprop ro.product.model' ? 'Pixel\n' : ''
+        }).start();
+        adb = new ADB('emulator-5554', { port: server.port, retry: { minDelay: 10, waitTimeout: 2000 } });
+        events = [];
+        for (const name of ['disconnect', 'retry', 'reconnect']) {
+            adb.on(name, event => events.push([name, event.kind]));
+        }
+    });
+
+    afterEach(async () => {
+        adb.close();
+        await server.stop();
+    });
+
+    const comeBackAfter = ms => setTimeout(() => {
+        server.devices[0].state = 'device';
+    }, ms);
+
+    test('waits for an offline device and retries idempotent commands', async () => {
+        comeBackAfter(100);
+
+        expect(await adb.shell('getprop ro.product.model')).toBe('Pixel');
+        expect(events).toEqual([
+            ['disconnect', 'offline'],
+            ['retry', 'offline'],
+            ['reconnect', undefined]
+        ]);
+        expect(server.requests).toContain('host-serial:emulator-5554:get-state');
+    });
+
+    test('does not repeat input events', async () => {
+        comeBackAfter(100);
+
+        await expect(adb.tap(10, 20)).rejects.toMatchObject({ kind: 'offline' });
+        expect(events).toEqual([['disconnect', 'offline']]);
+
+        // The next successful call reports the device as back
+        await new Promise(resolve => setTimeout(resolve, 150));
+        await adb.tap(10, 20);
+        expect(events).toEqual([['disconnect', 'offline'], ['reconnect', undefined]]);
+    });
+
+    test('gives up when the device does not come back', async () => {
+        adb.retryPolicy.waitTimeout = 100;
+        await expect(adb.shell('getprop ro.product.model')).rejects.toThrow('device offline');
+    });
+
+    test('fails fast on unauthorized devices', async () => {
+        server.devices[0].state = 'unauthorized';
+        await expect(adb.shell('getprop ro.product.model')).rejects.toMatchObject({ kind: 'unauthorized' });
+        expect(events).toEqual([]);
+    });
+
+    test('retry: false disables retries', async () => {
+        comeBackAfter(50);
+        adb.retryPolicy = null;
+        await expect(adb.shell('getprop ro.product.model')).rejects.toThrow('device offline');
+    });
+
+    test('AndroidDevice re-emits disconnect and reconnect', async () => {
+        device = new AndroidDevice('emulator-5554', { backend: adb });
+        const seen = [];
+        device.on('disconnect', event => seen.push(['disconnect', event.deviceId]));
+        device.on('reconnect', event => seen.push(['reconnect', event.deviceId]));
+        comeBackAfter(50);
+
+        await device.getProperty('ro.product.model');
+        expect(seen).toEqual([['disconnect', 'emulator-5554'], ['reconnect', 'emulator-5554']]);
+    });
+});
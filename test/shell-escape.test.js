@@ -0,0 +1,111 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { buildShellCommand, encodeInputText, quoteShellArg } from '../src/utils/shell-escape.js';
+import { ADB } from '../src/utils/adb.js';
+import { PRINT_ARGV, createFakeAdbBinary } from './helpers/fake-adb-binary.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+
+const HOSTILE = [
+    'plain',
+    'two words',
+    "it's",
+    '"double" quotes',
+    '`reboot`',
+    '$(rm -rf /)',
+    '${HOME}',
+    'a; echo pwned',
+    'a && b || c',
+    'pipe | cat',
+    'redirect > /sdcard/x',
+    'back\\slash',
+    "'''",
+    '*.txt',
+    '~user',
+    'tab\there',
+    'new\nline',
+    '#comment',
+    '!history',
+    'ünïcödé ✓'
+];
+
+// Stand-in for the device shell: sh with an `input` function that echoes its text argument
+const deviceShell = command => execFileSync('/bin/sh', ['-c', `input() { printf '%s' "$2"; }; ${command}`]);
+
+describe('quoteShellArg', () => {
+    test.each(HOSTILE)('round-trips %j through sh literally', value => {
+        const output = execFileSync('/bin/sh', ['-c', `printf '%s' ${quoteShellArg(value)}`]).toString();
+        expect(output).toBe(value);
+    });
+
+    test('leaves safe words unquoted and quotes empty strings', () => {
+        expect(quoteShellArg('com.example.app/.Main')).toBe('com.example.app/.Main');
+        expect(quoteShellArg(42)).toBe('42');
+        expect(quoteShellArg('')).toBe("''");
+    });
+
+    test('buildShellCommand quotes each argument and passes strings through', () => {
+        expect(buildShellCommand(['setprop', 'debug.x', 'a b'])).toBe("setprop debug.x 'a b'");
+        expect(buildShellCommand('ls | head')).toBe('ls | head');
+    });
+
+    test('encodeInputText encodes spaces for input text', () => {
+        expect(encodeInputText('hello big world')).toBe('hello%sbig%sworld');
+    });
+});
+
+describe('ADB argv execution', () => {
+    let server;
+    let adb;
+
+    beforeEach(async () => {
+        server = await new FakeAdbServer({ shell: deviceShell }).start();
+        adb = new ADB('emulator-5554', { port: server.port });
+    });
+
+    afterEach(async () => {
+        adb.close();
+        await server.stop();
+    });
+
+    test.each(HOSTILE.filter(value => value.trim() === value))('shell argv delivers %j literally', async value => {
+        expect(await adb.shell(['printf', '%s', value])).toBe(value);
+    });
+
+    test.each(HOSTILE)('type() sends %j as a single input text argument', async value => {
+        await adb.type(value);
+        const command = server.requests[server.requests.length - 1].substring('shell:'.length);
+        expect(deviceShell(command).toString()).toBe(encodeInputText(value));
+    });
+});
+
+describe('ADB host argv execution', () => {
+    let binary;
+    let adb;
+
+    beforeAll(() => {
+        binary = createFakeAdbBinary(PRINT_ARGV);
+        adb = new ADB('emulator-5554', { adbPath: binary.adbPath, transport: 'binary' });
+    });
+
+    afterAll(() => {
+        binary.remove();
+    });
+
+    test.each(HOSTILE)('passes %j to adb as one argument', async value => {
+        const argv = JSON.parse(await adb.execute(['push', value, `/sdcard/${value}`]));
+        expect(argv).toEqual(['-s', 'emulator-5554', 'push', value, `/sdcard/${value}`]);
+    });
+
+    test('binary shell forwards the quoted command as a single argument', async () => {
+        const argv = JSON.parse(await adb.shell(['setprop', 'debug.name', '$(id)']));
+        expect(argv).toEqual(['-s', 'emulator-5554', 'shell', "setprop debug.name '$(id)'"]);
+    });
+
+    test('pull quotes the remote path for the device shell', async () => {
+        const local = path.join(binary.dir, 'pulled');
+        await adb.pull('/sdcard/my file; rm -rf /sdcard', local);
+        const argv = JSON.parse(fs.readFileSync(local, 'utf8'));
+        expect(argv).toEqual(['-s', 'emulator-5554', 'exec-out', "cat '/sdcard/my file; rm -rf /sdcard'"]);
+    });
+});
@@ -0,0 +1,122 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ADB } from '../src/utils/adb.js';
+import { AndroidDevice } from '../src/Device.js';
+import { createFakeAdbBinary } from './helpers/fake-adb-binary.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+
+// Runs the command through sh and returns its streams separately
+const runSh = command => {
+    try {
+        const stdout = execFileSync('/bin/sh', ['-c', command], { stdio: ['ignore', 'pipe', 'pipe'] }).toString();
+        return { stdout, stderr: '', exitCode: 0 };
+    } catch (error) {
+        return { stdout: error.stdout.toString(), stderr: error.stderr.toString(), exitCode: error.status };
+    }
+};
+
+describe('shellWithResult', () => {
+    let server;
+    let adb;
+
+    afterEach(async () => {
+        adb.close();
+        await server.stop();
+    });
+
+    test('uses the shell v2 protocol when available', async () => {
+        server = await new FakeAdbServer({ shell: runSh }).start();
+        adb = new ADB('emulator-5554', { port: server.port });
+
+        const result = await adb.shellWithResult('echo out; echo err >&2; exit 3');
+        expect(result).toMatchObject({ stdout: 'out\n', stderr: 'err\n', exitCode: 3 });
+        expect(typeof result.durationMs).toBe('number');
+        expect(server.requests).toContain('shell,v2,raw:echo out; echo err >&2; exit 3');
+    });
+
+    test('falls back to an exit status sentinel without shell v2', async () => {
+        // Legacy shell: merges stderr into stdout
+        server = await new FakeAdbServer({
+            shellV2: false,
+            shell: command => execFileSync('/bin/sh', ['-c', `(${command}) 2>&1`]).toString()
+        }).start();
+        adb = new ADB('emulator-5554', { port: server.port });
+
+        expect(await adb.shellWithResult(['test', '-f', '/definitely/missing'])).toMatchObject({ stdout: '', exitCode: 1 });
+        expect(await adb.shellWithResult('printf partial')).toMatchObject({ stdout: 'partial', exitCode: 0 });
+
+        // The unsupported protocol is only probed once
+        expect(server.requests.filter(r => r.startsWith('shell,v2')).length).toBe(1);
+    });
+});
+
+describe('shellWithResult over the adb binary', () => {
+    let binary;
+
+    beforeAll(() => {
+        binary = createFakeAdbBinary();
+    });
+
+    afterAll(() => {
+        binary.remove();
+    });
+
+    test('reads the exit status from the sentinel', async () => {
+        const adb = new ADB('emulator-5554', { adbPath: binary.adbPath, transport: 'binary' });
+        expect(await adb.shellWithResult('echo hi; exit 7')).toMatchObject({ stdout: 'hi\n', exitCode: 7 });
+    });
+});
+
+describe('exit status driven helpers', () => {
+    let server;
+    let device;
+
+    beforeEach(async () => {
+        const files = new Set(['/sdcard/present.txt']);
+        server = await new FakeAdbServer({
+            shell: command => {
+                if (command.startsWith('test -f ')) {
+                    return { exitCode: files.has(command.substring(8)) ? 0 : 1 };
+                }
+                if (command === 'pm path com.example.app') {
+                    return { stdout: 'package:/data/app/com.example.app/base.apk\n' };
+                }
+                if (command.startsWith('pm path ')) {
+                    return { exitCode: 1 };
+                }
+                if (command.startsWith('pm install ')) {
+                    return { stdout: 'Failure [INSTALL_FAILED_INVALID_APK]\n', exitCode: 1 };
+                }
+                return '';
+            }
+        }).start();
+        device = new AndroidDevice('emulator-5554');
+        device.adb = new ADB('emulator-5554', { port: server.port });
+    });
+
+    afterEach(async () => {
+        device.adb.close();
+        await server.stop();
+    });
+
+    test('fileExists reports missing files', async () => {
+        expect(await device.fileExists('/sdcard/present.txt')).toBe(true);
+        expect(await device.fileExists('/sdcard/missing.txt')).toBe(false);
+    });
+
+    test('isAppInstalled uses the pm exit status', async () => {
+        expect(await device.isAppInstalled('com.example.app')).toBe(true);
+        expect(await device.isAppInstalled('com.example')).toBe(false);
+    });
+
+    test('installApp reports pm failures', async () => {
+        const apk = path.join(os.tmpdir(), `droideer-${process.pid}.apk`);
+        fs.writeFileSync(apk, 'not really an apk');
+        expect(await device.installApp(apk)).toBe(false);
+        fs.unlinkSync(apk);
+
+        expect(server.requests.some(r => r.startsWith('shell,v2,raw:rm -f /data/local/tmp/droideer-'))).toBe(true);
+    });
+});
@@ -0,0 +1,220 @@
+import { jest } from '@jest/globals';
+import { once } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ADB } from '../src/utils/adb.js';
+import { AndroidDevice } from '../src/Device.js';
+import { FakeDevice } from '../src/backends/FakeDevice.js';
+import { ReplayBackend } from '../src/backends/ReplayBackend.js';
+import { NetworkMonitor } from '../src/NetworkMonitor.js';
+import { createFakeAdbBinary } from './helpers/fake-adb-binary.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Writes lines over time, the way logcat does
+const streamLines = async (socket, lines) => {
+    for (const line of lines) {
+        socket.write(`${line}\n`);
+        await delay(5);
+    }
+};
+
+describe('spawnShell', () => {
+    let server;
+    let adb;
+    let deviceSockets;
+
+    beforeEach(() => {
+        deviceSockets = [];
+    });
+
+    afterEach(async () => {
+        adb.close();
+        await server.stop();
+    });
+
+    const startServer = async shell => {
+        server = await new FakeAdbServer({
+            shell: (command, ctx) => {
+                deviceSockets.push(ctx.socket);
+                return shell(command, ctx);
+            }
+        }).start();
+        adb = new ADB('emulator-5554', { port: server.port });
+    };
+
+    test('streams output line by line as the command writes it', async () => {
+        await startServer((command, ctx) => streamLines(ctx.socket, ['one', 'two', 'three']));
+
+        const lines = [];
+        for await (const line of adb.spawnShell(['logcat', '-v', 'time']).lines()) {
+            lines.push(line);
+        }
+
+        expect(lines).toEqual(['one', 'two', 'three']);
+        expect(server.requests).toContain('shell:logcat -v time');
+    });
+
+    test('stops the device command when the signal aborts', async () => {
+        // Never finishes on its own
+        await startServer((command, ctx) => {
+            ctx.socket.write('first\n');
+            return new Promise(() => {});
+        });
+
+        const controller = new AbortController();
+        const stream = adb.spawnShell('logcat', { signal: controller.signal });
+        const lines = [];
+
+        await expect((async () => {
+            for await (const line of stream.lines()) {
+                lines.push(line);
+                controller.abort();
+            }
+        })()).rejects.toMatchObject({ name: 'AbortError' });
+
+        expect(lines).toEqual(['first']);
+        await once(deviceSockets[0], 'close');
+    });
+
+    test('applies backpressure instead of buffering without bound', async () => {
+        const chunk = Buffer.alloc(64 * 1024, 'x');
+        let written = 0;
+        let blocked = false;
+        await startServer((command, ctx) => {
+            // Write until the client stops reading (capped at 64 MiB)
+            while (written < 64 * 1024 * 1024 && !blocked) {
+                blocked = !ctx.socket.write(chunk);
+                written += chunk.length;
+            }
+            return new Promise(() => {});
+        });
+
+        const stream = adb.spawnShell('cat /dev/urandom', { highWaterMark: 16 * 1024 });
+        await delay(200);
+
+        expect(blocked).toBe(true);
+        expect(written).toBeLessThan(64 * 1024 * 1024);
+        expect(stream.readableLength).toBeLessThan(written);
+        stream.destroy();
+    });
+
+    test('device.disconnect() closes open streams', async () => {
+        await startServer(() => new Promise(() => {}));
+        const device = new AndroidDevice('emulator-5554', { backend: adb });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const stream = adb.spawnShell('getevent -lt');
+        await delay(50);
+        expect(deviceSockets.length).toBe(1);
+
+        await device.disconnect();
+        expect(stream.destroyed).toBe(true);
+        await once(deviceSockets[0], 'close');
+        jest.restoreAllMocks();
+    });
+});
+
+describe('spawnShell over the adb binary', () => {
+    let binary;
+
+    beforeAll(() => {
+        binary = createFakeAdbBinary();
+    });
+
+    afterAll(() => {
+        binary.remove();
+    });
+
+    test('streams the output of the spawned process', async () => {
+        const adb = new ADB('emulator-5554', { adbPath: binary.adbPath, transport: 'binary' });
+        const lines = [];
+        for await (const line of adb.spawnShell('printf "a\\nb\\n"').lines()) {
+            lines.push(line);
+        }
+        expect(lines).toEqual(['a', 'b']);
+    });
+
+    test('kills the process when the stream is destroyed', async () => {
+        const adb = new ADB('emulator-5554', { adbPath: binary.adbPath, transport: 'binary' });
+        const stream = adb.spawnShell('echo started; exec sleep 5');
+        const lines = stream.lines();
+        expect((await lines.next()).value).toBe('started');
+
+        adb.close();
+        expect(stream.destroyed).toBe(true);
+    });
+});
+
+describe('recorded streams', () => {
+    let dir;
+    let server;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'droideer-stream-'));
+        server = await new FakeAdbServer({
+            shell: (command, ctx) => streamLines(ctx.socket, ['GET https://api.example.com/items'])
+        }).start();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('replay serves the recorded output', async () => {
+        const transcript = path.join(dir, 'flow.json');
+        const adb = new ADB('emulator-5554', { port: server.port, record: transcript });
+        const recorded = [];
+        for await (const line of adb.spawnShell('logcat').lines()) {
+            recorded.push(line);
+        }
+        adb.close();
+
+        const replay = new ReplayBackend(transcript);
+        const replayed = [];
+        for await (const line of replay.spawnShell('logcat').lines()) {
+            replayed.push(line);
+        }
+
+        expect(replayed).toEqual(recorded);
+        expect(replayed).toEqual(['GET https://api.example.com/items']);
+        replay.assertComplete();
+    });
+});
+
+describe('NetworkMonitor', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('consumes a logcat stream instead of polling dumps', async () => {
+        const backend = new FakeDevice({
+            screens: { blank: { xml: '<hierarchy/>' } },
+            stream: () => [
+                '10-18 12:00:00.000 D/OkHttp: --> GET https://api.example.com/v1/users',
+                '10-18 12:00:00.100 D/OkHttp: <-- 200 https://api.example.com/v1/users',
+                '10-18 12:00:00.200 I/ActivityManager: unrelated line'
+            ]
+        });
+        const monitor = new NetworkMonitor(new AndroidDevice(null, { backend }));
+
+        await monitor.startMonitoring();
+        await delay(20);
+        const results = await monitor.stopMonitoring();
+
+        expect(results.data.httpRequests.length).toBe(2);
+        expect(results.data.domains).toEqual(['api.example.com']);
+
+        const shells = backend.actions.filter(action => action.type === 'shell').map(action => action.command);
+        expect(shells.some(command => command.startsWith('logcat -d'))).toBe(false);
+        expect(backend.actions).toContainEqual({ type: 'spawnShell', command: 'logcat -v time' });
+    });
+});
@@ -0,0 +1,94 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AndroidDevice, Droideer, NotSupportedError, SnapshotError, loadSnapshot } from '../src/index.js';
+import { createFakeApp } from './helpers/fixtures.js';
+
+describe('hierarchy snapshots', () => {
+    let dir;
+    let fake;
+    let device;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'droideer-snapshot-'));
+        fake = createFakeApp();
+        fake.screens.login.screenshot = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+        device = await AndroidDevice.connect({ backend: fake });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('saves the hierarchy, screenshot and metadata', async () => {
+        const metadata = await device.page.saveSnapshot(dir);
+
+        expect(metadata).toMatchObject({
+            version: 1,
+            activity: { package: 'com.example.app', activity: '.LoginActivity' },
+            screenSize: { width: 1080, height: 1920 },
+            files: { hierarchy: 'hierarchy.xml', screenshot: 'screenshot.png' }
+        });
+        expect(typeof metadata.capturedAt).toBe('string');
+        expect(fs.readFileSync(path.join(dir, 'hierarchy.xml'), 'utf8')).toBe(await fake.getUIHierarchy());
+        expect(fs.readFileSync(path.join(dir, 'screenshot.png'))).toEqual(fake.screens.login.screenshot);
+    });
+
+    test('reuses an up-to-date dump and dumps again after input', async () => {
+        const dumps = jest.spyOn(fake, 'getUIHierarchy');
+        await device.page.$('#title');
+        await device.page.saveSnapshot(dir, { screenshot: false });
+        expect(dumps).toHaveBeenCalledTimes(1);
+
+        await device.page.click({ resourceId: 'sign_in' });
+        await device.page.saveSnapshot(dir, { screenshot: false });
+        expect(fs.readFileSync(path.join(dir, 'hierarchy.xml'), 'utf8')).toContain('com.example.app:id/card');
+    });
+
+    test('saves the frozen hierarchy while the page is frozen', async () => {
+        const login = await fake.getUIHierarchy();
+        const dumps = jest.spyOn(fake, 'getUIHierarchy');
+        await device.page.freeze();
+        await device.page.click({ resourceId: 'sign_in' });
+
+        await device.page.saveSnapshot(dir, { screenshot: false });
+
+        expect(fs.readFileSync(path.join(dir, 'hierarchy.xml'), 'utf8')).toBe(login);
+        expect(await device.page.$('#card')).toBeNull();
+        expect(dumps).toHaveBeenCalledTimes(1);
+    });
+
+    test('queries a saved screen without a device', async () => {
+        await device.page.saveSnapshot(dir);
+        const page = await Droideer.openSnapshot(dir);
+
+        expect((await page.$('#title')).text).toBe('Welcome back');
+        expect(await page.$$({ className: 'android.widget.EditText' })).toHaveLength(2);
+        expect(await page.$x('//*[@resource-id="com.example.app:id/sign_in"]')).toHaveLength(1);
+        expect(await page.findByText('Welcome back')).not.toBeNull();
+        expect(await page.evaluate(tree => tree !== null)).toBe(true);
+        expect(await page.title()).toBe('com.example.app/.LoginActivity');
+        expect(await page.viewport()).toMatchObject({ width: 1080, height: 1920 });
+    });
+
+    test('refuses input on a snapshot page', async () => {
+        await device.page.saveSnapshot(dir, { screenshot: false });
+        const page = await Droideer.openSnapshot(path.join(dir, 'snapshot.json'));
+
+        const sign = await page.$('#sign_in');
+        await expect(sign.click()).rejects.toThrow(NotSupportedError);
+        await expect(page.screenshot({ path: path.join(dir, 'out.png') })).rejects.toThrow(NotSupportedError);
+    });
+
+    test('reports missing and unsupported snapshots', async () => {
+        expect(() => loadSnapshot(path.join(dir, 'missing'))).toThrow(SnapshotError);
+
+        await device.page.saveSnapshot(dir);
+        const file = path.join(dir, 'snapshot.json');
+        fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, 'utf8')), version: 99 }));
+        await expect(Droideer.openSnapshot(dir)).rejects.toThrow('Unsupported snapshot version 99');
+    });
+});
@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Droideer, ReplayBackend, TranscriptDivergenceError } from '../src/index.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+const deviceShell = command => {
+    if (command.startsWith('getprop ')) return `value of ${command.substring(8)}\n`;
+    if (command === 'cat /sdcard/ui.xml') return loadFixture('login.xml');
+    if (command.startsWith('uiautomator dump')) return 'UI hierchary dumped to: /sdcard/ui.xml\n';
+    if (command === 'screencap -p') return Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+    return '';
+};
+
+async function runFlow(device, screenshotPath) {
+    const page = device.page;
+    const title = await page.$('#title');
+    await page.click({ resourceId: 'sign_in' });
+    await device.screenshot(screenshotPath);
+    return { title: title.text, info: await device.getDeviceInfo() };
+}
+
+describe('transcript record and replay', () => {
+    let dir;
+    let server;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'droideer-transcript-'));
+        server = await new FakeAdbServer({ shell: deviceShell }).start();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    async function record() {
+        const file = path.join(dir, 'flow.json');
+        const device = await Droideer.connect('emulator-5554', { port: server.port, record: file });
+        const recorded = await runFlow(device, path.join(dir, 'recorded.png'));
+        await device.disconnect();
+        return { file, recorded };
+    }
+
+    test('records every device call with its output', async () => {
+        const { file } = await record();
+        const transcript = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        expect(transcript.deviceId).toBe('emulator-5554');
+        expect(transcript.entries[0]).toEqual({ method: 'isConnected', args: [], result: true });
+        expect(transcript.entries).toContainEqual({ method: 'shell', args: ['input tap 540 950'], result: '' });
+        expect(transcript.entries).toContainEqual({ method: 'screencap', args: [], result: { $buffer: 'iVBORw==' } });
+    });
+
+    test('replays a transcript deterministically without a device', async () => {
+        const { file, recorded } = await record();
+        await server.stop();
+        server = await new FakeAdbServer().start();
+
+        const device = await Droideer.replay(file);
+        const replayed = await runFlow(device, path.join(dir, 'replayed.png'));
+
+        expect(replayed).toEqual(recorded);
+        expect(fs.readFileSync(path.join(dir, 'replayed.png'))).toEqual(fs.readFileSync(path.join(dir, 'recorded.png')));
+        expect(() => device.adb.assertComplete()).not.toThrow();
+        expect(server.requests).toEqual([]);
+    });
+
+    test('reports the expected and issued command on divergence', async () => {
+        const { file } = await record();
+        const device = await Droideer.replay(file);
+        await device.page.$('#title');
+
+        const error = await device.adb.tap(1, 2).catch(e => e);
+        expect(error).toBeInstanceOf(TranscriptDivergenceError);
+        expect(error.expected).toEqual({ method: 'shell', args: ['input tap 540 950'], result: '' });
+        expect(error.actual).toEqual({ method: 'shell', args: ['input tap 1 2'] });
+        expect(error.message).toMatch(/expected shell\("input tap 540 950"\) but got shell\("input tap 1 2"\)/);
+    });
+
+    test('loose mode answers repeated polls from the previous entry', async () => {
+        const transcript = {
+            version: 1,
+            deviceId: 'emulator-5554',
+            entries: [
+                { method: 'shell', args: ['dumpsys window'], result: 'a' },
+                { method: 'shell', args: ['dumpsys battery'], result: 'b' }
+            ]
+        };
+        const strict = new ReplayBackend(transcript);
+        await strict.shell('dumpsys window');
+        await expect(strict.shell('dumpsys window')).rejects.toThrow(TranscriptDivergenceError);
+
+        const loose = new ReplayBackend(transcript, { mode: 'loose' });
+        expect(await loose.shell('dumpsys window')).toBe('a');
+        expect(await loose.shell('dumpsys window')).toBe('a');
+        expect(await loose.shell('dumpsys battery')).toBe('b');
+        loose.assertComplete();
+    });
+});
@@ -0,0 +1,118 @@
+import { compileUiSelector, selectUiSelector } from '../src/utils/uiselector.js';
+import { parseUIHierarchySync } from '../src/utils/xml-parser.js';
+import { SelectorSyntaxError } from '../src/errors/index.js';
+import { AndroidDevice } from '../src/Device.js';
+import { createFakeApp, loadFixture } from './helpers/fixtures.js';
+
+const home = parseUIHierarchySync(loadFixture('home.xml'));
+const login = parseUIHierarchySync(loadFixture('login.xml'));
+
+function select(root, selector) {
+    return selectUiSelector(root, selector).map(node => node.text || node['content-desc'] || node['resource-id'].replace(/.*:id\//, ''));
+}
+
+describe('UiSelector strings', () => {
+    test.each([
+        ['new UiSelector().text("Red Boots")', ['Red Boots']],
+        ['new UiSelector().textContains("Price")', ['Price: $59', 'Price: $120', 'Price: $35']],
+        ['new UiSelector().textStartsWith("Price: $1")', ['Price: $120']],
+        ['new UiSelector().textMatches("Price: \\\\$\\\\d{2}")', ['Price: $59', 'Price: $35']],
+        ['new UiSelector().textMatches("(?i)green.*")', ['Green Sandals']],
+        ['new UiSelector().textMatches("Boots")', []],
+        ['new UiSelector().description("Sale")', ['Sale']],
+        ['new UiSelector().descriptionContains("e")', ['New', 'Sale']],
+        ['new UiSelector().resourceId("com.example.app:id/badge")', ['New', 'Sale']],
+        ['new UiSelector().resourceIdMatches(".*:id/(list|hidden)")', ['list', 'hidden']],
+        ['new UiSelector().className("android.widget.ImageView").instance(1)', ['Sale']],
+        ['new UiSelector().className("android.widget.ImageView").instance(2)', []],
+        ['new UiSelector().classNameMatches(".*TextView").index(1).instance(0)', ['Price: $59']],
+        ['new UiSelector().scrollable(true).packageName("com.example.app")', ['list']],
+        ['new UiSelector().clickable(true).focusable(true).index(2)', ['card']],
+        ['UiSelector().enabled(false)', []],
+        ['new UiSelector().resourceId("com.example.app:id/card").childSelector(new UiSelector().textContains("$"))', ['Price: $59', 'Price: $120', 'Price: $35']],
+        ['new UiSelector().resourceId("com.example.app:id/card").instance(1).childSelector(new UiSelector().index(0))', ['Red Boots']],
+        ['new UiSelector().resourceId("com.example.app:id/list").childSelector(new UiSelector().className("android.widget.TextView").instance(3))', ['Price: $120']],
+        ['new UiSelector().description("Sale").fromParent(new UiSelector().resourceId("com.example.app:id/title"))', ['Green Sandals']],
+        ['new UiSelector().text("Red Boots").fromParent(new UiSelector().index(1)).fromParent(new UiSelector().text("Red Boots"))', ['Red Boots']],
+        ['new UiSelector().childSelector(new UiSelector().description("New")).resourceId("com.example.app:id/card")', ['New']],
+        ['  new UiSelector ( ) . text ( "Home" ) ;  ', ['Home']]
+    ])('%s', (selector, expected) => {
+        expect(select(home, selector)).toEqual(expected);
+    });
+
+    test('java escapes and state flags', () => {
+        expect(select(login, 'new UiSelector().text("Sign\\u0020in").description("Sign in button")')).toEqual(['Sign in']);
+        expect(select(login, 'new UiSelector().checkable(true).checked(true)')).toEqual(['Remember me']);
+        expect(select(login, 'new UiSelector().className("android.widget.EditText").longClickable(true).selected(false).focused(false)'))
+            .toEqual(['email', 'password']);
+    });
+
+    test.each([
+        ['new UiSelector(', 15],
+        ['new UiObject().text("a")', 4],
+        ['new UiSelector().text(a)', 22],
+        ['new UiSelector().text("a', 22],
+        ['new UiSelector().instance(-1)', 26],
+        ['new UiSelector().clickable("true")', 27],
+        ['new UiSelector().textMatches("(")', 29],
+        ['new UiSelector().scrollIntoView(new UiSelector())', 17],
+        ['new UiSelector().text("a") x', 27],
+        ['uiautomator=new UiSelector().bogus()', 29]
+    ])('%s fails at %i', (selector, position) => {
+        let error;
+        try {
+            compileUiSelector(selector);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(SelectorSyntaxError);
+        expect(error).toMatchObject({ selector, position });
+    });
+});
+
+describe('uiautomator= selectors through the page', () => {
+    let page;
+
+    beforeEach(async () => {
+        const device = await AndroidDevice.connect({ backend: createFakeApp({ initial: 'home' }), logLevel: 'silent' });
+        page = device.page;
+    });
+
+    test('$, $$ and element scopes', async () => {
+        const prices = await page.$$('uiautomator=new UiSelector().resourceIdMatches(".*:id/price")');
+        expect(prices.map(price => price.text)).toEqual(['Price: $59', 'Price: $120', 'Price: $35']);
+
+        const card = await page.$('uiautomator=new UiSelector().resourceId("com.example.app:id/card").instance(2)');
+        expect((await card.$('uiautomator=new UiSelector().className("android.widget.TextView").instance(1)')).text).toBe('Price: $35');
+        expect(await card.$('uiautomator=new UiSelector().resourceId("com.example.app:id/card")')).toBeNull();
+    });
+
+    test('matches and closest', async () => {
+        const badge = await page.$('[content-desc=Sale]');
+        expect(badge.matches('uiautomator=new UiSelector().className("android.widget.ImageView").instance(1)')).toBe(true);
+        expect(badge.matches('uiautomator=new UiSelector().className("android.widget.ImageView").instance(0)')).toBe(false);
+        expect(badge.closest('uiautomator=new UiSelector().scrollable(true)').resourceId).toBe('com.example.app:id/list');
+    });
+
+    test('closest evaluates the UiSelector once, not once per ancestor', async () => {
+        const price = await page.$('#card:nth-child(3) > #price');
+        let nodes = 0;
+        let reads = 0;
+        const count = node => {
+            const { scrollable } = node;
+            nodes++;
+            Object.defineProperty(node, 'scrollable', { get: () => { reads++; return scrollable; } });
+            node.children.forEach(count);
+        };
+        let root = price._data;
+        while (root.parent) root = root.parent;
+        count(root);
+
+        expect(price.closest('uiautomator=new UiSelector().scrollable(true)').resourceId).toBe('com.example.app:id/list');
+        expect(reads).toBeLessThan(2 * nodes);
+    });
+
+    test('syntax errors reach the caller', async () => {
+        await expect(page.$('uiautomator=new UiSelector().text(')).rejects.toThrow(SelectorSyntaxError);
+    });
+});
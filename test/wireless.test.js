@@ -0,0 +1,151 @@
+import { ADB, AdbCommandError, AndroidDevice, Droideer } from '../src/index.js';
+import { isNetworkSerial, normalizeAddress, parseMdnsServices } from '../src/utils/wireless.js';
+import { createFakeAdbBinary } from './helpers/fake-adb-binary.js';
+import { FakeAdbServer } from './helpers/fake-adb-server.js';
+
+const WIFI = '192.168.1.20:5555';
+
+describe('wireless helpers', () => {
+    test('recognises network serials', () => {
+        expect(isNetworkSerial(WIFI)).toBe(true);
+        expect(isNetworkSerial('[fe80::1]:5555')).toBe(true);
+        expect(isNetworkSerial('emulator-5554')).toBe(false);
+        expect(isNetworkSerial(null)).toBe(false);
+        expect(normalizeAddress('192.168.1.20')).toBe(WIFI);
+        expect(normalizeAddress('192.168.1.20:4444')).toBe('192.168.1.20:4444');
+    });
+
+    test('only network serials are re-attached', () => {
+        expect(new ADB(WIFI).autoReconnect).toBe(true);
+        expect(new ADB('emulator-5554').autoReconnect).toBe(false);
+        expect(new ADB(WIFI, { autoReconnect: false }).autoReconnect).toBe(false);
+    });
+
+    test('parses mdns services from the adb binary', () => {
+        const output = [
+            'List of discovered mdns services',
+            'adb-R58M123\t_adb-tls-pairing._tcp.\t192.168.1.20:37123',
+            'adb-R58M123\t_adb-tls-connect._tcp.\t192.168.1.20:41001',
+            ''
+        ].join('\n');
+
+        expect(parseMdnsServices(output)).toEqual([
+            { name: 'adb-R58M123', type: '_adb-tls-pairing._tcp', service: 'pairing', address: '192.168.1.20:37123', host: '192.168.1.20', port: 37123 },
+            { name: 'adb-R58M123', type: '_adb-tls-connect._tcp', service: 'connect', address: '192.168.1.20:41001', host: '192.168.1.20', port: 41001 }
+        ]);
+    });
+});
+
+describe('wireless ADB over the adb server', () => {
+    let server;
+    let adb;
+
+    afterEach(async () => {
+        adb?.close();
+        adb = null;
+        await server.stop();
+    });
+
+    const start = async options => {
+        server = await new FakeAdbServer(options).start();
+        adb = new ADB(null, { port: server.port, logLevel: 'silent' });
+    };
+
+    test('connects and disconnects devices by address', async () => {
+        await start({ reachable: [WIFI] });
+
+        expect(await adb.connectTcp('192.168.1.20')).toEqual({ address: WIFI, serial: WIFI, alreadyConnected: false });
+        expect(await adb.connectTcp(WIFI)).toMatchObject({ alreadyConnected: true });
+        expect((await adb.getDevices()).map(device => device.id)).toContain(WIFI);
+
+        expect(await adb.disconnectTcp(WIFI)).toEqual({ address: WIFI, serial: WIFI });
+        expect((await adb.getDevices()).map(device => device.id)).not.toContain(WIFI);
+    });
+
+    test('reports unreachable addresses', async () => {
+        await start();
+
+        const error = await adb.connectTcp('10.0.0.9').catch(e => e);
+        expect(error).toBeInstanceOf(AdbCommandError);
+        expect(error.command).toBe('connect 10.0.0.9:5555');
+        expect(error.message).toMatch(/Connection refused/);
+    });
+
+    test('pairs with a pairing code', async () => {
+        await start({ pairing: { '192.168.1.20:37123': '482913' } });
+
+        expect(await adb.pair('192.168.1.20:37123', 482913)).toEqual({
+            address: '192.168.1.20:37123',
+            serial: '192.168.1.20:37123',
+            guid: 'adb-fake-guid'
+        });
+        await expect(adb.pair('192.168.1.20:37123', '000000')).rejects.toThrow(/Wrong password/);
+    });
+
+    test('lists mdns services', async () => {
+        await start({ mdns: [{ name: 'adb-R58M123', type: '_adb-tls-connect._tcp', address: '192.168.1.20:41001' }] });
+
+        expect(await Droideer.mdnsServices({ port: server.port })).toEqual([
+            { name: 'adb-R58M123', type: '_adb-tls-connect._tcp', service: 'connect', address: '192.168.1.20:41001', host: '192.168.1.20', port: 41001 }
+        ]);
+    });
+
+    test('switches a device to tcpip', async () => {
+        await start();
+
+        expect(await Droideer.tcpip('emulator-5554', 5555, { port: server.port })).toEqual({ deviceId: 'emulator-5554', port: 5555 });
+        expect(server.requests).toContain('tcpip:5555');
+    });
+
+    test('connect attaches an unknown network serial first', async () => {
+        await start({ reachable: [WIFI] });
+
+        const device = await AndroidDevice.connect(WIFI, { port: server.port, logLevel: 'silent' });
+        expect(server.requests).toContain(`host:connect:${WIFI}`);
+        expect(device.adb.autoReconnect).toBe(true);
+        await device.disconnect();
+    });
+
+    test('re-attaches a network device when Wi-Fi drops', async () => {
+        await start({ reachable: [WIFI], shell: command => command.includes('getprop ro.product.model') ? 'Pixel\n' : '' });
+        await adb.connectTcp(WIFI);
+        const device = await AndroidDevice.connect(WIFI, { port: server.port, logLevel: 'silent', retry: { minDelay: 1 } });
+        const events = [];
+        device.on('disconnect', () => events.push('disconnect'));
+        device.on('reconnect', () => events.push('reconnect'));
+
+        server.devices = server.devices.filter(entry => entry.id !== WIFI);
+        expect(await device.adb.shell('getprop ro.product.model')).toBe('Pixel');
+        expect(events).toEqual(['disconnect', 'reconnect']);
+        expect(server.requests.filter(service => service === `host:connect:${WIFI}`)).toHaveLength(2);
+        await device.disconnect();
+    });
+});
+
+describe('wireless ADB over the adb binary', () => {
+    let binary;
+
+    beforeAll(() => {
+        binary = createFakeAdbBinary([
+            '#!/bin/sh',
+            'case "$1" in',
+            '  connect) echo "failed to connect to \'$2\': No route to host"; exit 1 ;;',
+            '  disconnect) echo "disconnected $2" ;;',
+            'esac',
+            ''
+        ].join('\n'));
+    });
+
+    afterAll(() => {
+        binary.remove();
+    });
+
+    test('connect failures are read from stdout', async () => {
+        const adb = new ADB(null, { adbPath: binary.adbPath, transport: 'binary', retry: false });
+
+        const error = await adb.connectTcp(WIFI).catch(e => e);
+        expect(error).toBeInstanceOf(AdbCommandError);
+        expect(error.message).toBe(`ADB command failed: failed to connect to '${WIFI}': No route to host`);
+        expect(await adb.disconnectTcp(WIFI)).toEqual({ address: WIFI, serial: WIFI });
+    });
+});
@@ -0,0 +1,96 @@
+import { parseUIHierarchy, parseUIHierarchySync } from '../src/utils/xml-parser.js';
+import { HierarchyParseError } from '../src/errors/index.js';
+import { createLogger } from '../src/utils/logger.js';
+import { loadFixture } from './helpers/fixtures.js';
+
+const logger = createLogger({ logLevel: 'silent' });
+
+function flatten(node, nodes = []) {
+    nodes.push(node);
+    node.children.forEach(child => flatten(child, nodes));
+    return nodes;
+}
+
+// A single chain of nested nodes
+function deepDump(depth) {
+    return `<hierarchy rotation="0">${'<node class="android.widget.FrameLayout" bounds="[0,0][10,10]">'.repeat(depth)}${'</node>'.repeat(depth)}</hierarchy>`;
+}
+
+describe('parseUIHierarchySync', () => {
+    test('links every node to its parent with depth and a path id', () => {
+        const root = parseUIHierarchySync(loadFixture('login.xml'));
+        const form = root.children[0];
+        const title = form.children[0];
+
+        expect(root).toMatchObject({ id: '0', depth: 0, parent: null, class: 'android.widget.FrameLayout' });
+        expect(form).toMatchObject({ id: '0.0', depth: 1, 'resource-id': 'com.example.app:id/form' });
+        expect(title).toMatchObject({ id: '0.0.0', depth: 2, text: 'Welcome back' });
+        expect(title.parent).toBe(form);
+        expect(form.parent).toBe(root);
+
+        for (const node of flatten(root)) {
+            for (const [index, child] of node.children.entries()) {
+                expect(child.parent).toBe(node);
+                expect(child.id).toBe(`${node.id}.${index}`);
+            }
+        }
+    });
+
+    test('pre-parses bounds', () => {
+        const title = parseUIHierarchySync(loadFixture('login.xml')).children[0].children[0];
+        expect(title.boundsRect).toEqual({ x1: 40, y1: 200, x2: 1040, y2: 300, centerX: 540, centerY: 250, width: 1000, height: 100 });
+    });
+
+    test('parent links are not enumerable, so nodes still serialize', () => {
+        const root = parseUIHierarchySync(loadFixture('home.xml'));
+        expect(Object.keys(root.children[0])).not.toContain('parent');
+        expect(() => JSON.stringify(root)).not.toThrow();
+    });
+
+    test('ids stay unique on deep trees', () => {
+        const nodes = flatten(parseUIHierarchySync(deepDump(60)));
+        expect(nodes).toHaveLength(60);
+        expect(new Set(nodes.map(node => node.id)).size).toBe(60);
+        expect(nodes.at(-1).depth).toBe(59);
+    });
+
+    test('decodes entities and keeps markup inside quoted values', () => {
+        const root = parseUIHierarchySync(`UI hierchary dumped to: /dev/tty
+<?xml version='1.0' encoding='UTF-8' standalone='yes' ?><!-- dump -->
+<hierarchy rotation="0"><node text="Fish &amp; Chips &lt;3 &#233;&#x1F600; a &b" content-desc='say "hi" > bye' bounds="[0,0][1,1]"/></hierarchy>`);
+
+        expect(root.text).toBe('Fish & Chips <3 é😀 a &b');
+        expect(root['content-desc']).toBe('say "hi" > bye');
+        expect(root.attributes).toMatchObject({ text: root.text, bounds: '[0,0][1,1]' });
+    });
+
+    test('fills in defaults for missing attributes', () => {
+        const root = parseUIHierarchySync('<hierarchy><node /></hierarchy>');
+        expect(root).toMatchObject({
+            class: 'android.view.View',
+            bounds: '[0,0][0,0]',
+            enabled: 'true',
+            clickable: 'false',
+            'visible-to-user': 'true',
+            selector: 'android.view.View',
+            children: []
+        });
+    });
+
+    test.each([
+        ['no hierarchy', 'ERROR: could not get idle state.'],
+        ['no nodes', '<hierarchy rotation="0"></hierarchy>'],
+        ['truncated dump', '<hierarchy rotation="0"><node class="a"><node class="b" />'],
+        ['stray closing tag', '<hierarchy><node /></node></hierarchy>'],
+        ['broken tag', '<hierarchy><node class="a" bounds=[0,0][1,1] /></hierarchy>']
+    ])('rejects %s', (_, xml) => {
+        expect(() => parseUIHierarchySync(xml)).toThrow(HierarchyParseError);
+    });
+});
+
+describe('parseUIHierarchy', () => {
+    test('returns a placeholder instead of throwing', async () => {
+        const root = await parseUIHierarchy('<hierarchy><node>', { logger });
+        expect(root).toMatchObject({ id: '0', text: 'UI Parsing Failed - Please refresh', children: [] });
+    });
+});
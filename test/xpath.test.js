@@ -0,0 +1,155 @@
+import { evaluateXPath, selectNodes } from '../src/utils/xpath.js';
+import { parseUIHierarchySync } from '../src/utils/xml-parser.js';
+import { InvalidArgumentError, SelectorSyntaxError } from '../src/errors/index.js';
+import { AndroidDevice } from '../src/Device.js';
+import { createFakeApp, loadFixture } from './helpers/fixtures.js';
+
+const login = parseUIHierarchySync(loadFixture('login.xml'));
+const home = parseUIHierarchySync(loadFixture('home.xml'));
+
+function texts(root, expression) {
+    return selectNodes(root, expression).map(node => node.text || node['content-desc'] || node['resource-id']);
+}
+
+describe('XPath location paths', () => {
+    test.each([
+        ['/hierarchy/android.widget.FrameLayout/android.widget.LinearLayout/android.widget.Button', ['Sign in']],
+        ['/hierarchy/*/*/*[1]', ['Welcome back']],
+        ['//Button', ['Sign in']],
+        ['//node[@clickable="true"][@password="true"]', ['com.example.app:id/password']],
+        ['//*[@text="Email"]/following-sibling::*[1]', ['com.example.app:id/email']],
+        ['//*[@text="Password"]/preceding-sibling::TextView', ['Welcome back', 'Email']],
+        ['//*[@text="Password"]/preceding-sibling::TextView[1]', ['Email']],
+        ['//EditText[last()]', ['com.example.app:id/password']],
+        ['(//TextView)[position() > 1 and position() < last()]', ['Email']],
+        ['//Button/..', ['com.example.app:id/form']],
+        ['//Button/parent::*/@resource-id', ['com.example.app:id/form']],
+        ['//CheckBox/ancestor::*[1]', ['com.example.app:id/form']],
+        ['//CheckBox/ancestor::*[last() - 2]', ['com.example.app:id/form']],
+        ['//CheckBox/preceding::EditText[1]', ['com.example.app:id/password']],
+        ['//*[@text="Email"]/following::*[@clickable="true"][2]', ['com.example.app:id/password']],
+        ['//TextView/text()', ['Welcome back', 'Email', 'Password']],
+        ['//Button | //CheckBox | //Button', ['Remember me', 'Sign in']],
+        ['//*[@text="Email"]/self::node()', ['Email']]
+    ])('%s', (expression, expected) => {
+        expect(texts(login, expression)).toEqual(expected);
+    });
+
+    test('the root sits inside a hierarchy element', () => {
+        expect(evaluateXPath(login, '/*')).toHaveLength(1);
+        expect(evaluateXPath(login, 'count(//Button/ancestor::*)')).toBe(3);
+        expect(selectNodes(login, '//Button/ancestor::*')).toEqual([login, login.children[0]]);
+        expect(evaluateXPath(login, 'name(/*)')).toBe('hierarchy');
+    });
+
+    test('relative paths start from the context node', () => {
+        const form = login.children[0];
+        expect(selectNodes(login, 'EditText', { context: form })).toHaveLength(2);
+        expect(selectNodes(login, './/Button', { context: form })[0].text).toBe('Sign in');
+        expect(selectNodes(login, '/hierarchy/*', { context: form })).toEqual([login]);
+    });
+});
+
+describe('XPath predicates and functions', () => {
+    test.each([
+        ['//*[contains(@text, "Boots")]', ['Red Boots']],
+        ['//*[starts-with(@text, "Price") and not(contains(@text, "120"))]', ['Price: $59', 'Price: $35']],
+        ['//*[ends-with(@resource-id, ":id/badge") or @text="Home"]', ['Home', 'New', 'Sale']],
+        ['//*[text()="Green Sandals"]', ['Green Sandals']],
+        ['//*[@resource-id="com.example.app:id/card"][count(*) = 2]/*[1]', ['Red Boots']],
+        ['//*[number(substring-after(@text, "$")) > 50]', ['Price: $59', 'Price: $120']],
+        ['//*[substring-after(@text, "$") >= 35 and substring-after(@text, "$") < 100]', ['Price: $59', 'Price: $35']],
+        ['//*[@index * 2 = 4 and @content-desc != ""]', ['New', 'Sale']],
+        ['//*[@index mod 2 = 1][@class="android.widget.TextView"]', ['Price: $59', 'Price: $120', 'Price: $35']],
+        ['//LinearLayout[.//*[@content-desc="Sale"]]/TextView[1]', ['Green Sandals']],
+        ['//*[normalize-space(concat("  ", @text, "   ")) = "Red Boots"]', ['Red Boots']],
+        ['//*[translate(@text, "abcdefghijklmnopqrstuvwxyz", "ABCDEFGHIJKLMNOPQRSTUVWXYZ") = "HOME"]', ['Home']],
+        ['//*[string-length(@text) = 4]', ['Home']],
+        ['//*[@content-desc != ""]', ['New', 'Sale']],
+        ['//*[@bounds="[0,0][0,0]"]', ['com.example.app:id/hidden']]
+    ])('%s', (expression, expected) => {
+        expect(texts(home, expression)).toEqual(expected);
+    });
+
+    test.each([
+        ['count(//*[@resource-id="com.example.app:id/card"])', 3],
+        ['count(//TextView[@text])', 7],
+        ['sum(//*[@resource-id="com.example.app:id/card"]/@index)', 3],
+        ['string(//*[@resource-id="com.example.app:id/list"])', 'Blue SneakersPrice: $59Red BootsPrice: $120Green SandalsPrice: $35'],
+        ['substring("12345", 1.5, 2.6)', '234'],
+        ['substring("12345", 0, 3)', '12'],
+        ['substring("12345", 0 div 0, 3)', ''],
+        ['substring-before("1999/04/01", "/")', '1999'],
+        ['round(2.5) + round(-2.5) + floor(-1.5) + ceiling(1.2)', 1],
+        ['7 mod -3 + -7 mod 3', 0],
+        ['1 div 0', Infinity],
+        ['string(0 div 0)', 'NaN'],
+        ['- - 3 - -2', 5],
+        ['//Button = "Sign in"', false],
+        ['//TextView = "Red Boots"', true],
+        ['//TextView != "Red Boots"', true],
+        ['//ImageView/@content-desc = //TextView', false],
+        ['//Button = false()', true],
+        ['"10" < "9"', false],
+        ['boolean(//Missing) or true() and not(false())', true],
+        ['local-name(//RecyclerView)', 'androidx.recyclerview.widget.RecyclerView']
+    ])('%s', (expression, expected) => {
+        expect(evaluateXPath(home, expression)).toBe(expected);
+    });
+
+    test('numeric predicates are positions along the axis', () => {
+        expect(texts(home, '//*[@resource-id="com.example.app:id/card"][2]/*[position() = last()]')).toEqual(['Price: $120']);
+        expect(texts(home, '//TextView[1]')).toEqual(['Home', 'Blue Sneakers', 'Red Boots', 'Green Sandals']);
+        expect(texts(home, '(//TextView)[1]')).toEqual(['Home']);
+        expect(texts(home, '//*[@text="Price: $35"]/ancestor::*[2]')).toEqual(['com.example.app:id/list']);
+    });
+
+    test('names such as and, div or mod are still usable as element names', () => {
+        const root = parseUIHierarchySync('<hierarchy><node class="and"><node class="div" text="x" /></node></hierarchy>');
+        expect(texts(root, '//and/div')).toEqual(['x']);
+        expect(evaluateXPath(root, 'count(//node()[@class]) * 2')).toBe(4);
+    });
+});
+
+describe('XPath errors', () => {
+    test.each([
+        ['//Button[', 9],
+        ['//Button[@text="a"', 18],
+        ['//Button]', 8],
+        ['//', 2],
+        ['', 0],
+        ['//Button[@text=="a"]', 15],
+        ['//sideways::Button', 2],
+        ['//Button[matches(@text, "a")]', 9],
+        ['//Button[contains(@text)]', 9],
+        ['//Button[@text="a" !]', 19],
+        ['//Button[@text="a]', 15]
+    ])('%s fails at %i', (expression, position) => {
+        let error;
+        try {
+            evaluateXPath(login, expression);
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error).toBeInstanceOf(SelectorSyntaxError);
+        expect(error).toBeInstanceOf(InvalidArgumentError);
+        expect(error).toMatchObject({ selector: expression, position });
+    });
+
+    test('selecting something other than nodes is rejected', () => {
+        expect(() => selectNodes(login, 'count(//Button)')).toThrow(InvalidArgumentError);
+        expect(() => selectNodes(login, 'count("Button")')).toThrow(/node-set/);
+    });
+});
+
+describe('Page.$x', () => {
+    test('returns elements for the current screen', async () => {
+        const device = await AndroidDevice.connect({ backend: createFakeApp(), logLevel: 'silent' });
+        const [checkbox] = await device.page.$x('//*[@checkable="true" and @checked="true"]');
+
+        expect(checkbox.text).toBe('Remember me');
+        expect((await device.page.$x('//EditText/following-sibling::*[@clickable="true"]')).map(element => element.resourceId))
+            .toEqual(['com.example.app:id/password', 'com.example.app:id/remember', 'com.example.app:id/sign_in']);
+        await expect(device.page.$x('//Button[')).rejects.toThrow(SelectorSyntaxError);
+    });
+});